@@ -0,0 +1,97 @@
+/**
+ * @file The service worker. It caches the app shell (the HTML entry point, the bundles
+ * and the view templates in `src/views/`) so the SPA can start and navigate offline.
+ * Requests to the API are left alone: it lives on another origin, and the course data
+ * for offline use is kept in IndexedDB by the store (see `src/services/offlineDb.js`).
+ */
+
+/**
+ * The name of the current cache. Bump the version to drop the files cached by older releases.
+ * @type {string}
+ */
+const CACHE_NAME = "academy-shell-v1";
+
+/**
+ * Files cached on install, so they are available offline even before they were first requested.
+ * Bundled scripts and styles have hashed names and are cached the first time they load.
+ * @type {Array<string>}
+ */
+const APP_SHELL = [
+    "/",
+    "/index.html",
+    "/vite.svg",
+    "/src/views/404.html",
+    "/src/views/analytics.html",
+    "/src/views/audit.html",
+    "/src/views/calendar.html",
+    "/src/views/change-password.html",
+    "/src/views/course-content.html",
+    "/src/views/course-detail.html",
+    "/src/views/course-edit.html",
+    "/src/views/gradebook.html",
+    "/src/views/grades.html",
+    "/src/views/home.html",
+    "/src/views/instructor-dashboard.html",
+    "/src/views/instructors.html",
+    "/src/views/lesson.html",
+    "/src/views/login.html",
+    "/src/views/quiz.html",
+    "/src/views/register.html",
+    "/src/views/student-dashboard.html",
+    "/src/views/task.html",
+    "/src/views/users.html",
+];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            // Cache each file on its own, so one missing file doesn't fail the whole install
+            .then(cache => Promise.all(APP_SHELL.map(url =>
+                cache.add(url).catch(error => console.warn(`Could not cache ${url}: `, error))
+            )))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Answers a request from the network, refreshing the cached copy, and falls back to the
+ * cache when the network fails. Network first keeps the app up to date whenever it is online.
+ * @param {Request} request - The request to answer.
+ * @param {string} [fallbackUrl] - A cached URL to use when the request itself was never cached.
+ * @returns {Promise<Response>} The response.
+ */
+async function networkFirst(request, fallbackUrl) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok && response.type === "basic") {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request) || (fallbackUrl && await cache.match(fallbackUrl));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    // Only the app's own files are cached; API calls and writes go straight to the network
+    if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+    // Every route of the SPA is served by index.html
+    const fallbackUrl = request.mode === "navigate" ? "/index.html" : undefined;
+    event.respondWith(networkFirst(request, fallbackUrl));
+});
@@ -0,0 +1,41 @@
+/**
+ * @file Analytics endpoints of the local API server, reserved to administrators.
+ * The analytics page counts the enrollments of each month from the audit log, which keeps the full
+ * course before and after every change (edits, content, grades...). Rather than sending all of it,
+ * the server picks out the entries where students got a seat, and only sends who got it and when.
+ * The entries are counted by month in the browser, which knows the user's time zone.
+ */
+
+import { sendError } from "./middleware.js";
+
+/**
+ * Registers the analytics routes on the server. They must be registered after
+ * the authentication middleware, since they rely on `req.user`.
+ * @param {object} server - The Express app created by json-server.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function registerAnalyticsRoutes(server, db) {
+    /**
+     * GET /analytics/enrollments — lists every change that gave students a seat in a course still stored:
+     * enrollments, students added by an administrator, promotions from the waitlist...
+     * Audit entries are never removed, so students who left a course since are still listed.
+     * Responds with `[{ courseId, timestamp, studentIds }]`, oldest first, `studentIds` holding
+     * the students who got a seat in that change.
+     */
+    server.get("/analytics/enrollments", (req, res) => {
+        if (req.user.role !== "administrator") return sendError(res, 403, "Administrator role required.");
+
+        const courseIds = new Set(db.get("courses").map("id").value());
+        const events = db.get("auditLog")
+            .filter(entry => entry.targetType === "course" && courseIds.has(entry.targetId) && entry.after)
+            .sortBy(["timestamp", "id"])
+            .map(entry => {
+                const before = entry.before ? entry.before.enrolledStudents || [] : [];
+                const studentIds = (entry.after.enrolledStudents || []).filter(studentId => !before.includes(studentId));
+                return { courseId: entry.targetId, timestamp: entry.timestamp, studentIds };
+            })
+            .filter(event => event.studentIds.length > 0)
+            .value();
+        res.json(events);
+    });
+}
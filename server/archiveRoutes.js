@@ -0,0 +1,108 @@
+/**
+ * @file Archive endpoints of the local API server.
+ * Deleting a course from the admin dashboard archives it instead: the course keeps its
+ * enrollments but is hidden from the student catalog and closed to new enrollments.
+ * Only archived courses can be deleted for good (purged), so no course loses its
+ * enrollment data to a single click.
+ */
+
+import { sendError, sendConflict } from "./middleware.js";
+import { recordAudit, auditSnapshot } from "./audit.js";
+
+/**
+ * Registers the archive routes and the purge guard on the server. They must be registered
+ * after the authentication middleware, since they rely on `req.user`.
+ * @param {object} server - The Express app created by json-server.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function registerArchiveRoutes(server, db) {
+    /**
+     * Finds the course of an archive request, answering 403 or 404 when it cannot be changed.
+     * @param {object} req - The Express request.
+     * @param {object} res - The Express response.
+     * @returns {object|null} The stored course, or `null` if a response was already sent.
+     */
+    function findArchivableCourse(req, res) {
+        if (req.user.role !== "administrator") {
+            sendError(res, 403, "Administrator role required.");
+            return null;
+        }
+        const course = db.get("courses").find({ id: parseInt(req.params.id, 10) }).value();
+        if (!course) {
+            sendError(res, 404, "Course not found.");
+            return null;
+        }
+        return course;
+    }
+
+    /**
+     * POST /courses/:id/archive — archives a course, keeping its enrollments.
+     * Responds with the updated course, or 409 if it is already archived (`ALREADY_ARCHIVED`).
+     */
+    server.post("/courses/:id/archive", (req, res) => {
+        const course = findArchivableCourse(req, res);
+        if (!course) return;
+        if (course.archived) {
+            return sendConflict(res, "ALREADY_ARCHIVED", "This course is already archived.");
+        }
+
+        const before = auditSnapshot(course);
+        const updated = db.get("courses")
+            .find({ id: course.id })
+            .assign({ archived: true, archivedAt: new Date().toISOString() })
+            .write();
+        recordAudit(db, req.user, { action: "course.archive", targetType: "course", targetId: course.id, before, after: updated });
+        res.json(updated);
+    });
+
+    /**
+     * DELETE /courses/:id/archive — restores an archived course to the catalog.
+     * Responds with the updated course, or 409 if it is not archived (`NOT_ARCHIVED`).
+     */
+    server.delete("/courses/:id/archive", (req, res) => {
+        const course = findArchivableCourse(req, res);
+        if (!course) return;
+        if (!course.archived) {
+            return sendConflict(res, "NOT_ARCHIVED", "This course is not archived.");
+        }
+
+        const before = auditSnapshot(course);
+        const updated = db.get("courses")
+            .find({ id: course.id })
+            .assign({ archived: false, archivedAt: null })
+            .write();
+        recordAudit(db, req.user, { action: "course.restore", targetType: "course", targetId: course.id, before, after: updated });
+        res.json(updated);
+    });
+
+    /**
+     * DELETE /courses/:id — only archived courses may be purged. Active courses answer
+     * 409 (`COURSE_NOT_ARCHIVED`); archived ones continue to json-server, which deletes them.
+     * Courses that listed the purged course as a prerequisite no longer require it (each change is audited
+     * as a course update), and its lessons, assessments and the progress and grades of its students are deleted with it.
+     */
+    server.delete("/courses/:id", (req, res, next) => {
+        if (req.user.role !== "administrator") return next(); // Refused by the authorization middleware
+        const course = db.get("courses").find({ id: parseInt(req.params.id, 10) }).value();
+        if (course && !course.archived) {
+            return sendConflict(res, "COURSE_NOT_ARCHIVED", "Archive the course before deleting it permanently.");
+        }
+        if (course) {
+            db.get("courses").value()
+                .filter(other => (other.prerequisites || []).some(id => Number(id) === course.id))
+                .forEach(other => {
+                    const before = auditSnapshot(other);
+                    const updated = db.get("courses")
+                        .find({ id: other.id })
+                        .assign({ prerequisites: other.prerequisites.filter(id => Number(id) !== course.id) })
+                        .write();
+                    recordAudit(db, req.user, { action: "course.update", targetType: "course", targetId: other.id, before, after: updated });
+                });
+            db.get("courseContents").remove({ courseId: course.id }).write();
+            db.get("lessonProgress").remove({ courseId: course.id }).write();
+            db.get("assessments").remove({ courseId: course.id }).write();
+            db.get("grades").remove({ courseId: course.id }).write();
+        }
+        next();
+    });
+}
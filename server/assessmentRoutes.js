@@ -0,0 +1,320 @@
+/**
+ * @file Assessment endpoints of the local API server: the assignments and quizzes of each course,
+ * and the grades of its students.
+ * Administrators and the instructor of a course create its assessments and grade them by hand;
+ * multiple-choice quizzes are graded when the student submits them, once. The answers of a quiz
+ * are only sent to a student after they have taken it (or been graded for it), so they cannot be
+ * read from the page.
+ * Both collections are closed to the generic json-server routes, nested routes (`/courses/1/grades`)
+ * and `_embed` included (see `authorize`), so answers and grades only leave the server through these endpoints.
+ * The collections that json-server may serve are an allowlist compared without regard to case, so no spelling
+ * of the path (`/Assessments`, `/GRADES`...) reaches them; `GET /grades` below is this module's own endpoint.
+ */
+
+import { sendError, sendConflict, readText } from "./middleware.js";
+import { recordAudit } from "./audit.js";
+import { findTaughtCourse, teachesCourse } from "./instructorRoutes.js";
+import { ASSESSMENT_LIMITS } from "../src/models/assessment.js";
+
+/**
+ * Reads and checks the questions of a quiz. Unknown fields are dropped.
+ * @param {*} questions - The `questions` of the request body.
+ * @returns {{questions: Array<object>, error: string|null}} The questions, or the first problem found.
+ */
+function readQuestions(questions) {
+    if (!Array.isArray(questions) || questions.length === 0 || questions.length > ASSESSMENT_LIMITS.questions) {
+        return { questions: [], error: `A quiz needs between 1 and ${ASSESSMENT_LIMITS.questions} questions.` };
+    }
+    const result = questions.map(question => ({
+        prompt: readText((question || {}).prompt),
+        choices: (Array.isArray((question || {}).choices) ? question.choices : []).map(readText),
+        answer: (question || {}).answer,
+    }));
+    const invalidIndex = result.findIndex(question => !question.prompt
+        || question.prompt.length > ASSESSMENT_LIMITS.prompt
+        || question.choices.length < 2
+        || question.choices.length > ASSESSMENT_LIMITS.choices
+        || question.choices.some(choice => !choice || choice.length > ASSESSMENT_LIMITS.choice)
+        || !Number.isInteger(question.answer)
+        || question.answer < 0
+        || question.answer >= question.choices.length);
+    return invalidIndex === -1
+        ? { questions: result, error: null }
+        : { questions: result, error: `Question ${invalidIndex + 1} needs a prompt, 2 to ${ASSESSMENT_LIMITS.choices} choices and one correct answer.` };
+}
+
+/**
+ * Reads and checks an assessment sent by the client. Quizzes are worth one point per question.
+ * @param {object} body - The request body.
+ * @returns {{assessment: object, error: string|null}} The assessment fields, or the first problem found.
+ */
+function readAssessment(body) {
+    const type = readText(body.type);
+    const assessment = {
+        type,
+        title: readText(body.title),
+        description: readText(body.description),
+        dueDate: readText(body.dueDate),
+        maxPoints: body.maxPoints,
+        weight: body.weight,
+        questions: [],
+    };
+    if (type !== "assignment" && type !== "quiz") return { assessment, error: "The type must be \"assignment\" or \"quiz\"." };
+    if (!assessment.title || assessment.title.length > ASSESSMENT_LIMITS.title) {
+        return { assessment, error: `The title is required and must be at most ${ASSESSMENT_LIMITS.title} characters long.` };
+    }
+    if (assessment.description.length > ASSESSMENT_LIMITS.description) {
+        return { assessment, error: `The description must be at most ${ASSESSMENT_LIMITS.description} characters long.` };
+    }
+    if (assessment.dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(assessment.dueDate)) {
+        return { assessment, error: "The due date must be a YYYY-MM-DD day." };
+    }
+    if (typeof assessment.weight !== "number" || !(assessment.weight > 0)) {
+        return { assessment, error: "The weight must be a number greater than 0." };
+    }
+    if (type === "quiz") {
+        const { questions, error } = readQuestions(body.questions);
+        if (error) return { assessment, error };
+        assessment.questions = questions;
+        assessment.maxPoints = questions.length;
+    } else if (!Number.isInteger(assessment.maxPoints) || assessment.maxPoints < 1) {
+        return { assessment, error: "The maximum points must be a whole number of at least 1." };
+    }
+    return { assessment, error: null };
+}
+
+/**
+ * Registers the assessment routes on the server. They must be registered after
+ * the authentication middleware, since they rely on `req.user`.
+ * @param {object} server - The Express app created by json-server.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function registerAssessmentRoutes(server, db) {
+    db.defaults({ assessments: [], grades: [] }).write();
+
+    /**
+     * Returns whether the requesting user is a student enrolled in a course.
+     * @param {object} req - The Express request.
+     * @param {object} course - The stored course.
+     * @returns {boolean} `true` for enrolled students.
+     */
+    function isEnrolledStudent(req, course) {
+        return req.user.role === "student" && course.enrolledStudents.includes(req.user.id);
+    }
+
+    /**
+     * Prepares the assessments of a course for a student: the answers of the quizzes they have not taken are removed.
+     * @param {Array<object>} assessments - The stored assessments.
+     * @param {Array<object>} grades - The grades of the student.
+     * @returns {Array<object>} The assessments the student may see.
+     */
+    function forStudent(assessments, grades) {
+        return assessments.map(assessment => {
+            const isTaken = grades.some(grade => grade.assessmentId === assessment.id);
+            if (assessment.type !== "quiz" || isTaken) return assessment;
+            return { ...assessment, questions: assessment.questions.map(({ prompt, choices }) => ({ prompt, choices })) };
+        });
+    }
+
+    /**
+     * Finds the assessment of a request (the `:assessmentId` route parameter) in a course, answering 404 if unknown.
+     * @param {object} req - The Express request.
+     * @param {object} res - The Express response.
+     * @param {object} course - The stored course.
+     * @returns {object|null} The stored assessment, or `null` if a response was already sent.
+     */
+    function findAssessment(req, res, course) {
+        const assessment = db.get("assessments")
+            .find({ id: parseInt(req.params.assessmentId, 10), courseId: course.id })
+            .value();
+        if (!assessment) sendError(res, 404, "Assessment not found.");
+        return assessment || null;
+    }
+
+    /**
+     * GET /courses/:id/assessments — the assessments of a course and their grades: `{ courseId, assessments, grades }`.
+     * Administrators and the instructor get every grade; enrolled students only get their own,
+     * and no answers for the quizzes they have not taken. Responds 403 (`NOT_ENROLLED`) to anyone else.
+     */
+    server.get("/courses/:id/assessments", (req, res) => {
+        const course = db.get("courses").find({ id: parseInt(req.params.id, 10) }).value();
+        if (!course) return sendError(res, 404, "Course not found.");
+        const assessments = db.get("assessments").filter({ courseId: course.id }).value();
+        if (teachesCourse(req.user, course)) {
+            return res.json({ courseId: course.id, assessments, grades: db.get("grades").filter({ courseId: course.id }).value() });
+        }
+        if (!isEnrolledStudent(req, course)) {
+            return sendError(res, 403, "Enroll in this course to see its assessments.", "NOT_ENROLLED");
+        }
+        const grades = db.get("grades").filter({ courseId: course.id, studentId: req.user.id }).value();
+        res.json({ courseId: course.id, assessments: forStudent(assessments, grades), grades });
+    });
+
+    /**
+     * POST /courses/:id/assessments — creates an assessment. Responds 201 with it, or 400 when a field is invalid.
+     */
+    server.post("/courses/:id/assessments", (req, res) => {
+        const course = findTaughtCourse(db, req, res);
+        if (!course) return;
+        const { assessment, error } = readAssessment(req.body || {});
+        if (error) return sendError(res, 400, error);
+
+        const created = db.get("assessments").insert({ ...assessment, courseId: course.id }).write();
+        recordAudit(db, req.user, {
+            action: "course.createAssessment",
+            targetType: "course",
+            targetId: course.id,
+            after: { id: course.id, assessment: created }
+        });
+        res.status(201).json(created);
+    });
+
+    /**
+     * PUT /courses/:id/assessments/:assessmentId — replaces the fields of an assessment; its type cannot change.
+     * Responds 409 (`QUIZ_TAKEN`) when the questions of a quiz students already took would change,
+     * and 400 when an assignment's maximum falls below a grade already given.
+     */
+    server.put("/courses/:id/assessments/:assessmentId", (req, res) => {
+        const course = findTaughtCourse(db, req, res);
+        if (!course) return;
+        const stored = findAssessment(req, res, course);
+        if (!stored) return;
+        const { assessment, error } = readAssessment({ ...req.body, type: stored.type });
+        if (error) return sendError(res, 400, error);
+
+        const grades = db.get("grades").filter({ assessmentId: stored.id }).value();
+        const hasSubmissions = grades.some(grade => grade.answers);
+        if (stored.type === "quiz" && hasSubmissions && JSON.stringify(assessment.questions) !== JSON.stringify(stored.questions)) {
+            return sendConflict(res, "QUIZ_TAKEN", "Students already took this quiz, so its questions can no longer change.");
+        }
+        const highestPoints = Math.max(0, ...grades.map(grade => grade.points));
+        if (assessment.maxPoints < highestPoints) {
+            return sendError(res, 400, `The maximum points cannot be lower than the ${highestPoints} point(s) already given.`);
+        }
+
+        const before = structuredClone(stored);
+        const updated = db.get("assessments").find({ id: stored.id }).assign(assessment).write();
+        recordAudit(db, req.user, {
+            action: "course.editAssessment",
+            targetType: "course",
+            targetId: course.id,
+            before: { id: course.id, assessment: before },
+            after: { id: course.id, assessment: updated }
+        });
+        res.json(updated);
+    });
+
+    /**
+     * DELETE /courses/:id/assessments/:assessmentId — deletes an assessment and its grades.
+     */
+    server.delete("/courses/:id/assessments/:assessmentId", (req, res) => {
+        const course = findTaughtCourse(db, req, res);
+        if (!course) return;
+        const assessment = findAssessment(req, res, course);
+        if (!assessment) return;
+
+        db.get("grades").remove({ assessmentId: assessment.id }).write();
+        db.get("assessments").remove({ id: assessment.id }).write();
+        recordAudit(db, req.user, {
+            action: "course.deleteAssessment",
+            targetType: "course",
+            targetId: course.id,
+            before: { id: course.id, assessment }
+        });
+        res.json({});
+    });
+
+    /**
+     * PUT /courses/:id/assessments/:assessmentId/grades/:studentId — gives a student points for an
+     * assessment (`{ points }`), replacing any earlier grade, including a quiz score. `null` points clear the grade.
+     * Responds with the grade (`null` once cleared), or 400 for points out of range or a student who is not enrolled.
+     */
+    server.put("/courses/:id/assessments/:assessmentId/grades/:studentId", (req, res) => {
+        const course = findTaughtCourse(db, req, res);
+        if (!course) return;
+        const assessment = findAssessment(req, res, course);
+        if (!assessment) return;
+        const studentId = parseInt(req.params.studentId, 10);
+        if (!course.enrolledStudents.includes(studentId)) {
+            return sendError(res, 400, "Only the students enrolled in the course can be graded.");
+        }
+        const points = (req.body || {}).points;
+        if (points !== null && (typeof points !== "number" || !(points >= 0) || points > assessment.maxPoints)) {
+            return sendError(res, 400, `The points must be a number between 0 and ${assessment.maxPoints}.`);
+        }
+
+        const key = { assessmentId: assessment.id, studentId };
+        const previous = db.get("grades").find(key).value();
+        const before = previous ? { ...key, points: previous.points } : null;
+        let grade = null;
+        if (points === null) {
+            db.get("grades").remove(key).write();
+        } else if (previous) {
+            grade = db.get("grades").find(key).assign({ points, gradedAt: new Date().toISOString(), gradedBy: req.user.id }).write();
+        } else {
+            grade = db.get("grades")
+                .insert({ ...key, courseId: course.id, points, answers: null, gradedAt: new Date().toISOString(), gradedBy: req.user.id })
+                .write();
+        }
+        recordAudit(db, req.user, {
+            action: "course.grade",
+            targetType: "course",
+            targetId: course.id,
+            before: { id: course.id, grade: before },
+            after: { id: course.id, grade: grade && { ...key, points } }
+        });
+        res.json(grade);
+    });
+
+    /**
+     * POST /courses/:id/assessments/:assessmentId/submissions — submits the answers of a quiz (`{ answers }`,
+     * the index of the choice picked for each question, `null` if skipped) and grades them.
+     * Responds 201 with `{ grade, assessment }`, the assessment now including its answers, or 409
+     * (`ALREADY_SUBMITTED`) if the student already took the quiz or was graded for it.
+     */
+    server.post("/courses/:id/assessments/:assessmentId/submissions", (req, res) => {
+        const course = db.get("courses").find({ id: parseInt(req.params.id, 10) }).value();
+        if (!course) return sendError(res, 404, "Course not found.");
+        if (!isEnrolledStudent(req, course)) {
+            return sendError(res, 403, "Only the students enrolled in this course can take its quizzes.", "NOT_ENROLLED");
+        }
+        const assessment = findAssessment(req, res, course);
+        if (!assessment) return;
+        if (assessment.type !== "quiz") return sendError(res, 400, "Only quizzes are submitted online.");
+        const key = { assessmentId: assessment.id, studentId: req.user.id };
+        if (db.get("grades").find(key).value()) {
+            return sendConflict(res, "ALREADY_SUBMITTED", "You already took this quiz.");
+        }
+        const rawAnswers = (req.body || {}).answers;
+        const answers = assessment.questions.map((question, index) => {
+            const answer = Array.isArray(rawAnswers) ? rawAnswers[index] : null;
+            return Number.isInteger(answer) && answer >= 0 && answer < question.choices.length ? answer : null;
+        });
+
+        const points = assessment.questions.filter((question, index) => answers[index] === question.answer).length;
+        const grade = db.get("grades")
+            .insert({ ...key, courseId: course.id, points, answers, gradedAt: new Date().toISOString(), gradedBy: null })
+            .write();
+        recordAudit(db, req.user, {
+            action: "course.submitQuiz",
+            targetType: "course",
+            targetId: course.id,
+            after: { id: course.id, grade: { ...key, points } }
+        });
+        res.status(201).json({ grade, assessment });
+    });
+
+    /**
+     * GET /grades — the assessments and grades of the requesting student in each course they are
+     * enrolled in: `[{ courseId, assessments, grades }]`, prepared like the GET of a course's assessments.
+     */
+    server.get("/grades", (req, res) => {
+        if (req.user.role !== "student") return sendError(res, 403, "Only students have grades.");
+        const courses = db.get("courses").filter(course => course.enrolledStudents.includes(req.user.id)).value();
+        res.json(courses.map(course => {
+            const grades = db.get("grades").filter({ courseId: course.id, studentId: req.user.id }).value();
+            const assessments = db.get("assessments").filter({ courseId: course.id }).value();
+            return { courseId: course.id, assessments: forStudent(assessments, grades), grades };
+        }));
+    });
+}
@@ -0,0 +1,135 @@
+/**
+ * @file Audit log of the local API server.
+ * Every mutation appends an entry to the `auditLog` collection: who did it, what they did,
+ * to which record, the record before and after the change, and when. Entries are written
+ * by the server only; the collection is read-only through the API, and only for administrators.
+ * - The dedicated endpoints (auth, enrollment, archive) record their own entries.
+ * - Writes to the json-server collections are recorded generically: `captureAuditSnapshot`
+ *   keeps the record as it was, and `recordCollectionWrite` adds the result once json-server is done.
+ */
+
+import { publicUser, resolveCollection } from "./middleware.js";
+
+/**
+ * The json-server collections whose writes are audited, with the target type used in the entries.
+ * @type {Object.<string, string>}
+ */
+const AUDITED_COLLECTIONS = {
+    courses: "course",
+    instructors: "instructor",
+    users: "user",
+};
+
+/**
+ * The audit action of each HTTP method on a collection.
+ * @type {Object.<string, string>}
+ */
+const WRITE_ACTIONS = {
+    POST: "create",
+    PUT: "update",
+    PATCH: "update",
+    DELETE: "delete",
+};
+
+/**
+ * @typedef {object} AuditEntry
+ * @property {number} id - Assigned by lowdb.
+ * @property {string} timestamp - When the change happened (ISO 8601, UTC).
+ * @property {number|null} actorId - The user who made the change.
+ * @property {string|null} actorEmail - Their email at the time, kept in case the account is deleted.
+ * @property {string} action - What happened, as "<target type>.<verb>" (e.g., "course.update", "course.enroll").
+ * @property {string} targetType - The kind of record changed ("course", "instructor" or "user").
+ * @property {number|null} targetId - The ID of the record changed.
+ * @property {object|null} before - The record before the change (`null` for creations).
+ * @property {object|null} after - The record after the change (`null` for deletions).
+ */
+
+/**
+ * Copies a record so later writes to it don't change the entry. User credentials are left out.
+ * @param {object|undefined} record - The stored record.
+ * @param {string} targetType - The kind of record.
+ * @returns {object|null} The snapshot, or `null` if there is no record.
+ */
+function snapshot(record, targetType) {
+    if (!record) return null;
+    const copy = structuredClone(record);
+    return targetType === "user" ? publicUser(copy) : copy;
+}
+
+/**
+ * Appends an entry to the audit log.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @param {object|null} actor - The user who made the change (usually `req.user`).
+ * @param {object} change - What changed.
+ * @param {string} change.action - E.g., "course.archive".
+ * @param {string} change.targetType - E.g., "course".
+ * @param {number|string|null} change.targetId - The ID of the changed record.
+ * @param {object|null} [change.before=null] - The record before the change.
+ * @param {object|null} [change.after=null] - The record after the change.
+ * @returns {AuditEntry} The stored entry.
+ */
+export function recordAudit(db, actor, { action, targetType, targetId, before = null, after = null }) {
+    return db.get("auditLog")
+        .insert({
+            timestamp: new Date().toISOString(),
+            actorId: actor ? actor.id : null,
+            actorEmail: actor ? actor.email : null,
+            action,
+            targetType,
+            targetId: targetId === null || targetId === undefined ? null : parseInt(targetId, 10),
+            before: snapshot(before, targetType),
+            after: snapshot(after, targetType),
+        })
+        .write();
+}
+
+/**
+ * Copies a record before a custom endpoint changes it, for the `before` of its audit entry.
+ * lowdb writes to the stored object in place, so it must be copied before the write.
+ * @param {object|undefined} record - The stored record.
+ * @returns {object|null} The copy.
+ */
+export function auditSnapshot(record) {
+    return record ? structuredClone(record) : null;
+}
+
+/**
+ * Creates the middleware that prepares the audit entry of a write to an audited collection:
+ * it remembers the action, the target and the record as it was before json-server changes it.
+ * Must run after the authorization middleware, so refused requests are not recorded.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @returns {Function} An Express middleware.
+ */
+export function captureAuditSnapshot(db) {
+    return (req, res, next) => {
+        const verb = WRITE_ACTIONS[req.method];
+        const { collection, id } = resolveCollection(req); // `/Courses/5` is audited like `/courses/5`
+        const targetType = AUDITED_COLLECTIONS[collection];
+        if (!verb || !targetType) return next();
+
+        const targetId = id === undefined ? null : parseInt(id, 10);
+        const before = targetId === null ? null : db.get(collection).find({ id: targetId }).value();
+        res.locals.audit = { action: `${targetType}.${verb}`, targetType, targetId, before: snapshot(before, targetType) };
+        next();
+    };
+}
+
+/**
+ * Records the audit entry prepared by `captureAuditSnapshot`, once json-server has applied the write.
+ * Called from the router's `render` hook; failed writes (4xx/5xx) are not recorded.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @param {object} req - The Express request.
+ * @param {object} res - The Express response.
+ * @param {object} data - The record json-server is about to send back.
+ */
+export function recordCollectionWrite(db, req, res, data) {
+    const audit = res.locals.audit;
+    if (!audit || res.statusCode >= 400) return;
+
+    const isDelete = req.method === "DELETE";
+    recordAudit(db, req.user, {
+        ...audit,
+        targetId: audit.targetId !== null ? audit.targetId : data && data.id,
+        after: isDelete ? null : data,
+    });
+}
@@ -0,0 +1,96 @@
+/**
+ * @file Cryptographic helpers for the local auth server.
+ * Passwords are stored as salted scrypt hashes and sessions are represented by
+ * signed tokens (HMAC-SHA256, JWT-like format) that carry an expiry.
+ * Only Node's built-in `crypto` module is used.
+ */
+
+import { randomBytes, scryptSync, createHmac, timingSafeEqual } from "node:crypto";
+
+/**
+ * The secret used to sign tokens. Set AUTH_SECRET in production-like setups;
+ * the fallback is only meant for local development.
+ * @type {string}
+ */
+const TOKEN_SECRET = process.env.AUTH_SECRET || "academy-dev-secret-change-me";
+
+/**
+ * How long an issued token stays valid, in seconds (default: 8 hours).
+ * @type {number}
+ */
+export const TOKEN_TTL_SECONDS = parseInt(process.env.AUTH_TOKEN_TTL || "28800", 10);
+
+/**
+ * The length of the derived scrypt key, in bytes.
+ * @type {number}
+ */
+const KEY_LENGTH = 64;
+
+/**
+ * Encodes a string or buffer as base64url (URL-safe, no padding).
+ * @param {string|Buffer} value - The value to encode.
+ * @returns {string} The encoded value.
+ */
+function toBase64Url(value) {
+    return Buffer.from(value).toString("base64url");
+}
+
+/**
+ * Hashes a password with a random (or given) salt.
+ * @param {string} password - The plaintext password.
+ * @param {string} [salt] - A hex salt. A new random salt is generated if omitted.
+ * @returns {{passwordHash: string, salt: string}} The hex-encoded hash and the salt used.
+ */
+export function hashPassword(password, salt = randomBytes(16).toString("hex")) {
+    const passwordHash = scryptSync(String(password), salt, KEY_LENGTH).toString("hex");
+    return { passwordHash, salt };
+}
+
+/**
+ * Checks a plaintext password against a stored hash, in constant time.
+ * @param {string} password - The plaintext password to check.
+ * @param {{passwordHash: string, salt: string}} user - The stored user record.
+ * @returns {boolean} `true` if the password matches.
+ */
+export function verifyPassword(password, user) {
+    if (!user || !user.passwordHash || !user.salt) return false;
+    const expected = Buffer.from(user.passwordHash, "hex");
+    const actual = Buffer.from(hashPassword(password, user.salt).passwordHash, "hex");
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Creates a signed token for a user.
+ * @param {{id: number, role: string}} user - The user the token is issued for.
+ * @returns {{token: string, expiresAt: number}} The token and its expiry (milliseconds since epoch).
+ */
+export function signToken(user) {
+    const expiresAt = Date.now() + TOKEN_TTL_SECONDS * 1000;
+    const header = toBase64Url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+    const payload = toBase64Url(JSON.stringify({ sub: user.id, role: user.role, exp: Math.floor(expiresAt / 1000) }));
+    const signature = createHmac("sha256", TOKEN_SECRET).update(`${header}.${payload}`).digest("base64url");
+    return { token: `${header}.${payload}.${signature}`, expiresAt };
+}
+
+/**
+ * Verifies a token's signature and expiry.
+ * @param {string} token - The token received from the client.
+ * @returns {{sub: number, role: string, exp: number}|null} The token payload, or `null` if invalid or expired.
+ */
+export function verifyToken(token) {
+    if (typeof token !== "string") return null;
+    const [header, payload, signature] = token.split(".");
+    if (!header || !payload || !signature) return null;
+
+    const expected = Buffer.from(createHmac("sha256", TOKEN_SECRET).update(`${header}.${payload}`).digest("base64url"));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+        if (!claims.exp || claims.exp * 1000 < Date.now()) return null; // Expired
+        return claims;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * @file The `/auth` endpoints of the local auth server: login, registration,
+ * session lookup and password changes. Login and registration are the only
+ * endpoints reachable without a token.
+ */
+
+import { hashPassword, verifyPassword, signToken } from "./auth.js";
+import { authenticate, publicUser, sendError } from "./middleware.js";
+import { recordAudit, auditSnapshot } from "./audit.js";
+import User from "../src/models/user.js";
+
+/**
+ * Checks that a new password is long enough and mixes letters and numbers, with the rules and
+ * messages of the client's `User` model.
+ * @param {*} password - The new password.
+ * @returns {string|null} The error message, or `null` if the password is strong enough.
+ */
+function checkPasswordStrength(password) {
+    return new User("", typeof password === "string" ? password : "").checkPasswordStrength();
+}
+
+/**
+ * Returns the ID of a new account: above every account that exists or ever existed.
+ * json-server would give the highest current ID + 1, so deleting the newest account and registering
+ * another would hand it the same ID, and the tokens of the deleted account would log in as the new one.
+ * Deleted accounts are still in the append-only audit log (`user.delete`), which keeps their IDs.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @returns {number} The ID to give the new account.
+ */
+function nextUserId(db) {
+    const ids = [
+        ...db.get("users").map("id").value(),
+        ...db.get("auditLog").filter({ targetType: "user" }).map("targetId").value(),
+    ];
+    return ids.filter(Number.isInteger).reduce((highest, id) => Math.max(highest, id), 0) + 1;
+}
+
+/**
+ * Registers the `/auth` routes on the server.
+ * @param {object} server - The Express app created by json-server.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function registerAuthRoutes(server, db) {
+    /**
+     * POST /auth/login — exchanges `{ email, password }` for a signed token.
+     * Responds with `{ token, expiresAt, user }`, 401 for invalid credentials, or 403 for
+     * deactivated accounts (`ACCOUNT_DEACTIVATED`). Users asked to reset their password still
+     * get a token, with `user.passwordResetRequired` set, so they can choose a new one.
+     */
+    server.post("/auth/login", (req, res) => {
+        const { email, password } = req.body || {};
+        const user = db.get("users").find({ email }).value();
+        if (!user || !verifyPassword(password, user)) {
+            return sendError(res, 401, "Invalid email or password.");
+        }
+        if (user.deactivated) {
+            return sendError(res, 403, "This account has been deactivated. Contact an administrator.", "ACCOUNT_DEACTIVATED");
+        }
+        const { token, expiresAt } = signToken(user);
+        res.json({ token, expiresAt, user: publicUser(user) });
+    });
+
+    /**
+     * POST /auth/register — creates a new student account from `{ email, password }`.
+     * The role is always "student"; it cannot be chosen by the client.
+     * The email and password are checked like the registration form does (the client's `User` model).
+     * The ID of a deleted account is never given again (see `nextUserId`).
+     * Responds with the created user, 400 for an invalid email or a weak password, or 409 if the email is already taken.
+     */
+    server.post("/auth/register", (req, res) => {
+        const { email, password } = req.body || {};
+        const newUser = new User(email, typeof password === "string" ? password : "");
+        const errors = newUser.validate();
+        if (errors.email || errors.password) {
+            return sendError(res, 400, errors.email || errors.password);
+        }
+        if (db.get("users").find({ email: newUser.email }).value()) {
+            return sendError(res, 409, "A user with this email already exists.");
+        }
+        const created = db.get("users")
+            .insert({ id: nextUserId(db), email: newUser.email, role: "student", ...hashPassword(newUser.password) })
+            .write();
+        recordAudit(db, publicUser(created), { action: "user.register", targetType: "user", targetId: created.id, after: created });
+        res.status(201).json(publicUser(created));
+    });
+
+    /**
+     * GET /auth/me — returns the user behind the bearer token.
+     * The client uses it to restore a session, so the role shown in the UI comes from the server.
+     */
+    server.get("/auth/me", authenticate(db), (req, res) => {
+        res.json(req.user);
+    });
+
+    /**
+     * POST /auth/password — changes the requesting user's password: `{ currentPassword, newPassword }`.
+     * Also clears a password reset forced by an administrator.
+     * Responds with the updated user, or 400 when the current password is wrong or the new one is too weak.
+     */
+    server.post("/auth/password", authenticate(db), (req, res) => {
+        const { currentPassword, newPassword } = req.body || {};
+        const user = db.get("users").find({ id: req.user.id }).value();
+        if (!verifyPassword(currentPassword, user)) {
+            return sendError(res, 400, "The current password is incorrect.");
+        }
+        const strengthError = checkPasswordStrength(newPassword);
+        if (strengthError) return sendError(res, 400, strengthError);
+        if (newPassword === currentPassword) {
+            return sendError(res, 400, "The new password must be different from the current one.");
+        }
+
+        const before = auditSnapshot(user);
+        const updated = db.get("users")
+            .find({ id: user.id })
+            .assign({ ...hashPassword(newPassword), passwordResetRequired: false })
+            .write();
+        recordAudit(db, req.user, { action: "user.changePassword", targetType: "user", targetId: user.id, before, after: updated });
+        res.json(publicUser(updated));
+    });
+}
+
+/**
+ * Hashes any plaintext `password` still stored in the users collection.
+ * Runs at startup so hand-edited records in `db.json` are migrated automatically.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function migratePlaintextPasswords(db) {
+    const users = db.get("users").filter(user => user.password !== undefined).value();
+    users.forEach(user => {
+        db.get("users")
+            .find({ id: user.id })
+            .assign(hashPassword(user.password))
+            .unset("password")
+            .write();
+    });
+    if (users.length > 0) {
+        console.log(`Hashed the plaintext passwords of ${users.length} user(s).`);
+    }
+}
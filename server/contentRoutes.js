@@ -0,0 +1,273 @@
+/**
+ * @file Content endpoints of the local API server: the modules and lessons of each course,
+ * and the lessons each student completed.
+ * The content of a course is one record of the `courseContents` collection, holding its ordered
+ * modules and their ordered lessons. Lesson and module IDs are unique within the course and never
+ * reused, so completions (in `lessonProgress`) can't point at a lesson that replaced a deleted one.
+ * Administrators and the instructor of a course author its content; only they and the students
+ * enrolled in the course may read it. Both collections are closed to the generic json-server routes,
+ * nested routes and `_embed` included (see `authorize`), so these endpoints are the only way in.
+ * They are closed because `authorize` only lets an allowlist of collections reach json-server, compared
+ * without regard to case like json-server's own routing: `/COURSECONTENTS` is refused like `/courseContents`.
+ */
+
+import { sendError, readText } from "./middleware.js";
+import { recordAudit } from "./audit.js";
+import { findTaughtCourse, teachesCourse } from "./instructorRoutes.js";
+import { CONTENT_LIMITS, isWebAddress } from "../src/models/courseContent.js";
+
+/**
+ * Reads and checks the modules sent by the client. Unknown fields are dropped.
+ * @param {*} modules - The `modules` of the request body.
+ * @returns {{modules: Array<object>, error: string|null}} The modules with trimmed text, or the first problem found.
+ */
+function readModules(modules) {
+    if (!Array.isArray(modules)) return { modules: [], error: "The modules must be a list." };
+    const result = modules.map(module => ({
+        id: Number.isInteger((module || {}).id) ? module.id : null,
+        title: readText((module || {}).title),
+        lessons: (Array.isArray((module || {}).lessons) ? module.lessons : []).map(lesson => ({
+            id: Number.isInteger((lesson || {}).id) ? lesson.id : null,
+            title: readText((lesson || {}).title),
+            content: readText((lesson || {}).content),
+            links: (Array.isArray((lesson || {}).links) ? lesson.links : []).map(link => ({
+                label: readText((link || {}).label) || readText((link || {}).url),
+                url: readText((link || {}).url),
+            })),
+        })),
+    }));
+
+    for (const module of result) {
+        if (!module.title || module.title.length > CONTENT_LIMITS.title) {
+            return { modules: result, error: `Every module needs a title of at most ${CONTENT_LIMITS.title} characters.` };
+        }
+        for (const lesson of module.lessons) {
+            if (!lesson.title || lesson.title.length > CONTENT_LIMITS.title) {
+                return { modules: result, error: `Every lesson needs a title of at most ${CONTENT_LIMITS.title} characters.` };
+            }
+            if (lesson.content.length > CONTENT_LIMITS.content) {
+                return { modules: result, error: `The content of a lesson must be at most ${CONTENT_LIMITS.content} characters long.` };
+            }
+            if (lesson.links.length > CONTENT_LIMITS.links) {
+                return { modules: result, error: `A lesson can have at most ${CONTENT_LIMITS.links} links.` };
+            }
+            if (lesson.links.some(link => !isWebAddress(link.url) || link.label.length > CONTENT_LIMITS.linkLabel)) {
+                return { modules: result, error: `Links must be http:// or https:// addresses, with labels of at most ${CONTENT_LIMITS.linkLabel} characters.` };
+            }
+        }
+    }
+    return { modules: result, error: null };
+}
+
+/**
+ * Returns the IDs of the lessons of a course.
+ * @param {Array<object>} modules - The stored modules.
+ * @returns {Array<number>} The lesson IDs, in reading order.
+ */
+function listLessonIds(modules) {
+    return modules.flatMap(module => module.lessons.map(lesson => lesson.id));
+}
+
+/**
+ * Registers the content routes on the server. They must be registered after
+ * the authentication middleware, since they rely on `req.user`.
+ * @param {object} server - The Express app created by json-server.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function registerContentRoutes(server, db) {
+    db.defaults({ courseContents: [], lessonProgress: [] }).write();
+
+    /**
+     * Returns the stored modules of a course.
+     * @param {number} courseId - The ID of the course.
+     * @returns {Array<object>} The modules, empty if the course has no content yet.
+     */
+    function getModules(courseId) {
+        const content = db.get("courseContents").find({ courseId }).value();
+        return content ? content.modules : [];
+    }
+
+    /**
+     * Returns the lessons a student completed in a course that still exist.
+     * @param {number} userId - The ID of the student.
+     * @param {number} courseId - The ID of the course.
+     * @param {Array<object>} modules - The stored modules of the course.
+     * @returns {Array<number>} The IDs of the completed lessons.
+     */
+    function getCompletedLessonIds(userId, courseId, modules) {
+        const lessonIds = new Set(listLessonIds(modules));
+        return db.get("lessonProgress")
+            .filter({ userId, courseId })
+            .map("lessonId")
+            .value()
+            .filter(lessonId => lessonIds.has(lessonId));
+    }
+
+    /**
+     * Finds the course of a request, answering 404 or 403 unless the user may read its content:
+     * administrators, its instructor and the students enrolled in it.
+     * @param {object} req - The Express request.
+     * @param {object} res - The Express response.
+     * @returns {object|null} The stored course, or `null` if a response was already sent.
+     */
+    function findReadableCourse(req, res) {
+        const course = db.get("courses").find({ id: parseInt(req.params.id, 10) }).value();
+        if (!course) {
+            sendError(res, 404, "Course not found.");
+            return null;
+        }
+        const isEnrolledStudent = req.user.role === "student" && course.enrolledStudents.includes(req.user.id);
+        if (!isEnrolledStudent && !teachesCourse(req.user, course)) {
+            sendError(res, 403, "Enroll in this course to open its lessons.", "NOT_ENROLLED");
+            return null;
+        }
+        return course;
+    }
+
+    /**
+     * Answers with the content of a course, and the lessons the requesting student completed.
+     * @param {object} req - The Express request.
+     * @param {object} res - The Express response.
+     * @param {object} course - The stored course.
+     */
+    function sendContent(req, res, course) {
+        const modules = getModules(course.id);
+        res.json({
+            courseId: course.id,
+            modules,
+            completedLessonIds: req.user.role === "student" ? getCompletedLessonIds(req.user.id, course.id, modules) : []
+        });
+    }
+
+    /**
+     * Finds the lesson of a request in a course the requesting student is enrolled in.
+     * @param {object} req - The Express request.
+     * @param {object} res - The Express response.
+     * @returns {{course: object, lessonId: number}|null} The course and the lesson ID, or `null` if a response was already sent.
+     */
+    function findStudentLesson(req, res) {
+        if (req.user.role !== "student") {
+            sendError(res, 403, "Only students can track their progress.");
+            return null;
+        }
+        const course = findReadableCourse(req, res);
+        if (!course) return null;
+        const lessonId = parseInt(req.params.lessonId, 10);
+        if (!listLessonIds(getModules(course.id)).includes(lessonId)) {
+            sendError(res, 404, "Lesson not found.");
+            return null;
+        }
+        return { course, lessonId };
+    }
+
+    /**
+     * GET /courses/:id/content — the modules and lessons of a course: `{ courseId, modules, completedLessonIds }`.
+     * `completedLessonIds` lists the lessons the requesting student completed (empty for other roles).
+     * Responds 403 (`NOT_ENROLLED`) to students who are not enrolled, and to instructors of other courses.
+     */
+    server.get("/courses/:id/content", (req, res) => {
+        const course = findReadableCourse(req, res);
+        if (course) sendContent(req, res, course);
+    });
+
+    /**
+     * PUT /courses/:id/content — replaces the modules and lessons of a course: `{ modules }`, in order.
+     * Modules and lessons sent with the ID of an existing one keep it; the others get new IDs.
+     * Responds like the GET, or 400 when a title is missing or a field is invalid.
+     */
+    server.put("/courses/:id/content", (req, res) => {
+        const course = findTaughtCourse(db, req, res);
+        if (!course) return;
+        const { modules, error } = readModules((req.body || {}).modules);
+        if (error) return sendError(res, 400, error);
+
+        const stored = db.get("courseContents").find({ courseId: course.id }).value();
+        const previousModules = stored ? stored.modules : [];
+        const knownModuleIds = new Set(previousModules.map(module => module.id));
+        const knownLessonIds = new Set(listLessonIds(previousModules));
+        let lastId = stored ? stored.lastId : 0;
+        const nextId = () => ++lastId;
+        modules.forEach(module => {
+            if (!knownModuleIds.has(module.id)) module.id = nextId();
+            module.lessons.forEach(lesson => {
+                if (!knownLessonIds.has(lesson.id)) lesson.id = nextId();
+            });
+        });
+
+        if (stored) {
+            db.get("courseContents").find({ courseId: course.id }).assign({ modules, lastId }).write();
+        } else {
+            db.get("courseContents").insert({ courseId: course.id, modules, lastId }).write();
+        }
+        recordAudit(db, req.user, {
+            action: "course.editContent",
+            targetType: "course",
+            targetId: course.id,
+            before: { id: course.id, modules: previousModules },
+            after: { id: course.id, modules }
+        });
+        sendContent(req, res, course);
+    });
+
+    /**
+     * POST /courses/:id/lessons/:lessonId/complete — marks a lesson as completed by the requesting student.
+     * Completing a lesson twice changes nothing; the first time is recorded in the audit log. Responds like the GET of the content, 403 unless the
+     * student is enrolled, or 404 for unknown lessons.
+     */
+    server.post("/courses/:id/lessons/:lessonId/complete", (req, res) => {
+        const found = findStudentLesson(req, res);
+        if (!found) return;
+        const record = { userId: req.user.id, courseId: found.course.id, lessonId: found.lessonId };
+        if (!db.get("lessonProgress").find(record).value()) {
+            const progress = db.get("lessonProgress").insert({ ...record, completedAt: new Date().toISOString() }).write();
+            recordAudit(db, req.user, {
+                action: "course.completeLesson",
+                targetType: "course",
+                targetId: found.course.id,
+                after: { id: found.course.id, lessonProgress: progress }
+            });
+        }
+        sendContent(req, res, found.course);
+    });
+
+    /**
+     * DELETE /courses/:id/lessons/:lessonId/complete — marks a lesson as not completed again.
+     * Responds like the POST.
+     */
+    server.delete("/courses/:id/lessons/:lessonId/complete", (req, res) => {
+        const found = findStudentLesson(req, res);
+        if (!found) return;
+        const [progress] = db.get("lessonProgress").remove({ userId: req.user.id, courseId: found.course.id, lessonId: found.lessonId }).write();
+        if (progress) {
+            recordAudit(db, req.user, {
+                action: "course.reopenLesson",
+                targetType: "course",
+                targetId: found.course.id,
+                before: { id: found.course.id, lessonProgress: progress }
+            });
+        }
+        sendContent(req, res, found.course);
+    });
+
+    /**
+     * GET /progress — the progress of the requesting student in each course they are enrolled in:
+     * `[{ courseId, lessonCount, completedCount, nextLessonId }]`, where `nextLessonId` is the first
+     * lesson not completed yet (`null` once all are).
+     */
+    server.get("/progress", (req, res) => {
+        if (req.user.role !== "student") return sendError(res, 403, "Only students have a progress.");
+        const courses = db.get("courses").filter(course => course.enrolledStudents.includes(req.user.id)).value();
+        res.json(courses.map(course => {
+            const modules = getModules(course.id);
+            const lessonIds = listLessonIds(modules);
+            const completedLessonIds = getCompletedLessonIds(req.user.id, course.id, modules);
+            const nextLessonId = lessonIds.find(lessonId => !completedLessonIds.includes(lessonId));
+            return {
+                courseId: course.id,
+                lessonCount: lessonIds.length,
+                completedCount: completedLessonIds.length,
+                nextLessonId: nextLessonId === undefined ? null : nextLessonId
+            };
+        }));
+    });
+}
@@ -0,0 +1,68 @@
+/**
+ * @file Extra query parameters for `GET /courses` that json-server cannot express on its own,
+ * because they compare two fields of a course or look inside its arrays:
+ * - `available=true` keeps courses with free seats.
+ * - `enrolledStudent=<userId>` keeps courses the user is enrolled in.
+ * - `waitlistedStudent=<userId>` keeps courses whose waitlist holds the user.
+ * - `archived=true|false` keeps only archived or only active courses.
+ * Students never see archived courses in a general listing (the catalog); only in the lists
+ * of their own enrollments and waitlists, since archiving keeps those. Only administrators may
+ * list the enrollments or waitlist of another user.
+ * They are translated into an `id` filter, so json-server's own search (`q`),
+ * sorting (`_sort`, `_order`) and pagination (`_page`, `_limit`) keep working on top of them.
+ */
+
+import { sendError, resolveCollection } from "./middleware.js";
+
+/**
+ * Creates the middleware that translates the custom course filters into an `id` filter.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @returns {Function} An Express middleware for `GET /courses`, which answers 403 when a user other than
+ * an administrator asks for the enrollments or waitlist of someone else.
+ */
+export function courseQueryFilters(db) {
+    return (req, res, next) => {
+        const { collection, id } = resolveCollection(req); // `/Courses` lists the same courses as `/courses`
+        if (req.method !== "GET" || collection !== "courses" || id !== undefined) return next();
+
+        const { available, enrolledStudent, waitlistedStudent } = req.query;
+        let { archived } = req.query;
+        const isOwnList = enrolledStudent !== undefined || waitlistedStudent !== undefined;
+        const listsOtherUser = [enrolledStudent, waitlistedStudent]
+            .some(userId => userId !== undefined && parseInt(userId, 10) !== req.user.id);
+        if (req.user.role !== "administrator" && listsOtherUser) {
+            return sendError(res, 403, "You can only list your own enrollments and waitlists.");
+        }
+        if (req.user.role !== "administrator" && !isOwnList) {
+            archived = "false";
+        }
+        if (available === undefined && !isOwnList && archived === undefined) {
+            return next();
+        }
+        delete req.query.available;
+        delete req.query.enrolledStudent;
+        delete req.query.waitlistedStudent;
+        delete req.query.archived;
+
+        let courses = db.get("courses").value();
+        if (archived !== undefined) {
+            courses = courses.filter(course => Boolean(course.archived) === (archived === "true"));
+        }
+        if (available === "true") {
+            courses = courses.filter(course => course.enrolledStudents.length < parseInt(course.capacity, 10));
+        }
+        if (enrolledStudent !== undefined) {
+            const userId = parseInt(enrolledStudent, 10);
+            courses = courses.filter(course => course.enrolledStudents.includes(userId));
+        }
+        if (waitlistedStudent !== undefined) {
+            const userId = parseInt(waitlistedStudent, 10);
+            courses = courses.filter(course => (course.waitlist || []).includes(userId));
+        }
+
+        // json-server ORs repeated `id` values; an impossible ID keeps the result empty when nothing matched
+        const ids = courses.map(course => String(course.id));
+        req.query.id = ids.length > 0 ? ids : ["none"];
+        next();
+    };
+}
@@ -0,0 +1,70 @@
+/**
+ * @file Checks the courses administrators write through json-server (`POST /courses`, `PUT` and
+ * `PATCH /courses/:id`) with the client's own model (`models/course.js`), so a course stored by any
+ * client has the same valid, normalized fields as one saved from the course form: a whole capacity
+ * that fits the enrolled students, a schedule that makes sense, an instructor and prerequisites that exist...
+ * Enrollments, waitlists and archiving are not course fields here: they only change through
+ * the dedicated endpoints, so a write cannot add students around the capacity and eligibility rules.
+ */
+
+import Course from "../src/models/course.js";
+import { sendError, readText, resolveCollection } from "./middleware.js";
+
+/**
+ * The fields of a course that only the dedicated endpoints change.
+ * @type {Array<string>}
+ */
+const MANAGED_FIELDS = ["enrolledStudents", "waitlist", "enrollmentDates", "archived", "archivedAt"];
+
+/**
+ * Creates the middleware that validates and normalizes course writes before json-server applies them.
+ * `PATCH` checks the course as it will be once the update is applied; `POST` and `PUT` check the body alone.
+ * Only the editable fields of the model (`getEditableFields`) are written; other fields sent are dropped.
+ * Must run after the authorization middleware, which already refused writes from other roles.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @returns {Function} An Express middleware that answers 400 with the first invalid field.
+ */
+export function validateCourseWrites(db) {
+    return (req, res, next) => {
+        if (!["POST", "PUT", "PATCH"].includes(req.method)) return next();
+        const { collection, id } = resolveCollection(req); // `/Courses/5` is the same course as `/courses/5`
+        if (collection !== "courses" || (id === undefined) !== (req.method === "POST")) return next();
+
+        const courses = db.get("courses").value();
+        const existing = id === undefined ? null : courses.find(course => String(course.id) === id);
+        if (id !== undefined && !existing) return next(); // json-server answers 404
+
+        const body = req.body || {};
+        const fields = req.method === "PATCH" ? { ...existing, ...body } : body;
+        // Text fields that are not strings are read as empty, so they are refused instead of stored as "[object Object]"
+        const course = new Course(
+            readText(fields.title), readText(fields.description), readText(fields.category), fields.capacity, fields.instructorId,
+            { startDate: fields.startDate, endDate: fields.endDate, sessions: fields.sessions },
+            { prerequisites: fields.prerequisites, maxConcurrentEnrollments: fields.maxConcurrentEnrollments }
+        );
+        const errors = course.validate({
+            enrolledCount: existing ? existing.enrolledStudents.length : 0,
+            courseId: existing ? existing.id : null,
+            courses,
+            // json-server's cascading deletes would later drop a course whose instructor does not exist
+            instructors: db.get("instructors").value(),
+        });
+        const [message] = Object.values(errors);
+        if (message) return sendError(res, 400, message);
+
+        const editableFields = course.getEditableFields();
+        if (req.method === "PATCH") {
+            // Only the editable fields sent are updated, in their normalized form; anything else is dropped
+            req.body = Object.fromEntries(Object.keys(body)
+                .filter(field => Object.hasOwn(editableFields, field))
+                .map(field => [field, editableFields[field]]));
+        } else if (existing) {
+            // A replacement keeps the enrollments and archive state of the course
+            const managed = Object.fromEntries(MANAGED_FIELDS.filter(field => field in existing).map(field => [field, existing[field]]));
+            req.body = { ...editableFields, ...managed };
+        } else {
+            req.body = { ...editableFields, enrolledStudents: [], waitlist: [], enrollmentDates: {} };
+        }
+        next();
+    };
+}
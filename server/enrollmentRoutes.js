@@ -0,0 +1,308 @@
+/**
+ * @file Enrollment endpoints of the local API server.
+ * Enrolling and unenrolling change a single student in a course's `enrolledStudents`
+ * on the server, instead of the client sending the whole array. Each handler reads,
+ * checks and writes the course synchronously, so two requests can never interleave
+ * and overwrite each other's changes.
+ * Full courses keep a first-come, first-served `waitlist` of student IDs, which is
+ * promoted automatically whenever seats free up.
+ * When each student got their seat is kept in `enrollmentDates`, keyed by student ID.
+ * Students can no longer enroll or join the waitlist once a course has started (`startDate`),
+ * nor when they do not meet its eligibility rules: completed `prerequisites` (enrolled in the
+ * course, and it has ended) and `maxConcurrentEnrollments` (ongoing courses, this one included).
+ * The waitlist skips students who do not meet them when seats free up. These rules are the client's
+ * own models (`models/schedule.js`, `models/eligibility.js`), so both always agree.
+ * Administrators manage the roster through their own endpoints, which may enroll above capacity,
+ * after the start and regardless of the eligibility rules.
+ * Every change is recorded in the audit log, with the course before and after it.
+ */
+
+import { sendError, sendConflict } from "./middleware.js";
+import { recordAudit, auditSnapshot } from "./audit.js";
+import { isEnrollmentClosed } from "../src/models/schedule.js";
+import { findEligibilityProblems } from "../src/models/eligibility.js";
+
+/**
+ * Finds a course by the `:id` route parameter.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @param {string} id - The raw route parameter.
+ * @returns {object|undefined} The stored course, if any.
+ */
+function findCourse(db, id) {
+    return db.get("courses").find({ id: parseInt(id, 10) }).value();
+}
+
+/**
+ * Explains why a student may not enroll in a course, with the rules and messages of the client
+ * (`findEligibilityProblems` in `models/eligibility.js`), checked against every stored course.
+ * Prerequisites that were deleted meanwhile no longer count.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @param {object} course - The stored course.
+ * @param {number} studentId - The ID of the student.
+ * @returns {Array<string>} One message per broken rule. Empty if the student is eligible.
+ */
+function findStudentEligibilityProblems(db, course, studentId) {
+    return findEligibilityProblems(course, studentId, db.get("courses").value());
+}
+
+/**
+ * Returns the enrollment dates of a course after students got or lost their seats.
+ * Students enrolled before dates were kept simply have none.
+ * @param {object} course - The stored course.
+ * @param {object} changes - The students whose seat changed.
+ * @param {Array<number>} [changes.added=[]] - Students who just got a seat (dated now).
+ * @param {Array<number>} [changes.removed=[]] - Students who just lost theirs.
+ * @returns {Object.<string, string>} The new `enrollmentDates` (ISO 8601 timestamps).
+ */
+function updateEnrollmentDates(course, { added = [], removed = [] }) {
+    const enrollmentDates = { ...(course.enrollmentDates || {}) };
+    const now = new Date().toISOString();
+    added.forEach(studentId => { enrollmentDates[studentId] = now; });
+    removed.forEach(studentId => { delete enrollmentDates[studentId]; });
+    return enrollmentDates;
+}
+
+/**
+ * Moves students from the head of a course's waitlist into `enrolledStudents`
+ * until the course is full or the waitlist is empty. Called after an unenrollment
+ * and after an administrator changes a course (e.g., raises its capacity).
+ * Students who no longer meet the eligibility rules keep their place but are passed over.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @param {number} courseId - The ID of the course to promote students in.
+ * @returns {object|undefined} The (possibly updated) stored course.
+ */
+export function promoteFromWaitlist(db, courseId) {
+    const course = db.get("courses").find({ id: courseId }).value();
+    if (!course || !course.waitlist || course.waitlist.length === 0) return course;
+
+    const enrolledStudents = [...course.enrolledStudents];
+    const waitlist = [];
+    const capacity = parseInt(course.capacity, 10);
+    course.waitlist.forEach(studentId => {
+        if (enrolledStudents.length < capacity && findStudentEligibilityProblems(db, course, studentId).length === 0) {
+            enrolledStudents.push(studentId);
+        } else {
+            waitlist.push(studentId);
+        }
+    });
+    if (waitlist.length === course.waitlist.length) return course; // Nobody was promoted
+
+    const promoted = enrolledStudents.slice(course.enrolledStudents.length);
+    return db.get("courses")
+        .find({ id: courseId })
+        .assign({ enrolledStudents, waitlist, enrollmentDates: updateEnrollmentDates(course, { added: promoted }) })
+        .write();
+}
+
+/**
+ * Registers the enrollment routes on the server. They must be registered after
+ * the authentication middleware, since they rely on `req.user`.
+ * @param {object} server - The Express app created by json-server.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function registerEnrollmentRoutes(server, db) {
+    /**
+     * POST /courses/:id/enroll — enrolls the requesting student.
+     * Responds with the updated course, 404 for unknown courses, or 409 when the
+     * student is already enrolled (`ALREADY_ENROLLED`), the course is full (`COURSE_FULL`),
+     * archived (`COURSE_ARCHIVED`), has started (`ENROLLMENT_CLOSED`) or the student does not
+     * meet its eligibility rules (`NOT_ELIGIBLE`, with every reason in the message).
+     */
+    server.post("/courses/:id/enroll", (req, res) => {
+        if (req.user.role !== "student") {
+            return sendError(res, 403, "Only students can enroll in courses.");
+        }
+        const course = findCourse(db, req.params.id);
+        if (!course) return sendError(res, 404, "Course not found.");
+
+        if (course.archived) {
+            return sendConflict(res, "COURSE_ARCHIVED", "This course is archived and no longer takes enrollments.");
+        }
+        if (course.enrolledStudents.includes(req.user.id)) {
+            return sendConflict(res, "ALREADY_ENROLLED", "You are already enrolled in this course.");
+        }
+        if (isEnrollmentClosed(course)) {
+            return sendConflict(res, "ENROLLMENT_CLOSED", "This course has already started and no longer takes enrollments.");
+        }
+        const problems = findStudentEligibilityProblems(db, course, req.user.id);
+        if (problems.length > 0) return sendConflict(res, "NOT_ELIGIBLE", problems.join(" "));
+        if (course.enrolledStudents.length >= parseInt(course.capacity, 10)) {
+            return sendConflict(res, "COURSE_FULL", "This course is full.");
+        }
+
+        // Enrolling also takes the student off the waitlist, if they were on it
+        const before = auditSnapshot(course);
+        const updated = db.get("courses")
+            .find({ id: course.id })
+            .assign({
+                enrolledStudents: [...course.enrolledStudents, req.user.id],
+                waitlist: (course.waitlist || []).filter(id => id !== req.user.id),
+                enrollmentDates: updateEnrollmentDates(course, { added: [req.user.id] })
+            })
+            .write();
+        recordAudit(db, req.user, { action: "course.enroll", targetType: "course", targetId: course.id, before, after: updated });
+        res.json(updated);
+    });
+
+    /**
+     * DELETE /courses/:id/enroll — unenrolls the requesting student.
+     * Responds with the updated course, 404 for unknown courses, or 409 when the
+     * student is not enrolled (`NOT_ENROLLED`).
+     */
+    server.delete("/courses/:id/enroll", (req, res) => {
+        const course = findCourse(db, req.params.id);
+        if (!course) return sendError(res, 404, "Course not found.");
+
+        if (!course.enrolledStudents.includes(req.user.id)) {
+            return sendConflict(res, "NOT_ENROLLED", "You are not enrolled in this course.");
+        }
+
+        const before = auditSnapshot(course);
+        db.get("courses")
+            .find({ id: course.id })
+            .assign({
+                enrolledStudents: course.enrolledStudents.filter(id => id !== req.user.id),
+                enrollmentDates: updateEnrollmentDates(course, { removed: [req.user.id] })
+            })
+            .write();
+        // The freed seat goes to the first student on the waitlist
+        const updated = promoteFromWaitlist(db, course.id);
+        recordAudit(db, req.user, { action: "course.unenroll", targetType: "course", targetId: course.id, before, after: updated });
+        res.json(updated);
+    });
+
+    /**
+     * POST /courses/:id/waitlist — puts the requesting student at the end of a full course's waitlist.
+     * Responds with the updated course, 404 for unknown courses, or 409 when the student is
+     * already enrolled (`ALREADY_ENROLLED`), already waiting (`ALREADY_WAITLISTED`), the
+     * course still has free seats (`COURSE_NOT_FULL`), is archived (`COURSE_ARCHIVED`), has started
+     * (`ENROLLMENT_CLOSED`) or the student does not meet its eligibility rules (`NOT_ELIGIBLE`).
+     */
+    server.post("/courses/:id/waitlist", (req, res) => {
+        if (req.user.role !== "student") {
+            return sendError(res, 403, "Only students can join a waitlist.");
+        }
+        const course = findCourse(db, req.params.id);
+        if (!course) return sendError(res, 404, "Course not found.");
+
+        const waitlist = course.waitlist || [];
+        if (course.archived) {
+            return sendConflict(res, "COURSE_ARCHIVED", "This course is archived and no longer takes enrollments.");
+        }
+        if (course.enrolledStudents.includes(req.user.id)) {
+            return sendConflict(res, "ALREADY_ENROLLED", "You are already enrolled in this course.");
+        }
+        if (waitlist.includes(req.user.id)) {
+            return sendConflict(res, "ALREADY_WAITLISTED", "You are already on the waitlist for this course.");
+        }
+        if (isEnrollmentClosed(course)) {
+            return sendConflict(res, "ENROLLMENT_CLOSED", "This course has already started and no longer takes enrollments.");
+        }
+        const problems = findStudentEligibilityProblems(db, course, req.user.id);
+        if (problems.length > 0) return sendConflict(res, "NOT_ELIGIBLE", problems.join(" "));
+        if (course.enrolledStudents.length < parseInt(course.capacity, 10)) {
+            return sendConflict(res, "COURSE_NOT_FULL", "This course has free seats, you can enroll directly.");
+        }
+
+        const before = auditSnapshot(course);
+        const updated = db.get("courses")
+            .find({ id: course.id })
+            .assign({ waitlist: [...waitlist, req.user.id] })
+            .write();
+        recordAudit(db, req.user, { action: "course.joinWaitlist", targetType: "course", targetId: course.id, before, after: updated });
+        res.json(updated);
+    });
+
+    /**
+     * DELETE /courses/:id/waitlist — removes the requesting student from a course's waitlist.
+     * Responds with the updated course, 404 for unknown courses, or 409 when the
+     * student is not on the waitlist (`NOT_WAITLISTED`).
+     */
+    server.delete("/courses/:id/waitlist", (req, res) => {
+        const course = findCourse(db, req.params.id);
+        if (!course) return sendError(res, 404, "Course not found.");
+
+        const waitlist = course.waitlist || [];
+        if (!waitlist.includes(req.user.id)) {
+            return sendConflict(res, "NOT_WAITLISTED", "You are not on the waitlist for this course.");
+        }
+
+        const before = auditSnapshot(course);
+        const updated = db.get("courses")
+            .find({ id: course.id })
+            .assign({ waitlist: waitlist.filter(id => id !== req.user.id) })
+            .write();
+        recordAudit(db, req.user, { action: "course.leaveWaitlist", targetType: "course", targetId: course.id, before, after: updated });
+        res.json(updated);
+    });
+
+    /**
+     * POST /courses/:id/roster — an administrator enrolls a student: `{ studentId, override }`.
+     * Responds with the updated course, 404 for unknown courses or students, or 409 when the
+     * student is already enrolled (`ALREADY_ENROLLED`), the course is archived (`COURSE_ARCHIVED`),
+     * or full (`COURSE_FULL`). With `override: true`, a full course takes the student above its capacity.
+     */
+    server.post("/courses/:id/roster", (req, res) => {
+        if (req.user.role !== "administrator") {
+            return sendError(res, 403, "Administrator role required.");
+        }
+        const course = findCourse(db, req.params.id);
+        if (!course) return sendError(res, 404, "Course not found.");
+
+        const studentId = parseInt(req.body.studentId, 10);
+        const student = db.get("users").find({ id: studentId, role: "student" }).value();
+        if (!student) return sendError(res, 404, "Student not found.");
+
+        if (course.archived) {
+            return sendConflict(res, "COURSE_ARCHIVED", "This course is archived and no longer takes enrollments.");
+        }
+        if (course.enrolledStudents.includes(studentId)) {
+            return sendConflict(res, "ALREADY_ENROLLED", `${student.email} is already enrolled in this course.`);
+        }
+        if (course.enrolledStudents.length >= parseInt(course.capacity, 10) && req.body.override !== true) {
+            return sendConflict(res, "COURSE_FULL", "This course is full. Confirm the override to enroll above capacity.");
+        }
+
+        const before = auditSnapshot(course);
+        const updated = db.get("courses")
+            .find({ id: course.id })
+            .assign({
+                enrolledStudents: [...course.enrolledStudents, studentId],
+                waitlist: (course.waitlist || []).filter(id => id !== studentId),
+                enrollmentDates: updateEnrollmentDates(course, { added: [studentId] })
+            })
+            .write();
+        recordAudit(db, req.user, { action: "course.addStudent", targetType: "course", targetId: course.id, before, after: updated });
+        res.json(updated);
+    });
+
+    /**
+     * DELETE /courses/:id/roster/:studentId — an administrator removes a student from a course.
+     * Responds with the updated course (the freed seat goes to the waitlist), 404 for unknown
+     * courses, or 409 when the student is not enrolled (`NOT_ENROLLED`).
+     */
+    server.delete("/courses/:id/roster/:studentId", (req, res) => {
+        if (req.user.role !== "administrator") {
+            return sendError(res, 403, "Administrator role required.");
+        }
+        const course = findCourse(db, req.params.id);
+        if (!course) return sendError(res, 404, "Course not found.");
+
+        const studentId = parseInt(req.params.studentId, 10);
+        if (!course.enrolledStudents.includes(studentId)) {
+            return sendConflict(res, "NOT_ENROLLED", "This student is not enrolled in this course.");
+        }
+
+        const before = auditSnapshot(course);
+        db.get("courses")
+            .find({ id: course.id })
+            .assign({
+                enrolledStudents: course.enrolledStudents.filter(id => id !== studentId),
+                enrollmentDates: updateEnrollmentDates(course, { removed: [studentId] })
+            })
+            .write();
+        const updated = promoteFromWaitlist(db, course.id);
+        recordAudit(db, req.user, { action: "course.removeStudent", targetType: "course", targetId: course.id, before, after: updated });
+        res.json(updated);
+    });
+}
@@ -0,0 +1,84 @@
+/**
+ * @file Entry point of the local API server.
+ * It wraps json-server with the auth server: `/auth` endpoints issue signed tokens,
+ * and every request to the json-server collections must carry a valid token.
+ * Run it with `npm run server`.
+ */
+
+import jsonServer from "json-server";
+import { fileURLToPath } from "node:url";
+import { registerAuthRoutes, migratePlaintextPasswords } from "./authRoutes.js";
+import { registerEnrollmentRoutes, promoteFromWaitlist } from "./enrollmentRoutes.js";
+import { registerArchiveRoutes } from "./archiveRoutes.js";
+import { registerUserRoutes, userQueryFilters, migrateNullInstructorLinks } from "./userRoutes.js";
+import { registerInstructorRoutes } from "./instructorRoutes.js";
+import { registerContentRoutes } from "./contentRoutes.js";
+import { registerAssessmentRoutes } from "./assessmentRoutes.js";
+import { registerAnalyticsRoutes } from "./analyticsRoutes.js";
+import { courseQueryFilters } from "./courseQueries.js";
+import { validateCourseWrites } from "./courseWrites.js";
+import { authenticate, authorize, requirePasswordUpdate, resolveCollection, withoutCredentials } from "./middleware.js";
+import { captureAuditSnapshot, recordCollectionWrite } from "./audit.js";
+
+/**
+ * The port the API listens on. The frontend expects http://localhost:3000 by default.
+ * @type {number}
+ */
+const PORT = parseInt(process.env.PORT || "3000", 10);
+
+/**
+ * The JSON file used as the database.
+ * @type {string}
+ */
+const DB_FILE = process.env.DB_FILE || fileURLToPath(new URL("../db.json", import.meta.url));
+
+const server = jsonServer.create();
+const router = jsonServer.router(DB_FILE);
+const db = router.db;
+
+migratePlaintextPasswords(db);
+migrateNullInstructorLinks(db);
+
+// Runs after json-server has handled a request, right before the response is sent
+router.render = (req, res) => {
+    let data = res.locals.data;
+
+    // An administrator's course update may free seats (e.g., a raised capacity): fill them from the waitlist
+    const { collection, id } = resolveCollection(req);
+    const isCourseUpdate = ["PATCH", "PUT"].includes(req.method) && collection === "courses" && id !== undefined;
+    if (isCourseUpdate && data && data.id !== undefined) {
+        data = promoteFromWaitlist(db, data.id);
+    }
+    recordCollectionWrite(db, req, res, data);
+
+    // Never send password hashes back to the client, whatever the endpoint (`authorize` refuses `/db`, which json-server answers without this hook)
+    res.jsonp(withoutCredentials(data));
+};
+
+server.use(jsonServer.defaults());
+server.use(jsonServer.bodyParser);
+
+// Public endpoints: login and registration; session lookup and password changes check the token themselves
+registerAuthRoutes(server, db);
+
+// Everything below requires a valid token, and a password that was not reset by an administrator
+server.use(authenticate(db));
+server.use(requirePasswordUpdate);
+// Enrollment, archive, user management, instructor, content, assessment and analytics endpoints enforce their own rules, before the generic collection rules
+registerEnrollmentRoutes(server, db);
+registerArchiveRoutes(server, db);
+registerUserRoutes(server, db);
+registerInstructorRoutes(server, db);
+registerContentRoutes(server, db);
+registerAssessmentRoutes(server, db);
+registerAnalyticsRoutes(server, db);
+server.use(authorize());
+server.use(validateCourseWrites(db));
+server.use(captureAuditSnapshot(db));
+server.use(courseQueryFilters(db));
+server.use(userQueryFilters(db));
+server.use(router);
+
+server.listen(PORT, () => {
+    console.log(`API server is running on http://localhost:${PORT}`);
+});
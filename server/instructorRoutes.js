@@ -0,0 +1,168 @@
+/**
+ * @file Endpoints of the local API server for the courses an instructor teaches.
+ * An instructor account is linked to an instructor profile (`instructorId`, see `userRoutes.js`)
+ * and teaches the courses assigned to that profile. On those courses only, they may read the
+ * roster and edit the description; capacity, assignment and everything else stay with administrators.
+ * Administrators may use these endpoints on any course.
+ * Instructor profiles are written through json-server, but checked here first with the client's `Instructor` model;
+ * deleting one also goes through here, so its courses and its account are never deleted with it.
+ */
+
+import { sendError, sendConflict } from "./middleware.js";
+import { recordAudit, auditSnapshot } from "./audit.js";
+import { COURSE_LIMITS } from "../src/models/course.js";
+import Instructor, { findInstructorByEmail } from "../src/models/instructor.js";
+
+/**
+ * Finds the course of a request (the `:id` route parameter), answering 404 or 403 unless the user
+ * is an administrator or the instructor assigned to it.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @param {object} req - The Express request.
+ * @param {object} res - The Express response.
+ * @returns {object|null} The stored course, or `null` if a response was already sent.
+ */
+export function findTaughtCourse(db, req, res) {
+    const course = db.get("courses").find({ id: parseInt(req.params.id, 10) }).value();
+    if (!course) {
+        sendError(res, 404, "Course not found.");
+        return null;
+    }
+    if (!teachesCourse(req.user, course)) {
+        sendError(res, 403, "Only the instructor of this course or an administrator may do this.");
+        return null;
+    }
+    return course;
+}
+
+/**
+ * Returns whether a user may manage a course: administrators, and the instructor assigned to it.
+ * @param {object} user - The requesting user (`req.user`).
+ * @param {object} course - The stored course.
+ * @returns {boolean} `true` if the user teaches the course or is an administrator.
+ */
+export function teachesCourse(user, course) {
+    const isAssignedInstructor = user.role === "instructor"
+        && user.instructorId != null
+        && Number(course.instructorId) === user.instructorId;
+    return user.role === "administrator" || isAssignedInstructor;
+}
+
+/**
+ * Registers the instructor routes on the server. They must be registered after
+ * the authentication middleware, since they rely on `req.user`.
+ * @param {object} server - The Express app created by json-server.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function registerInstructorRoutes(server, db) {
+    /**
+     * GET /courses/:id/roster — lists the accounts of the students enrolled in or waiting for the course,
+     * so instructors can see their rosters without access to `/users`.
+     * Responds with the students (without credentials), in no particular order.
+     */
+    server.get("/courses/:id/roster", (req, res) => {
+        const course = findTaughtCourse(db, req, res);
+        if (!course) return;
+        const studentIds = new Set([...course.enrolledStudents, ...(course.waitlist || [])]);
+        const students = db.get("users").filter(user => studentIds.has(user.id)).value();
+        res.json(students.map(student => ({ id: student.id, email: student.email })));
+    });
+
+    /**
+     * PATCH /courses/:id/description — replaces the description of a course: `{ description }`.
+     * Responds with the updated course, or 400 for an empty or too long description.
+     */
+    server.patch("/courses/:id/description", (req, res) => {
+        const course = findTaughtCourse(db, req, res);
+        if (!course) return;
+        const description = typeof (req.body || {}).description === "string" ? req.body.description.trim() : "";
+        if (!description) return sendError(res, 400, "Description is required.");
+        if (description.length > COURSE_LIMITS.description) {
+            return sendError(res, 400, `Description must be at most ${COURSE_LIMITS.description} characters long.`);
+        }
+
+        const before = auditSnapshot(course);
+        const updated = db.get("courses").find({ id: course.id }).assign({ description }).write();
+        recordAudit(db, req.user, { action: "course.editDescription", targetType: "course", targetId: course.id, before, after: updated });
+        res.json(updated);
+    });
+
+    /**
+     * Checks an instructor write (see the routes below). `PATCH` checks the profile as it will be once the update is applied.
+     * @param {object} req - The Express request.
+     * @param {object} res - The Express response.
+     * @param {Function} next - Hands valid writes to json-server.
+     */
+    function checkInstructorWrite(req, res, next) {
+        if (req.user.role !== "administrator") return next(); // Refused by the authorization middleware
+        const instructorId = req.params.id === undefined ? null : parseInt(req.params.id, 10);
+        const existing = instructorId === null ? null : db.get("instructors").find({ id: instructorId }).value();
+        if (instructorId !== null && !existing) return next(); // json-server answers 404
+
+        const body = req.body || {};
+        const fields = req.method === "PATCH" ? { ...existing, ...body } : body;
+        const instructor = new Instructor(fields.name, fields.email, fields.bio);
+        const [message] = Object.values(instructor.validate());
+        if (message) return sendError(res, 400, message);
+        if (findInstructorByEmail(db.get("instructors").value(), instructor.email, instructorId)) {
+            return sendError(res, 409, "Another instructor already has this email.");
+        }
+
+        // Only the profile fields reach json-server: a client-sent `id` would make it fail on a duplicate
+        const { name, email, bio } = instructor;
+        req.body = { name, email, bio };
+        next();
+    }
+
+    /**
+     * POST /instructors, PUT and PATCH /instructors/:id — checks an instructor profile before json-server
+     * writes it: a name, a valid email, and a bio that is not too long. Its fields are stored trimmed, and other fields are dropped.
+     * Answers 400 for an invalid field, or 409 when another profile already has the email, since instructor
+     * accounts are linked to their profile by email; valid writes continue to json-server.
+     */
+    server.post("/instructors", checkInstructorWrite);
+    server.put("/instructors/:id", checkInstructorWrite);
+    server.patch("/instructors/:id", checkInstructorWrite);
+
+    /**
+     * DELETE /instructors/:id — deletes an instructor profile, reserved to administrators.
+     * json-server would delete every course assigned to the instructor along with it, so courses
+     * (archived ones included) must be handed over first: `?reassignTo=<instructorId>` moves all of
+     * them to another instructor in the same request, before the profile is deleted. The account linked
+     * to the profile, if any, is kept and becomes a student account (see `PATCH /users/:id/role`).
+     * Responds with an empty object, like json-server does, 400 for an unknown replacement, or 409 while
+     * courses are assigned to the instructor and no replacement was given (`INSTRUCTOR_HAS_COURSES`).
+     */
+    server.delete("/instructors/:id", (req, res) => {
+        if (req.user.role !== "administrator") return sendError(res, 403, "Administrator role required.");
+        const instructor = db.get("instructors").find({ id: parseInt(req.params.id, 10) }).value();
+        if (!instructor) return sendError(res, 404, "Instructor not found.");
+
+        const courses = db.get("courses").filter(course => Number(course.instructorId) === instructor.id).value();
+        let replacement = null;
+        if (courses.length > 0) {
+            if (req.query.reassignTo === undefined) {
+                return sendConflict(res, "INSTRUCTOR_HAS_COURSES", `${instructor.name} still teaches ${courses.length} course(s). Reassign them before deleting the instructor.`);
+            }
+            replacement = db.get("instructors").find({ id: parseInt(req.query.reassignTo, 10) }).value();
+            if (!replacement || replacement.id === instructor.id) {
+                return sendError(res, 400, "Choose another existing instructor to take over the courses.");
+            }
+        }
+
+        courses.forEach(course => {
+            const before = auditSnapshot(course);
+            const updated = db.get("courses").find({ id: course.id }).assign({ instructorId: replacement.id }).write();
+            recordAudit(db, req.user, { action: "course.reassignInstructor", targetType: "course", targetId: course.id, before, after: updated });
+        });
+        db.get("users").filter({ instructorId: instructor.id }).value().forEach(account => {
+            const before = auditSnapshot(account);
+            // The link is removed rather than set to `null`, which json-server's cascading deletes fail on
+            db.get("users").find({ id: account.id }).assign({ role: "student" }).unset("instructorId").write();
+            const updated = db.get("users").find({ id: account.id }).value();
+            recordAudit(db, req.user, { action: "user.changeRole", targetType: "user", targetId: account.id, before, after: updated });
+        });
+        db.get("instructors").remove({ id: instructor.id }).write();
+        recordAudit(db, req.user, { action: "instructor.delete", targetType: "instructor", targetId: instructor.id, before: instructor });
+        res.json({});
+    });
+}
@@ -0,0 +1,168 @@
+/**
+ * @file Express middlewares that put the local auth server in front of json-server.
+ * They authenticate every request from its bearer token, enforce role-based
+ * access to the json-server collections, and keep password hashes out of responses.
+ */
+
+import { verifyToken } from "./auth.js";
+
+/**
+ * Removes the credential fields from a user record before it leaves the server.
+ * @param {object} user - The stored user record.
+ * @returns {object} The user without `password`, `passwordHash` and `salt`.
+ */
+export function publicUser(user) {
+    const { password, passwordHash, salt, ...safeUser } = user;
+    return safeUser;
+}
+
+/**
+ * Sends a JSON error response in the shape the client expects: `{ error: "..." }`.
+ * @param {object} res - The Express response.
+ * @param {number} status - The HTTP status code.
+ * @param {string} message - A human-readable error message.
+ * @param {string} [code] - A machine-readable code the UI can react to (e.g., "ACCOUNT_DEACTIVATED").
+ */
+export function sendError(res, status, message, code) {
+    res.status(status).json(code ? { error: message, code } : { error: message });
+}
+
+/**
+ * Reads a text field of a request body.
+ * @param {*} value - The raw value.
+ * @returns {string} The trimmed text, or an empty string if it is not text, so that required fields refuse it.
+ */
+export function readText(value) {
+    return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * Sends a 409 Conflict response with a machine-readable code the UI can react to.
+ * @param {object} res - The Express response.
+ * @param {string} code - The conflict code (e.g., "COURSE_FULL").
+ * @param {string} message - A human-readable error message.
+ */
+export function sendConflict(res, code, message) {
+    res.status(409).json({ error: message, code });
+}
+
+/**
+ * Creates the authentication middleware.
+ * It reads the `Authorization: Bearer <token>` header, verifies the token, and loads
+ * the user from the database, so the role always comes from the server and never from the client.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @returns {Function} An Express middleware that sets `req.user` or answers 401.
+ */
+export function authenticate(db) {
+    return (req, res, next) => {
+        if (req.method === "OPTIONS") return next(); // Let CORS preflight requests through
+
+        const header = req.headers.authorization || "";
+        const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+        const claims = verifyToken(token);
+        if (!claims) return sendError(res, 401, "Missing, invalid or expired token.");
+
+        const user = db.get("users").find({ id: claims.sub }).value();
+        if (!user) return sendError(res, 401, "The account for this token no longer exists.");
+        if (user.deactivated) return sendError(res, 401, "This account has been deactivated.", "ACCOUNT_DEACTIVATED");
+
+        req.user = publicUser(user);
+        next();
+    };
+}
+
+/**
+ * Refuses every request of a user who was asked to choose a new password, until they do.
+ * Registered after the `/auth` routes, so they can still look up their session and change their password.
+ * @param {object} req - The Express request.
+ * @param {object} res - The Express response.
+ * @param {Function} next - Continues the middleware chain.
+ */
+export function requirePasswordUpdate(req, res, next) {
+    if (req.method === "OPTIONS" || !req.user.passwordResetRequired) return next();
+    sendError(res, 403, "Choose a new password to continue.", "PASSWORD_RESET_REQUIRED");
+}
+
+/**
+ * The collections json-server may serve. The others in `db.json` are only reached through the custom endpoints.
+ * @type {Array<string>}
+ */
+const SERVED_COLLECTIONS = ["courses", "instructors", "users", "auditLog"];
+
+/**
+ * Finds the json-server collection a request is about.
+ * Express and json-server match paths without regard to case (`/Users/1` reads the `users` collection),
+ * so every check on a collection must go through this function rather than compare `req.path`.
+ * @param {object} req - The Express request.
+ * @returns {{collection: string|null, id: string|undefined, depth: number}} The served collection
+ * (`null` for any other first segment, e.g., `/db`), the record ID segment, and the number of path segments.
+ */
+export function resolveCollection(req) {
+    const segments = req.path.split("/").filter(Boolean);
+    const name = (segments[0] || "").toLowerCase();
+    const collection = SERVED_COLLECTIONS.find(served => served.toLowerCase() === name) || null;
+    return { collection, id: segments[1], depth: segments.length };
+}
+
+/**
+ * Removes the credential fields from whatever json-server is about to send: a record or a list of records.
+ * It looks at the data rather than the path, so no spelling of a path can send password hashes.
+ * @param {*} data - The response data.
+ * @returns {*} The data, with `publicUser` applied to every record holding credentials.
+ */
+export function withoutCredentials(data) {
+    if (Array.isArray(data)) return data.map(withoutCredentials);
+    const hasCredentials = data !== null && typeof data === "object"
+        && ["password", "passwordHash", "salt"].some(field => Object.hasOwn(data, field));
+    return hasCredentials ? publicUser(data) : data;
+}
+
+/**
+ * Creates the authorization middleware, which enforces who may touch which collection:
+ * - Only `/<collection>` and `/<collection>/<id>` reach json-server. Its nested routes (`/courses/1/grades`)
+ *   and relationship parameters (`_embed`, `_expand`) read other collections around the rules below,
+ *   so they are refused; the custom endpoints with deeper paths are registered before this middleware.
+ * - Only the `SERVED_COLLECTIONS` reach json-server, whatever the case of the path (see `resolveCollection`);
+ *   any other first segment is answered 404. This closes `/db`, which json-server answers with the whole
+ *   database, password hashes included, and the collections below that go through custom endpoints.
+ * - `/users` is reserved to administrators, and read-only: accounts only change through
+ *   `userRoutes.js` and `/auth`, which enforce the rules on roles, deactivation and instructor links.
+ * - `/auditLog` can be read by administrators only, and written by nobody: the server appends to it itself.
+ * - `/courseContents` and `/lessonProgress` are not served: lessons and progress go through `contentRoutes.js`,
+ *   which only shows them to the people of each course.
+ * - `/assessments` and `/grades` are not served either, including `/courses/:id/grades` and `?_embed=assessments`:
+ *   they go through `assessmentRoutes.js`, which keeps grades private and hides the answers of quizzes
+ *   from the students who have not taken them.
+ * - Any authenticated user may read courses and instructors.
+ * - Only administrators may write courses and instructors. Students change their
+ *   enrollments through the dedicated endpoints in `enrollmentRoutes.js`, and instructors
+ *   edit their course descriptions through `instructorRoutes.js`; both are registered before this middleware.
+ * @returns {Function} An Express middleware that answers 403 when access is denied, and 404 for other paths.
+ */
+export function authorize() {
+    return (req, res, next) => {
+        if (req.method === "OPTIONS") return next();
+
+        const isAdmin = req.user.role === "administrator";
+        const { collection, depth } = resolveCollection(req);
+
+        if (depth > 2 || req.query._embed !== undefined || req.query._expand !== undefined) {
+            return sendError(res, 403, "Nested routes, _embed and _expand are not available. Use the dedicated endpoints.");
+        }
+        if (!collection) {
+            return sendError(res, 404, "Not found.");
+        }
+
+        if (collection === "auditLog") {
+            if (!isAdmin) return sendError(res, 403, "Administrator role required.");
+            return req.method === "GET" ? next() : sendError(res, 405, "The audit log is read-only.");
+        }
+        if (collection === "users") {
+            if (!isAdmin) return sendError(res, 403, "Administrator role required.");
+            return req.method === "GET" ? next() : sendError(res, 403, "Use the user management endpoints.");
+        }
+        if (req.method === "GET" || isAdmin) return next();
+
+        return sendError(res, 403, "You are not allowed to perform this action.");
+    };
+}
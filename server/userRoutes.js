@@ -0,0 +1,217 @@
+/**
+ * @file User management endpoints of the local API server, reserved to administrators.
+ * Listing and searching users goes through json-server (`GET /users`, plus the `deactivated` filter
+ * of `userQueryFilters`). Changes have rules of their own, so they get dedicated endpoints:
+ * - An administrator cannot demote, deactivate or delete their own account, so nobody
+ *   locks themselves out by mistake.
+ * - Deactivated users cannot log in, and their existing sessions stop working.
+ * - Deleting a user also removes them from every course's enrollments and waitlist.
+ * - Instructor accounts are linked to the instructor profile with the same email (`instructorId`),
+ *   which decides the courses they teach.
+ * Every change is recorded in the audit log.
+ */
+
+import { sendError, sendConflict, publicUser, resolveCollection } from "./middleware.js";
+import { recordAudit, auditSnapshot } from "./audit.js";
+import { promoteFromWaitlist } from "./enrollmentRoutes.js";
+import { findInstructorByEmail } from "../src/models/instructor.js";
+import { USER_ROLES } from "../src/models/user.js";
+
+/**
+ * Registers the user management routes on the server. They must be registered after
+ * the authentication middleware, since they rely on `req.user`.
+ * @param {object} server - The Express app created by json-server.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function registerUserRoutes(server, db) {
+    /**
+     * Finds the user of a management request, answering 403, 404 or 409 when it cannot be changed.
+     * @param {object} req - The Express request.
+     * @param {object} res - The Express response.
+     * @returns {object|null} The stored user, or `null` if a response was already sent.
+     */
+    function findManagedUser(req, res) {
+        if (req.user.role !== "administrator") {
+            sendError(res, 403, "Administrator role required.");
+            return null;
+        }
+        const user = db.get("users").find({ id: parseInt(req.params.id, 10) }).value();
+        if (!user) {
+            sendError(res, 404, "User not found.");
+            return null;
+        }
+        if (user.id === req.user.id) {
+            sendConflict(res, "OWN_ACCOUNT", "You cannot change your own role, status or account from here.");
+            return null;
+        }
+        return user;
+    }
+
+    /**
+     * Applies a change to a user and records it in the audit log.
+     * @param {object} req - The Express request.
+     * @param {object} user - The stored user.
+     * @param {string} action - The audit action (e.g., "user.deactivate").
+     * @param {object} changes - The fields to set.
+     * @param {Array<string>} [removedFields=[]] - The fields to remove. References such as `instructorId` are removed
+     *   rather than set to `null`: json-server looks up every `*Id` field when it deletes a record, and fails on `null`.
+     * @returns {object} The updated user, without credentials.
+     */
+    function updateUser(req, user, action, changes, removedFields = []) {
+        const before = auditSnapshot(user);
+        const record = db.get("users").find({ id: user.id });
+        removedFields.forEach(field => record.unset(field).value());
+        const updated = record.assign(changes).write();
+        recordAudit(db, req.user, { action, targetType: "user", targetId: user.id, before, after: updated });
+        return publicUser(updated);
+    }
+
+    /**
+     * Finds the instructor profile an account becomes linked to: the one with the same email.
+     * @param {object} user - The stored user.
+     * @returns {object|undefined} The instructor, if any.
+     */
+    function findInstructorProfile(user) {
+        return findInstructorByEmail(db.get("instructors").value(), user.email);
+    }
+
+    /**
+     * PATCH /users/:id/role — changes a user's role: `{ role }`.
+     * Instructors are linked to the instructor profile with their email; other roles drop the link.
+     * Responds with the updated user, 400 for unknown roles, or 409 when an instructor has no
+     * profile (`NO_INSTRUCTOR_PROFILE`) or the profile belongs to another account (`INSTRUCTOR_ALREADY_LINKED`).
+     */
+    server.patch("/users/:id/role", (req, res) => {
+        const user = findManagedUser(req, res);
+        if (!user) return;
+        const { role } = req.body || {};
+        if (!Object.hasOwn(USER_ROLES, role)) {
+            return sendError(res, 400, `The role must be one of: ${Object.keys(USER_ROLES).join(", ")}.`);
+        }
+        if (role !== "instructor") {
+            return res.json(updateUser(req, user, "user.changeRole", { role }, ["instructorId"]));
+        }
+
+        const instructor = findInstructorProfile(user);
+        if (!instructor) {
+            return sendConflict(res, "NO_INSTRUCTOR_PROFILE", `No instructor profile has the email ${user.email}. Create it under "Instructors" first.`);
+        }
+        const linkedAccount = db.get("users").find(other => other.id !== user.id && other.instructorId === instructor.id).value();
+        if (linkedAccount) {
+            return sendConflict(res, "INSTRUCTOR_ALREADY_LINKED", `The profile of ${instructor.name} is already linked to ${linkedAccount.email}.`);
+        }
+        res.json(updateUser(req, user, "user.changeRole", { role, instructorId: instructor.id }));
+    });
+
+    /**
+     * POST /users/:id/deactivate — deactivates an account: the user can no longer log in.
+     * Responds with the updated user, or 409 if it is already deactivated (`ALREADY_DEACTIVATED`).
+     */
+    server.post("/users/:id/deactivate", (req, res) => {
+        const user = findManagedUser(req, res);
+        if (!user) return;
+        if (user.deactivated) {
+            return sendConflict(res, "ALREADY_DEACTIVATED", "This account is already deactivated.");
+        }
+        res.json(updateUser(req, user, "user.deactivate", { deactivated: true, deactivatedAt: new Date().toISOString() }));
+    });
+
+    /**
+     * DELETE /users/:id/deactivate — reactivates an account.
+     * Responds with the updated user, or 409 if it is not deactivated (`NOT_DEACTIVATED`).
+     */
+    server.delete("/users/:id/deactivate", (req, res) => {
+        const user = findManagedUser(req, res);
+        if (!user) return;
+        if (!user.deactivated) {
+            return sendConflict(res, "NOT_DEACTIVATED", "This account is not deactivated.");
+        }
+        res.json(updateUser(req, user, "user.reactivate", { deactivated: false, deactivatedAt: null }));
+    });
+
+    /**
+     * POST /users/:id/password-reset — forces the user to choose a new password.
+     * Until they do (see `POST /auth/password`), every other request of theirs is refused.
+     * Responds with the updated user.
+     */
+    server.post("/users/:id/password-reset", (req, res) => {
+        const user = findManagedUser(req, res);
+        if (!user) return;
+        res.json(updateUser(req, user, "user.forcePasswordReset", { passwordResetRequired: true }));
+    });
+
+    /**
+     * DELETE /users/:id — deletes an account and removes the user from every course's
+     * enrollments, enrollment dates and waitlist, along with their lesson progress and grades. Freed seats go to the waitlists.
+     * Responds with an empty object, like json-server does.
+     */
+    server.delete("/users/:id", (req, res) => {
+        const user = findManagedUser(req, res);
+        if (!user) return;
+
+        const affectedCourses = db.get("courses")
+            .filter(course => course.enrolledStudents.includes(user.id) || (course.waitlist || []).includes(user.id))
+            .value();
+        affectedCourses.forEach(course => {
+            const before = auditSnapshot(course);
+            const enrollmentDates = { ...(course.enrollmentDates || {}) };
+            delete enrollmentDates[user.id];
+            db.get("courses")
+                .find({ id: course.id })
+                .assign({
+                    enrolledStudents: course.enrolledStudents.filter(id => id !== user.id),
+                    waitlist: (course.waitlist || []).filter(id => id !== user.id),
+                    enrollmentDates
+                })
+                .write();
+            const updated = promoteFromWaitlist(db, course.id);
+            recordAudit(db, req.user, { action: "course.removeStudent", targetType: "course", targetId: course.id, before, after: updated });
+        });
+
+        db.get("lessonProgress").remove({ userId: user.id }).write();
+        db.get("grades").remove({ studentId: user.id }).write();
+        db.get("users").remove({ id: user.id }).write();
+        recordAudit(db, req.user, { action: "user.delete", targetType: "user", targetId: user.id, before: user });
+        res.json({});
+    });
+}
+
+/**
+ * Removes the `instructorId: null` that earlier versions stored on accounts which lost their instructor role.
+ * json-server looks up every `*Id` field when it deletes a record, and fails on `null`, so archived
+ * courses could not be purged anymore. Runs at startup, like `migratePlaintextPasswords`.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function migrateNullInstructorLinks(db) {
+    const users = db.get("users").filter(user => user.instructorId === null).value();
+    users.forEach(user => {
+        db.get("users").find({ id: user.id }).unset("instructorId").write();
+    });
+    if (users.length > 0) {
+        console.log(`Removed the empty instructor link of ${users.length} user(s).`);
+    }
+}
+
+/**
+ * Creates the middleware that resolves `GET /users?deactivated=true|false`. Accounts that were never
+ * deactivated have no `deactivated` field, which json-server's own filters cannot match, so the
+ * parameter is translated into an `id` filter, like the custom course filters (see `courseQueries.js`).
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @returns {Function} An Express middleware for `GET /users`.
+ */
+export function userQueryFilters(db) {
+    return (req, res, next) => {
+        const { collection, id } = resolveCollection(req); // `/Users` lists the same accounts as `/users`
+        if (req.method !== "GET" || collection !== "users" || id !== undefined || req.query.deactivated === undefined) return next();
+
+        const deactivated = req.query.deactivated === "true";
+        delete req.query.deactivated;
+        const ids = db.get("users")
+            .filter(user => Boolean(user.deactivated) === deactivated)
+            .map(user => String(user.id))
+            .value();
+        // json-server ORs repeated `id` values; an impossible ID keeps the result empty when nothing matched
+        req.query.id = ids.length > 0 ? ids : ["none"];
+        next();
+    };
+}
@@ -1,48 +1,142 @@
-
 /**
  * @file This module acts as a session management service.
- * It provides a simple API to handle user authentication state
- * by interacting with the browser's localStorage.
- * It abstracts away the direct manipulation of localStorage.
+ * It provides a simple API to handle user authentication state.
+ * Only the signed token issued by the auth server is persisted in localStorage;
+ * the user (and therefore their role) is kept in memory and always comes from the server,
+ * so editing localStorage cannot grant a different role.
  */
 
 /**
- * The key used to store user information in localStorage.
+ * The key used to store the session token in localStorage.
  * Using a constant prevents typos and makes it easy to change if needed.
  * @type {string}
  */
-const USER_INFO_KEY = "loggedInUser"; 
+const SESSION_KEY = "authSession";
+
+/**
+ * The user returned by the auth server for the current token.
+ * Populated by `saveUserInfo` after login, or by `setCurrentUser` when a session is restored.
+ * @type {object|null}
+ */
+let currentUser = null;
+
+/**
+ * Functions called whenever the current user changes (login, session restore, logout).
+ * @type {Set<function(object|null, {expired: boolean}): void>}
+ */
+const sessionListeners = new Set();
+
+/**
+ * Reads the stored session (token and expiry) from localStorage.
+ * @returns {{token: string, expiresAt: number}|null} The session, or null if none is stored.
+ */
+function readSession() {
+    const sessionJson = localStorage.getItem(SESSION_KEY);
+    if (!sessionJson) return null;
+    try {
+        return JSON.parse(sessionJson);
+    } catch {
+        return null; // Corrupted value, treat as logged out
+    }
+}
+
+/**
+ * Saves the session received from the auth server after a successful login.
+ * The token and its expiry go to localStorage; the user is only kept in memory.
+ * @param {{token: string, expiresAt: number, user: object}} session - The login response from the auth server.
+ */
+export function saveUserInfo(session) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify({
+        token: session.token,
+        expiresAt: session.expiresAt
+    }));
+    setCurrentUser(session.user);
+}
+
+/**
+ * Sets the in-memory user, keeping only the non-sensitive fields.
+ * `passwordResetRequired` is kept so the router can send the user to the password form first,
+ * and `instructorId` so instructors find the courses they teach.
+ * @param {object|null} user - The user object returned by the auth server.
+ * @param {object} [details={}] - How the session changed.
+ * @param {boolean} [details.expired=false] - The session ended because its token expired or was rejected,
+ * not because the user logged out.
+ */
+export function setCurrentUser(user, { expired = false } = {}) {
+    currentUser = user
+        ? {
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            instructorId: user.instructorId ?? null,
+            passwordResetRequired: Boolean(user.passwordResetRequired)
+        }
+        : null;
+    sessionListeners.forEach(listener => listener(currentUser, { expired }));
+}
+
+/**
+ * Logs the user out by removing the session from localStorage and memory.
+ * @param {object} [options={}] - Logout options.
+ * @param {boolean} [options.expired=false] - The token expired or was rejected: the user did not choose
+ * to log out, so the data they saved offline (e.g., writes not synced yet) is kept for their next login.
+ */
+export function logOut({ expired = false } = {}) {
+    localStorage.removeItem(SESSION_KEY);
+    setCurrentUser(null, { expired });
+}
+
+/**
+ * Marks the current user as having to choose a new password, after the server refused one of their
+ * requests for that reason (an administrator forced a reset during the session).
+ * The router then only opens the password form, as it does after a login.
+ */
+export function flagPasswordReset() {
+    if (!currentUser || currentUser.passwordResetRequired) return;
+    setCurrentUser({ ...currentUser, passwordResetRequired: true });
+}
+
+/**
+ * Registers a function to be called whenever the current user changes.
+ * @param {function(object|null, {expired: boolean}): void} listener - Receives the new user, or `null` after a logout,
+ * and whether the session ended because it expired.
+ * @returns {function(): void} A function that removes the listener.
+ */
+export function onSessionChange(listener) {
+    sessionListeners.add(listener);
+    return () => sessionListeners.delete(listener);
+}
 
 /**
- * Saves user information to localStorage.
- * The password is deliberately omitted for security best practices.
- * We should never store sensitive information like passwords in localStorage.
- * @param {object} user - The full user object received from the API.
+ * Returns the stored token if it has not expired yet.
+ * @returns {string|null} The bearer token, or null if there is no valid session.
  */
-export function saveUserInfo(user) {
-    // Create a new object with only the necessary, non-sensitive user data.
-    const userToStore = {
-        id: user.id,
-        email: user.email,
-        role: user.role
-    };
-    localStorage.setItem(USER_INFO_KEY, JSON.stringify(userToStore));
+export function getAuthToken() {
+    const session = readSession();
+    if (!session || !session.token) return null;
+    if (session.expiresAt && session.expiresAt <= Date.now()) {
+        logOut({ expired: true }); // Expired tokens are useless, drop them right away
+        return null;
+    }
+    return session.token;
 }
 
 /**
- * Logs the user out by removing their information from localStorage.
+ * Builds request headers that carry the bearer token.
+ * @param {object} [headers={}] - Extra headers to include (e.g., Content-Type).
+ * @returns {object} The headers, with `Authorization` set when a session exists.
  */
-export function logOut() {
-    localStorage.removeItem(USER_INFO_KEY);
+export function authHeaders(headers = {}) {
+    const token = getAuthToken();
+    return token ? { ...headers, Authorization: `Bearer ${token}` } : { ...headers };
 }
 
 /**
  * Checks if a user is currently authenticated.
- * @returns {boolean} True if user information exists in localStorage, false otherwise.
+ * @returns {boolean} True if there is an unexpired token and the server confirmed its user, false otherwise.
  */
 export function isAuthenticated() {
-    // A user is considered authenticated if the user info key exists.
-    return localStorage.getItem(USER_INFO_KEY) !== null;
+    return getAuthToken() !== null && currentUser !== null;
 }
 
 /**
@@ -50,7 +144,5 @@ export function isAuthenticated() {
  * @returns {object|null} The user object (id, email, role) if logged in, or null if not.
  */
 export function getCurrentUser() {
-    const userJson = localStorage.getItem(USER_INFO_KEY);
-    // Parse the JSON string back into an object. Return null if no user data is found.
-    return userJson ? JSON.parse(userJson) : null; 
-}
\ No newline at end of file
+    return isAuthenticated() ? currentUser : null;
+}
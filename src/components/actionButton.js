@@ -0,0 +1,31 @@
+/**
+ * @file Defines the ActionButton component: the buttons of cards and forms.
+ */
+
+import { html } from "./template.js";
+
+/**
+ * Converts a camelCase key into the name of a data attribute (e.g., "courseId" -> "data-course-id").
+ * @param {string} key - The dataset key.
+ * @returns {string} The attribute name.
+ */
+function toDataAttribute(key) {
+    return `data-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
+
+/**
+ * Renders a button. The label and data values are escaped.
+ * @param {object} props - The button properties.
+ * @param {string} props.label - The text of the button.
+ * @param {string} props.className - The CSS class(es), which also identify the action (e.g., "enroll-btn").
+ * @param {Object.<string, string|number>} [props.data={}] - Data attributes, read back through
+ * `element.dataset` (e.g., `{ courseId: 5 }` becomes `data-course-id="5"`).
+ * @param {boolean} [props.disabled=false] - Whether the button is disabled.
+ * @param {string} [props.type="button"] - The button type. Use "submit" for form buttons.
+ * @returns {SafeHtml} The button markup.
+ */
+export function ActionButton({ label, className, data = {}, disabled = false, type = "button" }) {
+    const dataAttributes = Object.entries(data)
+        .map(([key, value]) => html` ${toDataAttribute(key)}="${value}"`);
+    return html`<button type="${type}" class="${className}"${dataAttributes}${disabled ? html` disabled` : ""}>${label}</button>`;
+}
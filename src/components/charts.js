@@ -0,0 +1,94 @@
+/**
+ * @file Defines small SVG chart components, drawn from the data without any charting library.
+ * Charts are images for sighted users (`role="img"` with a title); the same data is always shown
+ * in a table next to them, which is what screen readers and exports rely on.
+ */
+
+import { html } from "./template.js";
+
+/**
+ * The width of every chart, in SVG units. Charts scale to their container.
+ * @type {number}
+ */
+const CHART_WIDTH = 600;
+
+/**
+ * Shortens a label that would not fit its space.
+ * @param {string} label - The label.
+ * @param {number} maxLength - The maximum number of characters.
+ * @returns {string} The label, cut with an ellipsis if needed.
+ */
+function truncate(label, maxLength) {
+    const text = String(label);
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Renders a horizontal bar chart, one bar per item, with its label on the left and its value on the right.
+ * @param {object} props - The chart properties.
+ * @param {string} props.title - What the chart shows, read by screen readers.
+ * @param {Array<{label: string, value: number}>} props.items - The bars, in order.
+ * @param {number} [props.maxValue] - The value of a full-width bar. Defaults to the largest value.
+ * Larger values are drawn full width and highlighted (e.g., courses above capacity).
+ * @param {function(number): string} [props.formatValue=String] - Formats the values shown next to the bars.
+ * @returns {SafeHtml} The chart markup.
+ */
+export function BarChart({ title, items, maxValue, formatValue = String }) {
+    if (items.length === 0) return html`<p class="empty-list">No data yet.</p>`;
+    const labelWidth = 180;
+    const valueWidth = 60;
+    const barAreaWidth = CHART_WIDTH - labelWidth - valueWidth;
+    const rowHeight = 28;
+    const scale = maxValue || Math.max(1, ...items.map(item => item.value));
+    return html`
+        <svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${items.length * rowHeight}" role="img">
+            <title>${title}</title>
+            ${items.map((item, index) => {
+                const y = index * rowHeight;
+                const width = Math.min(item.value / scale, 1) * barAreaWidth;
+                return html`
+                    <text x="${labelWidth - 8}" y="${y + rowHeight / 2}" class="chart-label" text-anchor="end" dominant-baseline="middle">${truncate(item.label, 26)}</text>
+                    <rect x="${labelWidth}" y="${y + 5}" width="${barAreaWidth}" height="${rowHeight - 10}" class="chart-track"></rect>
+                    <rect x="${labelWidth}" y="${y + 5}" width="${width}" height="${rowHeight - 10}" class="${item.value > scale ? "chart-bar chart-bar-over" : "chart-bar"}"></rect>
+                    <text x="${labelWidth + barAreaWidth + 8}" y="${y + rowHeight / 2}" class="chart-value" dominant-baseline="middle">${formatValue(item.value)}</text>
+                `;
+            })}
+        </svg>
+    `;
+}
+
+/**
+ * Renders a column chart, one column per item from left to right (e.g., one per month).
+ * When there are many items, only some labels are shown so they do not overlap.
+ * @param {object} props - The chart properties.
+ * @param {string} props.title - What the chart shows, read by screen readers.
+ * @param {Array<{label: string, value: number}>} props.items - The columns, in order.
+ * @returns {SafeHtml} The chart markup.
+ */
+export function ColumnChart({ title, items }) {
+    if (items.length === 0) return html`<p class="empty-list">No data yet.</p>`;
+    const height = 220;
+    const labelHeight = 24;
+    const valueHeight = 18;
+    const plotHeight = height - labelHeight - valueHeight;
+    const slotWidth = CHART_WIDTH / items.length;
+    const columnWidth = Math.max(2, slotWidth * 0.7);
+    const maxValue = Math.max(1, ...items.map(item => item.value));
+    const labelStep = Math.ceil(items.length / 12); // At most about 12 labels
+    return html`
+        <svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img">
+            <title>${title}</title>
+            <line x1="0" y1="${valueHeight + plotHeight}" x2="${CHART_WIDTH}" y2="${valueHeight + plotHeight}" class="chart-axis"></line>
+            ${items.map((item, index) => {
+                const columnHeight = (item.value / maxValue) * plotHeight;
+                const x = index * slotWidth + (slotWidth - columnWidth) / 2;
+                const center = index * slotWidth + slotWidth / 2;
+                return html`
+                    <rect x="${x}" y="${valueHeight + plotHeight - columnHeight}" width="${columnWidth}" height="${columnHeight}" class="chart-bar"></rect>
+                    ${item.value > 0 && html`<text x="${center}" y="${valueHeight + plotHeight - columnHeight - 4}" class="chart-value" text-anchor="middle">${item.value}</text>`}
+                    ${index % labelStep === 0 && html`<text x="${center}" y="${height - 6}" class="chart-label" text-anchor="middle">${item.label}</text>`}
+                `;
+            })}
+        </svg>
+    `;
+}
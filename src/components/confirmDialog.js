@@ -0,0 +1,41 @@
+/**
+ * @file Defines the confirmation dialog shown before destructive actions (e.g., purging a course).
+ */
+
+import { html, toElement } from "./template.js";
+import { ActionButton } from "./actionButton.js";
+
+/**
+ * Asks the user to confirm an action in a modal `<dialog>`.
+ * The cancel button has the initial focus, and Escape cancels, so confirming always takes a deliberate click.
+ * @param {object} props - The dialog properties.
+ * @param {string} props.title - The question (e.g., "Delete this course permanently?").
+ * @param {string} props.message - What confirming will do.
+ * @param {string} [props.confirmLabel="Confirm"] - The text of the confirm button.
+ * @param {string} [props.cancelLabel="Cancel"] - The text of the cancel button.
+ * @returns {Promise<boolean>} Resolves to `true` if the user confirmed, `false` otherwise.
+ */
+export function confirmAction({ title, message, confirmLabel = "Confirm", cancelLabel = "Cancel" }) {
+    const dialog = toElement(html`
+        <dialog class="confirm-dialog" aria-labelledby="confirm-dialog-title" aria-describedby="confirm-dialog-message">
+            <form method="dialog">
+                <h2 id="confirm-dialog-title">${title}</h2>
+                <p id="confirm-dialog-message">${message}</p>
+                <div class="actions">
+                    <button type="submit" class="delete-btn" value="confirm">${confirmLabel}</button>
+                    ${ActionButton({ label: cancelLabel, className: "cancel-btn", type: "submit" })}
+                </div>
+            </form>
+        </dialog>
+    `);
+    document.body.appendChild(dialog);
+
+    return new Promise(resolve => {
+        dialog.addEventListener("close", () => {
+            dialog.remove();
+            resolve(dialog.returnValue === "confirm");
+        });
+        dialog.showModal();
+        dialog.querySelector(".cancel-btn").focus();
+    });
+}
@@ -0,0 +1,50 @@
+/**
+ * @file Defines the components that show the content of a course: its outline and a student's progress.
+ */
+
+import { html } from "./template.js";
+
+/**
+ * Renders the modules of a course with links to their lessons. Lessons the student completed are marked.
+ * @param {object} props - The outline properties.
+ * @param {number|string} props.courseId - The ID of the course, for the lesson links.
+ * @param {Array<object>} props.modules - The modules, each with its lessons (see `models/courseContent.js`).
+ * @param {Array<number>} [props.completedLessonIds=[]] - The lessons the student completed.
+ * @param {number|null} [props.currentLessonId=null] - The lesson on screen, marked as the current page.
+ * @returns {SafeHtml} The outline markup.
+ */
+export function ContentOutline({ courseId, modules, completedLessonIds = [], currentLessonId = null }) {
+    if (modules.length === 0) return html`<p class="empty-list">No lessons have been published yet.</p>`;
+    return html`
+        <ol class="content-outline">
+            ${modules.map(module => html`
+                <li>
+                    <strong>${module.title}</strong>
+                    ${module.lessons.length === 0
+                        ? html`<p class="empty-list">No lessons yet.</p>`
+                        : html`<ol>${module.lessons.map(lesson => html`
+                            <li${completedLessonIds.includes(lesson.id) ? html` class="lesson-completed"` : ""}>
+                                <a href="/courses/${courseId}/lessons/${lesson.id}"${lesson.id === currentLessonId ? html` aria-current="page"` : ""}>${lesson.title}</a>
+                                ${completedLessonIds.includes(lesson.id) && html`<span class="lesson-status">Completed</span>`}
+                            </li>
+                        `)}</ol>`}
+                </li>
+            `)}
+        </ol>
+    `;
+}
+
+/**
+ * Renders a student's progress through the lessons of a course as a bar and a count.
+ * @param {object} props - The progress properties.
+ * @param {number} props.completed - How many lessons the student completed.
+ * @param {number} props.total - How many lessons the course has.
+ * @returns {SafeHtml} The progress markup.
+ */
+export function LessonProgress({ completed, total }) {
+    if (total === 0) return html`No lessons yet`;
+    return html`
+        <progress max="${total}" value="${completed}" aria-hidden="true"></progress>
+        ${completed} of ${total} lesson(s) completed
+    `;
+}
@@ -0,0 +1,29 @@
+/**
+ * @file Defines the CourseCard component, the card used by every course list.
+ */
+
+import { html } from "./template.js";
+
+/**
+ * Renders the card of a course: its linked title, optional description and details, and actions.
+ * Courses waiting to sync and archived courses are labelled as such.
+ * Every course field is escaped.
+ * @param {object} props - The card properties.
+ * @param {object} props.course - The course to show.
+ * @param {boolean} [props.showDescription=true] - Whether to show the course description.
+ * @param {Array<{label: string, value: *}>} [props.details=[]] - Extra labelled lines (e.g., category, instructor).
+ * @param {Array<SafeHtml>|SafeHtml} [props.actions=[]] - The action buttons, usually `ActionButton`s.
+ * @returns {SafeHtml} The card markup.
+ */
+export function CourseCard({ course, showDescription = true, details = [], actions = [] }) {
+    return html`
+        <div class="course-card">
+            <h3><a href="/courses/${course.id}">${course.title}</a></h3>
+            ${showDescription && html`<p>${course.description}</p>`}
+            ${details.map(({ label, value }) => html`<p><strong>${label}:</strong> ${value}</p>`)}
+            ${course.pending && html`<p class="pending-note">Waiting to sync</p>`}
+            ${course.archived && html`<p class="archived-note">Archived</p>`}
+            <div class="actions">${actions}</div>
+        </div>
+    `;
+}
@@ -0,0 +1,75 @@
+/**
+ * @file Shows validation errors inline, next to the form fields they belong to.
+ */
+
+import { html, toElement } from "./template.js";
+
+/**
+ * The key of an error that concerns the whole form rather than one field (e.g., invalid credentials).
+ * @type {string}
+ */
+export const FORM_ERROR = "form";
+
+/**
+ * Removes the message and the invalid state of a single input.
+ * @param {HTMLElement} input - The form field.
+ */
+function clearFieldError(input) {
+    const messageId = `${input.id}-error`;
+    const message = document.getElementById(messageId);
+    if (message) message.remove();
+    input.removeAttribute("aria-invalid");
+
+    // Keep any hint the field was already described by
+    const describedBy = (input.getAttribute("aria-describedby") || "").split(" ").filter(id => id && id !== messageId);
+    if (describedBy.length > 0) {
+        input.setAttribute("aria-describedby", describedBy.join(" "));
+    } else {
+        input.removeAttribute("aria-describedby");
+    }
+}
+
+/**
+ * Removes every error shown in a form.
+ * @param {HTMLFormElement} form - The form.
+ */
+export function clearFormErrors(form) {
+    form.querySelectorAll("[aria-invalid='true']").forEach(clearFieldError);
+    form.querySelectorAll(".form-error").forEach(message => message.remove());
+}
+
+/**
+ * Shows validation errors in a form, replacing the ones shown before.
+ * Each message is placed after its input and linked to it through `aria-describedby`,
+ * so screen readers read it with the field. The first invalid field gets the focus,
+ * and a field's message goes away as soon as the user edits it.
+ * @param {HTMLFormElement} form - The form.
+ * @param {Object.<string, string>} errors - The error message of each invalid field, as returned by a
+ * model's `validate()`. A message under the `FORM_ERROR` key is shown at the top of the form.
+ * @param {Object.<string, string>} fieldInputs - The ID of the input of each field (e.g., `{ title: "course-title" }`).
+ * @returns {boolean} `true` if there were errors to show.
+ */
+export function showFormErrors(form, errors, fieldInputs) {
+    clearFormErrors(form);
+
+    if (errors[FORM_ERROR]) {
+        form.prepend(toElement(html`<p class="form-error" role="alert">${errors[FORM_ERROR]}</p>`));
+    }
+
+    let firstInvalidInput = null;
+    Object.entries(fieldInputs).forEach(([field, inputId]) => {
+        const input = document.getElementById(inputId);
+        if (!errors[field] || !input) return;
+
+        const message = toElement(html`<p class="field-error" id="${inputId}-error">${errors[field]}</p>`);
+        input.insertAdjacentElement("afterend", message);
+        input.setAttribute("aria-invalid", "true");
+        const hint = input.getAttribute("aria-describedby");
+        input.setAttribute("aria-describedby", hint ? `${hint} ${message.id}` : message.id);
+        input.addEventListener("input", () => clearFieldError(input), { once: true });
+        firstInvalidInput = firstInvalidInput || input;
+    });
+    if (firstInvalidInput) firstInvalidInput.focus();
+
+    return Object.keys(errors).length > 0;
+}
@@ -0,0 +1,145 @@
+/**
+ * @file The rendering layer shared by every view and component.
+ * Markup is written with the `html` tagged template, which escapes every interpolated
+ * value unless it is itself a template. Text typed by users (course titles, descriptions,
+ * instructor names...) can therefore never be interpreted as HTML or run as a script.
+ *
+ * @example
+ * render(element, html`<h3>${course.title}</h3>${isAdmin ? html`<button>Edit</button>` : ""}`);
+ */
+
+/**
+ * The HTML entities used to escape text.
+ * @type {Object.<string, string>}
+ */
+const HTML_ESCAPES = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    "\"": "&quot;",
+    "'": "&#39;",
+};
+
+/**
+ * Markup produced by the `html` tag, trusted as-is when interpolated into another template.
+ * Never build one from user input: use `html` instead.
+ */
+export class SafeHtml {
+    /**
+     * @param {string} markup - Markup that is already escaped.
+     */
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    /**
+     * @returns {string} The markup.
+     */
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Escapes text for use in HTML content or in a quoted attribute value.
+ * @param {*} value - The value to escape. It is converted to a string first.
+ * @returns {string} The escaped text.
+ */
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+}
+
+/**
+ * Turns an interpolated value into markup.
+ * - Templates (`SafeHtml`) are kept as they are.
+ * - Arrays are rendered item by item, so lists of templates can be interpolated directly.
+ * - `null`, `undefined` and `false` render nothing, so `${condition && html`...`}` works.
+ * - Anything else is escaped.
+ * @param {*} value - The interpolated value.
+ * @returns {string} The markup.
+ */
+function toMarkup(value) {
+    if (value === null || value === undefined || value === false) return "";
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(toMarkup).join("");
+    return escapeHtml(value);
+}
+
+/**
+ * Tagged template that builds markup, escaping every interpolated value.
+ * @param {TemplateStringsArray} strings - The literal parts of the template.
+ * @param {...*} values - The interpolated values.
+ * @returns {SafeHtml} The markup.
+ */
+export function html(strings, ...values) {
+    const markup = strings.reduce((result, string, index) =>
+        result + string + (index < values.length ? toMarkup(values[index]) : ""), "");
+    return new SafeHtml(markup);
+}
+
+/**
+ * Replaces the content of an element. Plain strings are escaped, so only templates become markup.
+ * @param {HTMLElement} container - The element to fill.
+ * @param {SafeHtml|string|Array} content - What to show.
+ */
+export function render(container, content) {
+    container.innerHTML = toMarkup(content);
+}
+
+/**
+ * Builds a DOM element from a template with a single root element.
+ * @param {SafeHtml} template - The template of the element.
+ * @returns {HTMLElement} The element.
+ */
+export function toElement(template) {
+    const wrapper = document.createElement("template");
+    wrapper.innerHTML = toMarkup(template).trim();
+    return wrapper.content.firstElementChild;
+}
+
+/**
+ * Renders a list of items keyed by their ID, touching only what changed:
+ * items whose markup is unchanged keep their element, changed ones are replaced,
+ * and elements of items no longer in the list are removed.
+ * @param {HTMLElement} container - The list element.
+ * @param {Array<object>} items - The items to show, in order. Each needs an `id`.
+ * @param {function(object): SafeHtml} renderItem - Builds the template of an item (a single root element).
+ * @param {string} emptyMessage - The text shown when there are no items.
+ */
+export function renderKeyedList(container, items, renderItem, emptyMessage) {
+    if (items.length === 0) {
+        render(container, html`<p class="empty-list">${emptyMessage}</p>`);
+        return;
+    }
+
+    const existingElements = new Map();
+    Array.from(container.children).forEach(child => {
+        if (child.dataset.key) {
+            existingElements.set(child.dataset.key, child);
+        } else {
+            child.remove(); // The empty message, or markup from before the list was keyed
+        }
+    });
+
+    let previousElement = null;
+    items.forEach(item => {
+        const key = String(item.id);
+        let element = toElement(renderItem(item));
+        element.dataset.key = key;
+
+        const existingElement = existingElements.get(key);
+        existingElements.delete(key);
+        if (existingElement && existingElement.isEqualNode(element)) {
+            element = existingElement; // Unchanged, keep the node (and its focus, scroll, open panels...)
+        } else if (existingElement) {
+            existingElement.replaceWith(element);
+        }
+
+        // Move the element into place if the order changed
+        const expectedPosition = previousElement ? previousElement.nextElementSibling : container.firstElementChild;
+        if (expectedPosition !== element) container.insertBefore(element, expectedPosition);
+        previousElement = element;
+    });
+
+    existingElements.forEach(element => element.remove());
+}
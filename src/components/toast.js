@@ -0,0 +1,29 @@
+/**
+ * @file Defines the Toast component: a short, non-blocking notification.
+ */
+
+import { html } from "./template.js";
+import { ActionButton } from "./actionButton.js";
+
+/**
+ * Renders a toast. Toasts are shown in the polite live region of the page, so screen readers
+ * announce them once they finish what they are reading; errors are announced right away (`role="alert"`).
+ * @param {object} props - The toast properties.
+ * @param {number} props.id - The ID of the notification, read back by the action buttons.
+ * @param {"success"|"error"|"info"} props.type - The kind of notification.
+ * @param {string} props.message - The text of the notification.
+ * @param {Array<{label: string}>} [props.actions=[]] - The labels of the action buttons (e.g., "Undo").
+ * @returns {SafeHtml} The toast markup.
+ */
+export function Toast({ id, type, message, actions = [] }) {
+    return html`
+        <div class="toast toast-${type}" ${type === "error" && html`role="alert"`} data-toast-id="${id}">
+            <p class="toast-message">${message}</p>
+            <div class="toast-actions">
+                ${actions.map((action, index) =>
+                    ActionButton({ label: action.label, className: "toast-action", data: { toastId: id, actionIndex: index } }))}
+                <button type="button" class="toast-close" data-toast-id="${id}" aria-label="Dismiss notification">&times;</button>
+            </div>
+        </div>
+    `;
+}
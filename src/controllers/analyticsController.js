@@ -0,0 +1,177 @@
+/**
+ * @file This controller turns the courses, instructors and audit log into the tables of the analytics page:
+ * fill rates per course, category and instructor, the courses near capacity or empty, and the
+ * enrollments per month. Each table is a list of plain rows with its export columns, so the page
+ * can chart it and `services/dataFiles.js` can save it as is.
+ */
+
+/**
+ * The share of seats taken from which a course counts as near capacity.
+ * @type {number}
+ */
+export const NEAR_CAPACITY_RATE = 0.9;
+
+/**
+ * The columns of the per-course fill rate table.
+ * @type {Array<string>}
+ */
+export const COURSE_FILL_COLUMNS = ["id", "title", "category", "instructor", "enrolled", "capacity", "fillRate"];
+
+/**
+ * The columns of the per-category and per-instructor fill rate tables.
+ * @type {Array<string>}
+ */
+export const GROUP_FILL_COLUMNS = ["name", "courses", "enrolled", "capacity", "fillRate"];
+
+/**
+ * The columns of the capacity alerts table.
+ * @type {Array<string>}
+ */
+export const CAPACITY_ALERT_COLUMNS = ["id", "title", "status", "enrolled", "capacity", "waitlisted", "fillRate"];
+
+/**
+ * The columns of the enrollments per month table.
+ * @type {Array<string>}
+ */
+export const ENROLLMENT_MONTH_COLUMNS = ["month", "newEnrollments", "totalEnrollments"];
+
+/**
+ * Computes the share of seats taken.
+ * @param {number} enrolled - The students enrolled.
+ * @param {number} capacity - The seats.
+ * @returns {number} The fill rate, between 0 and 1 (above 1 for courses over capacity).
+ */
+export function computeFillRate(enrolled, capacity) {
+    return capacity > 0 ? enrolled / capacity : 0;
+}
+
+/**
+ * Formats a fill rate as a whole percentage.
+ * @param {number} rate - The fill rate.
+ * @returns {string} E.g. "85%".
+ */
+export function formatRate(rate) {
+    return `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Builds the fill rate row of each course, fullest first.
+ * @param {Array<object>} courses - The courses.
+ * @param {Array<object>} instructors - All instructors, to name them.
+ * @returns {Array<object>} One row per course, with the `COURSE_FILL_COLUMNS` (`fillRate` as a number).
+ */
+export function toCourseFillRows(courses, instructors) {
+    return courses
+        .map(course => {
+            const instructor = instructors.find(i => i.id == course.instructorId);
+            return {
+                id: course.id,
+                title: course.title,
+                category: course.category,
+                instructor: instructor ? instructor.name : "Unassigned",
+                enrolled: course.enrolledStudents.length,
+                capacity: course.capacity,
+                waitlisted: (course.waitlist || []).length,
+                fillRate: computeFillRate(course.enrolledStudents.length, course.capacity)
+            };
+        })
+        .sort((a, b) => b.fillRate - a.fillRate || a.title.localeCompare(b.title));
+}
+
+/**
+ * Adds up the course rows that share a field (e.g., the category), fullest group first.
+ * @param {Array<object>} courseRows - The rows built by `toCourseFillRows`.
+ * @param {string} field - The field to group by ("category" or "instructor").
+ * @returns {Array<object>} One row per group, with the `GROUP_FILL_COLUMNS` (`fillRate` as a number).
+ */
+export function toGroupFillRows(courseRows, field) {
+    const groups = new Map();
+    courseRows.forEach(row => {
+        const group = groups.get(row[field]) || { name: row[field], courses: 0, enrolled: 0, capacity: 0 };
+        group.courses++;
+        group.enrolled += row.enrolled;
+        group.capacity += row.capacity;
+        groups.set(row[field], group);
+    });
+    return [...groups.values()]
+        .map(group => ({ ...group, fillRate: computeFillRate(group.enrolled, group.capacity) }))
+        .sort((a, b) => b.fillRate - a.fillRate || a.name.localeCompare(b.name));
+}
+
+/**
+ * Lists the courses that need attention: full or nearly full (see `NEAR_CAPACITY_RATE`), and empty.
+ * @param {Array<object>} courseRows - The rows built by `toCourseFillRows`.
+ * @returns {Array<object>} The rows with a `status` ("Full", "Near capacity" or "Empty"), fullest first.
+ */
+export function toCapacityAlertRows(courseRows) {
+    return courseRows
+        .map(row => {
+            let status = null;
+            if (row.enrolled === 0) status = "Empty";
+            else if (row.fillRate >= 1) status = "Full";
+            else if (row.fillRate >= NEAR_CAPACITY_RATE) status = "Near capacity";
+            return { ...row, status };
+        })
+        .filter(row => row.status);
+}
+
+/**
+ * Returns the local month of a timestamp.
+ * @param {string} timestamp - An ISO 8601 timestamp.
+ * @returns {string} The month ("YYYY-MM"), in the user's time zone.
+ */
+function toLocalMonth(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+}
+
+/**
+ * Counts the enrollments of each month from the audit log: every change that gave students a seat in a course
+ * (enrollments, students added by an administrator, promotions from the waitlist...) counts them in the local
+ * month it happened. Audit entries are never removed, so students who left a course since still count in the
+ * month they joined it.
+ * @param {Array<object>} courses - The courses to count; enrollments in other courses are ignored.
+ * @param {Array<object>} enrollmentEvents - The changes that gave students a seat, oldest first (see `getEnrollmentEvents`).
+ * @returns {{rows: Array<object>, undatedCount: number}} One row per month from the first to the last
+ * enrollment, gaps included, with the `ENROLLMENT_MONTH_COLUMNS` (`totalEnrollments` adds up the new
+ * enrollments so far); and how many current enrollments predate the audit log, which has no entry for them.
+ */
+export function toEnrollmentMonthRows(courses, enrollmentEvents) {
+    const courseIds = new Set(courses.map(course => String(course.id)));
+    const counts = new Map();
+    const recordedSeats = new Set(); // "<courseId>:<studentId>" of every enrollment found in the log
+    enrollmentEvents.forEach(event => {
+        if (!courseIds.has(String(event.courseId))) return;
+        const month = toLocalMonth(event.timestamp);
+        counts.set(month, (counts.get(month) || 0) + event.studentIds.length);
+        event.studentIds.forEach(studentId => recordedSeats.add(`${event.courseId}:${studentId}`));
+    });
+    const undatedCount = courses.reduce((sum, course) =>
+        sum + course.enrolledStudents.filter(studentId => !recordedSeats.has(`${course.id}:${studentId}`)).length, 0);
+
+    const months = [...counts.keys()].sort();
+    if (months.length === 0) return { rows: [], undatedCount };
+    const rows = [];
+    let totalEnrollments = 0;
+    let [year, month] = months[0].split("-").map(Number);
+    const last = months[months.length - 1];
+    for (;;) {
+        const key = `${year}-${String(month).padStart(2, "0")}`;
+        const newEnrollments = counts.get(key) || 0;
+        totalEnrollments += newEnrollments;
+        rows.push({ month: key, newEnrollments, totalEnrollments });
+        if (key === last) break;
+        month = month === 12 ? 1 : month + 1;
+        if (month === 1) year++;
+    }
+    return { rows, undatedCount };
+}
+
+/**
+ * Prepares rows for an export: fill rates are written as percentages.
+ * @param {Array<object>} rows - The rows of a table.
+ * @returns {Array<object>} The rows to save.
+ */
+export function toExportRows(rows) {
+    return rows.map(row => (row.fillRate === undefined ? row : { ...row, fillRate: formatRate(row.fillRate) }));
+}
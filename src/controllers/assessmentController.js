@@ -0,0 +1,143 @@
+/**
+ * @file This controller handles the assessments of courses (assignments and quizzes) and the grades
+ * of their students (see `server/assessmentRoutes.js`), and builds the rows of the gradebook export.
+ * Only administrators, the instructor of a course and the students enrolled in it can read its assessments;
+ * students only get their own grades.
+ */
+
+import { api } from "../services/apiClient.js";
+import { computeFinalGrade, formatPercentage } from "../models/assessment.js";
+
+/**
+ * The path of the courses collection, under which each course's assessments live.
+ * @type {string}
+ */
+const COURSES_PATH = "/courses";
+
+/**
+ * The columns of a gradebook export that come before the assessments.
+ * @type {Array<string>}
+ */
+export const GRADEBOOK_STUDENT_COLUMNS = ["studentId", "email"];
+
+/**
+ * @typedef {object} CourseAssessments
+ * @property {number} courseId - The ID of the course.
+ * @property {Array<object>} assessments - The assessments (see `models/assessment.js`). Students do not
+ * get the answers of the quizzes they have not taken.
+ * @property {Array<Grade>} grades - Every grade of the course, or only the requesting student's own.
+ */
+
+/**
+ * Fetches the assessments of a course and their grades.
+ * @param {number|string} courseId - The ID of the course.
+ * @returns {Promise<CourseAssessments>} The assessments and grades.
+ * @throws {ApiError} If the request fails (403 `NOT_ENROLLED` for students who are not enrolled).
+ */
+export async function getCourseAssessments(courseId) {
+    return api.get(`${COURSES_PATH}/${courseId}/assessments`);
+}
+
+/**
+ * Creates an assessment in a course.
+ * @param {number|string} courseId - The ID of the course.
+ * @param {object} fields - The fields of the assessment (see `Assessment#getEditableFields`).
+ * @returns {Promise<object>} The created assessment, with its ID.
+ * @throws {ApiError} If the request fails (403 unless the user teaches the course or is an administrator).
+ */
+export async function createAssessment(courseId, fields) {
+    return api.post(`${COURSES_PATH}/${courseId}/assessments`, fields);
+}
+
+/**
+ * Updates an assessment. Its type cannot change.
+ * @param {number|string} courseId - The ID of the course.
+ * @param {number|string} assessmentId - The ID of the assessment.
+ * @param {object} fields - The fields of the assessment (see `Assessment#getEditableFields`).
+ * @returns {Promise<object>} The updated assessment.
+ * @throws {ApiError} If the request fails (409 `QUIZ_TAKEN` when changing the questions of a quiz students took).
+ */
+export async function updateAssessment(courseId, assessmentId, fields) {
+    return api.put(`${COURSES_PATH}/${courseId}/assessments/${assessmentId}`, fields);
+}
+
+/**
+ * Deletes an assessment and its grades.
+ * @param {number|string} courseId - The ID of the course.
+ * @param {number|string} assessmentId - The ID of the assessment.
+ * @returns {Promise<object>} An empty object.
+ * @throws {ApiError} If the request fails.
+ */
+export async function deleteAssessment(courseId, assessmentId) {
+    return api.delete(`${COURSES_PATH}/${courseId}/assessments/${assessmentId}`);
+}
+
+/**
+ * Gives a student points for an assessment, replacing any earlier grade.
+ * @param {number|string} courseId - The ID of the course.
+ * @param {number|string} assessmentId - The ID of the assessment.
+ * @param {number|string} studentId - The ID of the student.
+ * @param {number|null} points - The points, or `null` to clear the grade.
+ * @returns {Promise<Grade|null>} The grade, or `null` once cleared.
+ * @throws {ApiError} If the request fails (400 for points out of range).
+ */
+export async function setGrade(courseId, assessmentId, studentId, points) {
+    return api.put(`${COURSES_PATH}/${courseId}/assessments/${assessmentId}/grades/${studentId}`, { points });
+}
+
+/**
+ * Submits the answers of the logged-in student to a quiz. A quiz can only be taken once.
+ * @param {number|string} courseId - The ID of the course.
+ * @param {number|string} assessmentId - The ID of the quiz.
+ * @param {Array<number|null>} answers - The index of the choice picked for each question (`null` if skipped).
+ * @returns {Promise<{grade: Grade, assessment: object}>} The grade, and the quiz with its answers.
+ * @throws {ApiError} If the request fails (409 `ALREADY_SUBMITTED` if the quiz was already taken).
+ */
+export async function submitQuiz(courseId, assessmentId, answers) {
+    return api.post(`${COURSES_PATH}/${courseId}/assessments/${assessmentId}/submissions`, { answers });
+}
+
+/**
+ * Fetches the assessments and grades of the logged-in student in each course they are enrolled in.
+ * @returns {Promise<Array<CourseAssessments>>} One entry per course.
+ * @throws {ApiError} If the request fails (403 for other roles).
+ */
+export async function getMyGrades() {
+    return api.get("/grades");
+}
+
+/**
+ * Names the column of an assessment in the gradebook export. The ID keeps assessments
+ * with the same title apart.
+ * @param {object} assessment - The assessment.
+ * @returns {string} E.g. "Quiz 1 (#3, /10)".
+ */
+export function toGradebookColumn(assessment) {
+    return `${assessment.title} (#${assessment.id}, /${assessment.maxPoints})`;
+}
+
+/**
+ * Builds the rows of a gradebook export: one per enrolled student, with their points in each
+ * assessment (empty if not graded) and their weighted final grade.
+ * @param {object} course - The course; its `enrolledStudents` are the rows.
+ * @param {Array<object>} assessments - The assessments of the course.
+ * @param {Array<Grade>} grades - The grades of the course.
+ * @param {Array<object>} users - The known accounts, to add the students' emails.
+ * @returns {{columns: Array<string>, rows: Array<object>}} The columns, in order, and the rows.
+ */
+export function toGradebookRows(course, assessments, grades, users) {
+    const columns = [...GRADEBOOK_STUDENT_COLUMNS, ...assessments.map(toGradebookColumn), "finalGrade"];
+    const rows = course.enrolledStudents.map(studentId => {
+        const student = users.find(u => u.id == studentId);
+        const studentGrades = grades.filter(grade => grade.studentId == studentId);
+        const row = { studentId, email: student ? student.email : "" };
+        assessments.forEach(assessment => {
+            const grade = studentGrades.find(g => g.assessmentId === assessment.id);
+            row[toGradebookColumn(assessment)] = grade ? grade.points : "";
+        });
+        const { percentage } = computeFinalGrade(assessments, studentGrades);
+        row.finalGrade = percentage === null ? "" : formatPercentage(percentage);
+        return row;
+    });
+    return { columns, rows };
+}
@@ -0,0 +1,73 @@
+/**
+ * @file This controller reads the audit log kept by the local API server (see `server/audit.js`).
+ * It is only available to administrators.
+ */
+
+import { api, request } from "../services/apiClient.js";
+
+/**
+ * The path of the audit log collection.
+ * @type {string}
+ */
+const AUDIT_LOG_PATH = "/auditLog";
+
+/**
+ * Converts the value of a date input ("YYYY-MM-DD") into an ISO timestamp at the start
+ * or the end of that day, in the user's time zone.
+ * @param {string} date - The date, as typed by the user.
+ * @param {boolean} endOfDay - Whether to return the last millisecond of the day.
+ * @returns {string|undefined} The ISO timestamp, or `undefined` for an empty date.
+ */
+function toTimestamp(date, endOfDay) {
+    if (!date) return undefined;
+    return new Date(`${date}T${endOfDay ? "23:59:59.999" : "00:00:00"}`).toISOString();
+}
+
+/**
+ * Fetches one page of the audit log, newest entries first.
+ * @param {object} [filters={}] - The filters to apply. Every property is optional.
+ * @param {string|number} [filters.actorId] - Only changes made by this user.
+ * @param {string|number} [filters.courseId] - Only changes to this course.
+ * @param {string} [filters.from] - Only changes on or after this day ("YYYY-MM-DD").
+ * @param {string} [filters.to] - Only changes on or before this day ("YYYY-MM-DD").
+ * @param {number} [filters.page] - The 1-based page number. Requires `limit`.
+ * @param {number} [filters.limit] - The page size.
+ * @returns {Promise<{entries: Array, total: number}>} The page of entries and the total number of matches.
+ * @throws {ApiError} If the request fails (403 for non-administrators).
+ */
+export async function getAuditLog(filters = {}) {
+    const query = {
+        actorId: filters.actorId || undefined,
+        targetType: filters.courseId ? "course" : undefined,
+        targetId: filters.courseId || undefined,
+        // ISO timestamps sort like dates, so json-server's range filters work on them
+        timestamp_gte: toTimestamp(filters.from, false),
+        timestamp_lte: toTimestamp(filters.to, true),
+        _sort: "timestamp,id",
+        _order: "desc,desc"
+    };
+    if (filters.page && filters.limit) {
+        Object.assign(query, { _page: filters.page, _limit: filters.limit });
+    }
+
+    const { data: entries, headers } = await request("GET", AUDIT_LOG_PATH, { query });
+    const total = parseInt(headers.get("X-Total-Count"), 10);
+    return { entries, total: Number.isNaN(total) ? entries.length : total };
+}
+
+/**
+ * The path of the enrollments the server picks out of the audit log (see `server/analyticsRoutes.js`).
+ * @type {string}
+ */
+const ENROLLMENT_EVENTS_PATH = "/analytics/enrollments";
+
+/**
+ * Fetches every change of the audit log that gave students a seat, oldest first. Entries are never removed,
+ * so they keep the history of the courses (e.g., who got a seat and when) after the courses themselves changed.
+ * Only who got a seat and when is sent, not the courses before and after each change.
+ * @returns {Promise<Array<{courseId: number, timestamp: string, studentIds: Array<number>}>>} The enrollments.
+ * @throws {ApiError} If the request fails (403 for non-administrators).
+ */
+export async function getEnrollmentEvents() {
+    return api.get(ENROLLMENT_EVENTS_PATH);
+}
@@ -1,92 +1,130 @@
 
 /**
  * @file This controller handles all logic related to user authentication,
- * such as login and registration. It communicates with the user-related
- * endpoints of the mock API.
+ * such as login, registration and password changes. It communicates with the `/auth` endpoints
+ * of the local auth server (see `server/`) through the shared API client.
  */
 
 import User from "../models/user.js";
 // Import the session management functions 
-import { saveUserInfo } from "../auth.js";
+import { saveUserInfo, setCurrentUser, getAuthToken, logOut } from "../auth.js";
+import { api, ClientError, NetworkError } from "../services/apiClient.js";
+import { readOfflineSession } from "../services/offlineDb.js";
+import { notifyInfo, notifyError } from "../services/notifications.js";
 
 /**
- * The base URL for the users API endpoint.
+ * The path of the auth server endpoints (login, registration, session lookup).
  * @type {string}
  */
-const USERS_API_URL = "http://localhost:3000/users";
+const AUTH_PATH = "/auth";
 
 /**
  * Handles the user login process.
- * It sends a request to the API to find a user matching the provided credentials.
- * If successful, it saves the user's session information.
+ * It sends the credentials in the body of a POST request to the auth server, which
+ * verifies the password hash and responds with a signed token and the user.
+ * If successful, it saves the session information.
+ * Deactivated accounts are rejected by the server, even with the right password.
  * @param {string} email - The user's email address.
  * @param {string} password - The user's password.
- * @returns {Promise<boolean>} A promise that resolves to `true` if login is successful, `false` otherwise.
+ * @returns {Promise<boolean>} A promise that resolves to `true` if login is successful, `false` for invalid credentials.
+ * @throws {ClientError} With status 403 and code `ACCOUNT_DEACTIVATED` for deactivated accounts.
+ * @throws {ApiError} If the server cannot be reached or fails.
  */
 export async function handleLogin(email, password) {
     try {
-        // Query the API for a user with a matching email and password.
-        const response = await fetch(`${USERS_API_URL}?email=${email}&password=${password}`);
-        
-        // Check if the HTTP request itself was successful (e.g., status 200-299)
-        if (!response.ok) throw new Error("Login request failed.");
-
-        const users = await response.json();
-
-        // A successful login should return exactly one user.
-        if (users.length === 1) {
-            const user = users[0];
-            // On success, use the auth service to store user info in localStorage.
-            saveUserInfo(user);
-            console.log("Login successful for user: ", user);
-            return true;
-        } else {
-            // If 0 or more than 1 user is returned, the credentials are considered invalid.
+        const session = await api.post(`${AUTH_PATH}/login`, { email, password });
+        // On success, use the auth service to store the token and the user.
+        saveUserInfo(session);
+        console.log("Login successful for user: ", session.user);
+        return true;
+    } catch (error) {
+        // 401 means the credentials are wrong, which is not an unexpected error
+        if (error instanceof ClientError && error.status === 401) {
             console.log("Login failed: Invalid credentials.");
             return false;
         }
+        throw error;
+    }
+}
+
+/**
+ * Restores the session on page load.
+ * If a stored token exists, the auth server is asked who it belongs to; the user
+ * (and role) it returns becomes the current user. Invalid or expired tokens are dropped.
+ * If the server cannot be reached, the user it last confirmed for the same token (saved by the store) is used,
+ * so the cached dashboards stay available offline. That user only unlocks the offline UI:
+ * the server still checks the token on every request once it is back.
+ * Never throws: if there is no way to restore the session the app simply starts logged out.
+ * @returns {Promise<boolean>} `true` if a session was restored, `false` otherwise.
+ */
+export async function restoreSession() {
+    const token = getAuthToken();
+    if (!token) return false;
+    try {
+        setCurrentUser(await api.get(`${AUTH_PATH}/me`, { keepAlive: true }));
+        return true;
+    } catch (error) {
+        if (error instanceof ClientError && error.status === 401) {
+            logOut({ expired: true }); // The server rejected the token
+            notifyInfo("Your session has expired. Please log in again.");
+        } else if (error instanceof NetworkError) {
+            return restoreOfflineSession(token);
+        } else {
+            console.error("Error restoring session: ", error);
+            notifyError("Your session could not be restored. Please log in again.");
+        }
+        return false;
+    }
+}
+
+/**
+ * Restores the session from the user last confirmed for the given token.
+ * @param {string} token - The stored session token.
+ * @returns {Promise<boolean>} `true` if the token matches the remembered session.
+ */
+async function restoreOfflineSession(token) {
+    try {
+        const session = await readOfflineSession();
+        if (!session || session.token !== token) return false;
+        setCurrentUser(session.user);
+        console.log("API unreachable, session restored offline for user: ", session.user);
+        return true;
     } catch (error) {
-        console.error("Error during login: ", error);
-        return false; // Ensure false is returned on any kind of error.
+        console.error("Error restoring the offline session: ", error);
+        return false;
     }
 }
 
 /**
  * Handles the user registration process.
- * It first checks if the email is already taken and then creates a new user
- * with the "student" role.
+ * The auth server checks if the email is already taken, hashes the password and
+ * creates the new user with the "student" role.
  * @param {string} email - The email for the new account.
  * @param {string} password - The password for the new account.
- * @returns {Promise<object|null>} A promise that resolves to the created user object on success, or `null` on failure.
+ * @returns {Promise<object>} A promise that resolves to the created user object.
+ * @throws {ClientError} With status 409 if the email is already taken.
+ * @throws {ApiError} If the request fails for any other reason.
  */
 export async function handleRegister (email, password) {
-    try {
-        // First, check if a user with this email already exists
-        const checkResponse = await fetch(`${USERS_API_URL}?email=${email}`);
-        const existingUsers = await checkResponse.json();
-        if (existingUsers.length > 0) {
-            alert("A user with this email already exists.");
-            return null; // Registration fails because the email is taken.
-        }
+    const newUser = new User(email, password); // The User model defaults the role to 'student'.
 
-        // Second, if the email is available, create the new user instance.
-        const newUser = new User(email, password); // The User model defaults the role to 'student'.
-    
-        // Send the POST request to create the new user
-        const createResponse = await fetch(USERS_API_URL, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(newUser)
-        });
-
-        if (!createResponse.ok) throw new Error("Failed to create user.");
+    // Send the POST request to create the new user
+    const createdUser = await api.post(`${AUTH_PATH}/register`, { email: newUser.email, password: newUser.password });
+    console.log("Registration successsful: ", createdUser);
+    return createdUser;
+}
 
-        const createdUser = await createResponse.json();
-        console.log("Registration successsful: ", createdUser);
-        return createdUser;
-    
-    } catch (error) {
-        console.error("Error during registration: ", error);
-        return null; // Ensure null is returned on any kind of error.
-    }
-}
\ No newline at end of file
+/**
+ * Changes the current user's password. This also completes a password reset forced
+ * by an administrator, which unlocks the rest of the application.
+ * @param {string} currentPassword - The password the user logs in with today.
+ * @param {string} newPassword - The new password, already checked with the `User` model.
+ * @returns {Promise<object>} The updated user, who also becomes the current user.
+ * @throws {ClientError} With status 400 if the current password is wrong or the new one is refused.
+ * @throws {ApiError} If the request fails for any other reason.
+ */
+export async function changePassword(currentPassword, newPassword) {
+    const updatedUser = await api.post(`${AUTH_PATH}/password`, { currentPassword, newPassword });
+    setCurrentUser(updatedUser);
+    return updatedUser;
+}
@@ -0,0 +1,73 @@
+/**
+ * @file This controller handles the content of courses (modules and lessons) and the progress
+ * of students through it (see `server/contentRoutes.js`).
+ * Only administrators, the instructor of a course and the students enrolled in it can read its content.
+ */
+
+import { api } from "../services/apiClient.js";
+
+/**
+ * The path of the courses collection, under which each course's content lives.
+ * @type {string}
+ */
+const COURSES_PATH = "/courses";
+
+/**
+ * @typedef {object} CourseContent
+ * @property {number} courseId - The ID of the course.
+ * @property {Array<object>} modules - The modules, in order, each with its lessons in order (see `models/courseContent.js`).
+ * @property {Array<number>} completedLessonIds - The lessons the requesting student completed. Empty for other roles.
+ */
+
+/**
+ * Fetches the modules and lessons of a course.
+ * @param {number|string} courseId - The ID of the course.
+ * @returns {Promise<CourseContent>} The content.
+ * @throws {ApiError} If the request fails (403 `NOT_ENROLLED` for students who are not enrolled).
+ */
+export async function getCourseContent(courseId) {
+    return api.get(`${COURSES_PATH}/${courseId}/content`);
+}
+
+/**
+ * Replaces the modules and lessons of a course. Items without an `id` are created.
+ * @param {number|string} courseId - The ID of the course.
+ * @param {Array<object>} modules - The modules, in order, each with its lessons in order.
+ * @returns {Promise<CourseContent>} The saved content, with the IDs of the new items.
+ * @throws {ApiError} If the request fails (403 unless the user teaches the course or is an administrator).
+ */
+export async function saveCourseContent(courseId, modules) {
+    return api.put(`${COURSES_PATH}/${courseId}/content`, { modules });
+}
+
+/**
+ * Marks a lesson as completed by the logged-in student.
+ * @param {number|string} courseId - The ID of the course.
+ * @param {number|string} lessonId - The ID of the lesson.
+ * @returns {Promise<CourseContent>} The content, with the updated completed lessons.
+ * @throws {ApiError} If the request fails (403 unless the student is enrolled, 404 for unknown lessons).
+ */
+export async function markLessonComplete(courseId, lessonId) {
+    return api.post(`${COURSES_PATH}/${courseId}/lessons/${lessonId}/complete`);
+}
+
+/**
+ * Marks a lesson as not completed by the logged-in student.
+ * @param {number|string} courseId - The ID of the course.
+ * @param {number|string} lessonId - The ID of the lesson.
+ * @returns {Promise<CourseContent>} The content, with the updated completed lessons.
+ * @throws {ApiError} If the request fails (403 unless the student is enrolled, 404 for unknown lessons).
+ */
+export async function markLessonIncomplete(courseId, lessonId) {
+    return api.delete(`${COURSES_PATH}/${courseId}/lessons/${lessonId}/complete`);
+}
+
+/**
+ * Fetches the progress of the logged-in student in each course they are enrolled in.
+ * @returns {Promise<Array<{courseId: number, lessonCount: number, completedCount: number, nextLessonId: number|null}>>}
+ * One entry per course; `nextLessonId` is the first lesson not completed yet.
+ * @throws {ApiError} If the request fails (403 for other roles).
+ */
+export async function getMyProgress() {
+    return api.get("/progress");
+}
@@ -3,142 +3,286 @@
  * @file This controller manages all CRUD operations for courses and related data
  * like instructors. It serves as the intermediary between the frontend logic
  * and the course-related API endpoints.
+ * Requests go through the shared API client, so failures are thrown as typed
+ * errors (see `services/apiClient.js`) for the views to report.
  */
 
+import { api, request, ClientError } from "../services/apiClient.js";
+
 /**
- * The base URL for the courses API endpoint.
+ * The path of the courses API endpoint.
  * @type {string}
  */
-const COURSES_API_URL = 'http://localhost:3000/courses';
+const COURSES_PATH = "/courses";
 
 /**
- * The base URL for the instructors API endpoint.
+ * The path of the instructors API endpoint.
  * @type {string}
  */
-const INSTRUCTORS_API_URL = "http://localhost:3000/instructors";
+const INSTRUCTORS_PATH = "/instructors";
 
 /**
  * Fetches all courses from the API.
- * @returns {Promise<Array>} A promise that resolves to an array of course objects, or an empty array on failure.
+ * @returns {Promise<Array>} A promise that resolves to an array of course objects.
+ * @throws {ApiError} If the request fails.
  */
 export async function getAllCourses() {
-    try {
-        const response = await fetch(COURSES_API_URL);
-        if (!response.ok) throw new Error("Failed to fetch courses.");
-        return await response.json();
-    } catch (error) {
-        console.error("Error fetching courses: ", error);
-        return []; // Return a safe, empty array on error to prevent crashes in rendering logic.
+    return api.get(COURSES_PATH);
+}
+
+/**
+ * Fetches one page of courses matching the given filters.
+ * Searching, sorting and pagination are delegated to json-server (`q`, `_sort`, `_order`,
+ * `_page`, `_limit`), so only the requested page is transferred. The `available`,
+ * `enrolledStudent`, `waitlistedStudent` and `archived` filters are resolved by the local server,
+ * which also leaves archived courses out of the general listings of students.
+ * @param {object} [filters={}] - The filters to apply. Every property is optional.
+ * @param {string} [filters.search] - Full-text search across the course fields.
+ * @param {string} [filters.category] - Case-insensitive part of the category name.
+ * @param {string|number} [filters.instructorId] - Only courses taught by this instructor.
+ * @param {boolean} [filters.available] - Only courses with free seats.
+ * @param {string|number} [filters.enrolledStudent] - Only courses this user is enrolled in.
+ * @param {string|number} [filters.waitlistedStudent] - Only courses whose waitlist holds this user.
+ * @param {boolean} [filters.archived] - Only archived (`true`) or only active (`false`) courses. Both when omitted.
+ * @param {string} [filters.sort] - The sort field and order, e.g. "title:asc".
+ * @param {number} [filters.page] - The 1-based page number. Requires `limit`.
+ * @param {number} [filters.limit] - The page size.
+ * @returns {Promise<{courses: Array, total: number}>} The page of courses and the total number of matches.
+ * @throws {ApiError} If the request fails.
+ */
+export async function getCourses(filters = {}) {
+    const query = {
+        q: filters.search,
+        // `_like` filters are regular expressions, so escape what the user typed
+        category_like: filters.category ? filters.category.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") : undefined,
+        instructorId: filters.instructorId,
+        available: filters.available ? "true" : undefined,
+        enrolledStudent: filters.enrolledStudent,
+        waitlistedStudent: filters.waitlistedStudent,
+        archived: filters.archived === undefined ? undefined : String(filters.archived)
+    };
+    if (filters.sort) {
+        const [field, order = "asc"] = filters.sort.split(":");
+        Object.assign(query, { _sort: field, _order: order });
     }
+    if (filters.page && filters.limit) {
+        Object.assign(query, { _page: filters.page, _limit: filters.limit });
+    }
+
+    const { data: courses, headers } = await request("GET", COURSES_PATH, { query });
+    // json-server only sends the total when paginating; otherwise the page is the whole result
+    const total = parseInt(headers.get("X-Total-Count"), 10);
+    return { courses, total: Number.isNaN(total) ? courses.length : total };
 }
 
 /**
- * Fetches all instructors from the API.
- * @returns {Promise<Array>} A promise that resolves to an array of instructor objects, or an empty array on failure.
+ * Fetches a single course by its ID.
+ * @param {string|number} courseId - The ID of the course to fetch.
+ * @param {object} [options] - Request options for the API client (e.g., `{ keepAlive: true }`).
+ * @returns {Promise<object|null>} The course object, or `null` if it does not exist.
+ * @throws {ApiError} If the request fails for any other reason.
  */
-export async function getAllInstructors() {
+export async function getCourseById(courseId, options) {
     try {
-        const response = await fetch(INSTRUCTORS_API_URL);
-        if (!response.ok) throw new Error('Failed to fetch instructors.');
-        return await response.json();
+        return await api.get(`${COURSES_PATH}/${courseId}`, options);
     } catch (error) {
-        console.error('Error fetching instructors:', error);
-        return []; // Return a safe value.
+        // Unknown IDs are not an error, just missing
+        if (error instanceof ClientError && error.status === 404) return null;
+        throw error;
     }
 }
 
+/**
+ * Fetches all instructors from the API.
+ * @param {object} [options] - Request options for the API client (e.g., `{ keepAlive: true }`).
+ * @returns {Promise<Array>} A promise that resolves to an array of instructor objects.
+ * @throws {ApiError} If the request fails.
+ */
+export async function getAllInstructors(options) {
+    return api.get(INSTRUCTORS_PATH, options);
+}
+
 /**
  * Creates a new course by sending a POST request to the API.
  * @param {object} courseData - The data for the new course, typically an instance of the Course model.
- * @returns {Promise<object|null>} A promise that resolves to the newly created course object, or `null` on failure.
+ * @param {object} [options] - Request options for the API client (e.g., `{ keepAlive: true }`).
+ * @returns {Promise<object>} A promise that resolves to the newly created course object.
+ * @throws {ApiError} If the request fails.
  */
-export async function createCourse(courseData) {
-    try {
-        const response = await fetch(COURSES_API_URL, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" }, 
-            body: JSON.stringify(courseData)
-        });
-        if (!response.ok) throw new Error("Failed to create course.");
-        return await response.json();
-    } catch (error) {
-        console.error("Error creating course: ", error);
-        return null;
-    }
+export async function createCourse(courseData, options) {
+    return api.post(COURSES_PATH, courseData, options);
 }
 
 /**
  * Updates an existing course using a PATCH request.
  * A PATCH request is used to update only the specified fields.
+ * If the update frees seats (e.g., a raised capacity), the server fills them from the waitlist.
  * @param {string|number} courseId - The ID of the course to update.
  * @param {object} courseData - An object containing the course properties to update.
- * @returns {Promise<object|null>} The updated course object, or `null` on failure.
+ * @param {object} [options] - Request options for the API client (e.g., `{ keepAlive: true }`).
+ * @returns {Promise<object>} The updated course object.
+ * @throws {ApiError} If the request fails.
  */
-export async function updateCourse(courseId, courseData) {
-    try {
-        const response = await fetch(`${COURSES_API_URL}/${courseId}`, {
-            method: 'PATCH',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(courseData)
-        });
-        if (!response.ok) throw new Error('Failed to update course.');
-        return await response.json();
-    } catch (error) {
-        console.error('Error updating course:', error);
-        return null;
-    }
+export async function updateCourse(courseId, courseData, options) {
+    return api.patch(`${COURSES_PATH}/${courseId}`, courseData, options);
+}
+
+/**
+ * Archives a course: it leaves the student catalog and takes no new enrollments, but keeps its students.
+ * @param {string|number} courseId - The ID of the course to archive.
+ * @returns {Promise<object>} The archived course.
+ * @throws {ClientError} With status 409 if the course is already archived.
+ */
+export async function archiveCourse(courseId) {
+    return api.post(`${COURSES_PATH}/${courseId}/archive`);
+}
+
+/**
+ * Restores an archived course to the catalog.
+ * @param {string|number} courseId - The ID of the course to restore.
+ * @returns {Promise<object>} The restored course.
+ * @throws {ClientError} With status 409 if the course is not archived.
+ */
+export async function restoreCourse(courseId) {
+    return api.delete(`${COURSES_PATH}/${courseId}/archive`);
 }
 
 /**
- * Deletes a course by its ID using a DELETE request. (Hard Delete)
+ * Permanently deletes (purges) a course by its ID using a DELETE request.
+ * The server only accepts it for archived courses.
  * @param {string|number} courseId - The ID of the course to delete.
- * @returns {Promise<boolean>} `true` on successful deletion, `false` on failure.
+ * @returns {Promise<void>}
+ * @throws {ClientError} With status 409 if the course was not archived first.
  */
 export async function deleteCourse(courseId) {
-    try {
-        const response = await fetch(`${COURSES_API_URL}/${courseId}`, {
-            method: "DELETE"
-        });
-        if (!response.ok) throw new Error("Failed to delete course.");
-        return true;
-    } catch (error) {
-        console.error("Error deleting course: ", error);
-        return false;
-    }
+    await api.delete(`${COURSES_PATH}/${courseId}`);
 }
 
 /**
- * Enrolls a student in a course by updating the course's `enrolledStudents` array.
- * This is a specific type of update, so we use a PATCH request.
+ * Enrolls the current user in a course through the dedicated enroll endpoint.
+ * The server adds only this student, atomically, and checks capacity and duplicates.
  * @param {number|string} courseId - The ID of the course to enroll in.
- * @param {Array<number>} newStudentList - The complete new array of student IDs for the course.
- * @returns {Promise<object|null>} The updated course object, or `null` on failure.
+ * @param {object} [options] - Request options for the API client (e.g., `{ keepAlive: true }`).
+ * @returns {Promise<object>} The updated course object.
+ * @throws {ClientError} With status 409 and a message for the user when the course is full or
+ * the student is already enrolled; other `ApiError`s if the request fails.
  */
-export async function enrollInCourse(courseId, newStudentList) {
-    try {
-        const response = await fetch(`${COURSES_API_URL}/${courseId}`, {
-            method: 'PATCH',
-            headers: { 'Content-Type': 'application/json' },
-            // We are only patching the 'enrolledStudents' property of the course.
-            body: JSON.stringify({ enrolledStudents: newStudentList })
-        });
-        if (!response.ok) throw new Error('Failed to enroll in course.');
-        return await response.json();
-    } catch (error) {
-        console.error('Error enrolling in course:', error);
-        return null;
-    }
+export async function enrollInCourse(courseId, options) {
+    return api.post(`${COURSES_PATH}/${courseId}/enroll`, undefined, options);
 }
 
 /**
- * Unenrolls a student from a course.
- * This function reuses the `enrollInCourse` logic, as the API operation is identical:
- * patching the `enrolledStudents` array with a new list.
+ * Unenrolls the current user from a course through the dedicated enroll endpoint.
+ * The server then enrolls the first waitlisted student in the freed seat.
  * @param {number|string} courseId - The ID of the course to unenroll from.
- * @param {Array<number>} newStudentList - The updated array of student IDs (without the unenrolled student).
- * @returns {Promise<object|null>} The updated course object, or `null` on failure.
+ * @returns {Promise<object>} The updated course object.
+ * @throws {ApiError} If the request fails (409 if the student is not enrolled).
+ */
+export async function unenrollFromCourse(courseId) {
+    return api.delete(`${COURSES_PATH}/${courseId}/enroll`);
+}
+
+/**
+ * Puts the current user on the waitlist of a full course.
+ * @param {number|string} courseId - The ID of the course.
+ * @returns {Promise<object>} The updated course object.
+ * @throws {ApiError} If the request fails (409 if the course has seats or the student is already waiting).
+ */
+export async function joinWaitlist(courseId) {
+    return api.post(`${COURSES_PATH}/${courseId}/waitlist`);
+}
+
+/**
+ * Removes the current user from a course's waitlist.
+ * @param {number|string} courseId - The ID of the course.
+ * @returns {Promise<object>} The updated course object.
+ * @throws {ApiError} If the request fails (409 if the student is not on the waitlist).
+ */
+export async function leaveWaitlist(courseId) {
+    return api.delete(`${COURSES_PATH}/${courseId}/waitlist`);
+}
+
+/**
+ * Enrolls a student in a course on behalf of an administrator.
+ * The server takes the student off the waitlist and records the enrollment date.
+ * @param {number|string} courseId - The ID of the course.
+ * @param {number|string} studentId - The ID of the student to enroll.
+ * @param {object} [options={}]
+ * @param {boolean} [options.override=false] - Enroll even if the course is full, above its capacity.
+ * @returns {Promise<object>} The updated course object.
+ * @throws {ClientError} With status 409 and code `COURSE_FULL` if the course is full and `override` is not set;
+ * other `ApiError`s if the request fails (404 for unknown students, 409 if already enrolled).
+ */
+export async function enrollStudent(courseId, studentId, { override = false } = {}) {
+    return api.post(`${COURSES_PATH}/${courseId}/roster`, { studentId: Number(studentId), override });
+}
+
+/**
+ * Removes a student from a course on behalf of an administrator.
+ * The server then enrolls the first waitlisted student in the freed seat, if the course has room.
+ * @param {number|string} courseId - The ID of the course.
+ * @param {number|string} studentId - The ID of the student to remove.
+ * @returns {Promise<object>} The updated course object.
+ * @throws {ApiError} If the request fails (409 if the student is not enrolled).
+ */
+export async function removeStudent(courseId, studentId) {
+    return api.delete(`${COURSES_PATH}/${courseId}/roster/${studentId}`);
+}
+
+/**
+ * Fetches the accounts of the students enrolled in or waiting for a course.
+ * Available to administrators and to the instructor of the course, who cannot read `/users`.
+ * @param {number|string} courseId - The ID of the course.
+ * @returns {Promise<Array<{id: number, email: string}>>} The students.
+ * @throws {ApiError} If the request fails (403 for other users).
+ */
+export async function getCourseRoster(courseId) {
+    return api.get(`${COURSES_PATH}/${courseId}/roster`);
+}
+
+/**
+ * Replaces the description of a course. This is the only change instructors may make to their courses.
+ * @param {number|string} courseId - The ID of the course.
+ * @param {string} description - The new description.
+ * @returns {Promise<object>} The updated course object.
+ * @throws {ApiError} If the request fails (403 unless the user teaches the course or is an administrator).
+ */
+export async function updateCourseDescription(courseId, description) {
+    return api.patch(`${COURSES_PATH}/${courseId}/description`, { description });
+}
+
+/**
+ * Creates a new instructor by sending a POST request to the API.
+ * @param {object} instructorData - The data for the new instructor, typically an instance of the Instructor model.
+ * @returns {Promise<object>} A promise that resolves to the newly created instructor object.
+ * @throws {ApiError} If the request fails.
  */
-export async function unenrollFromCourse(courseId, newStudentList) {
-    // The underlying API call is the same as enrolling, just with a different student list.
-    return enrollInCourse(courseId, newStudentList); 
-}
\ No newline at end of file
+export async function createInstructor(instructorData) {
+    return api.post(INSTRUCTORS_PATH, instructorData);
+}
+
+/**
+ * Updates an existing instructor using a PATCH request.
+ * @param {string|number} instructorId - The ID of the instructor to update.
+ * @param {object} instructorData - An object containing the instructor properties to update.
+ * @returns {Promise<object>} The updated instructor object.
+ * @throws {ApiError} If the request fails.
+ */
+export async function updateInstructor(instructorId, instructorData) {
+    return api.patch(`${INSTRUCTORS_PATH}/${instructorId}`, instructorData);
+}
+
+/**
+ * Deletes an instructor by its ID.
+ * An instructor who still teaches courses cannot be left without a replacement:
+ * the server refuses the deletion unless `reassignToId` is given, in which case it moves
+ * every course of the instructor to the replacement and deletes the instructor in one step.
+ * @param {string|number} instructorId - The ID of the instructor to delete.
+ * @param {string|number|null} [reassignToId=null] - The ID of the instructor who takes over the courses.
+ * @returns {Promise<void>}
+ * @throws {ApiError} If the request fails (409 `INSTRUCTOR_HAS_COURSES` if the instructor still
+ * teaches courses and no replacement was given, 400 for an invalid replacement).
+ */
+export async function deleteInstructor(instructorId, reassignToId = null) {
+    await api.delete(`${INSTRUCTORS_PATH}/${instructorId}`, { query: { reassignTo: reassignToId } });
+}
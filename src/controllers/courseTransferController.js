@@ -0,0 +1,164 @@
+/**
+ * @file This controller turns spreadsheet rows into courses and back: it checks the rows of an
+ * import file before anything is created (the preview), and builds the rows of the catalog
+ * and roster exports. Reading and writing the files themselves is left to `services/dataFiles.js`.
+ */
+
+import Course from "../models/course.js";
+import { normalizeText, normalizeInteger } from "../models/validation.js";
+import { formatSessions } from "../models/schedule.js";
+
+/**
+ * The columns of a catalog export. Files exported with them can be imported again:
+ * the import reads `title`, `description`, `category`, `capacity`, `instructor`, `startDate`, `endDate`
+ * and `sessions`, and ignores the rest.
+ * @type {Array<string>}
+ */
+export const CATALOG_COLUMNS = ["id", "title", "description", "category", "capacity", "instructor", "startDate", "endDate", "sessions", "enrolled", "waitlisted", "archived"];
+
+/**
+ * The columns of a roster export: one row per enrolled or waitlisted student.
+ * @type {Array<string>}
+ */
+export const ROSTER_COLUMNS = ["courseId", "course", "status", "position", "studentId", "email"];
+
+/**
+ * @typedef {object} ImportRow
+ * @property {number} rowNumber - The 1-based position of the row among the data rows of the file.
+ * @property {Course} course - The course the row describes, normalized by the model.
+ * @property {string} instructorName - The instructor as written in the file.
+ * @property {Object.<string, string>} errors - The error message of each invalid field. Empty if the row is valid.
+ * @property {string|null} duplicateOf - Why the row duplicates a course, or `null` if its title is new.
+ * @property {"ready"|"invalid"|"duplicate"} status - Whether the row will be imported.
+ */
+
+/**
+ * Normalizes a title for duplicate detection: case, surrounding and repeated spaces are ignored.
+ * @param {string} title - The course title.
+ * @returns {string} The comparison key.
+ */
+function toTitleKey(title) {
+    return normalizeText(title).replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Finds the instructor of an import row: by name (the `instructor` column, case-insensitive),
+ * or by ID (the `instructorId` column) when no name is given.
+ * @param {Object.<string, *>} fields - The row, with lowercase column names.
+ * @param {Array<object>} instructors - All instructors.
+ * @returns {{instructorId: number, error: string|null}} The instructor ID (`NaN` if not found) and the reason it was not.
+ */
+function resolveInstructor(fields, instructors) {
+    const name = normalizeText(fields.instructor);
+    if (name) {
+        const matches = instructors.filter(instructor => toTitleKey(instructor.name) === toTitleKey(name));
+        if (matches.length === 1) return { instructorId: matches[0].id, error: null };
+        return {
+            instructorId: NaN,
+            error: matches.length === 0
+                ? `No instructor is named "${name}".`
+                : `Several instructors are named "${name}". Give the instructorId instead.`
+        };
+    }
+
+    const instructorId = normalizeInteger(fields.instructorid);
+    if (Number.isNaN(instructorId)) return { instructorId, error: "Give the name of the instructor." };
+    const exists = instructors.some(instructor => instructor.id == instructorId);
+    return { instructorId, error: exists ? null : `No instructor has the ID ${instructorId}.` };
+}
+
+/**
+ * Checks the rows of an import file before anything is created.
+ * Each row is validated against the `Course` model, its instructor is looked up by name,
+ * and rows whose title matches an existing course (archived ones included) or an earlier
+ * row of the file are marked as duplicates. Only "ready" rows should be imported.
+ * @param {Array<object>} rows - The rows read from the file. Column names are case-insensitive.
+ * @param {object} catalog - The data the rows are checked against.
+ * @param {Array<object>} catalog.courses - Every existing course.
+ * @param {Array<object>} catalog.instructors - Every instructor.
+ * @returns {Array<ImportRow>} One entry per row, in file order.
+ */
+export function previewCourseImport(rows, { courses, instructors }) {
+    const existingTitles = new Map(courses.map(course => [toTitleKey(course.title), course]));
+    const fileTitles = new Map();
+
+    return rows.map((row, index) => {
+        const rowNumber = index + 1;
+        const fields = Object.fromEntries(Object.entries(row).map(([key, value]) => [key.trim().toLowerCase(), value]));
+        const { instructorId, error: instructorError } = resolveInstructor(fields, instructors);
+        const course = new Course(fields.title, fields.description, fields.category, fields.capacity, instructorId, {
+            startDate: fields.startdate,
+            endDate: fields.enddate,
+            sessions: fields.sessions
+        });
+
+        const errors = course.validate();
+        if (instructorError) errors.instructorId = instructorError;
+
+        let duplicateOf = null;
+        const titleKey = toTitleKey(course.title);
+        if (titleKey && existingTitles.has(titleKey)) {
+            const existing = existingTitles.get(titleKey);
+            duplicateOf = `A course named "${existing.title}" already exists${existing.archived ? " (archived)" : ""}.`;
+        } else if (titleKey && fileTitles.has(titleKey)) {
+            duplicateOf = `Same title as row ${fileTitles.get(titleKey)}.`;
+        } else if (titleKey) {
+            fileTitles.set(titleKey, rowNumber);
+        }
+
+        const status = Object.keys(errors).length > 0 ? "invalid" : duplicateOf ? "duplicate" : "ready";
+        return { rowNumber, course, instructorName: normalizeText(fields.instructor), errors, duplicateOf, status };
+    });
+}
+
+/**
+ * Builds the rows of a catalog export.
+ * @param {Array<object>} courses - The courses to export.
+ * @param {Array<object>} instructors - All instructors, to write their names instead of IDs.
+ * @returns {Array<object>} One row per course, with the `CATALOG_COLUMNS`.
+ */
+export function toCatalogRows(courses, instructors) {
+    return courses.map(course => {
+        const instructor = instructors.find(i => i.id == course.instructorId);
+        return {
+            id: course.id,
+            title: course.title,
+            description: course.description,
+            category: course.category,
+            capacity: course.capacity,
+            instructor: instructor ? instructor.name : "",
+            startDate: course.startDate || "",
+            endDate: course.endDate || "",
+            sessions: formatSessions(course.sessions),
+            enrolled: course.enrolledStudents.length,
+            waitlisted: (course.waitlist || []).length,
+            archived: Boolean(course.archived)
+        };
+    });
+}
+
+/**
+ * Builds the rows of the roster export of a course: the enrolled students first,
+ * then the waitlist in order.
+ * @param {object} course - The course.
+ * @param {Array<object>} users - All users, to write the students' emails.
+ * @returns {Array<object>} One row per student, with the `ROSTER_COLUMNS`.
+ */
+export function toRosterRows(course, users) {
+    /** Builds the row of one student. */
+    const toRow = (studentId, status, position) => {
+        const student = users.find(u => u.id == studentId);
+        return {
+            courseId: course.id,
+            course: course.title,
+            status,
+            position,
+            studentId,
+            email: student ? student.email : ""
+        };
+    };
+    return [
+        ...course.enrolledStudents.map((studentId, index) => toRow(studentId, "enrolled", index + 1)),
+        ...(course.waitlist || []).map((studentId, index) => toRow(studentId, "waitlisted", index + 1))
+    ];
+}
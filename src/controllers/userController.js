@@ -0,0 +1,104 @@
+/**
+ * @file This controller manages the user accounts, for the administrator views
+ * (user management, audit log, rosters). Only administrators may access `/users`.
+ * Changes with rules of their own (role, deactivation, password reset, deletion) go through
+ * the dedicated endpoints of `server/userRoutes.js`.
+ */
+
+import { api, request } from "../services/apiClient.js";
+
+/**
+ * The path of the users collection.
+ * @type {string}
+ */
+const USERS_PATH = "/users";
+
+/**
+ * Fetches every user account. The server never sends password hashes.
+ * @returns {Promise<Array>} The users.
+ * @throws {ApiError} If the request fails (403 for non-administrators).
+ */
+export async function getAllUsers() {
+    return api.get(USERS_PATH);
+}
+
+/**
+ * Fetches one page of users matching the given filters, sorted by email.
+ * @param {object} [filters={}] - The filters to apply. Every property is optional.
+ * @param {string} [filters.search] - Case-insensitive part of the email.
+ * @param {string} [filters.role] - Only users with this role.
+ * @param {"active"|"deactivated"} [filters.status] - Only active or only deactivated accounts.
+ * @param {number} [filters.page] - The 1-based page number. Requires `limit`.
+ * @param {number} [filters.limit] - The page size.
+ * @returns {Promise<{users: Array, total: number}>} The page of users and the total number of matches.
+ * @throws {ApiError} If the request fails.
+ */
+export async function getUsers(filters = {}) {
+    const query = {
+        // `_like` filters are regular expressions, so escape what the user typed
+        email_like: filters.search ? filters.search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") : undefined,
+        role: filters.role || undefined,
+        deactivated: filters.status ? String(filters.status === "deactivated") : undefined, // Resolved by the local server
+        _sort: "email",
+        _order: "asc"
+    };
+    if (filters.page && filters.limit) {
+        Object.assign(query, { _page: filters.page, _limit: filters.limit });
+    }
+
+    const { data: users, headers } = await request("GET", USERS_PATH, { query });
+    const total = parseInt(headers.get("X-Total-Count"), 10);
+    return { users, total: Number.isNaN(total) ? users.length : total };
+}
+
+/**
+ * Changes the role of a user. Instructors are linked to the instructor profile with their email.
+ * @param {string|number} userId - The ID of the user.
+ * @param {string} role - The new role (see `USER_ROLES` in `models/user.js`).
+ * @returns {Promise<object>} The updated user.
+ * @throws {ClientError} With status 409 for the administrator's own account (code `OWN_ACCOUNT`),
+ * or an instructor without a free profile (`NO_INSTRUCTOR_PROFILE`, `INSTRUCTOR_ALREADY_LINKED`).
+ */
+export async function changeUserRole(userId, role) {
+    return api.patch(`${USERS_PATH}/${userId}/role`, { role });
+}
+
+/**
+ * Deactivates an account: the user is logged out and can no longer log in.
+ * @param {string|number} userId - The ID of the user.
+ * @returns {Promise<object>} The updated user.
+ * @throws {ClientError} With status 409 if the account is already deactivated or is the administrator's own.
+ */
+export async function deactivateUser(userId) {
+    return api.post(`${USERS_PATH}/${userId}/deactivate`);
+}
+
+/**
+ * Reactivates a deactivated account.
+ * @param {string|number} userId - The ID of the user.
+ * @returns {Promise<object>} The updated user.
+ * @throws {ClientError} With status 409 if the account is not deactivated.
+ */
+export async function reactivateUser(userId) {
+    return api.delete(`${USERS_PATH}/${userId}/deactivate`);
+}
+
+/**
+ * Forces a user to choose a new password: until they do, the server refuses their other requests.
+ * @param {string|number} userId - The ID of the user.
+ * @returns {Promise<object>} The updated user.
+ * @throws {ApiError} If the request fails.
+ */
+export async function forcePasswordReset(userId) {
+    return api.post(`${USERS_PATH}/${userId}/password-reset`);
+}
+
+/**
+ * Deletes an account. The server also removes the user from every course's enrollments and waitlist.
+ * @param {string|number} userId - The ID of the user.
+ * @returns {Promise<void>}
+ * @throws {ClientError} With status 409 (code `OWN_ACCOUNT`) for the administrator's own account.
+ */
+export async function deleteUser(userId) {
+    await api.delete(`${USERS_PATH}/${userId}`);
+}
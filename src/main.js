@@ -9,6 +9,10 @@ import "./style.css";
 
 // Import the necessary functions from the router module.
 import { handleLocation, navigateTo } from "./router.js";
+// Import the session restore function, which validates the stored token with the auth server.
+import { restoreSession } from "./controllers/authController.js";
+import { onSessionRejected } from "./services/apiClient.js";
+import { notifyInfo } from "./services/notifications.js";
 
 /**
  * Initializes the application by setting up global event listeners for navigation.
@@ -22,7 +26,9 @@ function initializeApp () {
      */
     document.addEventListener("click", e => {
         // Check if the clicked element is an anchor tag with an href attribute.
-        if (e.target.matches("a[href]")) {
+        // Links to other sites (e.g., the links of a lesson) and file downloads (e.g., the exports,
+        // whose blob: URLs share the page's origin) are left to the browser.
+        if (e.target.matches("a[href]:not([download])") && e.target.origin === window.location.origin) {
             e.preventDefault();  // Prevent the browser's default full page reload.
             navigateTo(e.target.getAttribute("href")); // Use the custom navigation function.
         }
@@ -35,15 +41,46 @@ function initializeApp () {
      */
     window.addEventListener("popstate", handleLocation);
 
+    /**
+     * When the server rejects the session during use (expired token, deactivated account,
+     * password reset forced by an administrator), the API client has already logged the user out
+     * or flagged them. Resolving the current route again applies the router's guards, which
+     * send them to the login page or the password form.
+     */
+    onSessionRejected(error => {
+        if (error.status === 403) {
+            notifyInfo("An administrator asked you to choose a new password.");
+        } else if (error.code === "ACCOUNT_DEACTIVATED") {
+            notifyInfo("Your account has been deactivated. Contact an administrator.");
+        } else {
+            notifyInfo("Your session has expired. Please log in again.");
+        }
+        handleLocation();
+    });
+
     /**
      * Handle the initial page load. We wait for the DOM to be fully loaded
      * before running the router's location handler for the first time.
      * This ensures all elements, like the '#app-root', are available.
      */
-    document.addEventListener("DOMContentLoaded", () => {
+    document.addEventListener("DOMContentLoaded", async () => {
+        // Ask the auth server who the stored token belongs to before resolving the first route,
+        // so the role used by the router always comes from the server.
+        await restoreSession();
         handleLocation();
     })
 
+    /**
+     * Register the service worker, which caches the app shell and the view templates
+     * so the application can start without a connection.
+     */
+    if ("serviceWorker" in navigator) {
+        window.addEventListener("load", () => {
+            navigator.serviceWorker.register("/sw.js")
+                .catch(error => console.error("Service worker registration failed: ", error));
+        });
+    }
+
     console.log("Application Initialized and listeners are set up.");
 }
 
@@ -0,0 +1,235 @@
+/**
+ * @file Defines the Assessment class and the grading rules of courses.
+ * An assessment is an assignment, graded by hand out of `maxPoints`, or a multiple-choice quiz,
+ * worth one point per question and graded automatically. Each assessment has a `weight` in the
+ * final grade of a course. The server applies the same rules (see `server/assessmentRoutes.js`)
+ * and keeps the answers of a quiz from its students until they have taken it.
+ */
+
+import { normalizeText, normalizeInteger, checkRequiredText, collectErrors } from "./validation.js";
+import { normalizeDate } from "./schedule.js";
+
+/**
+ * The kinds of assessments, with their labels.
+ * @type {Object.<string, string>}
+ */
+export const ASSESSMENT_TYPES = {
+    assignment: "Assignment",
+    quiz: "Quiz",
+};
+
+/**
+ * The limits of the assessment fields.
+ * @type {{title: number, description: number, questions: number, prompt: number, choices: number, choice: number}}
+ */
+export const ASSESSMENT_LIMITS = {
+    title: 100,
+    description: 2000,
+    questions: 50,
+    prompt: 500,
+    choices: 6,
+    choice: 200,
+};
+
+/**
+ * @typedef {object} Question
+ * @property {string} prompt - The question.
+ * @property {Array<string>} choices - The possible answers, in order.
+ * @property {number|null} [answer] - The index of the correct choice. `null` when none or several
+ * were marked; missing when the server hides it from students who have not taken the quiz.
+ */
+
+/**
+ * @typedef {object} Grade
+ * @property {number} assessmentId - The ID of the assessment.
+ * @property {number} studentId - The ID of the student.
+ * @property {number} points - The points earned, out of the `maxPoints` of the assessment.
+ * @property {Array<number|null>|null} answers - The choices the student picked, for quizzes they took.
+ */
+
+/**
+ * Parses a number of points or a weight, returning `NaN` for anything that is not a number.
+ * @param {*} value - The raw value.
+ * @returns {number|null} The number, `null` if no value was given, or `NaN`.
+ */
+export function normalizeNumber(value) {
+    const text = normalizeText(value);
+    if (!text) return null;
+    return /^\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Reads the questions of a quiz written as text: one block per question, separated by blank lines.
+ * The first line of a block is the question; each following line is a choice starting with "-",
+ * or with "*" for the correct one.
+ * @param {string} text - The questions, as typed.
+ * @returns {Array<Question>} The questions. A question without exactly one choice marked "*" gets a
+ * `null` answer, and lines that are not choices are kept in the prompt (see `checkQuestions`).
+ */
+export function parseQuestions(text) {
+    return String(text || "").split(/\n\s*\n/)
+        .map(block => block.split("\n").map(line => line.trim()).filter(Boolean))
+        .filter(lines => lines.length > 0)
+        .map(([prompt, ...lines]) => {
+            const choiceLines = lines.filter(line => /^[-*]/.test(line));
+            const extraLines = lines.filter(line => !/^[-*]/.test(line));
+            const correctIndexes = choiceLines
+                .map((line, index) => (line.startsWith("*") ? index : -1))
+                .filter(index => index !== -1);
+            return {
+                prompt: [prompt, ...extraLines].join(" "),
+                choices: choiceLines.map(line => line.slice(1).trim()),
+                answer: correctIndexes.length === 1 ? correctIndexes[0] : null
+            };
+        });
+}
+
+/**
+ * Writes the questions of a quiz as text, in the format `parseQuestions` reads.
+ * @param {Array<Question>} [questions] - The questions.
+ * @returns {string} The questions as text.
+ */
+export function formatQuestions(questions) {
+    return (questions || []).map(question => [
+        question.prompt,
+        ...question.choices.map((choice, index) => `${index === question.answer ? "*" : "-"} ${choice}`)
+    ].join("\n")).join("\n\n");
+}
+
+/**
+ * Checks the questions of a quiz.
+ * @param {Array<Question>} questions - The parsed questions.
+ * @returns {string|null} The first problem found, or `null` if the questions are valid.
+ */
+export function checkQuestions(questions) {
+    if (questions.length === 0) return "Write at least one question.";
+    if (questions.length > ASSESSMENT_LIMITS.questions) return `A quiz can have at most ${ASSESSMENT_LIMITS.questions} questions.`;
+    for (const [index, question] of questions.entries()) {
+        const label = `Question ${index + 1}`;
+        if (question.prompt.length > ASSESSMENT_LIMITS.prompt) {
+            return `${label}: the question must be at most ${ASSESSMENT_LIMITS.prompt} characters long.`;
+        }
+        if (question.choices.length < 2 || question.choices.length > ASSESSMENT_LIMITS.choices) {
+            return `${label}: give between 2 and ${ASSESSMENT_LIMITS.choices} choices, one per line starting with "-" or "*".`;
+        }
+        if (question.choices.some(choice => !choice || choice.length > ASSESSMENT_LIMITS.choice)) {
+            return `${label}: every choice needs a text of at most ${ASSESSMENT_LIMITS.choice} characters.`;
+        }
+        if (question.answer === null) return `${label}: mark exactly one choice as correct with "*".`;
+    }
+    return null;
+}
+
+/**
+ * Grades the answers given to a quiz: one point per correct answer.
+ * @param {Array<Question>} questions - The questions, with their answers.
+ * @param {Array<number|null>} answers - The index of the choice picked for each question (`null` if skipped).
+ * @returns {{points: number, results: Array<boolean>}} The score, and whether each answer is correct.
+ */
+export function gradeQuiz(questions, answers) {
+    const results = questions.map((question, index) => answers[index] === question.answer);
+    return { points: results.filter(Boolean).length, results };
+}
+
+/**
+ * Checks the points given for an assessment.
+ * @param {number|null} points - The normalized points (see `normalizeNumber`). `null` clears the grade.
+ * @param {number} maxPoints - The maximum of the assessment.
+ * @returns {string|null} The error message, or `null` if the points are valid.
+ */
+export function checkPoints(points, maxPoints) {
+    if (points === null) return null;
+    if (Number.isNaN(points) || points > maxPoints) return `Enter a number of points between 0 and ${maxPoints}.`;
+    return null;
+}
+
+/**
+ * Computes the final grade of a student: the average of their graded assessments, each weighted
+ * by its `weight`. Assessments not graded yet are left out, so the grade reflects the work so far.
+ * @param {Array<object>} assessments - The assessments of the course.
+ * @param {Array<Grade>} grades - The grades of the student in the course.
+ * @returns {{percentage: number|null, gradedCount: number}} The grade out of 100 (`null` if nothing
+ * is graded yet), and how many assessments it covers.
+ */
+export function computeFinalGrade(assessments, grades) {
+    let weightedSum = 0;
+    let totalWeight = 0;
+    let gradedCount = 0;
+    assessments.forEach(assessment => {
+        const grade = grades.find(g => g.assessmentId === assessment.id);
+        if (!grade) return;
+        weightedSum += assessment.weight * (grade.points / assessment.maxPoints);
+        totalWeight += assessment.weight;
+        gradedCount++;
+    });
+    return { percentage: totalWeight > 0 ? (weightedSum / totalWeight) * 100 : null, gradedCount };
+}
+
+/**
+ * Formats a grade out of 100, rounded to one decimal.
+ * @param {number|null} percentage - The grade.
+ * @returns {string} E.g. "87.5%", or "-" for a missing grade.
+ */
+export function formatPercentage(percentage) {
+    return percentage === null ? "-" : `${Math.round(percentage * 10) / 10}%`;
+}
+
+/**
+ * Represents an Assessment of a course.
+ * Values read from forms are normalized on construction: text is trimmed, the due date is
+ * normalized by `schedule.js`, the maximum points become an integer and the weight a number
+ * (`NaN` if invalid). The questions of a quiz can be given as text (see `parseQuestions`);
+ * a quiz is always worth one point per question.
+ */
+export default class Assessment {
+    /**
+     * Creates an instance of an Assessment.
+     * @param {string} type - "assignment" or "quiz".
+     * @param {string} title - The title.
+     * @param {string} description - The instructions. Optional.
+     * @param {string} dueDate - The due day ("YYYY-MM-DD"). Optional.
+     * @param {string|number} maxPoints - The maximum points of an assignment. Ignored for quizzes.
+     * @param {string|number} weight - The weight in the final grade (e.g., 20).
+     * @param {Array<Question>|string} [questions=[]] - The questions of a quiz.
+     */
+    constructor(type, title, description, dueDate, maxPoints, weight, questions = []) {
+        this.type = normalizeText(type);
+        this.title = normalizeText(title);
+        this.description = normalizeText(description);
+        this.dueDate = normalizeDate(dueDate);
+        this.questions = this.type === "quiz"
+            ? (Array.isArray(questions) ? questions : parseQuestions(questions))
+            : [];
+        this.maxPoints = this.type === "quiz" ? this.questions.length : normalizeInteger(maxPoints);
+        this.weight = normalizeNumber(weight);
+    }
+
+    /**
+     * Checks the assessment data.
+     * @returns {Object.<string, string>} The error message of each invalid field. Empty if the assessment is valid.
+     */
+    validate() {
+        const isQuiz = this.type === "quiz";
+        const isValidMaxPoints = Number.isInteger(this.maxPoints) && this.maxPoints >= 1;
+        return collectErrors({
+            type: ASSESSMENT_TYPES[this.type] ? null : "Choose a type.",
+            title: checkRequiredText(this.title, "Title", ASSESSMENT_LIMITS.title),
+            description: this.description.length > ASSESSMENT_LIMITS.description
+                ? `Description must be at most ${ASSESSMENT_LIMITS.description} characters long.`
+                : null,
+            dueDate: this.dueDate === null ? "Enter a valid date." : null,
+            maxPoints: isQuiz || isValidMaxPoints ? null : "Maximum points must be a whole number of at least 1.",
+            weight: this.weight !== null && this.weight > 0 ? null : "Weight must be a number greater than 0.",
+            questions: isQuiz ? checkQuestions(this.questions) : null,
+        });
+    }
+
+    /**
+     * Returns the fields sent to the server.
+     * @returns {{type: string, title: string, description: string, dueDate: string, maxPoints: number, weight: number, questions: Array<Question>}}
+     */
+    getEditableFields() {
+        const { type, title, description, dueDate, maxPoints, weight, questions } = this;
+        return { type, title, description, dueDate, maxPoints, weight, questions };
+    }
+}
@@ -1,11 +1,28 @@
-
 /**
  * @file Defines the Course class, which serves as a blueprint for creating course objects.
  */
 
+import { normalizeText, normalizeInteger, checkRequiredText, collectErrors } from "./validation.js";
+import { normalizeDate, normalizeSessions, checkSchedule } from "./schedule.js";
+import { normalizePrerequisites, normalizeEnrollmentLimit, checkEligibilityRules, checkPrerequisiteChain } from "./eligibility.js";
+
+/**
+ * The maximum lengths of the course text fields.
+ * @type {{title: number, description: number, category: number}}
+ */
+export const COURSE_LIMITS = {
+    title: 100,
+    description: 2000,
+    category: 50,
+};
+
 /**
  * Represents a Course in the application.
  * This class provides a consistent structure for course data.
+ * Values read from forms are normalized on construction: text is trimmed,
+ * the capacity and instructor ID become integers (`NaN` if they are not whole numbers),
+ * the schedule is normalized by `schedule.js` (`null` for invalid dates or sessions)
+ * and the eligibility rules by `eligibility.js`.
  */
 export default class Course {
     /**
@@ -15,13 +32,96 @@ export default class Course {
      * @param {string} category - The subject category of the course (e.g., "Programming", "Design").
      * @param {string|number} capacity - The maximum number of students that can enroll.
      * @param {string|number} instructorId - The ID of the instructor assigned to the course.
+     * @param {object} [schedule={}] - When the course runs. Every property is optional.
+     * @param {string} [schedule.startDate] - The first day ("YYYY-MM-DD"). Enrollment closes on that day.
+     * @param {string} [schedule.endDate] - The last day ("YYYY-MM-DD").
+     * @param {Array<object>|string} [schedule.sessions] - The weekly sessions, as objects or as text
+     * (e.g., "Mon 18:00-20:00, Wed 18:00-20:00").
+     * @param {object} [rules={}] - Who may enroll. Every property is optional.
+     * @param {Array<string|number>|string} [rules.prerequisites] - The IDs of the courses students must complete first.
+     * @param {string|number} [rules.maxConcurrentEnrollments] - How many ongoing courses a student may take
+     * at a time, this one included. No limit when empty.
      */
-    constructor(title, description, category, capacity, instructorId) {
-        this.title = title;
-        this.description = description;
-        this.category = category;
-        this.capacity = parseInt(capacity, 10); // Ensure capacity is a number
-        this.instructorId = parseInt(instructorId, 10); 
+    constructor(title, description, category, capacity, instructorId, { startDate, endDate, sessions } = {}, { prerequisites, maxConcurrentEnrollments } = {}) {
+        this.title = normalizeText(title);
+        this.description = normalizeText(description);
+        this.category = normalizeText(category);
+        this.capacity = normalizeInteger(capacity); // Ensure capacity is a number
+        this.instructorId = normalizeInteger(instructorId);
+        this.startDate = normalizeDate(startDate);
+        this.endDate = normalizeDate(endDate);
+        this.sessions = normalizeSessions(sessions);
+        this.prerequisites = normalizePrerequisites(prerequisites);
+        this.maxConcurrentEnrollments = normalizeEnrollmentLimit(maxConcurrentEnrollments);
         this.enrolledStudents = []; // New courses start with no students
+        this.waitlist = []; // Student IDs waiting for a seat, in order of arrival
+        this.enrollmentDates = {}; // When each enrolled student got their seat, set by the server
+    }
+
+    /**
+     * Checks the course data.
+     * @param {object} [options={}]
+     * @param {number} [options.enrolledCount=0] - How many students are already enrolled, when editing
+     * an existing course: the capacity cannot drop below it.
+     * @param {string|number|null} [options.courseId=null] - The ID of the course, when editing an existing one.
+     * @param {Array<object>} [options.courses] - Every course, to check that the prerequisites exist and
+     * never require this course in turn. The prerequisites are not checked against other courses when omitted.
+     * @param {Array<object>} [options.instructors] - Every instructor, to check that the assigned one exists.
+     * Any whole number is accepted when omitted.
+     * @returns {Object.<string, string>} The error message of each invalid field. Empty if the course is valid.
+     */
+    validate({ enrolledCount = 0, courseId = null, courses, instructors } = {}) {
+        const ruleErrors = checkEligibilityRules(this);
+        if (!ruleErrors.prerequisites && courses) {
+            ruleErrors.prerequisites = checkPrerequisiteChain(courseId, this.prerequisites, courses);
+        }
+        return collectErrors({
+            title: checkRequiredText(this.title, "Title", COURSE_LIMITS.title),
+            description: checkRequiredText(this.description, "Description", COURSE_LIMITS.description),
+            category: checkRequiredText(this.category, "Category", COURSE_LIMITS.category),
+            capacity: this.checkCapacity(enrolledCount),
+            instructorId: this.checkInstructor(instructors),
+            ...checkSchedule(this),
+            ...ruleErrors,
+        });
+    }
+
+    /**
+     * Checks that an instructor is assigned, and that they exist when the instructors are given.
+     * @param {Array<object>} [instructors] - Every instructor.
+     * @returns {string|null} The error message, or `null` if the instructor is valid.
+     */
+    checkInstructor(instructors) {
+        if (!Number.isInteger(this.instructorId)) return "Choose an instructor.";
+        if (instructors && !instructors.some(instructor => instructor.id === this.instructorId)) {
+            return `No instructor has the ID ${this.instructorId}.`;
+        }
+        return null;
+    }
+
+    /**
+     * Checks that the capacity is a positive whole number that fits the enrolled students.
+     * @param {number} enrolledCount - How many students are already enrolled.
+     * @returns {string|null} The error message, or `null` if the capacity is valid.
+     */
+    checkCapacity(enrolledCount) {
+        if (!Number.isInteger(this.capacity) || this.capacity < 1) {
+            return "Capacity must be a whole number of at least 1.";
+        }
+        if (this.capacity < enrolledCount) {
+            return `Capacity cannot be lower than the ${enrolledCount} student(s) already enrolled.`;
+        }
+        return null;
+    }
+
+    /**
+     * Returns the fields an administrator edits, without the enrollment lists,
+     * so an update never overwrites the students of an existing course.
+     * @returns {{title: string, description: string, category: string, capacity: number, instructorId: number,
+     * startDate: string, endDate: string, sessions: Array<object>, prerequisites: Array<number>, maxConcurrentEnrollments: number|null}}
+     */
+    getEditableFields() {
+        const { title, description, category, capacity, instructorId, startDate, endDate, sessions, prerequisites, maxConcurrentEnrollments } = this;
+        return { title, description, category, capacity, instructorId, startDate, endDate, sessions, prerequisites, maxConcurrentEnrollments };
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,158 @@
+/**
+ * @file Rules for the content of a course: ordered modules, each holding ordered lessons.
+ * A lesson has a title, text content (paragraphs separated by blank lines) and links.
+ * The server applies the same limits (see `server/contentRoutes.js`), assigns the IDs of new
+ * modules and lessons, and only lets the students enrolled in a course open its lessons.
+ */
+
+/**
+ * The limits of the content fields.
+ * @type {{title: number, content: number, links: number, linkLabel: number}}
+ */
+export const CONTENT_LIMITS = {
+    title: 100,
+    content: 10000,
+    links: 10,
+    linkLabel: 100,
+};
+
+/**
+ * @typedef {object} Link
+ * @property {string} label - The text of the link.
+ * @property {string} url - The web address (http or https).
+ */
+
+/**
+ * @typedef {object} Lesson
+ * @property {number} [id] - Assigned by the server; missing for lessons not saved yet.
+ * @property {string} title - The title.
+ * @property {string} content - The text, with paragraphs separated by blank lines.
+ * @property {Array<Link>} links - Further reading.
+ */
+
+/**
+ * @typedef {object} Module
+ * @property {number} [id] - Assigned by the server; missing for modules not saved yet.
+ * @property {string} title - The title.
+ * @property {Array<Lesson>} lessons - The lessons, in order.
+ */
+
+/**
+ * Returns whether a text is a web address that is safe to link to (http or https).
+ * @param {string} url - The address.
+ * @returns {boolean} `true` for absolute http(s) URLs.
+ */
+export function isWebAddress(url) {
+    try {
+        return ["http:", "https:"].includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Reads links written one per line, as a web address optionally preceded by a label
+ * ("MDN: Functions | https://developer.mozilla.org/..."). Blank lines are skipped.
+ * @param {string} text - The links, as typed.
+ * @returns {Array<Link>} The links, labelled with their address when no label was given.
+ * Addresses are not checked here (see `checkContent`).
+ */
+export function parseLinks(text) {
+    return String(text || "").split("\n")
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const [, label, url] = line.match(/^(.*?)[\s|]*(\S+)$/);
+            return { label: label.trim() || url, url };
+        });
+}
+
+/**
+ * Writes links one per line, in the format `parseLinks` reads.
+ * @param {Array<Link>} [links] - The links.
+ * @returns {string} The links as text.
+ */
+export function formatLinks(links) {
+    return (links || []).map(link => (link.label && link.label !== link.url ? `${link.label} | ${link.url}` : link.url)).join("\n");
+}
+
+/**
+ * Checks a text field.
+ * @param {string} value - The trimmed text.
+ * @param {string} label - The name of the field in messages.
+ * @param {number} maxLength - The maximum length.
+ * @param {boolean} required - Whether the field may be empty.
+ * @returns {string|null} The error message, or `null` if the text is valid.
+ */
+function checkText(value, label, maxLength, required) {
+    if (required && !value) return `${label} is required.`;
+    if (value.length > maxLength) return `${label} must be at most ${maxLength} characters long.`;
+    return null;
+}
+
+/**
+ * Checks the links of a lesson.
+ * @param {Array<Link>} links - The links.
+ * @returns {string|null} The error message, or `null` if the links are valid.
+ */
+function checkLinks(links) {
+    if (links.length > CONTENT_LIMITS.links) return `A lesson can have at most ${CONTENT_LIMITS.links} links.`;
+    const invalidIndex = links.findIndex(link => !isWebAddress(link.url));
+    if (invalidIndex !== -1) {
+        return `Line ${invalidIndex + 1}: "${links[invalidIndex].url}" is not a web address starting with http:// or https://.`;
+    }
+    const longIndex = links.findIndex(link => link.label.length > CONTENT_LIMITS.linkLabel);
+    return longIndex === -1 ? null : `Line ${longIndex + 1}: the label must be at most ${CONTENT_LIMITS.linkLabel} characters long.`;
+}
+
+/**
+ * Checks the modules and lessons of a course. Module and lesson titles are required;
+ * the content of a lesson is optional, and its links must be web addresses.
+ * @param {Array<Module>} modules - The modules, with trimmed text.
+ * @returns {Object.<string, string>} The error message of each invalid field, keyed
+ * "module-<m>-title" and "lesson-<m>-<l>-<field>" (0-based indexes). Empty if the content is valid.
+ */
+export function checkContent(modules) {
+    const errors = {};
+    const addError = (key, message) => {
+        if (message) errors[key] = message;
+    };
+    modules.forEach((module, m) => {
+        addError(`module-${m}-title`, checkText(module.title, "Module title", CONTENT_LIMITS.title, true));
+        module.lessons.forEach((lesson, l) => {
+            addError(`lesson-${m}-${l}-title`, checkText(lesson.title, "Lesson title", CONTENT_LIMITS.title, true));
+            addError(`lesson-${m}-${l}-content`, checkText(lesson.content, "Content", CONTENT_LIMITS.content, false));
+            addError(`lesson-${m}-${l}-links`, checkLinks(lesson.links));
+        });
+    });
+    return errors;
+}
+
+/**
+ * Lists the lessons of a course in reading order, with their module.
+ * @param {Array<Module>} modules - The modules.
+ * @returns {Array<{module: Module, lesson: Lesson}>} Every lesson.
+ */
+export function listLessons(modules) {
+    return modules.flatMap(module => module.lessons.map(lesson => ({ module, lesson })));
+}
+
+/**
+ * Returns the first lesson a student has not completed yet.
+ * @param {Array<Module>} modules - The modules.
+ * @param {Array<number>} completedLessonIds - The lessons the student completed.
+ * @returns {Lesson|null} The lesson, or `null` if every lesson is completed (or there are none).
+ */
+export function findNextLesson(modules, completedLessonIds) {
+    const entry = listLessons(modules).find(({ lesson }) => !completedLessonIds.includes(lesson.id));
+    return entry ? entry.lesson : null;
+}
+
+/**
+ * Splits the content of a lesson into paragraphs.
+ * @param {string} content - The content.
+ * @returns {Array<string>} The paragraphs, without blank ones.
+ */
+export function toParagraphs(content) {
+    return String(content || "").split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
@@ -0,0 +1,145 @@
+/**
+ * @file Rules that decide which students may enroll in a course.
+ * A course may list `prerequisites` (the IDs of other courses) and a `maxConcurrentEnrollments`
+ * limit. A student has completed a course once they are enrolled in it and its end date has
+ * passed; a course is ongoing for them while they are enrolled and it has not ended, unless it
+ * is archived. The server imports these functions and applies them whenever a student enrolls,
+ * joins a waitlist or is promoted from one, so the client only uses them to explain why it cannot.
+ * Like every model, this module must not depend on the browser.
+ */
+
+import { toDateString } from "./schedule.js";
+
+/**
+ * Normalizes the prerequisites of a course, given as an array or as comma-separated IDs.
+ * @param {*} value - The raw prerequisites.
+ * @returns {Array<number>|null} The unique course IDs (empty if none were given),
+ * or `null` if any of them is not a whole number.
+ */
+export function normalizePrerequisites(value) {
+    if (value === null || value === undefined) return [];
+    const items = Array.isArray(value)
+        ? value
+        : String(value).split(",").filter(item => item.trim() !== "");
+    const ids = items.map(item => Number(String(item).trim()));
+    if (!ids.every(id => Number.isInteger(id) && id > 0)) return null;
+    return [...new Set(ids)];
+}
+
+/**
+ * Normalizes the enrollment limit of a course.
+ * @param {*} value - The raw limit.
+ * @returns {number|null} The limit, `null` if none was given, or `NaN` if it is not a whole number.
+ */
+export function normalizeEnrollmentLimit(value) {
+    const text = value === null || value === undefined ? "" : String(value).trim();
+    return text ? Number(text) : null;
+}
+
+/**
+ * Checks the eligibility fields of a course.
+ * @param {object} rules - The normalized fields.
+ * @param {Array<number>|null} rules.prerequisites - See `normalizePrerequisites`.
+ * @param {number|null} rules.maxConcurrentEnrollments - See `normalizeEnrollmentLimit`.
+ * @returns {{prerequisites: string|null, maxConcurrentEnrollments: string|null}} The error message of each field.
+ */
+export function checkEligibilityRules({ prerequisites, maxConcurrentEnrollments }) {
+    const isValidLimit = maxConcurrentEnrollments === null
+        || (Number.isInteger(maxConcurrentEnrollments) && maxConcurrentEnrollments >= 1);
+    return {
+        prerequisites: prerequisites === null ? "Prerequisites must be course IDs." : null,
+        maxConcurrentEnrollments: isValidLimit ? null : "The enrollment limit must be a whole number of at least 1, or empty."
+    };
+}
+
+/**
+ * Checks that the prerequisites of a course are other existing courses, and that none of them
+ * requires the course in turn (directly or further down the chain), which nobody could ever complete.
+ * @param {string|number|null} courseId - The ID of the course, or `null` for a new course.
+ * @param {Array<number>} prerequisites - The normalized prerequisites.
+ * @param {Array<object>} courses - Every course.
+ * @returns {string|null} The error message, or `null` if the prerequisites are valid.
+ */
+export function checkPrerequisiteChain(courseId, prerequisites, courses) {
+    const findCourse = id => courses.find(course => course.id == id);
+    if (prerequisites.some(id => id == courseId)) return "A course cannot be its own prerequisite.";
+    const unknownId = prerequisites.find(id => !findCourse(id));
+    if (unknownId) return `Course #${unknownId} does not exist.`;
+    if (courseId === null || courseId === undefined) return null; // Nothing requires a new course yet
+
+    // Walk the prerequisites of the prerequisites, looking for the course itself
+    const visited = new Set();
+    const pending = [...prerequisites];
+    while (pending.length > 0) {
+        const id = pending.shift();
+        if (visited.has(String(id))) continue;
+        visited.add(String(id));
+        const course = findCourse(id);
+        if (!course) continue;
+        if ((course.prerequisites || []).some(prerequisiteId => prerequisiteId == courseId)) {
+            return `"${course.title}" already requires this course, so it cannot be a prerequisite too.`;
+        }
+        pending.push(...(course.prerequisites || []));
+    }
+    return null;
+}
+
+/**
+ * Returns whether a student has completed a course: they are enrolled and it has ended.
+ * @param {object} course - The course.
+ * @param {number} studentId - The ID of the student.
+ * @param {string} [today] - The current day ("YYYY-MM-DD"). Defaults to today.
+ * @returns {boolean} `true` if the course counts as completed.
+ */
+export function hasCompleted(course, studentId, today = toDateString(new Date())) {
+    return course.enrolledStudents.includes(studentId) && Boolean(course.endDate) && course.endDate < today;
+}
+
+/**
+ * Explains why a student may not enroll in a course (or join its waitlist).
+ * Prerequisites missing from `courses` are ignored, like deleted courses on the server.
+ * @param {object} course - The course the student wants to join.
+ * @param {number} studentId - The ID of the student.
+ * @param {Array<object>} courses - The courses known to the caller. They must include every course
+ * the student is enrolled in, and the prerequisites of the course.
+ * @param {string} [today] - The current day ("YYYY-MM-DD"). Defaults to today.
+ * @returns {Array<string>} One message per broken rule. Empty if the student is eligible.
+ */
+export function findEligibilityProblems(course, studentId, courses, today = toDateString(new Date())) {
+    const problems = [];
+    (course.prerequisites || []).forEach(prerequisiteId => {
+        const prerequisite = courses.find(other => other.id == prerequisiteId);
+        if (prerequisite && !hasCompleted(prerequisite, studentId, today)) {
+            problems.push(`Requires completing "${prerequisite.title}" first.`);
+        }
+    });
+
+    const limit = course.maxConcurrentEnrollments;
+    if (Number.isInteger(limit)) {
+        const ongoingCount = courses.filter(other => other.id != course.id && !other.archived
+            && other.enrolledStudents.includes(studentId) && !hasCompleted(other, studentId, today)).length;
+        if (ongoingCount >= limit) {
+            problems.push(`Students may take at most ${limit} course(s) at a time, this one included; you are already taking ${ongoingCount}.`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Describes the eligibility rules of a course in one line, for cards and detail pages.
+ * @param {object} course - The course.
+ * @param {Array<object>} courses - The known courses, to name the prerequisites.
+ * @returns {string} E.g. "Complete "Java Basics" first · At most 2 course(s) at a time, this one included", or "None".
+ */
+export function describeEligibilityRules(course, courses) {
+    const parts = [];
+    const titles = (course.prerequisites || []).map(id => {
+        const prerequisite = courses.find(other => other.id == id);
+        return prerequisite ? `"${prerequisite.title}"` : `course #${id}`;
+    });
+    if (titles.length > 0) parts.push(`Complete ${titles.join(", ")} first`);
+    if (Number.isInteger(course.maxConcurrentEnrollments)) {
+        parts.push(`At most ${course.maxConcurrentEnrollments} course(s) at a time, this one included`);
+    }
+    return parts.length > 0 ? parts.join(" · ") : "None";
+}
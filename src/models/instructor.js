@@ -0,0 +1,65 @@
+/**
+ * @file Defines the Instructor class, which serves as a blueprint for creating instructor objects.
+ */
+
+import { normalizeText, checkRequiredText, checkEmail, collectErrors } from "./validation.js";
+
+/**
+ * The maximum lengths of the instructor text fields.
+ * @type {{name: number, bio: number}}
+ */
+export const INSTRUCTOR_LIMITS = {
+    name: 100,
+    bio: 1000,
+};
+
+/**
+ * Represents an Instructor in the application.
+ * Courses reference instructors through their `instructorId` property, and instructor accounts
+ * are linked to the profile with their email, which is why no two profiles may share one.
+ * Values read from forms are trimmed on construction.
+ */
+export default class Instructor {
+    /**
+     * Creates an instance of an Instructor.
+     * @param {string} name - The instructor's full name.
+     * @param {string} email - The instructor's contact email address.
+     * @param {string} [bio=""] - A short biography shown in the admin dashboard.
+     */
+    constructor(name, email, bio = "") {
+        this.name = normalizeText(name);
+        this.email = normalizeText(email);
+        this.bio = normalizeText(bio);
+    }
+
+    /**
+     * Checks the instructor data.
+     * @param {object} [options={}]
+     * @param {string|number|null} [options.instructorId=null] - The ID of the instructor, when editing an existing one.
+     * @param {Array<object>} [options.instructors] - Every instructor, to check that no other one has the same email
+     * (compared without case). The email is not checked against other instructors when omitted.
+     * @returns {Object.<string, string>} The error message of each invalid field. Empty if the instructor is valid.
+     */
+    validate({ instructorId = null, instructors } = {}) {
+        return collectErrors({
+            name: checkRequiredText(this.name, "Name", INSTRUCTOR_LIMITS.name),
+            email: checkEmail(this.email) || (instructors && findInstructorByEmail(instructors, this.email, instructorId)
+                ? "Another instructor already has this email."
+                : null),
+            bio: this.bio.length > INSTRUCTOR_LIMITS.bio ? `Bio must be at most ${INSTRUCTOR_LIMITS.bio} characters long.` : null,
+        });
+    }
+}
+
+/**
+ * Finds the instructor with an email, compared without case.
+ * @param {Array<object>} instructors - The instructors to search.
+ * @param {string} email - The email to look for.
+ * @param {string|number|null} [exceptId=null] - An instructor to leave out (e.g., the one being edited).
+ * @returns {object|undefined} The instructor, if any.
+ */
+export function findInstructorByEmail(instructors, email, exceptId = null) {
+    const wanted = normalizeText(email).toLowerCase();
+    return instructors.find(instructor =>
+        instructor.id != exceptId && normalizeText(instructor.email).toLowerCase() === wanted);
+}
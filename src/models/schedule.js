@@ -0,0 +1,243 @@
+/**
+ * @file Rules for course schedules: a start date, an end date and weekly sessions.
+ * Dates are local calendar days written "YYYY-MM-DD", and session times are local "HH:MM",
+ * so a course meets at the same wall-clock time whatever the time zone of the viewer.
+ * A session is `{ day, startTime, endTime }`, where `day` is a weekday as numbered by
+ * `Date#getDay` (0 is Sunday). Courses without dates have no schedule yet.
+ */
+
+/**
+ * The short names of the weekdays, indexed like `Date#getDay` (0 is Sunday).
+ * @type {Array<string>}
+ */
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * How sessions are written in forms and files: a weekday (full or abbreviated) and a time range.
+ * @type {RegExp}
+ */
+const SESSION_PATTERN = /^(sun|mon|tue|wed|thu|fri|sat)[a-z]*\s+(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/i;
+
+/**
+ * @typedef {object} Session
+ * @property {number} day - The weekday, as numbered by `Date#getDay` (0 is Sunday).
+ * @property {string} startTime - When the session starts ("HH:MM").
+ * @property {string} endTime - When the session ends ("HH:MM"), later than `startTime`.
+ */
+
+/**
+ * Writes a local date as "YYYY-MM-DD".
+ * @param {Date} date - The date.
+ * @returns {string} The calendar day.
+ */
+export function toDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Reads a "YYYY-MM-DD" calendar day as a local date, at midnight.
+ * @param {string} dateString - The calendar day.
+ * @returns {Date} The date.
+ */
+export function parseDateString(dateString) {
+    const [year, month, day] = dateString.split("-").map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Normalizes a date read from a form or a file.
+ * @param {*} value - The raw value.
+ * @returns {string|null} The "YYYY-MM-DD" day, an empty string if no date was given,
+ * or `null` if the value is not a real day (e.g., "2026-02-30").
+ */
+export function normalizeDate(value) {
+    const text = value === null || value === undefined ? "" : String(value).trim();
+    if (!text) return "";
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+    return toDateString(parseDateString(text)) === text ? text : null;
+}
+
+/**
+ * Normalizes a time of day, padding the hour ("9:30" becomes "09:30").
+ * @param {string|number} hours - The hours.
+ * @param {string|number} minutes - The minutes.
+ * @returns {string|null} The "HH:MM" time, or `null` if it is not a real time.
+ */
+function normalizeTime(hours, minutes) {
+    const h = Number(hours);
+    const m = Number(minutes);
+    if (!Number.isInteger(h) || !Number.isInteger(m) || h > 23 || m > 59) return null;
+    return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+}
+
+/**
+ * Checks one session, given as an object (e.g., from a JSON file) or as text ("Mon 18:00-20:00").
+ * @param {object|string} value - The raw session.
+ * @returns {Session|null} The normalized session, or `null` if it is invalid or ends before it starts.
+ */
+function normalizeSession(value) {
+    let session = null;
+    if (typeof value === "string") {
+        const match = value.trim().match(SESSION_PATTERN);
+        if (match) {
+            session = {
+                day: WEEKDAYS.findIndex(name => name.toLowerCase() === match[1].toLowerCase()),
+                startTime: normalizeTime(match[2], match[3]),
+                endTime: normalizeTime(match[4], match[5])
+            };
+        }
+    } else if (value && typeof value === "object") {
+        const [startHours, startMinutes] = String(value.startTime || "").split(":");
+        const [endHours, endMinutes] = String(value.endTime || "").split(":");
+        session = {
+            day: Number(value.day),
+            startTime: normalizeTime(startHours, startMinutes),
+            endTime: normalizeTime(endHours, endMinutes)
+        };
+    }
+    if (!session || !WEEKDAYS[session.day] || !session.startTime || !session.endTime) return null;
+    return session.startTime < session.endTime ? session : null;
+}
+
+/**
+ * Normalizes the weekly sessions of a course, given as an array (of objects or text)
+ * or as comma-separated text ("Mon 18:00-20:00, Wed 18:00-20:00").
+ * @param {*} value - The raw sessions.
+ * @returns {Array<Session>|null} The sessions, sorted by weekday and time (empty if none were given),
+ * or `null` if any of them is invalid.
+ */
+export function normalizeSessions(value) {
+    if (value === null || value === undefined) return [];
+    const items = Array.isArray(value)
+        ? value
+        : String(value).split(",").filter(item => item.trim() !== "");
+    const sessions = items.map(normalizeSession);
+    if (sessions.includes(null)) return null;
+    return sessions.sort((a, b) => a.day - b.day || a.startTime.localeCompare(b.startTime));
+}
+
+/**
+ * Writes sessions as text, in the format `normalizeSessions` reads.
+ * @param {Array<Session>|null} [sessions] - The sessions. Missing or invalid sessions are written as nothing.
+ * @returns {string} The sessions (e.g., "Mon 18:00-20:00, Wed 18:00-20:00").
+ */
+export function formatSessions(sessions) {
+    return (sessions || []).map(session => `${WEEKDAYS[session.day]} ${session.startTime}-${session.endTime}`).join(", ");
+}
+
+/**
+ * Checks the schedule fields of a course. The schedule is optional, but once it is given
+ * both dates are required, the end cannot come before the start, and sessions need dates.
+ * @param {object} schedule - The normalized fields.
+ * @param {string|null} schedule.startDate - See `normalizeDate`.
+ * @param {string|null} schedule.endDate - See `normalizeDate`.
+ * @param {Array<Session>|null} schedule.sessions - See `normalizeSessions`.
+ * @returns {{startDate: string|null, endDate: string|null, sessions: string|null}} The error message of each field.
+ */
+export function checkSchedule({ startDate, endDate, sessions }) {
+    const isScheduled = Boolean(startDate || endDate || (sessions && sessions.length > 0));
+    const checkDate = (date, label) => {
+        if (date === null) return `${label} is not a valid date.`;
+        if (!date && isScheduled) return `${label} is required for a scheduled course.`;
+        return null;
+    };
+    const errors = {
+        startDate: checkDate(startDate, "Start date"),
+        endDate: checkDate(endDate, "End date"),
+        sessions: sessions === null
+            ? "Write each session as a weekday and a time range, separated by commas (e.g., \"Mon 18:00-20:00, Wed 18:00-20:00\"). Sessions must end after they start."
+            : null
+    };
+    if (!errors.startDate && !errors.endDate && startDate && endDate < startDate) {
+        errors.endDate = "End date cannot be before the start date.";
+    }
+    return errors;
+}
+
+/**
+ * Returns whether a course has a schedule (its dates are set).
+ * @param {object} course - The course.
+ * @returns {boolean} `true` if the course has a start and an end date.
+ */
+export function hasSchedule(course) {
+    return Boolean(course.startDate && course.endDate);
+}
+
+/**
+ * Returns whether enrollment in a course is closed because it has started.
+ * The server applies the same rule; courses without a start date are always open.
+ * @param {object} course - The course.
+ * @param {string} [today] - The current day ("YYYY-MM-DD"). Defaults to today.
+ * @returns {boolean} `true` if the course starts today or started before.
+ */
+export function isEnrollmentClosed(course, today = toDateString(new Date())) {
+    return Boolean(course.startDate) && course.startDate <= today;
+}
+
+/**
+ * Returns the sessions a course holds on a given day.
+ * @param {object} course - The course.
+ * @param {string} date - The day ("YYYY-MM-DD").
+ * @returns {Array<Session>} The sessions of that day, in time order. Empty outside the course dates.
+ */
+export function getSessionsOn(course, date) {
+    if (!hasSchedule(course) || date < course.startDate || date > course.endDate) return [];
+    const day = parseDateString(date).getDay();
+    return (course.sessions || []).filter(session => session.day === day);
+}
+
+/**
+ * Returns whether a weekday falls between two days at least once.
+ * @param {number} day - The weekday (0 is Sunday).
+ * @param {string} from - The first day ("YYYY-MM-DD").
+ * @param {string} to - The last day ("YYYY-MM-DD").
+ * @returns {boolean} `true` if one of the days between them is that weekday.
+ */
+function includesWeekday(day, from, to) {
+    const date = parseDateString(from);
+    for (let i = 0; i < 7 && toDateString(date) <= to; i++) {
+        if (date.getDay() === day) return true;
+        date.setDate(date.getDate() + 1);
+    }
+    return false;
+}
+
+/**
+ * Finds the sessions of a course that meet at the same time as sessions of other courses,
+ * on days when both courses run.
+ * @param {object} course - The course the student wants to join.
+ * @param {Array<object>} otherCourses - The student's courses.
+ * @returns {Array<{course: object, session: Session}>} Each clashing course, with the first session that clashes.
+ */
+export function findScheduleClashes(course, otherCourses) {
+    if (!hasSchedule(course)) return [];
+    return otherCourses
+        .filter(other => other.id != course.id && hasSchedule(other))
+        .map(other => {
+            const from = course.startDate > other.startDate ? course.startDate : other.startDate;
+            const to = course.endDate < other.endDate ? course.endDate : other.endDate;
+            if (from > to) return null; // The courses never run at the same time
+            const session = (course.sessions || []).find(session => (other.sessions || []).some(otherSession =>
+                otherSession.day === session.day
+                && session.startTime < otherSession.endTime
+                && otherSession.startTime < session.endTime
+                && includesWeekday(session.day, from, to)
+            ));
+            return session ? { course: other, session } : null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Describes the schedule of a course in one line, for cards and detail pages.
+ * @param {object} course - The course.
+ * @returns {string} E.g. "Nov 2, 2026 - Dec 18, 2026 · Mon 18:00-20:00", or "To be announced".
+ */
+export function describeSchedule(course) {
+    if (!hasSchedule(course)) return "To be announced";
+    const format = date => parseDateString(date).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+    const sessions = formatSessions(course.sessions);
+    return `${format(course.startDate)} - ${format(course.endDate)}${sessions ? ` · ${sessions}` : ""}`;
+}
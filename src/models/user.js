@@ -1,8 +1,25 @@
-
 /**
  * @file Defines the User class, which serves as a blueprint for creating user objects.
  */
 
+import { normalizeText, checkEmail, collectErrors } from "./validation.js";
+
+/**
+ * The minimum length of a new password.
+ * @type {number}
+ */
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * The roles a user can have, with the name shown for each.
+ * @type {Object.<string, string>}
+ */
+export const USER_ROLES = {
+    student: "Student",
+    instructor: "Instructor",
+    administrator: "Administrator",
+};
+
 /**
  * Represents a User in the application.
  * This class ensures that every new user object has a consistent structure.
@@ -10,13 +27,42 @@
 export default class User {
     /**
      * Creates an instance of a User.
-     * @param {string} email - The user's email address.
-     * @param {string} password - The user's raw password.
+     * @param {string} email - The user's email address. Surrounding spaces are removed.
+     * @param {string} password - The user's raw password, kept exactly as typed.
      * @param {string} [role="student"] - The user's role. Defaults to 'student' for all new registrations.
      */
     constructor(email, password, role = "student") {
-        this.email = email;
+        this.email = normalizeText(email);
         this.password = password;
         this.role = role; // Default role is 'student'
     }
-}
\ No newline at end of file
+
+    /**
+     * Checks the credentials.
+     * @param {object} [options={}]
+     * @param {boolean} [options.checkStrength=true] - Whether the password must meet the strength rules.
+     * Only new passwords are checked; logging in just requires one.
+     * @returns {Object.<string, string>} The error message of each invalid field. Empty if the user is valid.
+     */
+    validate({ checkStrength = true } = {}) {
+        return collectErrors({
+            email: checkEmail(this.email),
+            password: checkStrength ? this.checkPasswordStrength() : (this.password ? null : "Password is required."),
+        });
+    }
+
+    /**
+     * Checks that the password is long enough and mixes letters and numbers.
+     * @returns {string|null} The error message, or `null` if the password is strong enough.
+     */
+    checkPasswordStrength() {
+        const password = this.password || "";
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+        }
+        if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+            return "Password must contain at least one letter and one number.";
+        }
+        return null;
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * @file Shared rules used by the models to validate and normalize their data.
+ * Validation results are plain objects mapping a field name to an error message,
+ * so forms can show each message next to its field.
+ */
+
+/**
+ * A pragmatic email check: something@something.tld, without spaces.
+ * @type {RegExp}
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Trims a text value, treating `null` and `undefined` as an empty string.
+ * @param {*} value - The raw value (usually read from a form input).
+ * @returns {string} The trimmed text.
+ */
+export function normalizeText(value) {
+    return value === null || value === undefined ? "" : String(value).trim();
+}
+
+/**
+ * Parses an integer, returning `NaN` for anything that is not a whole number ("10.5", "ten"...).
+ * Unlike `parseInt`, trailing garbage is not silently dropped.
+ * @param {*} value - The raw value.
+ * @returns {number} The integer, or `NaN`.
+ */
+export function normalizeInteger(value) {
+    const text = normalizeText(value);
+    return /^-?\d+$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Checks a required text field and its maximum length.
+ * @param {string} value - The normalized value.
+ * @param {string} label - The name of the field, as shown to the user.
+ * @param {number} maxLength - The maximum number of characters.
+ * @returns {string|null} The error message, or `null` if the value is valid.
+ */
+export function checkRequiredText(value, label, maxLength) {
+    if (!value) return `${label} is required.`;
+    if (value.length > maxLength) return `${label} must be at most ${maxLength} characters long.`;
+    return null;
+}
+
+/**
+ * Checks a required email address.
+ * @param {string} value - The normalized value.
+ * @returns {string|null} The error message, or `null` if the value is valid.
+ */
+export function checkEmail(value) {
+    if (!value) return "Email is required.";
+    if (!EMAIL_PATTERN.test(value)) return "Enter a valid email address (e.g., name@example.com).";
+    return null;
+}
+
+/**
+ * Builds a validation result from a list of checks, leaving out the fields that passed.
+ * @param {Object.<string, string|null>} checks - The message returned by the check of each field.
+ * @returns {Object.<string, string>} The error message of each invalid field. Empty if everything is valid.
+ */
+export function collectErrors(checks) {
+    return Object.fromEntries(Object.entries(checks).filter(([, message]) => message));
+}
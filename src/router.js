@@ -1,54 +1,418 @@
 
 // --- IMPORTS ---
-import { handleLogin, handleRegister } from "./controllers/authController.js";
+import { handleLogin, handleRegister, changePassword } from "./controllers/authController.js";
+import { getAllUsers } from "./controllers/userController.js";
+import { getCourseRoster } from "./controllers/courseController.js";
+import { getCourseContent, getMyProgress } from "./controllers/contentController.js";
+import { getMyGrades } from "./controllers/assessmentController.js";
 import { isAuthenticated, logOut, getCurrentUser} from "./auth.js";
-import { getAllCourses, createCourse, deleteCourse, getAllInstructors, enrollInCourse, updateCourse, unenrollFromCourse } from "./controllers/courseController.js";
+import { subscribe, releaseViewSubscriptions, getSyncStatus, getCachedCourse, loadCourses, loadCourse, loadInstructors, createCourse, updateCourse, updateCourseDescription, archiveCourse, restoreCourse, deleteCourse, enrollInCourse, unenrollFromCourse, joinWaitlist, leaveWaitlist } from "./services/store.js";
 import Course from "./models/course.js";
+import Instructor from "./models/instructor.js";
+import { computeFinalGrade, formatPercentage } from "./models/assessment.js";
+import User from "./models/user.js";
+import { collectErrors } from "./models/validation.js";
+import { formatSessions, describeSchedule, isEnrollmentClosed, findScheduleClashes, hasSchedule } from "./models/schedule.js";
+import { findEligibilityProblems, describeEligibilityRules } from "./models/eligibility.js";
+import { listLessons, findNextLesson } from "./models/courseContent.js";
+import { cancelPendingRequests, ClientError } from "./services/apiClient.js";
+import { notifySuccess, notifyError, notifyInfo, reportError } from "./services/notifications.js";
+import { html, render, toElement, renderKeyedList } from "./components/template.js";
+import { CourseCard } from "./components/courseCard.js";
+import { ContentOutline, LessonProgress } from "./components/contentOutline.js";
+import { ActionButton } from "./components/actionButton.js";
+import { showFormErrors, clearFormErrors, FORM_ERROR } from "./components/formErrors.js";
+import { confirmAction } from "./components/confirmDialog.js";
+import { initializeContentEditor } from "./views/courseContent.js";
+import { initializeLessonView } from "./views/lesson.js";
+import { initializeGradebook } from "./views/gradebook.js";
+import { initializeGradesView } from "./views/grades.js";
+import { initializeQuizView } from "./views/quiz.js";
+import { initializeAuditView } from "./views/audit.js";
+import { initializeUsersView } from "./views/users.js";
+import { initializeAnalyticsView } from "./views/analytics.js";
+import { initializeInstructorsView } from "./views/instructors.js";
+import { initializeCalendarView } from "./views/calendar.js";
+import { initializeInstructorDashboard } from "./views/instructorDashboard.js";
+import { initializeRosterPanel } from "./views/roster.js";
+import { initializeCourseTransfer } from "./views/courseTransfer.js";
 
 // --- MODULE-LEVEL VARIABLES ---
 
 /**
- * Maps URL paths to their corresponding HTML view files.
- * This object acts as the single source of truth for routing configuration.
- * @type {Object.<string, string>}
+ * @typedef {object} RouteConfig
+ * @property {string} view - The absolute path to the HTML view file.
+ * @property {function(object|null, Object.<string, string>): void} [initializer] - Runs after the view is
+ * loaded; receives the current user and the route parameters.
+ * @property {boolean} [requiresAuth=false] - Guests are sent to "/login".
+ * @property {Array<string>} [roles] - Roles allowed to open the route. Implies `requiresAuth`.
+ * @property {boolean} [guestOnly=false] - Authenticated users are sent away (e.g., login/register).
+ * @property {string} [layout] - A CSS class applied to the body while the route is active.
+ * @property {string} [redirect] - Where users who fail the role or guest check are sent.
+ * Defaults to the home route of the user's role (see `getHomeRouteFor`).
+ */
+
+/**
+ * The routing table. Each entry declares its view, initializer and access rules,
+ * and `handleLocation` enforces them generically: adding a protected page only
+ * requires a new entry here.
+ * Paths may contain named parameters (e.g. ":id"), which are extracted by `matchRoute`.
+ * View paths are absolute so they resolve correctly from nested URLs like "/courses/5".
+ * @type {Object.<string, RouteConfig>}
  */
 const routes = {
-    "/": "src/views/home.html",
-    "/login": "src/views/login.html",
-    "/register": "src/views/register.html",
-    "/tasks": "src/views/task.html", // admin/student dashboard
-    "/student-dashboard": "src/views/student-dashboard.html",
-    "/404": "src/views/404.html",
+    "/": { view: "/src/views/home.html" },
+    "/home": { view: "/src/views/home.html" }, // Alias for the root
+    "/login": {
+        view: "/src/views/login.html",
+        initializer: initializeLoginForm,
+        guestOnly: true,
+    },
+    "/register": {
+        view: "/src/views/register.html",
+        initializer: initializeRegisterForm,
+        guestOnly: true,
+    },
+    "/change-password": {
+        view: "/src/views/change-password.html",
+        initializer: initializeChangePasswordForm,
+        requiresAuth: true,
+    },
+    "/tasks": {
+        view: "/src/views/task.html", // admin course management
+        initializer: initializeTasksView,
+        roles: ["administrator"],
+        layout: "dashboard-view",
+    },
+    "/student-dashboard": {
+        view: "/src/views/student-dashboard.html",
+        initializer: initializeStudentDashboard,
+        roles: ["student"],
+        layout: "dashboard-view",
+    },
+    "/my-calendar": {
+        view: "/src/views/calendar.html",
+        initializer: initializeCalendarView,
+        roles: ["student"],
+        layout: "dashboard-view",
+    },
+    "/my-grades": {
+        view: "/src/views/grades.html",
+        initializer: initializeGradesView,
+        roles: ["student"],
+        layout: "dashboard-view",
+    },
+    "/courses/:id/quizzes/:assessmentId": {
+        view: "/src/views/quiz.html",
+        initializer: initializeQuizView,
+        roles: ["student"],
+        layout: "dashboard-view",
+    },
+    "/courses/:id/gradebook": {
+        view: "/src/views/gradebook.html",
+        initializer: initializeGradebook, // Instructors may only open the gradebook of the courses they teach
+        roles: ["administrator", "instructor"],
+        layout: "dashboard-view",
+    },
+    "/instructor-dashboard": {
+        view: "/src/views/instructor-dashboard.html",
+        initializer: initializeInstructorDashboard,
+        roles: ["instructor"],
+        layout: "dashboard-view",
+    },
+    "/instructors": {
+        view: "/src/views/instructors.html",
+        initializer: initializeInstructorsView,
+        roles: ["administrator"],
+        layout: "dashboard-view",
+    },
+    "/courses/:id": {
+        view: "/src/views/course-detail.html",
+        initializer: initializeCourseDetail,
+        requiresAuth: true, // Any role; the actions depend on the role
+        layout: "dashboard-view",
+    },
+    "/courses/:id/content/edit": {
+        view: "/src/views/course-content.html",
+        initializer: initializeContentEditor, // Instructors may only edit the courses they teach
+        roles: ["administrator", "instructor"],
+        layout: "dashboard-view",
+    },
+    "/courses/:id/lessons/:lessonId": {
+        view: "/src/views/lesson.html",
+        initializer: initializeLessonView,
+        requiresAuth: true, // Any role; the server only serves lessons to the people of the course
+        layout: "dashboard-view",
+    },
+    "/admin/courses/:id/edit": {
+        view: "/src/views/course-edit.html",
+        initializer: initializeCourseEdit,
+        roles: ["administrator"],
+        layout: "dashboard-view",
+    },
+    "/instructor/courses/:id/edit": {
+        view: "/src/views/course-edit.html",
+        initializer: initializeCourseEdit, // Only the description can be edited
+        roles: ["instructor"],
+        layout: "dashboard-view",
+    },
+    "/admin/analytics": {
+        view: "/src/views/analytics.html",
+        initializer: initializeAnalyticsView,
+        roles: ["administrator"],
+        layout: "dashboard-view",
+    },
+    "/admin/audit": {
+        view: "/src/views/audit.html",
+        initializer: initializeAuditView,
+        roles: ["administrator"],
+        layout: "dashboard-view",
+    },
+    "/admin/users": {
+        view: "/src/views/users.html",
+        initializer: initializeUsersView,
+        roles: ["administrator"],
+        layout: "dashboard-view",
+    },
+    "/404": { view: "/src/views/404.html" },
 }
 
+/**
+ * The landing route of each role, used when a route does not declare its own `redirect`.
+ * @type {Object.<string, string>}
+ */
+const roleHomeRoutes = {
+    administrator: "/tasks",
+    instructor: "/instructor-dashboard",
+    student: "/student-dashboard",
+}
+
+/**
+ * The number of courses shown per page in the filtered course lists.
+ * @type {number}
+ */
+const COURSES_PAGE_SIZE = 6;
+
+/**
+ * The input IDs of the course fields in the admin dashboard form, for inline validation errors.
+ * @type {Object.<string, string>}
+ */
+const COURSE_FORM_FIELDS = {
+    title: "course-title",
+    description: "course-description",
+    category: "course-category",
+    capacity: "course-capacity",
+    instructorId: "course-instructor",
+    startDate: "course-start-date",
+    endDate: "course-end-date",
+    sessions: "course-sessions",
+    prerequisites: "course-prerequisites",
+    maxConcurrentEnrollments: "course-max-enrollments"
+};
+
+/**
+ * The input IDs of the course fields in the course edit view.
+ * @type {Object.<string, string>}
+ */
+const COURSE_EDIT_FORM_FIELDS = {
+    title: "edit-course-title",
+    description: "edit-course-description",
+    category: "edit-course-category",
+    capacity: "edit-course-capacity",
+    instructorId: "edit-course-instructor",
+    startDate: "edit-course-start-date",
+    endDate: "edit-course-end-date",
+    sessions: "edit-course-sessions",
+    prerequisites: "edit-course-prerequisites",
+    maxConcurrentEnrollments: "edit-course-max-enrollments"
+};
+
+/**
+ * The input IDs of the login form fields.
+ * @type {Object.<string, string>}
+ */
+const LOGIN_FORM_FIELDS = { email: "email", password: "password" };
+
+/**
+ * The input IDs of the registration form fields.
+ * @type {Object.<string, string>}
+ */
+const REGISTER_FORM_FIELDS = { email: "register-email", password: "register-password" };
+
+/**
+ * The input IDs of the change password form fields.
+ * @type {Object.<string, string>}
+ */
+const CHANGE_PASSWORD_FORM_FIELDS = {
+    currentPassword: "current-password",
+    newPassword: "new-password",
+    confirmPassword: "confirm-password"
+};
+
+/**
+ * The enrollment actions offered to students, with their confirmation and the action that undoes them.
+ * Leaving a waitlist has no undo: joining again would put the student at the back of the queue.
+ * Actions with a `clashLabel` first warn about schedule clashes with the student's courses.
+ * @type {Object.<string, {run: function(string|number): Promise<object>, message: string, undo: string|null, clashLabel?: string}>}
+ */
+const ENROLLMENT_ACTIONS = {
+    enroll: { run: enrollInCourse, message: "You are enrolled in", undo: "unenroll", clashLabel: "Enroll Anyway" },
+    unenroll: { run: unenrollFromCourse, message: "You left", undo: "enroll" },
+    joinWaitlist: { run: joinWaitlist, message: "You joined the waitlist of", undo: "leaveWaitlist", clashLabel: "Join Anyway" },
+    leaveWaitlist: { run: leaveWaitlist, message: "You left the waitlist of", undo: null }
+};
+
+/**
+ * The sessionStorage key under which the location a guest tried to open is kept
+ * until they log in. sessionStorage keeps it scoped to the current tab.
+ * @type {string}
+ */
+const INTENDED_LOCATION_KEY = "intendedLocation";
+
 /**
  * The main DOM element where all views will be rendered.
  * @type {HTMLElement}
  */
 const appRoot = document.getElementById("app-root"); 
 
+// Keep the navbar in sync with the session (login, logout, expired token)
+subscribe("user", renderNavbar, { keepAlive: true });
+// Keep the offline indicator in sync with the API connection and the offline outbox
+subscribe("connection", renderConnectionStatus, { keepAlive: true });
+subscribe("sync", reportSyncStatus, { keepAlive: true });
+
 // --- CORE ROUTER LOGIC ---
 
 /**
  * Fetches the HTML content of a view and injects it into the app's root container.
  * If the view cannot be fetched, it loads the 404 page as a fallback.
- * @param {string} viewPath - The path to the HTML view file (e.g., "src/views/login.html").
+ * @param {string} viewPath - The path to the HTML view file (e.g., "/src/views/login.html").
  */
 async function loadView(viewPath) {
     try {
         const response = await fetch(viewPath);
         if (!response.ok) throw new Error("View not found");
 
-        const html = await response.text();
-        appRoot.innerHTML = html;
+        // View files ship with the app, so their markup is trusted as is
+        appRoot.innerHTML = await response.text();
     } catch (error) {
         console.error("Failed to load view: ", error);
         // Fallback to 404 page on any error
-        const response404 = await fetch(routes["/404"]);
+        const response404 = await fetch(routes["/404"].view);
         appRoot.innerHTML = await response404.text();
     }
 }
 
+/**
+ * Finds the route pattern that matches a URL path and extracts its parameters.
+ * Static routes are checked first, so "/tasks" never competes with a pattern.
+ * @param {string} path - The URL path to match (e.g., "/courses/5").
+ * @returns {{route: string, params: Object.<string, string>}|null} The matched route pattern
+ * and its parameters (e.g., `{ route: "/courses/:id", params: { id: "5" } }`), or `null` if nothing matches.
+ */
+function matchRoute(path) {
+    if (routes[path]) return { route: path, params: {} };
+
+    for (const pattern of Object.keys(routes)) {
+        const paramNames = [];
+        // Turn "/courses/:id" into the regex source "/courses/([^/]+)", remembering the names
+        const regexSource = pattern.replace(/:([A-Za-z_]+)/g, (_, name) => {
+            paramNames.push(name);
+            return "([^/]+)";
+        });
+        if (paramNames.length === 0) continue; // Static routes were already checked
+
+        const match = path.match(new RegExp(`^${regexSource}/?$`));
+        if (match) {
+            const params = {};
+            try {
+                paramNames.forEach((name, index) => {
+                    params[name] = decodeURIComponent(match[index + 1]);
+                });
+            } catch {
+                continue; // A malformed escape (e.g., "/courses/%E0") matches nothing, so the 404 view is shown
+            }
+            return { route: pattern, params };
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the landing route for a user: their role's dashboard, or "/login" for guests.
+ * @param {object|null} user - The current user, or `null` for guests.
+ * @returns {string} The path to navigate to.
+ */
+function getHomeRouteFor(user) {
+    if (!user) return "/login";
+    return roleHomeRoutes[user.role] || "/";
+}
+
+/**
+ * Checks a route's access rules against the current user.
+ * @param {RouteConfig} route - The route configuration to check.
+ * @param {object|null} user - The current user, or `null` for guests.
+ * @returns {string|null} The path the user must be redirected to, or `null` if access is granted.
+ */
+function getRedirectFor(route, user) {
+    // Guests trying to access protected routes
+    if (!user && (route.requiresAuth || route.roles)) {
+        return "/login";
+    }
+    // Users asked by an administrator to reset their password must do it first (the server refuses everything else)
+    if (user && user.passwordResetRequired && route !== routes["/change-password"]) {
+        return "/change-password";
+    }
+    // Authenticated users trying to access guest-only routes (login/register)
+    if (user && route.guestOnly) {
+        return route.redirect || getHomeRouteFor(user);
+    }
+    // Authenticated users without one of the allowed roles
+    if (user && route.roles && !route.roles.includes(user.role)) {
+        return route.redirect || getHomeRouteFor(user);
+    }
+    return null;
+}
+
+/**
+ * Remembers the location (path and query string) a guest tried to open,
+ * so the login form can send them back there afterwards.
+ * @param {string} location - The requested location (e.g., "/courses/5?tab=info").
+ */
+function rememberIntendedLocation(location) {
+    sessionStorage.setItem(INTENDED_LOCATION_KEY, location);
+}
+
+/**
+ * Returns where a user should land after logging in, and forgets the remembered location.
+ * The remembered location is only used if the user's role is allowed to open it;
+ * otherwise the user goes to their role's home route.
+ * @param {object} user - The user who just logged in.
+ * @returns {string} The location to navigate to.
+ */
+function consumeIntendedLocation(user) {
+    const location = sessionStorage.getItem(INTENDED_LOCATION_KEY);
+    sessionStorage.removeItem(INTENDED_LOCATION_KEY);
+    if (!location) return getHomeRouteFor(user);
+
+    // Check the access rules of the remembered route against the new user
+    const { pathname } = new URL(location, window.location.origin);
+    const matched = matchRoute(pathname);
+    if (!matched || getRedirectFor(routes[matched.route], user)) {
+        return getHomeRouteFor(user);
+    }
+    return location;
+}
+
+/**
+ * Loads the 404 view into the app's root container.
+ * Used by initializers whose route matched but whose resource (e.g., a course ID) does not exist,
+ * including those of the view modules (`views/*.js`).
+ */
+export async function renderNotFound() {
+    await loadView(routes["/404"].view);
+}
+
 /**
  * Navigates the SPA to a new path without a full page reload.
  * It updates the browser's history and then triggers the location handler.
@@ -62,93 +426,49 @@ export function navigateTo(path) {
 }
 
 /**
- * The main routing function. It determines the current path, checks user
- * authentication and roles, and then loads the appropriate view and its
- * associated logic. This function acts as the central controller for the application's UI.
+ * The main routing function. It resolves the current path against the routing table,
+ * enforces the route's access rules, and then loads the view and its associated logic.
+ * This function acts as the central controller for the application's UI.
  */
 export async function handleLocation() {
+    // Requests and store subscriptions of the view we are leaving are no longer needed
+    cancelPendingRequests();
+    releaseViewSubscriptions();
+
     const path = window.location.pathname;
     const isAuth = isAuthenticated();
-    const user = getCurrentUser();
-
-    // Dynamically update the navbar and body class on every route change
-    renderNavbar();
-    updateBodyClass(path);
-
-    // --- AUTHENTICATION GUARDS ---
-    // Protect routes based on authentication status.
-
-    // Unauthenticated users trying to access protected routes
-    if (!isAuth && (path === "/tasks" || path === "/student-dashboard")) {
-        console.log("Access Denied: Not authenticated. Redirecting to /login.");
-        navigateTo("/login");
+    const user = isAuth ? getCurrentUser() : null;
+
+    // Resolve the path to a route, e.g. "/courses/5" -> "/courses/:id" with params { id: "5" }.
+    // Anything that doesn't match renders the 404 page.
+    const matched = matchRoute(path);
+    const route = matched ? routes[matched.route] : routes["/404"];
+    const params = matched ? matched.params : {};
+
+    // --- ACCESS GUARDS ---
+    const redirectPath = getRedirectFor(route, user);
+    if (redirectPath) {
+        // Guests sent to the login page come back here, query string included, once logged in
+        if (!user && redirectPath === "/login") {
+            rememberIntendedLocation(path + window.location.search);
+        }
+        console.log(`Access Denied for ${path}. Redirecting to ${redirectPath}.`);
+        navigateTo(redirectPath);
         return; // Stop execution to allow redirection to complete
     }
-    // Authenticated users trying to access guest-only routes (login/register)
-    if (isAuth && (path === "/login" || path === "/register")) {
-        console.log("Access Denied: Already authenticated. Redirecting to dashboard.");
-        navigateTo("/tasks"); // Redirect to the generic '/tasks' and let it resolve to the correct dashboard
-        return; // Stop execution
-    }
-
-    // --- ROUTE RESOLUTION ---
-    // Determine which view to load based on the path and user role.
-    let viewPath;
-    let viewInitializer = null; // A function to run after the view is loaded
-
-    switch (path) {
-        case "/":
-        case "/home": // Allow /home as an alias for the root
-            viewPath = routes["/"];
-            break;
-
-        case "/login":
-            viewPath = routes["/login"];
-            viewInitializer = initializeLoginForm;
-            break;
-
-        case "/register":
-            viewPath = routes["/register"];
-            viewInitializer = initializeRegisterForm;
-            break;
-
-        case "/tasks":
-            // This route is role-dependent
-            if (isAuth && user.role === "administrator") {
-                viewPath = routes["/tasks"];
-                viewInitializer = () => initializeTasksView(user);
-            } else if (isAuth && user.role === "student") {
-                // Students are automatically redirected from the generic /tasks to their specific dashboard
-                navigateTo("/student-dashboard");
-                return; // Stop execution to allow the new navigation to take over
-            }
-            break;
-
-        case "/student-dashboard":
-            // This route is specifically for students
-            if (isAuth && user.role === "student") {
-                viewPath = routes["/student-dashboard"];
-                viewInitializer = () => initializeStudentDashboard(user);
-            } else {
-                // Any other user (guest or admin) trying to access this is redirected
-                navigateTo(isAuth ? "/tasks" : "/login");
-                return; // Stop execution
-            }
-            break;
 
-        default:
-            // If no other route matches, render the 404 page
-            viewPath = routes["/404"];
-            break;
-    }
+    // Dynamically update the navbar, offline indicator and body class on every route change
+    renderNavbar();
+    renderConnectionStatus();
+    updateBodyClass(route.layout);
 
     // --- VIEW RENDERING AND LOGIC INITIALIZATION ---
-    await loadView(viewPath);
+    await loadView(route.view);
     
-    // If an initializer function was assigned for the route, execute it now.
+    // If the route declares an initializer, execute it now.
     // This ensures that the view's HTML is in the DOM before we try to attach listeners.
-    if (viewInitializer) {
-        viewInitializer();
+    if (route.initializer) {
+        route.initializer(user, params);
     }
 
     // Dynamically add the logout button if the user is authenticated.
@@ -160,6 +480,7 @@ export async function handleLocation() {
 
 // --- VIEW-SPECIFIC INITIALIZERS ---
 // These functions contain the logic for a specific view. They are called by handleLocation.
+// The larger views have their own module next to their markup (e.g., `views/lesson.js`), imported above.
 
 /**
  * Attaches the submit event listener to the login form.
@@ -171,20 +492,76 @@ function initializeLoginForm() {
 
     form.addEventListener('submit', async (event) => {
         event.preventDefault(); // Prevent page reload
-        const email = form.querySelector("#email").value;
-        const password = form.querySelector("#password").value;
+        const credentials = new User(form.querySelector("#email").value, form.querySelector("#password").value);
+        // Existing passwords may predate the strength rules, so only check that one was typed
+        if (showFormErrors(form, credentials.validate({ checkStrength: false }), LOGIN_FORM_FIELDS)) return;
 
         // Call our controller to handle the login process
-        const success = await handleLogin(email, password); 
+        let success;
+        try {
+            success = await handleLogin(credentials.email, credentials.password); 
+        } catch (error) {
+            if (error instanceof ClientError && error.code === "ACCOUNT_DEACTIVATED") {
+                showFormErrors(form, { [FORM_ERROR]: error.message }, LOGIN_FORM_FIELDS);
+            } else {
+                reportError(error, "Could not log in.");
+            }
+            return;
+        }
 
         if (success) {
-            navigateTo("/tasks");// Redirect to the main dashboard hub
+            // Return to the page the user originally requested, or to their dashboard
+            navigateTo(consumeIntendedLocation(getCurrentUser()));
         } else {
-            alert("Invalid credentials. Please try again");
+            showFormErrors(form, { [FORM_ERROR]: "Invalid email or password. Please try again." }, LOGIN_FORM_FIELDS);
         }
     });
 }
 
+/**
+ * Attaches the submit event listener to the change password form.
+ * Users whose password was reset by an administrator are sent here until they choose a new one.
+ * @param {object} user - The currently logged-in user object.
+ */
+function initializeChangePasswordForm(user) {
+    const form = document.getElementById("change-password-form");
+    if (!form) return;
+    document.getElementById("password-reset-note").hidden = !user.passwordResetRequired;
+
+    form.addEventListener("submit", async (event) => {
+        event.preventDefault();
+        const currentPassword = form.querySelector("#current-password").value;
+        const newPassword = form.querySelector("#new-password").value;
+
+        // The new password follows the same rules as at registration
+        const errors = {};
+        if (!currentPassword) errors.currentPassword = "Current password is required.";
+        const strengthError = new User(user.email, newPassword).checkPasswordStrength();
+        if (strengthError) {
+            errors.newPassword = strengthError;
+        } else if (newPassword === currentPassword) {
+            errors.newPassword = "The new password must be different from the current one.";
+        }
+        if (form.querySelector("#confirm-password").value !== newPassword) {
+            errors.confirmPassword = "The passwords do not match.";
+        }
+        if (showFormErrors(form, errors, CHANGE_PASSWORD_FORM_FIELDS)) return;
+
+        try {
+            await changePassword(currentPassword, newPassword);
+        } catch (error) {
+            if (error instanceof ClientError && error.status === 400) {
+                showFormErrors(form, { [FORM_ERROR]: error.message }, CHANGE_PASSWORD_FORM_FIELDS);
+            } else {
+                reportError(error, "Could not change the password.");
+            }
+            return;
+        }
+        notifySuccess("Your password was changed.");
+        navigateTo(getHomeRouteFor(getCurrentUser()));
+    });
+}
+
 /**
  * Attaches the submit event listener to the registration form.
  */
@@ -194,60 +571,139 @@ function initializeRegisterForm() {
 
   form.addEventListener("submit", async (event) => {
     event.preventDefault();
-    const email = form.querySelector("#register-email").value;
-    const password = form.querySelector("#register-password").value;
+    const newUser = new User(form.querySelector("#register-email").value, form.querySelector("#register-password").value);
+    if (showFormErrors(form, newUser.validate(), REGISTER_FORM_FIELDS)) return;
 
     // Call the controller to handle the registration
-    const success = await handleRegister(email, password);
-
-    if (success) {
-      alert("Registration successful! Please log in.");
-      
-      navigateTo("/login"); // On success, redirect the user to the login page
-    } 
-    // Error alerts are handled within handleRegister
+    try {
+      await handleRegister(newUser.email, newUser.password);
+    } catch (error) {
+      if (error instanceof ClientError && error.status === 409) {
+        // A taken email is explained by the server's message, next to the email field
+        showFormErrors(form, { email: error.message }, REGISTER_FORM_FIELDS);
+      } else {
+        reportError(error, "Registration failed.");
+      }
+      return;
+    }
+
+    notifySuccess("Registration successful! Please log in.");
+    navigateTo("/login"); // On success, redirect the user to the login page
   });
 }
 
 /**
  * Initializes the entire Admin Course Management dashboard.
  * Fetches data, renders courses, and sets up all event listeners for the view.
+ * Course cards are re-rendered individually when the store reports a change.
+ * Active and archived courses are listed in separate tabs: deleting a course archives it,
+ * and only archived courses can be restored or purged (after a confirmation).
  * @param {object} user - The currently logged-in administrator user object.
  */
 async function initializeTasksView(user) {
     const courseListElement = document.getElementById("course-list");
     const courseForm = document.getElementById("course-form");
-    if (!courseListElement || !courseForm) return;  // Safety check
+    const filterForm = document.getElementById("course-filters");
+    const paginationElement = document.getElementById("course-pagination");
+    const tabList = document.querySelector(".course-tabs");
+    const prerequisiteSelect = document.getElementById("course-prerequisites");
+    if (!courseListElement || !courseForm || !filterForm || !paginationElement || !tabList || !prerequisiteSelect) return;  // Safety check
+    // Imported courses may change the current page
+    const courseTransfer = initializeCourseTransfer(loadAdminDashboard);
+    if (!courseTransfer) return;
+
+    // The tab, search, filters, sort and page live in the URL so the view can be bookmarked
+    const filters = readCourseFiltersFromUrl();
+    // The IDs of the courses on the current page; the courses themselves are read from the store
+    let displayedCourseIds = [];
+    // The IDs of every course, which can be chosen as prerequisites
+    let allCourseIds = [];
+    let instructors = [];
 
     // --- NESTED HELPER FUNCTIONS for the Admin View ---
 
-    /** Renders the list of courses into the DOM. */
-    function renderCourses(courses) {
-        courseListElement.innerHTML = "";
-        courses.forEach(course => { 
-            const courseElement = document.createElement("div");
-            courseElement.classList.add("course-card");
-            courseElement.innerHTML = `
-                <h3>${course.title}</h3>
-                <p>${course.description}</p>
-                <p><strong>Category:</strong> ${course.category}</p>
-                <div class="actions">
-                    <button class="edit-btn" data-id="${course.id}">Edit</button>
-                    <button class="delete-btn" data-id="${course.id}">Delete</button>
-                </div>
-            `;
-            courseListElement.appendChild(courseElement);
+    /** Builds the card of a single course, with the actions of its tab. */
+    function renderCourseCard(course) {
+        // Resolve the instructor's name from the ID stored on the course
+        const instructor = instructors.find(i => i.id == course.instructorId);
+        const details = [
+            { label: "Category", value: course.category },
+            { label: "Instructor", value: instructor ? instructor.name : "Unassigned" },
+            { label: "Schedule", value: describeSchedule(course) },
+            { label: "Enrolled", value: `${course.enrolledStudents.length} / ${course.capacity}` },
+        ];
+        if (course.archived) {
+            return CourseCard({
+                course,
+                details,
+                actions: [
+                    ActionButton({ label: "Restore", className: "restore-btn", data: { id: course.id } }),
+                    ActionButton({ label: "Export Roster", className: "roster-btn", data: { id: course.id } }),
+                    ActionButton({ label: "Delete Permanently", className: "delete-btn purge-btn", data: { id: course.id } }),
+                ],
+            });
+        }
+        return CourseCard({
+            course,
+            details,
+            actions: [
+                ActionButton({ label: "Edit", className: "edit-btn", data: { id: course.id }, disabled: course.pending }),
+                ActionButton({ label: "Export Roster", className: "roster-btn", data: { id: course.id }, disabled: course.pending }),
+                ActionButton({ label: "Archive", className: "delete-btn archive-btn", data: { id: course.id }, disabled: course.pending }),
+            ],
+        });
+    }
+
+    /**
+     * Renders the courses of the current page, replacing only the cards that changed.
+     * Courses archived or restored meanwhile leave the tab at once.
+     */
+    function renderCourses() {
+        const courses = displayedCourseIds.map(getCachedCourse)
+            .filter(course => course && Boolean(course.archived) === filters.archived);
+        const emptyMessage = filters.archived ? "No archived courses match your filters." : "No courses match your filters.";
+        renderKeyedList(courseListElement, courses, renderCourseCard, emptyMessage);
+    }
+
+    /** Marks the tab of the current list (active or archived courses) as selected. */
+    function renderTabs() {
+        tabList.querySelectorAll(".tab-btn").forEach(tab => {
+            tab.setAttribute("aria-selected", String(tab.dataset.archived === String(filters.archived)));
         });
     }
 
+    /** Switches between the active and the archived courses. */
+    function handleTabClick(event) {
+        const tab = event.target.closest(".tab-btn");
+        if (!tab) return;
+        const archived = tab.dataset.archived === "true";
+        if (archived === filters.archived) return;
+
+        Object.assign(filters, { archived, page: 1 });
+        writeCourseFiltersToUrl(filters);
+        renderTabs();
+        loadAdminDashboard();
+    }
+
+    /** Returns every course from the store, for the prerequisites. */
+    function getAllCachedCourses() {
+        return allCourseIds.map(getCachedCourse).filter(Boolean);
+    }
+
+    /** Fills the prerequisites select, keeping the choice of a form being filled in by default. */
+    function populatePrerequisites(selectedIds = readSelectedValues(prerequisiteSelect)) {
+        populatePrerequisiteSelect(prerequisiteSelect, getAllCachedCourses(), courseForm.dataset.editingId || null, selectedIds);
+    }
+
     /** Populates the 'instructor' select dropdown with data from the API. */
     function populateInstructorSelect(instructors) {
         const instructorSelect = document.getElementById("course-instructor");
         if (!instructorSelect) return;
 
-        // Clean the options first 
+        // Clean the options first
         // Save the first option ("Please choose..."")
         const placeholderOption = instructorSelect.options[0];
+        const selectedId = instructorSelect.value; // Keep the choice of a form being filled in
         instructorSelect.innerHTML = ""; // Delete all the options
         instructorSelect.appendChild(placeholderOption); // Add the placeholder again
 
@@ -257,13 +713,16 @@ async function initializeTasksView(user) {
             option.textContent = instructor.name; // The text shown will be the name
             instructorSelect.appendChild(option);
         });
-    }   
+        instructorSelect.value = selectedId;
+    }
 
     /** Resets the course form to its default state after a create or update action. */
     function resetCourseForm() {
         courseForm.reset();
+        clearFormErrors(courseForm);
         courseForm.removeAttribute("data-editing-id"); // Removes the editing state indicator
         courseForm.querySelector("button[type='submit']").textContent = "Create Course"; // Resets button text
+        populatePrerequisites([]); // The course that was edited can be a prerequisite again
 
         // Find and remove the cancel button if it exists
         const cancelButton = courseForm.querySelector(".cancel-btn");
@@ -274,63 +733,145 @@ async function initializeTasksView(user) {
 
     /** Handles form submission for both creating and updating courses. */
     async function handleCourseFormSubmit(event) {
-        event.preventDefault(); 
+        event.preventDefault();
         const editingId = courseForm.dataset.editingId; // Read the ID that was saved
 
         // Get the values from the form inputs
-        // Select each input by its unique ID
-        const title = document.getElementById("course-title").value;
-        const description = document.getElementById("course-description").value;
-        const category = document.getElementById("course-category").value;
-        const capacity = document.getElementById("course-capacity").value;
-        const instructorId = document.getElementById("course-instructor").value;
-
-        const courseData = { title, description, category, capacity, instructorId}; 
-
-        let success = false;
-        if (editingId) {
-            // --- UPDATE MOOD ---
-            const updatedCourse = await updateCourse(editingId, courseData);
-            if (updatedCourse) success = true;
-        } else {
-            // --- CREATE MOOD ---
-            const newCourse = new Course(title, description, category, capacity, instructorId);
-            const createdCourse = await createCourse(newCourse);
-            if (createdCourse) success = true;
+        // Select each input by its unique ID; the model trims them and converts the numbers
+        const course = new Course(
+            document.getElementById("course-title").value,
+            document.getElementById("course-description").value,
+            document.getElementById("course-category").value,
+            document.getElementById("course-capacity").value,
+            document.getElementById("course-instructor").value,
+            {
+                startDate: document.getElementById("course-start-date").value,
+                endDate: document.getElementById("course-end-date").value,
+                sessions: document.getElementById("course-sessions").value
+            },
+            {
+                prerequisites: readSelectedValues(prerequisiteSelect),
+                maxConcurrentEnrollments: document.getElementById("course-max-enrollments").value
+            }
+        );
+        // An edited course cannot drop below the students it already has
+        const editedCourse = editingId ? getCachedCourse(editingId) : null;
+        const enrolledCount = editedCourse ? editedCourse.enrolledStudents.length : 0;
+        const errors = course.validate({ enrolledCount, courseId: editingId || null, courses: getAllCachedCourses() });
+        if (showFormErrors(courseForm, errors, COURSE_FORM_FIELDS)) return;
+
+        try {
+            if (editingId) {
+                // --- UPDATE MOOD ---
+                // The card is re-rendered by the store subscription, no reload needed
+                const updatedCourse = await updateCourse(editingId, course.getEditableFields());
+                resetCourseForm();
+                notifySaved(updatedCourse, `"${updatedCourse.title}" was updated.`);
+            } else {
+                // --- CREATE MOOD ---
+                const createdCourse = await createCourse(course);
+                resetCourseForm();
+                if (createdCourse.pending) {
+                    // Queued offline: show its placeholder until the outbox is replayed
+                    displayedCourseIds.push(createdCourse.id);
+                    renderCourses();
+                } else {
+                    loadAdminDashboard(); // The new course may change the current page
+                }
+                notifySaved(createdCourse, `"${createdCourse.title}" was created.`);
+            }
+        } catch (error) {
+            reportError(error, "Could not save the course.");
         }
+    }
 
-        if (success) {
-            resetCourseForm();
-            loadAdminDashboard(); // Recharge the view
-        } else {
-            alert("Operation failed. Please check the console.");
-        } 
+    /**
+     * Archives a course, keeping its enrollments. The card leaves the tab at once
+     * and comes back if the server refuses.
+     */
+    async function archive(courseId) {
+        let course;
+        try {
+            course = await archiveCourse(courseId);
+        } catch (error) {
+            reportError(error, "Could not archive the course.");
+            return;
+        }
+        notifySuccess(`"${course.title}" was archived. Students can no longer find it in the catalog.`, {
+            actions: [{ label: "Undo", onClick: () => restore(courseId) }]
+        });
     }
 
-    /** Handles clicks on the 'Edit' and 'Delete' buttons within the course list. */
+    /** Restores an archived course to the catalog. */
+    async function restore(courseId) {
+        let course;
+        try {
+            course = await restoreCourse(courseId);
+        } catch (error) {
+            reportError(error, "Could not restore the course.");
+            return;
+        }
+        notifySuccess(`"${course.title}" was restored.`);
+    }
+
+    /** Deletes an archived course for good, once the administrator confirms it. */
+    async function purge(courseId) {
+        const course = getCachedCourse(courseId);
+        if (!course) return;
+        const confirmed = await confirmAction({
+            title: `Delete "${course.title}" permanently?`,
+            message: `The course and the enrollments of its ${course.enrolledStudents.length} student(s) will be lost. This cannot be undone.`,
+            confirmLabel: "Delete Permanently"
+        });
+        if (!confirmed) return;
+
+        try {
+            // The card disappears at once and comes back if the server refuses
+            await deleteCourse(courseId);
+        } catch (error) {
+            reportError(error, "Could not delete the course.");
+            return;
+        }
+        notifySuccess(`"${course.title}" was deleted permanently.`);
+    }
+
+    /** Handles clicks on the 'Edit', 'Roster', 'Archive', 'Restore' and 'Delete Permanently' buttons within the course list. */
     async function handleCourseListClick(event) {
-        if (event.target.matches(".delete-btn")) {
-            const courseId = event.target.dataset.id;
-            const success = await deleteCourse(courseId);
-            if (success) {
-                loadAdminDashboard(); // Reload the list
-            }
+        if (event.target.matches(".roster-btn")) {
+            courseTransfer.exportRoster(event.target.dataset.id);
+        } else if (event.target.matches(".archive-btn")) {
+            archive(event.target.dataset.id);
+        } else if (event.target.matches(".restore-btn")) {
+            restore(event.target.dataset.id);
+        } else if (event.target.matches(".purge-btn")) {
+            purge(event.target.dataset.id);
         } else if (event.target.matches(".edit-btn")) {
             const courseId = event.target.dataset.id;
-            // Get all the courses to find the one to edit
-            const courses = await getAllCourses();
-            const courseToEdit = courses.find(c => c.id == courseId);
+            // The course is on screen, so the store already has it
+            let courseToEdit;
+            try {
+                courseToEdit = await loadCourse(courseId);
+            } catch (error) {
+                reportError(error, "Could not load the course.");
+                return;
+            }
             if (courseToEdit) {
+                clearFormErrors(courseForm); // Errors of the course edited before no longer apply
                 // Fill the form with the course data
                 document.getElementById("course-title").value = courseToEdit.title;
                 document.getElementById("course-description").value = courseToEdit.description;
                 document.getElementById("course-category").value = courseToEdit.category;
                 document.getElementById("course-capacity").value = courseToEdit.capacity;
                 document.getElementById("course-instructor").value = courseToEdit.instructorId;
-            
-                // Save the course"s ID that was editted 
+                document.getElementById("course-start-date").value = courseToEdit.startDate || "";
+                document.getElementById("course-end-date").value = courseToEdit.endDate || "";
+                document.getElementById("course-sessions").value = formatSessions(courseToEdit.sessions);
+                document.getElementById("course-max-enrollments").value = courseToEdit.maxConcurrentEnrollments ?? "";
+
+                // Save the course"s ID that was editted
                 courseForm.setAttribute("data-editing-id", courseId);
-            
+                populatePrerequisites(courseToEdit.prerequisites || []); // A course cannot require itself
+
                 // Change the text on the form button
                 courseForm.querySelector("button[type='submit']").textContent = "Update Course";
 
@@ -339,11 +880,9 @@ async function initializeTasksView(user) {
             }
             // Check if cancel button already exists to avoid duplicates
             if (!courseForm.querySelector(".cancel-btn")) {
-                const cancelButton = document.createElement("button");
-                cancelButton.type = "button"; // Important to prevent form submission
-                cancelButton.textContent = "Cancel";
-                cancelButton.classList.add("cancel-btn");
-        
+                // ActionButtons are type="button", important to prevent form submission
+                const cancelButton = toElement(ActionButton({ label: "Cancel", className: "cancel-btn" }));
+
                 cancelButton.addEventListener("click", () => {
                 resetCourseForm(); // Reset the form
                 });
@@ -356,143 +895,872 @@ async function initializeTasksView(user) {
 
     /** Main function to fetch all necessary data and render the admin dashboard. */
     async function loadAdminDashboard() {
-        // Fetch courses and instructors in parallel for better performance
-        const [courses, instructors] = await Promise.all([
-            getAllCourses(),
-            getAllInstructors()
-        ]);
-    
-        renderCourses(courses);
+        // Fetch the current page of courses, every course (for the prerequisites) and the instructors in parallel
+        let courses, total, allCourses;
+        try {
+            [{ courses, total }, { courses: allCourses }, instructors] = await Promise.all([
+                loadCourses({ ...filters, limit: COURSES_PAGE_SIZE }),
+                loadCourses({}),
+                loadInstructors()
+            ]);
+        } catch (error) {
+            reportError(error, "Could not load the courses.", loadAdminDashboard);
+            return;
+        }
+
+        displayedCourseIds = courses.map(course => course.id);
+        allCourseIds = allCourses.map(course => course.id);
+        renderCourses();
         populateInstructorSelect(instructors);
+        populatePrerequisites();
+        populateFilterInstructors(filterForm, instructors, filters.instructorId);
+        renderPagination(paginationElement, filters.page, total);
     }
 
     // --- ATTACH EVENT LISTENERS for the Admin View ---
+    tabList.addEventListener("click", handleTabClick);
     courseListElement.addEventListener("click", handleCourseListClick);
     courseForm.addEventListener("submit", handleCourseFormSubmit);
-    
+    bindCourseFilters(filterForm, filters, loadAdminDashboard);
+    bindPagination(paginationElement, filters, loadAdminDashboard);
+    subscribe("courses", renderCourses);
+    subscribe("sync", ({ applied }) => {
+        if (applied) loadAdminDashboard(); // Replayed offline changes may add courses to the page
+    });
+    subscribe("instructors", (updatedInstructors) => {
+        instructors = updatedInstructors;
+        renderCourses();
+        populateInstructorSelect(instructors);
+    });
+
     // --- INITIAL DATA LOAD ---
+    renderTabs();
     loadAdminDashboard();
 }
 
 /**
  * Initializes the entire Student Dashboard.
- * Fetches all courses and renders two lists: "Available Courses" and "My Enrolled Courses".
+ * Fetches all courses and renders three lists: "Available Courses", "My Enrolled Courses"
+ * and "My Waitlisted Courses". Enrollment actions update the lists at once through the store.
  * @param {object} user - The currently logged-in student user object.
  */
 async function initializeStudentDashboard(user) {
     const availableCoursesElement = document.getElementById("student-course-list");
     const myCoursesElement = document.getElementById("my-courses-list");
-    if (!availableCoursesElement || !myCoursesElement) return; 
+    const waitlistElement = document.getElementById("my-waitlist-list");
+    const filterForm = document.getElementById("course-filters");
+    const paginationElement = document.getElementById("course-pagination");
+    if (!availableCoursesElement || !myCoursesElement || !waitlistElement || !filterForm || !paginationElement) return;
+
+    // The search, filters, sort and page of the catalog live in the URL so the view can be bookmarked
+    const filters = readCourseFiltersFromUrl();
+    // The IDs of the catalog page, and of every course this view has seen. The student's own
+    // lists are derived from the latter, so enrolling moves a card without a reload.
+    let catalogCourseIds = [];
+    const knownCourseIds = new Set();
+    // The student's progress through the lessons of each of their courses, by course ID
+    let progressByCourse = new Map();
+    // The assessments and grades of each of the student's courses, by course ID
+    let gradesByCourse = new Map();
 
     // --- NESTED HELPER FUNCTIONS for the Student View ---
 
-    /** Renders the list of all courses available for enrollment. */
-    function renderAvailableCourses(courses, currentUser) {
-        availableCoursesElement.innerHTML = "";
-        courses.forEach(course => {
-            // A student can enroll of they are not already enrolled and there is capacity.
-            const isEnrolled = course.enrolledStudents.includes(currentUser.id);
-            const hasCapacity = course.enrolledStudents.length < course.capacity; 
-
-            const courseCard = document.createElement("div");
-            courseCard.classList.add("course-card");
-            courseCard.innerHTML = `
-                <h3>${course.title}</h3>
-                <p>${course.description}</p>
-                <p><strong>Enrolled:<strong> ${course.enrolledStudents.length} / ${course.capacity}</p>
-                <div class="actions">
-                    <button class="enroll-btn" data-course-id="${course.id}" 
-                        ${isEnrolled || !hasCapacity ? "disabled" : ""}>
-                        ${isEnrolled ? "Already Enrolled" : (hasCapacity ? "Enroll" : "Full")}
-                    </button>
-                </div>
-            `;
-            availableCoursesElement.appendChild(courseCard);
-        });
+    /** Returns every course this view has seen from the store, for the student's lists and the eligibility rules. */
+    function getKnownCourses() {
+        return [...knownCourseIds].map(getCachedCourse).filter(Boolean);
     }
 
-    /** Renders the list of courses the current student is enrolled in. */
-    function renderMyCourses(courses, currentUser) {
-        myCoursesElement.innerHTML = ""; 
-        const enrolledCourses = courses.filter(course => course.enrolledStudents.includes(currentUser.id));
+    /** Builds the catalog card of a course, with the action that fits the student. */
+    function renderAvailableCourseCard(course) {
+        // A student can enroll of they are not already enrolled and there is capacity.
+        const isEnrolled = course.enrolledStudents.includes(user.id);
+        const hasCapacity = course.enrolledStudents.length < course.capacity;
+        // Full courses offer the waitlist instead
+        const isWaitlisted = (course.waitlist || []).includes(user.id);
+        // Courses that have started take no more students, not even on the waitlist
+        const isClosed = !isEnrolled && !isWaitlisted && isEnrollmentClosed(course);
+        // Neither can students who do not meet its eligibility rules, who are told why
+        const problems = isEnrolled || isWaitlisted || isClosed ? [] : findEligibilityProblems(course, user.id, getKnownCourses());
+        const details = [
+            { label: "Schedule", value: describeSchedule(course) },
+            { label: "Enrolled", value: `${course.enrolledStudents.length} / ${course.capacity}` },
+        ];
+
+        let action;
+        if (isClosed) {
+            action = ActionButton({ label: "Enrollment Closed", className: "enroll-btn", data: { courseId: course.id }, disabled: true });
+        } else if (problems.length > 0) {
+            action = ActionButton({ label: "Not Eligible", className: "enroll-btn", data: { courseId: course.id }, disabled: true });
+            details.push({ label: "Why you cannot enroll", value: problems.join(" ") });
+        } else if (!isEnrolled && !hasCapacity) {
+            action = ActionButton({
+                label: isWaitlisted ? "On Waitlist" : "Full - Join Waitlist",
+                className: "waitlist-btn",
+                data: { courseId: course.id },
+                disabled: isWaitlisted,
+            });
+        } else {
+            action = ActionButton({
+                label: isEnrolled ? "Already Enrolled" : "Enroll",
+                className: "enroll-btn",
+                data: { courseId: course.id },
+                disabled: isEnrolled,
+            });
+        }
+        return CourseCard({ course, details, actions: action });
+    }
 
-        if (enrolledCourses.length === 0) {
-            myCoursesElement.innerHTML = "<p>You are not enrolled in any courses yet.</p>";
-            return;
+    /**
+     * Builds the card of a course the student is enrolled in, with their progress, a link to their
+     * next lesson, and their grade so far.
+     */
+    function renderEnrolledCourseCard(course) {
+        const progress = progressByCourse.get(String(course.id));
+        const gradebook = gradesByCourse.get(String(course.id));
+        const details = [{ label: "Schedule", value: describeSchedule(course) }];
+        if (progress) {
+            details.push({ label: "Progress", value: LessonProgress({ completed: progress.completedCount, total: progress.lessonCount }) });
+        }
+        if (gradebook && gradebook.assessments.length > 0) {
+            const { percentage, gradedCount } = computeFinalGrade(gradebook.assessments, gradebook.grades);
+            details.push({
+                label: "Grade",
+                value: html`${formatPercentage(percentage)} (${gradedCount} of ${gradebook.assessments.length} graded) <a href="/my-grades">Details</a>`
+            });
         }
+        return CourseCard({
+            course,
+            details,
+            actions: html`
+                ${progress && progress.nextLessonId !== null && html`
+                    <a class="edit-btn" href="/courses/${course.id}/lessons/${progress.nextLessonId}">${progress.completedCount > 0 ? "Continue" : "Start"}</a>
+                `}
+                ${ActionButton({
+                    label: "Unenroll",
+                    className: "unenroll-btn",
+                    data: { courseId: course.id },
+                    disabled: course.pending,
+                })}
+            `,
+        });
+    }
 
-        enrolledCourses.forEach(course => {
-            const courseCard = document.createElement("div");
-            courseCard.classList.add("course-card");
-            courseCard.innerHTML =  `
-                <h3>${course.title}</h3>
-                <p>${course.description}</p>
-                <button class="unenroll-btn" data-course-id="${course.id}">Unenroll</button>
-            `;
-            myCoursesElement.appendChild(courseCard);
+    /** Builds the card of a course whose waitlist the student is on, with their position. */
+    function renderWaitlistedCourseCard(course) {
+        const position = course.waitlist.indexOf(user.id) + 1;
+        return CourseCard({
+            course,
+            showDescription: false,
+            details: [{ label: "Waitlist position", value: `${position} of ${course.waitlist.length}` }],
+            actions: ActionButton({ label: "Leave Waitlist", className: "leave-waitlist-btn", data: { courseId: course.id } }),
         });
     }
 
-    /** Handles the click on an 'Enroll' button. */
+    /** Renders the three lists from the store, replacing only the cards that changed. */
+    function renderDashboard() {
+        const catalogCourses = catalogCourseIds.map(getCachedCourse).filter(course => course && !course.archived);
+        const knownCourses = getKnownCourses();
+        const enrolledCourses = knownCourses.filter(course => course.enrolledStudents.includes(user.id));
+        const waitlistedCourses = knownCourses.filter(course => (course.waitlist || []).includes(user.id));
+
+        renderKeyedList(availableCoursesElement, catalogCourses, renderAvailableCourseCard, "No courses match your filters.");
+        renderKeyedList(myCoursesElement, enrolledCourses, renderEnrolledCourseCard, "You are not enrolled in any courses yet.");
+        renderKeyedList(waitlistElement, waitlistedCourses, renderWaitlistedCourseCard, "You are not on any waitlist.");
+    }
+
+    /** Handles the click on an 'Enroll' or 'Join Waitlist' button. */
     async function handleEnrollClick(event) {
-        if (event.target.matches(".enroll-btn")) {
-            const button = event.target;
-            const courseId = button.dataset.courseId;
-            const currentUser = getCurrentUser();
-
-            // Find the course to get its current list of students
-            const courses = await getAllCourses();
-            const courseToEnroll = courses.find(c => c.id == courseId);
-            
-            if (courseToEnroll && currentUser) {
-                const updatedStudents = [...courseToEnroll.enrolledStudents, currentUser.id];
-                const success = await enrollInCourse(courseId, updatedStudents);
-                if (success) {
-                    loadStudentDashboard(); // Reload the entire dashboard
-                }
-            }
+        if (event.target.matches(".enroll-btn, .waitlist-btn")) {
+            const actionName = event.target.matches(".waitlist-btn") ? "joinWaitlist" : "enroll";
+            runEnrollmentAction(actionName, event.target.dataset.courseId);
         }
     }
 
     /** Handles the click on an 'Unenroll' button. */
     async function handleUnenrollClick(event) {
         if (event.target.matches(".unenroll-btn")) {
-            const courseId = event.target.dataset.courseId;
-            const currentUser = getCurrentUser();
-            const courses = await getAllCourses();
-            const courseToUnenroll = courses.find(c => c.id == courseId);
-
-            if (courseToUnenroll && currentUser) {
-                // Create a new  array without the actual user
-                const updatedStudents = courseToUnenroll.enrolledStudents.filter(studentId => studentId !== currentUser.id);
-                const success = await unenrollFromCourse(courseId, updatedStudents);
-                if (success) {
-                    loadStudentDashboard(); // Recharge 
-                }
-            }
+            runEnrollmentAction("unenroll", event.target.dataset.courseId);
+        }
+    }
+
+    /** Handles the click on a 'Leave Waitlist' button. */
+    async function handleLeaveWaitlistClick(event) {
+        if (event.target.matches(".leave-waitlist-btn")) {
+            runEnrollmentAction("leaveWaitlist", event.target.dataset.courseId);
         }
     }
 
     /** Main function to fetch data and render the student dashboard. */
     async function loadStudentDashboard() {
-        const currentUser = getCurrentUser();
-        if (!currentUser) return; // Safety check
-
-        const courses = await getAllCourses();
-        renderAvailableCourses(courses, currentUser);
-        renderMyCourses(courses, currentUser);
+        // Only the filtered page of the catalog is fetched, plus the student's own courses
+        let catalog, enrolled, waitlisted, instructors, progress, grades;
+        try {
+            [catalog, enrolled, waitlisted, instructors, progress, grades] = await Promise.all([
+                // Archived courses stay in the student's own lists, but never in the catalog
+                loadCourses({ ...filters, archived: false, limit: COURSES_PAGE_SIZE }),
+                loadCourses({ enrolledStudent: user.id }),
+                loadCourses({ waitlistedStudent: user.id }),
+                loadInstructors(),
+                // The courses can come from the offline copy, the progress and grades cannot: show the cards without them
+                getMyProgress().catch(() => []),
+                getMyGrades().catch(() => [])
+            ]);
+        } catch (error) {
+            reportError(error, "Could not load your dashboard.", loadStudentDashboard);
+            return;
+        }
+        catalogCourseIds = catalog.courses.map(course => course.id);
+        progressByCourse = new Map(progress.map(entry => [String(entry.courseId), entry]));
+        gradesByCourse = new Map(grades.map(entry => [String(entry.courseId), entry]));
+        [...catalog.courses, ...enrolled.courses, ...waitlisted.courses]
+            .forEach(course => knownCourseIds.add(String(course.id)));
+        // The eligibility rules name the prerequisites, which may not be on this page
+        await loadPrerequisites(catalog.courses, knownCourseIds);
+
+        populateFilterInstructors(filterForm, instructors, filters.instructorId);
+        renderPagination(paginationElement, filters.page, catalog.total);
+        renderDashboard();
     }
 
     // --- ATTACH EVENT LISTENERS for the Student View ---
     availableCoursesElement.addEventListener("click", handleEnrollClick);
     myCoursesElement.addEventListener("click", handleUnenrollClick);
+    bindCourseFilters(filterForm, filters, loadStudentDashboard);
+    bindPagination(paginationElement, filters, loadStudentDashboard);
+    waitlistElement.addEventListener("click", handleLeaveWaitlistClick);
+    subscribe("courses", ({ upserted }) => {
+        upserted.forEach(course => knownCourseIds.add(String(course.id)));
+        renderDashboard();
+    });
+    subscribe("sync", ({ applied }) => {
+        if (applied) loadStudentDashboard();
+    });
 
     // --- INITIAL DATA LOAD ---
     loadStudentDashboard();
 }
 
+/**
+ * Initializes the Course Detail view for a single course.
+ * Shows the full course information and the action that fits the user's role:
+ * enroll/unenroll for students, a link to the edit page for administrators and for the
+ * instructor of the course. Both also see the roster, which only administrators can change.
+ * The outline of the lessons is shown to them and to the enrolled students, with their progress.
+ * Unknown course IDs fall through to the 404 view.
+ * @param {object} user - The currently logged-in user object.
+ * @param {object} params - The route parameters; `params.id` is the course ID.
+ */
+async function initializeCourseDetail(user, params) {
+    const courseId = params.id;
+    const detailElement = document.getElementById("course-detail");
+    const canManageRoster = user.role === "administrator";
+    const rosterPanel = initializeRosterPanel(courseId, canManageRoster);
+    if (!detailElement || !rosterPanel) return; // Safety check
+
+    let instructors = [];
+    // The prerequisites of the course and, for students, their own courses, for the eligibility rules
+    const relatedCourseIds = new Set();
+    let content = null; // The modules and lessons, fetched once the user may open them
+    let isLoadingContent = false;
+
+    /** Whether the user may see the roster of the course: administrators and its instructor. */
+    function canViewRoster(course) {
+        return canManageRoster || (user.role === "instructor" && course.instructorId == user.instructorId);
+    }
+
+    /** Whether the user may open the lessons of the course: those who see the roster, and its students. */
+    function canOpenContent(course) {
+        return canViewRoster(course) || (user.role === "student" && course.enrolledStudents.includes(user.id));
+    }
+
+    /** Renders the course information and the role-specific actions. */
+    function renderCourseDetail(course) {
+        const instructor = instructors.find(i => i.id == course.instructorId);
+        const enrolledCount = course.enrolledStudents.length;
+        document.getElementById("course-detail-title").textContent = course.title;
+        document.getElementById("course-detail-description").textContent = course.description;
+        document.getElementById("course-detail-category").textContent = course.category;
+        document.getElementById("course-detail-instructor").textContent = instructor ? instructor.name : "Unassigned";
+        document.getElementById("course-detail-capacity").textContent = `${enrolledCount} / ${course.capacity}`;
+        document.getElementById("course-detail-schedule").textContent = describeSchedule(course);
+        const relatedCourses = [...relatedCourseIds].map(getCachedCourse).filter(Boolean);
+        document.getElementById("course-detail-requirements").textContent = describeEligibilityRules(course, relatedCourses);
+
+        const actionsElement = document.getElementById("course-detail-actions");
+        const archivedNote = course.archived && html`<p class="archived-note">This course is archived and no longer takes enrollments.</p>`;
+        if (user.role === "administrator") {
+            render(actionsElement, html`
+                ${archivedNote}
+                <a class="edit-btn" href="/admin/courses/${course.id}/edit">Edit Course</a>
+                <a class="edit-btn" href="/courses/${course.id}/gradebook">Gradebook</a>
+            `);
+        } else if (user.role === "instructor") {
+            render(actionsElement, html`
+                ${archivedNote}
+                ${canViewRoster(course) && html`
+                    <a class="edit-btn" href="/instructor/courses/${course.id}/edit">Edit Description</a>
+                    <a class="edit-btn" href="/courses/${course.id}/gradebook">Gradebook</a>
+                `}
+            `);
+        } else if (user.role === "student") {
+            const isEnrolled = course.enrolledStudents.includes(user.id);
+            const hasCapacity = enrolledCount < course.capacity;
+            const waitlist = course.waitlist || [];
+            const waitlistPosition = waitlist.indexOf(user.id) + 1;
+            const problems = isEnrolled || waitlistPosition > 0 ? [] : findEligibilityProblems(course, user.id, relatedCourses);
+
+            if (course.archived && !isEnrolled && waitlistPosition === 0) {
+                render(actionsElement, archivedNote); // Nothing left to do but read about it
+            } else if (isEnrollmentClosed(course) && !isEnrolled && waitlistPosition === 0) {
+                render(actionsElement, html`<p class="archived-note">This course has started and no longer takes enrollments.</p>`);
+            } else if (isEnrolled) {
+                render(actionsElement, ActionButton({ label: "Unenroll", className: "unenroll-btn", disabled: course.pending }));
+            } else if (problems.length > 0) {
+                render(actionsElement, html`
+                    <ul class="eligibility-problems">${problems.map(problem => html`<li>${problem}</li>`)}</ul>
+                    ${ActionButton({ label: "Not Eligible", className: "enroll-btn", disabled: true })}
+                `);
+            } else if (hasCapacity) {
+                render(actionsElement, ActionButton({ label: "Enroll", className: "enroll-btn" }));
+            } else if (waitlistPosition > 0) {
+                render(actionsElement, html`
+                    <p>You are number ${waitlistPosition} of ${waitlist.length} on the waitlist.</p>
+                    ${ActionButton({ label: "Leave Waitlist", className: "leave-waitlist-btn" })}
+                `);
+            } else {
+                render(actionsElement, ActionButton({ label: "Full - Join Waitlist", className: "waitlist-btn" }));
+            }
+        }
+        renderContent(course);
+        if (canViewRoster(course)) rosterPanel.renderRoster(course);
+    }
+
+    /**
+     * Renders the content panel: the outline of the modules and lessons, the progress and next lesson
+     * of students, and the edit link of those who teach the course. Other students are invited to enroll.
+     */
+    function renderContent(course) {
+        const contentElement = document.getElementById("course-content");
+        const progressElement = document.getElementById("course-content-progress");
+        const outlineElement = document.getElementById("course-content-outline");
+        const actionsElement = document.getElementById("course-content-actions");
+        if (!canOpenContent(course)) {
+            content = null; // e.g., after unenrolling
+            contentElement.hidden = user.role !== "student";
+            progressElement.hidden = true;
+            render(outlineElement, html`<p class="empty-list">Enroll in this course to open its lessons.</p>`);
+            render(actionsElement, null);
+            return;
+        }
+        contentElement.hidden = false;
+        if (!content) {
+            progressElement.hidden = true;
+            render(outlineElement, html`<p class="empty-list">Loading the lessons...</p>`);
+            render(actionsElement, null);
+            // Wait for a pending enrollment: the server only serves the lessons once it is confirmed
+            if (!course.pending) loadContent();
+            return;
+        }
+
+        const isStudent = user.role === "student";
+        const nextLesson = isStudent && findNextLesson(content.modules, content.completedLessonIds);
+        progressElement.hidden = !isStudent;
+        if (isStudent) {
+            render(progressElement, LessonProgress({
+                completed: content.completedLessonIds.length,
+                total: listLessons(content.modules).length
+            }));
+        }
+        render(outlineElement, ContentOutline({
+            courseId: course.id,
+            modules: content.modules,
+            completedLessonIds: content.completedLessonIds
+        }));
+        render(actionsElement, html`
+            ${nextLesson && html`
+                <a class="edit-btn" href="/courses/${course.id}/lessons/${nextLesson.id}">${content.completedLessonIds.length > 0 ? "Continue" : "Start"}</a>
+            `}
+            ${canViewRoster(course) && html`<a class="edit-btn" href="/courses/${course.id}/content/edit">Edit Content</a>`}
+        `);
+    }
+
+    /** Fetches the modules and lessons of the course, and the lessons the student completed. */
+    async function loadContent() {
+        if (isLoadingContent) return;
+        isLoadingContent = true;
+        try {
+            content = await getCourseContent(courseId);
+        } catch (error) {
+            reportError(error, "Could not load the lessons of the course.", loadContent);
+            return;
+        } finally {
+            isLoadingContent = false;
+        }
+        const course = getCachedCourse(courseId);
+        if (course) renderContent(course);
+    }
+
+    /** Handles the enroll/unenroll and waitlist buttons of the detail view. */
+    async function handleDetailActionClick(event) {
+        let actionName = null;
+        if (event.target.matches(".enroll-btn")) {
+            actionName = "enroll";
+        } else if (event.target.matches(".unenroll-btn")) {
+            actionName = "unenroll";
+        } else if (event.target.matches(".waitlist-btn")) {
+            actionName = "joinWaitlist";
+        } else if (event.target.matches(".leave-waitlist-btn")) {
+            actionName = "leaveWaitlist";
+        }
+        // The store re-renders the course through the subscription, including after a rollback
+        if (actionName) runEnrollmentAction(actionName, courseId);
+    }
+
+    /**
+     * Fetches the course and its instructor, falling back to the 404 view for unknown IDs.
+     * Administrators also get every user, to enroll students; the instructor of the course gets its roster.
+     * Students also get their own courses, to check the eligibility rules.
+     */
+    async function loadCourseDetail() {
+        let course, users, ownCourses;
+        try {
+            [course, instructors, users, ownCourses] = await Promise.all([
+                loadCourse(courseId),
+                loadInstructors(),
+                canManageRoster ? getAllUsers() : [],
+                user.role === "student" ? loadCourses({ enrolledStudent: user.id }) : { courses: [] }
+            ]);
+            if (course && !canManageRoster && canViewRoster(course)) {
+                users = await getCourseRoster(courseId);
+            }
+            rosterPanel.setStudents(users);
+            ownCourses.courses.forEach(ownCourse => relatedCourseIds.add(String(ownCourse.id)));
+            if (course) await loadPrerequisites([course], relatedCourseIds);
+        } catch (error) {
+            reportError(error, "Could not load the course.", loadCourseDetail);
+            return;
+        }
+        if (!course) {
+            await renderNotFound();
+            return;
+        }
+        renderCourseDetail(course);
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Course Detail View ---
+    document.getElementById("course-detail-actions").addEventListener("click", handleDetailActionClick);
+    subscribe("courses", ({ upserted }) => {
+        const course = upserted.find(c => c.id == courseId);
+        if (course) renderCourseDetail(course);
+    });
+
+    // --- INITIAL DATA LOAD ---
+    loadCourseDetail();
+}
+
+/**
+ * Initializes the Course Edit view for administrators and instructors.
+ * Prefills the form with the course data and saves the changes with `updateCourse`.
+ * Instructors may only edit the description of the courses they teach, saved with `updateCourseDescription`;
+ * the other fields are shown read-only.
+ * Unknown course IDs fall through to the 404 view.
+ * @param {object} user - The currently logged-in administrator or instructor user object.
+ * @param {object} params - The route parameters; `params.id` is the course ID.
+ */
+async function initializeCourseEdit(user, params) {
+    const courseId = params.id;
+    const editForm = document.getElementById("course-edit-form");
+    if (!editForm) return; // Safety check
+    const descriptionOnly = user.role === "instructor";
+
+    let course, instructors, allCourses;
+    try {
+        [course, instructors, { courses: allCourses }] = await Promise.all([
+            loadCourse(courseId),
+            loadInstructors(),
+            loadCourses({}) // The courses that can be prerequisites
+        ]);
+    } catch (error) {
+        reportError(error, "Could not load the course.");
+        return;
+    }
+    if (!course) {
+        await renderNotFound();
+        return;
+    }
+    if (descriptionOnly && course.instructorId != user.instructorId) {
+        notifyError("You can only edit the courses you teach.");
+        navigateTo(`/courses/${course.id}`);
+        return;
+    }
+
+    // Populate the instructor select, keeping the placeholder option
+    const instructorSelect = document.getElementById("edit-course-instructor");
+    instructors.forEach(instructor => {
+        const option = document.createElement("option");
+        option.value = instructor.id;
+        option.textContent = instructor.name;
+        instructorSelect.appendChild(option);
+    });
+
+    // Fill the form with the current course data
+    document.getElementById("edit-course-title").value = course.title;
+    document.getElementById("edit-course-description").value = course.description;
+    document.getElementById("edit-course-category").value = course.category;
+    document.getElementById("edit-course-capacity").value = course.capacity;
+    instructorSelect.value = course.instructorId;
+    document.getElementById("edit-course-start-date").value = course.startDate || "";
+    document.getElementById("edit-course-end-date").value = course.endDate || "";
+    document.getElementById("edit-course-sessions").value = formatSessions(course.sessions);
+    const prerequisiteSelect = document.getElementById("edit-course-prerequisites");
+    populatePrerequisiteSelect(prerequisiteSelect, allCourses, course.id, course.prerequisites || []);
+    document.getElementById("edit-course-max-enrollments").value = course.maxConcurrentEnrollments ?? "";
+    document.getElementById("course-edit-back").setAttribute("href", `/courses/${course.id}`);
+    if (descriptionOnly) {
+        document.getElementById("course-edit-heading").textContent = "Edit Description";
+        Object.entries(COURSE_EDIT_FORM_FIELDS)
+            .filter(([field]) => field !== "description")
+            .forEach(([, inputId]) => { document.getElementById(inputId).disabled = true; });
+    }
+
+    editForm.addEventListener("submit", async (event) => {
+        event.preventDefault();
+        const editedCourse = new Course(
+            document.getElementById("edit-course-title").value,
+            document.getElementById("edit-course-description").value,
+            document.getElementById("edit-course-category").value,
+            document.getElementById("edit-course-capacity").value,
+            instructorSelect.value,
+            {
+                startDate: document.getElementById("edit-course-start-date").value,
+                endDate: document.getElementById("edit-course-end-date").value,
+                sessions: document.getElementById("edit-course-sessions").value
+            },
+            {
+                prerequisites: readSelectedValues(prerequisiteSelect),
+                maxConcurrentEnrollments: document.getElementById("edit-course-max-enrollments").value
+            }
+        );
+        // Read the enrollment at submit time: students may have joined while the form was open
+        const currentCourse = getCachedCourse(course.id) || course;
+        const errors = editedCourse.validate({
+            enrolledCount: currentCourse.enrolledStudents.length,
+            courseId: course.id,
+            courses: allCourses.map(other => getCachedCourse(other.id) || other)
+        });
+        const shownErrors = descriptionOnly ? collectErrors({ description: errors.description }) : errors;
+        if (showFormErrors(editForm, shownErrors, COURSE_EDIT_FORM_FIELDS)) return;
+
+        let updatedCourse;
+        try {
+            updatedCourse = descriptionOnly
+                ? await updateCourseDescription(course.id, editedCourse.description)
+                : await updateCourse(course.id, editedCourse.getEditableFields());
+        } catch (error) {
+            reportError(error, "Could not save the course.");
+            return;
+        }
+        notifySaved(updatedCourse, `"${updatedCourse.title}" was updated.`);
+        navigateTo(`/courses/${course.id}`);
+    });
+}
+
 // --- UI HELPER FUNCTIONS ---
 
+/**
+ * Confirms a saved course. Changes queued offline get an info toast instead,
+ * since they are not saved until the outbox is replayed.
+ * @param {object} course - The course returned by the store.
+ * @param {string} message - The confirmation shown when the server saved the change.
+ */
+function notifySaved(course, message) {
+    if (course.pending) {
+        notifyInfo(`You are offline: "${course.title}" will be saved when the connection is back.`);
+    } else {
+        notifySuccess(message);
+    }
+}
+
+/**
+ * Warns the student when the sessions of a course clash with the courses they are enrolled in.
+ * Clashes are only a warning: the student may go on anyway.
+ * @param {string|number} courseId - The ID of the course the student wants to join.
+ * @param {string} confirmLabel - The text of the button that goes on anyway.
+ * @returns {Promise<boolean>} `true` if there is no clash or the student confirmed.
+ */
+async function confirmScheduleClashes(courseId, confirmLabel) {
+    const user = getCurrentUser();
+    const course = getCachedCourse(courseId);
+    if (!user || !course || !hasSchedule(course)) return true;
+
+    // The student's courses are usually cached; if they cannot be loaded, the server still decides
+    const { courses } = await loadCourses({ enrolledStudent: user.id }).catch(() => ({ courses: [] }));
+    const clashes = findScheduleClashes(course, courses);
+    if (clashes.length === 0) return true;
+    const clashList = clashes
+        .map(clash => `"${clash.course.title}" on ${formatSessions([clash.session])}`)
+        .join(", ");
+    return confirmAction({
+        title: "Schedule clash",
+        message: `"${course.title}" meets at the same time as ${clashList}.`,
+        confirmLabel
+    });
+}
+
+/**
+ * Runs an enrollment action (see `ENROLLMENT_ACTIONS`) and confirms it with an "Undo" button.
+ * The store shows the change at once and undoes it if the server refuses; on a conflict
+ * it also fetches the course again, so only the outcome needs reporting here.
+ * @param {string} actionName - A key of `ENROLLMENT_ACTIONS`.
+ * @param {string|number} courseId - The ID of the course.
+ * @param {object} [options={}]
+ * @param {boolean} [options.checkClashes=true] - Whether to warn about schedule clashes first.
+ * Undoing an action does not warn again.
+ */
+async function runEnrollmentAction(actionName, courseId, { checkClashes = true } = {}) {
+    const action = ENROLLMENT_ACTIONS[actionName];
+    if (checkClashes && action.clashLabel && !(await confirmScheduleClashes(courseId, action.clashLabel))) return;
+    let course;
+    try {
+        course = await action.run(courseId);
+    } catch (error) {
+        reportError(error, "The enrollment request failed.");
+        return;
+    }
+    if (course.pending) {
+        notifyInfo(`You are offline: your enrollment in "${course.title}" will be completed when the connection is back.`);
+        return;
+    }
+    notifySuccess(`${action.message} "${course.title}".`, {
+        actions: action.undo
+            ? [{ label: "Undo", onClick: () => runEnrollmentAction(action.undo, courseId, { checkClashes: false }) }]
+            : []
+    });
+}
+
+/**
+ * Reads the course list filters from the URL query string, so a filtered view can be bookmarked and shared.
+ * @returns {{search: string, category: string, instructorId: string, available: boolean, archived: boolean, sort: string, page: number}}
+ * The filters, in the shape expected by `getCourses`. `archived` selects the tab of the admin dashboard.
+ */
+function readCourseFiltersFromUrl() {
+    const query = new URLSearchParams(window.location.search);
+    return {
+        search: query.get("q") || "",
+        category: query.get("category") || "",
+        instructorId: query.get("instructor") || "",
+        available: query.get("available") === "true",
+        archived: query.get("archived") === "true",
+        sort: query.get("sort") || "",
+        page: Math.max(parseInt(query.get("page"), 10) || 1, 1)
+    };
+}
+
+/**
+ * Writes the course list filters to the URL query string, leaving out empty values.
+ * `replaceState` is used so refining a search doesn't flood the browser history.
+ * @param {object} filters - The filters, as returned by `readCourseFiltersFromUrl`.
+ */
+function writeCourseFiltersToUrl(filters) {
+    const query = new URLSearchParams();
+    if (filters.search) query.set("q", filters.search);
+    if (filters.category) query.set("category", filters.category);
+    if (filters.instructorId) query.set("instructor", filters.instructorId);
+    if (filters.available) query.set("available", "true");
+    if (filters.archived) query.set("archived", "true");
+    if (filters.sort) query.set("sort", filters.sort);
+    if (filters.page > 1) query.set("page", filters.page);
+
+    const queryString = query.toString();
+    window.history.replaceState({}, "", `${window.location.pathname}${queryString ? `?${queryString}` : ""}`);
+}
+
+/**
+ * Fills the instructor select of the `#course-filters` form, keeping the "All instructors" option.
+ * Called on every load of the list, since the instructors come with the courses.
+ * @param {HTMLFormElement} form - The filter form.
+ * @param {Array} instructors - The instructors offered in the filter.
+ * @param {string} selectedId - The instructor currently filtered on, if any.
+ */
+function populateFilterInstructors(form, instructors, selectedId) {
+    const instructorSelect = form.querySelector("#filter-instructor");
+    const allOption = instructorSelect.options[0];
+    instructorSelect.innerHTML = "";
+    instructorSelect.appendChild(allOption);
+
+    instructors.forEach(instructor => {
+        const option = document.createElement("option");
+        option.value = instructor.id;
+        option.textContent = instructor.name;
+        instructorSelect.appendChild(option);
+    });
+    instructorSelect.value = selectedId;
+}
+
+/**
+ * Fills a prerequisites select with the courses that can be required, and selects the given ones.
+ * The course itself and courses waiting to sync are left out; archived courses are marked.
+ * @param {HTMLSelectElement} select - The multiple select.
+ * @param {Array<object>} courses - Every course.
+ * @param {string|number|null} courseId - The ID of the course being edited, or `null` for a new course.
+ * @param {Array<string|number>} selectedIds - The prerequisites to select.
+ */
+function populatePrerequisiteSelect(select, courses, courseId, selectedIds) {
+    render(select, courses
+        .filter(course => course.id != courseId && !course.pending)
+        .map(course => html`<option value="${course.id}">${course.title}${course.archived && " (archived)"}</option>`));
+    Array.from(select.options).forEach(option => {
+        option.selected = selectedIds.some(id => id == option.value);
+    });
+}
+
+/**
+ * Reads the chosen values of a multiple select.
+ * @param {HTMLSelectElement} select - The select.
+ * @returns {Array<string>} The values of the selected options.
+ */
+function readSelectedValues(select) {
+    return Array.from(select.selectedOptions, option => option.value);
+}
+
+/**
+ * Fetches the prerequisites of the given courses that the store does not have yet, so the eligibility
+ * rules can name them. Prerequisites that cannot be fetched (e.g., deleted meanwhile) are skipped.
+ * @param {Array<object>} courses - The courses whose prerequisites are needed.
+ * @param {Set<string>} courseIds - The IDs of the courses the view knows. The prerequisites are added to it.
+ * @returns {Promise<void>} Resolves once every prerequisite was fetched or skipped.
+ */
+async function loadPrerequisites(courses, courseIds) {
+    const prerequisiteIds = new Set(courses.flatMap(course => (course.prerequisites || []).map(String)));
+    await Promise.all([...prerequisiteIds].map(async id => {
+        const prerequisite = await loadCourse(id).catch(() => null);
+        if (prerequisite) courseIds.add(String(prerequisite.id));
+    }));
+}
+
+/**
+ * Wires the `#course-filters` form of the dashboard views.
+ * Fills it from the current filters; on every change it goes back to the first page,
+ * stores the filters in the URL and reloads the list. Typing in the text fields is debounced.
+ * @param {HTMLFormElement} form - The filter form.
+ * @param {object} filters - The current filters. Updated in place.
+ * @param {function(): void} onChange - Reloads the course list.
+ */
+function bindCourseFilters(form, filters, onChange) {
+    const searchInput = form.querySelector("#filter-search");
+    const categoryInput = form.querySelector("#filter-category");
+    const instructorSelect = form.querySelector("#filter-instructor");
+    const sortSelect = form.querySelector("#filter-sort");
+    const availableCheckbox = form.querySelector("#filter-available");
+
+    searchInput.value = filters.search;
+    categoryInput.value = filters.category;
+    instructorSelect.value = filters.instructorId;
+    sortSelect.value = filters.sort;
+    availableCheckbox.checked = filters.available;
+
+    /** Copies the form values into the filters and reloads the first page. */
+    function applyFilters() {
+        Object.assign(filters, {
+            search: searchInput.value.trim(),
+            category: categoryInput.value.trim(),
+            instructorId: instructorSelect.value,
+            sort: sortSelect.value,
+            available: availableCheckbox.checked,
+            page: 1
+        });
+        writeCourseFiltersToUrl(filters);
+        onChange();
+    }
+
+    let typingTimeout;
+    form.addEventListener("input", (event) => {
+        if (event.target.type !== "text") return;
+        // Wait until the user stops typing before querying the API
+        clearTimeout(typingTimeout);
+        typingTimeout = setTimeout(applyFilters, 300);
+    });
+    form.addEventListener("change", (event) => {
+        if (event.target.type === "text") return; // Already handled by the 'input' listener
+        applyFilters();
+    });
+    form.addEventListener("submit", (event) => {
+        event.preventDefault();
+        clearTimeout(typingTimeout);
+        applyFilters();
+    });
+}
+
+/**
+ * Renders the previous/next controls of a paginated list.
+ * @param {HTMLElement} element - The pagination container.
+ * @param {number} page - The current 1-based page.
+ * @param {number} total - The total number of items matching the filters.
+ * @param {number} [pageSize=COURSES_PAGE_SIZE] - The number of items per page.
+ */
+export function renderPagination(element, page, total, pageSize = COURSES_PAGE_SIZE) {
+    const totalPages = Math.ceil(total / pageSize);
+    if (totalPages <= 1) {
+        render(element, "");
+        return;
+    }
+    render(element, html`
+        ${ActionButton({ label: "Previous", className: "page-btn", data: { page: page - 1 }, disabled: page <= 1 })}
+        <span>Page ${page} of ${totalPages}</span>
+        ${ActionButton({ label: "Next", className: "page-btn", data: { page: page + 1 }, disabled: page >= totalPages })}
+    `);
+}
+
+/**
+ * Handles clicks on the pagination controls rendered by `renderPagination`.
+ * @param {HTMLElement} element - The pagination container.
+ * @param {object} filters - The current filters. Their `page` is updated in place.
+ * @param {function(): void} onChange - Reloads the course list.
+ */
+function bindPagination(element, filters, onChange) {
+    element.addEventListener("click", (event) => {
+        if (!event.target.matches(".page-btn")) return;
+        filters.page = parseInt(event.target.dataset.page, 10);
+        writeCourseFiltersToUrl(filters);
+        onChange();
+    });
+}
+
+/**
+ * Shows or hides the `#offline-indicator` banner: offline state, and offline changes waiting to sync.
+ */
+function renderConnectionStatus() {
+    const indicator = document.getElementById("offline-indicator");
+    if (!indicator) return;
+
+    const { online, pending } = getSyncStatus();
+    const pendingText = pending > 0 ? ` ${pending} change(s) will be synced when the connection is back.` : "";
+    if (!online) {
+        indicator.textContent = `You are offline. Showing saved data.${pendingText}`;
+    } else if (pending > 0) {
+        indicator.textContent = `Syncing ${pending} offline change(s)...`;
+    }
+    indicator.hidden = online && pending === 0;
+}
+
+/**
+ * Updates the offline indicator after the outbox changed, and tells the user
+ * about offline changes that could not be applied.
+ * @param {object} status - The sync status sent by the store.
+ * @param {number} [status.applied] - How many offline changes the server accepted.
+ * @param {Array<string>} [status.conflicts] - Why each rejected change no longer applied.
+ */
+function reportSyncStatus({ applied = 0, conflicts = [] }) {
+    renderConnectionStatus();
+    if (applied > 0) {
+        notifySuccess(`${applied} offline change(s) were synced.`);
+    }
+    // Each rejected change gets its own toast, kept until the user has read it
+    conflicts.forEach(message => {
+        notifyError(`An offline change could not be applied: ${message}`, { duration: 0 });
+    });
+}
+
 /**
  * Updates the navigation bar links based on the user's authentication status and role.
  */
@@ -502,21 +1770,21 @@ function renderNavbar() {
 
     const isAuth = isAuthenticated();
     const user = getCurrentUser();
-    let navLinks = ""; // Start with an empty string of HTML links
 
-    if (isAuth) {
-        // --- Navigation for LOGGED-IN users ---
-        navLinks += `<a href="/">Home</a> | `;
-        if (user.role === "administrator") {
-            navLinks += `<a href="/tasks">Course Management</a> | `;
-        } else if (user.role === "student") {
-            navLinks += `<a href="/student-dashboard">My Dashboard</a> | `;
-        }
-    } else {
+    if (!isAuth) {
         // --- Navigation for GUEST users ---
-        navLinks = `<a href="/">Home</a> | <a href="/login">Login</a> | <a href="/register">Register</a>`;
+        render(nav, html`<a href="/">Home</a> | <a href="/login">Login</a> | <a href="/register">Register</a>`);
+        return;
     }
-    nav.innerHTML = navLinks;
+    // --- Navigation for LOGGED-IN users ---
+    render(nav, html`
+        <a href="/">Home</a> |
+        ${user.role === "administrator" && html`
+            <a href="/tasks">Course Management</a> | <a href="/instructors">Instructors</a> | <a href="/admin/users">Users</a> | <a href="/admin/analytics">Analytics</a> | <a href="/admin/audit">Audit Log</a> |
+        `}
+        ${user.role === "instructor" && html`<a href="/instructor-dashboard">My Courses</a> |`}
+        ${user.role === "student" && html`<a href="/student-dashboard">My Dashboard</a> | <a href="/my-calendar">My Calendar</a> | <a href="/my-grades">My Grades</a> |`}
+    `);
 }
 
 /**
@@ -529,9 +1797,7 @@ function addLogoutButton() {
     logoutBtn.id = "logout-btn";
     logoutBtn.textContent = "Logout";
     logoutBtn.addEventListener("click", () => {
-        logOut();
-        // After logging out, the navbar needs to be updated immediately
-        renderNavbar();
+        logOut(); // The navbar follows through its "user" subscription
         navigateTo("/login");
     });
     // Prepending ensures it appears at the top of the main content area
@@ -539,15 +1805,18 @@ function addLogoutButton() {
 }
 
 /**
- * Toggles a specific CSS class on the body element for dashboard views.
- * This allows for custom styling on wider layout pages.
- * @param {string} path - The current window path.
+ * Applies the active route's layout class to the body element (e.g., "dashboard-view"),
+ * removing the class of the previous route. This allows for custom styling on wider layout pages.
+ * @param {string} [layout] - The layout class declared by the route, if any.
  */
-function updateBodyClass(path) {
+function updateBodyClass(layout) {
     const body = document.body;
-    if (path === "/tasks" || path === "/student-dashboard") {
-        body.classList.add("dashboard-view");
-    } else {
-        body.classList.remove("dashboard-view");
+    if (body.dataset.layout) {
+        body.classList.remove(body.dataset.layout);
+        delete body.dataset.layout;
+    }
+    if (layout) {
+        body.classList.add(layout);
+        body.dataset.layout = layout;
     }
 }
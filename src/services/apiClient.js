@@ -0,0 +1,398 @@
+/**
+ * @file The single HTTP client used by every controller to talk to the API.
+ * It centralizes what each controller used to repeat on its own:
+ * - The base URL, read from the Vite env config (`VITE_API_URL`).
+ * - The bearer token of the current session.
+ * - JSON encoding of request bodies and decoding of responses.
+ * - Typed errors that tell network failures, 4xx and 5xx responses apart.
+ * - Timeouts, and retries with exponential backoff for idempotent reads.
+ * - Cancellation of the requests of a view when the user navigates away from it.
+ * - Tracking whether the API is reachable, probing it until it comes back.
+ * - Ending the session when the server rejects it (e.g., a deactivated account).
+ */
+
+import { authHeaders, getCurrentUser, logOut, flagPasswordReset } from "../auth.js";
+
+/**
+ * The base URL of the API, without a trailing slash.
+ * Configure it with `VITE_API_URL` in a `.env` file (see `.env.example`).
+ * @type {string}
+ */
+export const API_BASE_URL = (import.meta.env.VITE_API_URL || "http://localhost:3000").replace(/\/+$/, "");
+
+/**
+ * How long a request may take before it is aborted, in milliseconds.
+ * @type {number}
+ */
+const DEFAULT_TIMEOUT_MS = parseInt(import.meta.env.VITE_API_TIMEOUT || "10000", 10);
+
+/**
+ * How many times a failed idempotent request is retried by default.
+ * @type {number}
+ */
+const DEFAULT_RETRIES = 2;
+
+/**
+ * The delay before the first retry, in milliseconds. It doubles on every further attempt.
+ * @type {number}
+ */
+const RETRY_BASE_DELAY_MS = 300;
+
+/**
+ * Methods that are retried automatically. Only reads are retried: replaying a write
+ * whose first attempt did reach the server could apply it twice or answer a misleading conflict.
+ * @type {Array<string>}
+ */
+const RETRYABLE_METHODS = ["GET", "HEAD"];
+
+/**
+ * How often an unreachable API is probed, in milliseconds.
+ * @type {number}
+ */
+const PROBE_INTERVAL_MS = 15 * 1000;
+
+// --- ERROR TYPES ---
+
+/**
+ * Base class of every error thrown by the API client.
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - A human-readable description, suitable for the UI.
+     * @param {object} [details={}] - Extra information about the failure.
+     * @param {number} [details.status=0] - The HTTP status, or 0 if no response was received.
+     * @param {string|null} [details.code=null] - The machine-readable code sent by the server (e.g., "COURSE_FULL").
+     * @param {*} [details.data=null] - The decoded response body, if any.
+     */
+    constructor(message, { status = 0, code = null, data = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.data = data;
+    }
+}
+
+/**
+ * The server could not be reached (offline, DNS failure, CORS, server down...).
+ */
+export class NetworkError extends ApiError {}
+
+/**
+ * The server did not answer within the allowed time.
+ */
+export class TimeoutError extends NetworkError {}
+
+/**
+ * The request was cancelled on purpose, usually because the user left the view that started it.
+ * Callers should ignore it rather than report it.
+ */
+export class RequestCancelledError extends ApiError {}
+
+/**
+ * The server rejected the request (4xx): invalid data, missing permissions, conflicts...
+ */
+export class ClientError extends ApiError {}
+
+/**
+ * The server failed to process the request (5xx).
+ */
+export class ServerError extends ApiError {}
+
+// --- VIEW-SCOPED CANCELLATION ---
+
+/**
+ * Aborts when the current view is left. Every request is tied to it unless it opts out
+ * with `{ keepAlive: true }`.
+ * @type {AbortController}
+ */
+let viewController = new AbortController();
+
+/**
+ * Cancels every in-flight request started by the current view.
+ * The router calls it whenever it leaves a view.
+ */
+export function cancelPendingRequests() {
+    viewController.abort();
+    viewController = new AbortController();
+}
+
+// --- CONNECTIVITY ---
+
+/**
+ * Whether the last request reached the server. Starts from the browser's own guess.
+ * @type {boolean}
+ */
+let apiReachable = navigator.onLine;
+
+/**
+ * Functions called whenever the API becomes reachable or unreachable.
+ * @type {Set<function(boolean): void>}
+ */
+const connectivityListeners = new Set();
+
+/**
+ * The timer that probes the API while it is unreachable.
+ * @type {number|null}
+ */
+let probeTimer = null;
+
+/**
+ * Tells whether the API answered the last request.
+ * @returns {boolean} True if the API is reachable.
+ */
+export function isApiReachable() {
+    return apiReachable;
+}
+
+/**
+ * Registers a function to be called whenever the API becomes reachable or unreachable.
+ * @param {function(boolean): void} listener - Receives `true` when the API is back, `false` when it is lost.
+ * @returns {function(): void} A function that removes the listener.
+ */
+export function onConnectivityChange(listener) {
+    connectivityListeners.add(listener);
+    return () => connectivityListeners.delete(listener);
+}
+
+/**
+ * Records whether the API is reachable, notifying the listeners on changes.
+ * While it is unreachable, it is probed every `PROBE_INTERVAL_MS`.
+ * @param {boolean} reachable - Whether the last request reached the server.
+ */
+function setApiReachable(reachable) {
+    if (reachable === apiReachable) return;
+    apiReachable = reachable;
+
+    clearInterval(probeTimer);
+    probeTimer = reachable ? null : setInterval(probeApi, PROBE_INTERVAL_MS);
+    connectivityListeners.forEach(listener => listener(reachable));
+}
+
+/**
+ * Sends a cheap request to find out whether the API is reachable again.
+ * Any HTTP answer counts, even an error: only network failures mean the API is down.
+ * @returns {Promise<boolean>} True if the API answered.
+ */
+export async function probeApi() {
+    try {
+        await request("GET", "/courses", { query: { _limit: 1 }, keepAlive: true, retries: 0 });
+    } catch {
+        // The outcome is recorded by `request` itself
+    }
+    return apiReachable;
+}
+
+window.addEventListener("offline", () => setApiReachable(false));
+window.addEventListener("online", probeApi);
+
+
+// --- SESSION ---
+
+/**
+ * Functions called when the server rejects the session of the current user.
+ * @type {Set<function(ClientError): void>}
+ */
+const sessionRejectedListeners = new Set();
+
+/**
+ * Registers a function to be called when the server rejects the session during use: the token
+ * expired or the account was deactivated (401), or an administrator forced a password reset (403
+ * `PASSWORD_RESET_REQUIRED`). By then the user is logged out, or flagged as having to choose a new password.
+ * @param {function(ClientError): void} listener - Receives the error of the rejected request.
+ * @returns {function(): void} A function that removes the listener.
+ */
+export function onSessionRejected(listener) {
+    sessionRejectedListeners.add(listener);
+    return () => sessionRejectedListeners.delete(listener);
+}
+
+/**
+ * Ends or restricts the session when the server rejects it. Only requests made during a session count:
+ * login attempts and the session restore on page load handle their own 401 responses.
+ * @param {ClientError} error - The error of a 4xx response.
+ */
+function handleSessionRejection(error) {
+    if (!getCurrentUser()) return;
+    if (error.status === 401) {
+        logOut({ expired: true }); // Writes queued offline are kept for the next login
+    } else if (error.status === 403 && error.code === "PASSWORD_RESET_REQUIRED") {
+        flagPasswordReset();
+    } else {
+        return;
+    }
+    sessionRejectedListeners.forEach(listener => listener(error));
+}
+
+// --- REQUEST HELPERS ---
+
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms - The delay.
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Builds the absolute URL of a request.
+ * @param {string} path - The API path (e.g., "/courses/5").
+ * @param {object|URLSearchParams} [query] - Query parameters. `undefined`, `null` and "" values are skipped.
+ * @returns {string} The full URL.
+ */
+function buildUrl(path, query) {
+    const url = new URL(`${API_BASE_URL}${path}`);
+    if (query instanceof URLSearchParams) {
+        query.forEach((value, key) => url.searchParams.append(key, value));
+    } else if (query) {
+        Object.entries(query).forEach(([key, value]) => {
+            if (value === undefined || value === null || value === "") return;
+            [].concat(value).forEach(item => url.searchParams.append(key, item));
+        });
+    }
+    return url.toString();
+}
+
+/**
+ * Decodes a response body as JSON when the server says it is JSON.
+ * @param {Response} response - The fetch response.
+ * @returns {Promise<*>} The decoded body, or `null` when there is none.
+ */
+async function readBody(response) {
+    const contentType = response.headers.get("Content-Type") || "";
+    if (response.status === 204 || !contentType.includes("application/json")) return null;
+    try {
+        return await response.json();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Turns a non-2xx response into the matching typed error.
+ * The server's `{ error, code }` body is used for the message when present.
+ * @param {Response} response - The fetch response.
+ * @param {*} data - The decoded body.
+ * @returns {ClientError|ServerError} The error to throw.
+ */
+function toHttpError(response, data) {
+    const message = (data && data.error) || `Request failed with status ${response.status}.`;
+    const details = { status: response.status, code: data && data.code ? data.code : null, data };
+    return response.status >= 500 ? new ServerError(message, details) : new ClientError(message, details);
+}
+
+/**
+ * Sends a single HTTP attempt, with a timeout and cancellation.
+ * @param {string} url - The full URL.
+ * @param {object} init - The fetch options (without `signal`).
+ * @param {Array<AbortSignal>} sources - Signals that cancel the attempt (caller and view).
+ * @param {number} timeout - The timeout of the attempt, in milliseconds.
+ * @returns {Promise<{data: *, headers: Headers, status: number}>} The decoded response.
+ */
+async function sendOnce(url, init, sources, timeout) {
+    const controller = new AbortController();
+    let timedOut = false;
+
+    // Abort this attempt when the view is left or the caller cancels it
+    const abort = () => controller.abort();
+    sources.forEach(source => {
+        if (source.aborted) abort();
+        source.addEventListener("abort", abort, { once: true });
+    });
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+
+    try {
+        let response;
+        try {
+            response = await fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            if (timedOut) throw new TimeoutError(`The server did not answer within ${timeout / 1000} seconds.`);
+            if (controller.signal.aborted) throw new RequestCancelledError("The request was cancelled.");
+            throw new NetworkError("Could not reach the server. Please check your connection.", { data: error });
+        }
+
+        const data = await readBody(response);
+        if (!response.ok) throw toHttpError(response, data);
+        return { data, headers: response.headers, status: response.status };
+    } finally {
+        clearTimeout(timer);
+        sources.forEach(source => source.removeEventListener("abort", abort));
+    }
+}
+
+/**
+ * Sends a request to the API.
+ * Network failures, timeouts and 5xx responses of idempotent requests are retried
+ * with exponential backoff; 4xx responses are never retried.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The API path (e.g., "/courses").
+ * @param {object} [options={}] - Request options.
+ * @param {*} [options.body] - A value to send as JSON.
+ * @param {object|URLSearchParams} [options.query] - Query parameters.
+ * @param {object} [options.headers] - Extra headers.
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
+ * @param {number} [options.timeout] - The timeout of each attempt, in milliseconds.
+ * @param {number} [options.retries] - Retries for idempotent requests.
+ * @param {boolean} [options.keepAlive=false] - Keep the request alive when the view is left.
+ * @returns {Promise<{data: *, headers: Headers, status: number}>} The decoded response.
+ * @throws {ApiError} One of the typed errors above.
+ */
+export async function request(method, path, options = {}) {
+    const {
+        body,
+        query,
+        headers = {},
+        signal,
+        timeout = DEFAULT_TIMEOUT_MS,
+        retries = RETRYABLE_METHODS.includes(method) ? DEFAULT_RETRIES : 0,
+        keepAlive = false
+    } = options;
+
+    const init = {
+        method,
+        headers: authHeaders(body !== undefined ? { "Content-Type": "application/json", ...headers } : headers)
+    };
+    if (body !== undefined) init.body = JSON.stringify(body);
+    const url = buildUrl(path, query);
+    // Captured now, so leaving the view also cancels the retries of this request
+    const sources = [signal, keepAlive ? null : viewController.signal].filter(Boolean);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await sendOnce(url, init, sources, timeout);
+            setApiReachable(true);
+            return response;
+        } catch (error) {
+            // Any HTTP answer, even an error, proves the server is up
+            if (error instanceof ClientError || error instanceof ServerError) setApiReachable(true);
+
+            if (error instanceof ClientError) handleSessionRejection(error);
+
+            const isTransient = error instanceof NetworkError || error instanceof ServerError;
+            if (!isTransient || attempt >= retries) {
+                if (error instanceof NetworkError) setApiReachable(false);
+                throw error;
+            }
+            await delay(RETRY_BASE_DELAY_MS * 2 ** attempt);
+            if (sources.some(source => source.aborted)) {
+                throw new RequestCancelledError("The request was cancelled.");
+            }
+        }
+    }
+}
+
+/**
+ * Shorthands that resolve directly to the decoded response body.
+ * Use `request` when the response headers are needed (e.g., `X-Total-Count`).
+ */
+export const api = {
+    get: (path, options) => request("GET", path, options).then(response => response.data),
+    post: (path, body, options) => request("POST", path, { ...options, body }).then(response => response.data),
+    put: (path, body, options) => request("PUT", path, { ...options, body }).then(response => response.data),
+    patch: (path, body, options) => request("PATCH", path, { ...options, body }).then(response => response.data),
+    delete: (path, options) => request("DELETE", path, options).then(response => response.data)
+};
@@ -0,0 +1,127 @@
+/**
+ * @file Writes course schedules as an iCalendar file (RFC 5545), which calendar apps
+ * (Google Calendar, Outlook, Apple Calendar...) can import.
+ * Each weekly session of a course becomes one recurring event, from its first occurrence
+ * on or after the start date until the end date. Times are "floating" local times, like
+ * the schedules themselves (see `models/schedule.js`).
+ */
+
+import { hasSchedule, parseDateString, toDateString, describeSchedule } from "../models/schedule.js";
+import { downloadFile } from "./dataFiles.js";
+
+/**
+ * The maximum length of a line, in octets, before it is folded.
+ * @type {number}
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escapes text for an iCalendar property value.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a content line longer than 75 octets into continuation lines starting with a space.
+ * Characters are never split, so multi-byte text stays valid UTF-8.
+ * @param {string} line - The content line.
+ * @returns {string} The folded line, with CRLF between its parts.
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let part = "";
+    let octets = 0;
+    for (const character of line) {
+        const size = encoder.encode(character).length;
+        // Continuation lines start with a space, which counts toward their length
+        if (octets + size > MAX_LINE_OCTETS - (parts.length > 0 ? 1 : 0)) {
+            parts.push(part);
+            part = "";
+            octets = 0;
+        }
+        part += character;
+        octets += size;
+    }
+    parts.push(part);
+    return parts.join("\r\n ");
+}
+
+/**
+ * Writes a day and a time as an iCalendar local date-time.
+ * @param {string} date - The day ("YYYY-MM-DD").
+ * @param {string} time - The time ("HH:MM").
+ * @returns {string} E.g. "20261102T180000".
+ */
+function toLocalDateTime(date, time) {
+    return `${date.replace(/-/g, "")}T${time.replace(":", "")}00`;
+}
+
+/**
+ * Returns the first day a session takes place: the first day on or after the start date with its weekday.
+ * @param {string} startDate - The start date of the course ("YYYY-MM-DD").
+ * @param {number} weekday - The weekday of the session (0 is Sunday).
+ * @returns {string} The day ("YYYY-MM-DD").
+ */
+function firstOccurrence(startDate, weekday) {
+    const date = parseDateString(startDate);
+    date.setDate(date.getDate() + ((weekday - date.getDay() + 7) % 7));
+    return toDateString(date);
+}
+
+/**
+ * Builds an iCalendar file with the sessions of the given courses.
+ * Courses without a schedule, and sessions that never take place between the dates, are left out.
+ * @param {Array<object>} courses - The courses.
+ * @param {object} [options={}]
+ * @param {Date} [options.now=new Date()] - When the file is created (the `DTSTAMP` of each event).
+ * @returns {string} The content of the file, with CRLF line endings.
+ */
+export function toICalendar(courses, { now = new Date() } = {}) {
+    const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//Academy//Course Schedules//EN",
+        "CALSCALE:GREGORIAN",
+        "X-WR-CALNAME:My Courses"
+    ];
+
+    courses.filter(hasSchedule).forEach(course => {
+        (course.sessions || []).forEach((session, index) => {
+            const date = firstOccurrence(course.startDate, session.day);
+            if (date > course.endDate) return;
+            lines.push(
+                "BEGIN:VEVENT",
+                `UID:course-${course.id}-session-${index}@academy`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${toLocalDateTime(date, session.startTime)}`,
+                `DTEND:${toLocalDateTime(date, session.endTime)}`,
+                // A floating DTSTART needs a floating UNTIL; the end of the last day includes its session
+                `RRULE:FREQ=WEEKLY;UNTIL=${toLocalDateTime(course.endDate, "23:59")}`,
+                `SUMMARY:${escapeText(course.title)}`,
+                `DESCRIPTION:${escapeText(`${course.description}\n\n${describeSchedule(course)}`)}`,
+                "END:VEVENT"
+            );
+        });
+    });
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Saves the sessions of the given courses as an .ics file on the user's device.
+ * @param {string} baseName - The file name, without extension (e.g., "my-courses").
+ * @param {Array<object>} courses - The courses.
+ */
+export function downloadCalendar(baseName, courses) {
+    downloadFile(`${baseName}.ics`, toICalendar(courses), "text/calendar");
+}
@@ -0,0 +1,165 @@
+/**
+ * @file Reads and writes the data files exchanged with spreadsheets and other tools (CSV and JSON),
+ * and saves files on the user's device.
+ * Rows are plain objects on both sides: CSV files are read with their first line as the column names,
+ * and written with one column per requested field.
+ */
+
+/**
+ * The formats files can be read and written in.
+ * @type {Array<string>}
+ */
+export const DATA_FILE_FORMATS = ["csv", "json"];
+
+/**
+ * Thrown when a file cannot be read as rows (unknown extension, malformed JSON, no header line...).
+ */
+export class DataFileError extends Error {}
+
+/**
+ * Splits CSV text into lines of fields, following RFC 4180: fields may be quoted, quoted fields
+ * may contain commas, line breaks and doubled quotes (`""`).
+ * @param {string} text - The content of the file.
+ * @returns {Array<Array<string>>} The lines, each an array of raw field values.
+ */
+function splitCsvLines(text) {
+    const lines = [];
+    let line = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === "\"" && text[i + 1] === "\"") {
+                field += "\"";
+                i++;
+            } else if (char === "\"") {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === "\"") {
+            inQuotes = true;
+        } else if (char === ",") {
+            line.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            line.push(field);
+            lines.push(line);
+            line = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) throw new DataFileError("The file ends inside a quoted value.");
+    if (field !== "" || line.length > 0) {
+        line.push(field);
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Reads CSV text into rows. The first line names the columns; names are trimmed and lowercased
+ * so "Title " and "title" are the same column. Blank lines are skipped.
+ * @param {string} text - The content of the file.
+ * @returns {Array<Object.<string, string>>} One object per data line, keyed by column name.
+ * @throws {DataFileError} If the text has no header line or is malformed.
+ */
+export function parseCsv(text) {
+    const lines = splitCsvLines(text.replace(/^\uFEFF/, "")) // Spreadsheets often start UTF-8 files with a BOM
+        .filter(fields => fields.some(value => value.trim() !== ""));
+    if (lines.length === 0) throw new DataFileError("The file is empty.");
+
+    const columns = lines[0].map(name => name.trim().toLowerCase());
+    return lines.slice(1).map(fields => Object.fromEntries(
+        columns.map((column, index) => [column, fields[index] === undefined ? "" : fields[index]])
+    ));
+}
+
+/**
+ * Quotes a CSV value when needed. Text that a spreadsheet would run as a formula
+ * (starting with =, +, -, @) is prefixed with an apostrophe so opening the file is safe.
+ * @param {*} value - The value of a field.
+ * @returns {string} The field as written in the file.
+ */
+function formatCsvValue(value) {
+    if (value === null || value === undefined) return "";
+    let text = Array.isArray(value) ? value.join("; ") : String(value);
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Writes rows as CSV text, with a header line.
+ * @param {Array<object>} rows - The rows to write.
+ * @param {Array<string>} columns - The fields to write, in order. Missing fields are left empty.
+ * @returns {string} The CSV text, with CRLF line endings as RFC 4180 asks.
+ */
+export function toCsv(rows, columns) {
+    const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+    return lines.map(fields => fields.map(formatCsvValue).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Reads a file picked by the user into rows, by its extension.
+ * JSON files must hold an array of objects.
+ * @param {File} file - The picked file.
+ * @returns {Promise<Array<object>>} The rows of the file.
+ * @throws {DataFileError} If the file is not a CSV or JSON file, or cannot be read as rows.
+ */
+export async function readDataFile(file) {
+    const format = file.name.split(".").pop().toLowerCase();
+    if (!DATA_FILE_FORMATS.includes(format)) {
+        throw new DataFileError("Choose a .csv or .json file.");
+    }
+
+    const text = await file.text();
+    if (format === "csv") return parseCsv(text);
+
+    let rows;
+    try {
+        rows = JSON.parse(text);
+    } catch {
+        throw new DataFileError("The file is not valid JSON.");
+    }
+    if (!Array.isArray(rows) || rows.some(row => row === null || typeof row !== "object" || Array.isArray(row))) {
+        throw new DataFileError("The JSON file must hold an array of objects.");
+    }
+    return rows;
+}
+
+/**
+ * Saves rows as a file on the user's device.
+ * @param {string} baseName - The file name, without extension (e.g., "courses").
+ * @param {Array<object>} rows - The rows to save.
+ * @param {Array<string>} columns - The fields to save, in order.
+ * @param {"csv"|"json"} format - The file format.
+ */
+export function downloadDataFile(baseName, rows, columns, format) {
+    const content = format === "json"
+        ? JSON.stringify(rows.map(row => Object.fromEntries(columns.map(column => [column, row[column]]))), null, 2)
+        : toCsv(rows, columns);
+    downloadFile(`${baseName}.${format}`, content, format === "json" ? "application/json" : "text/csv");
+}
+
+/**
+ * Saves text as a file on the user's device.
+ * @param {string} fileName - The file name, with its extension (e.g., "courses.csv").
+ * @param {string} content - The content of the file.
+ * @param {string} type - The MIME type of the file (e.g., "text/csv").
+ */
+export function downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
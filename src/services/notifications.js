@@ -0,0 +1,205 @@
+/**
+ * @file The notification service: non-blocking toasts that replace `alert()` for user feedback.
+ * Toasts are rendered in the `#notifications` live region of `index.html`, which lives outside
+ * the view container, so a notification survives the navigation that often follows it
+ * (e.g., "Registration successful" on the way to the login page).
+ */
+
+import { toElement } from "../components/template.js";
+import { Toast } from "../components/toast.js";
+import { RequestCancelledError, NetworkError, ServerError } from "./apiClient.js";
+
+/**
+ * How long each kind of toast stays on screen by default (ms). Errors stay longer so they can be read.
+ * @type {{success: number, info: number, error: number}}
+ */
+const DEFAULT_DURATIONS = {
+    success: 4000,
+    info: 5000,
+    error: 8000,
+};
+
+/**
+ * The most toasts shown at once. The oldest is dismissed when a new one would exceed it.
+ * @type {number}
+ */
+const MAX_VISIBLE_TOASTS = 4;
+
+/**
+ * @typedef {object} NotificationAction
+ * @property {string} label - The text of the button (e.g., "Undo", "Retry").
+ * @property {function(): void} onClick - Runs when the button is clicked. The toast is dismissed first.
+ */
+
+/**
+ * @typedef {object} NotificationOptions
+ * @property {number} [duration] - How long the toast stays (ms). `0` keeps it until the user dismisses it.
+ * Defaults to the duration of its type.
+ * @property {Array<NotificationAction>} [actions=[]] - Buttons offered in the toast.
+ */
+
+/**
+ * The toasts on screen, by ID.
+ * @type {Map<number, {id: number, element: HTMLElement, actions: Array<NotificationAction>, duration: number, timeout: number|null}>}
+ */
+const activeToasts = new Map();
+
+/**
+ * The ID given to the next toast.
+ * @type {number}
+ */
+let nextToastId = 1;
+
+/**
+ * Returns the live region the toasts are rendered in, wiring its clicks on first use.
+ * @returns {HTMLElement|null} The `#notifications` element, or `null` if the page has none.
+ */
+function getRegion() {
+    const region = document.getElementById("notifications");
+    if (region && !region.dataset.bound) {
+        region.dataset.bound = "true";
+        region.addEventListener("click", handleRegionClick);
+        // Hovering or focusing a toast pauses its timer, so it doesn't vanish while being read
+        region.addEventListener("mouseover", (event) => pauseToast(event.target));
+        region.addEventListener("focusin", (event) => pauseToast(event.target));
+        region.addEventListener("mouseout", resumeToast);
+        region.addEventListener("focusout", resumeToast);
+    }
+    return region;
+}
+
+/**
+ * Handles clicks on the close and action buttons of the toasts.
+ * @param {MouseEvent} event - The click event.
+ */
+function handleRegionClick(event) {
+    const button = event.target.closest("button");
+    if (!button) return;
+    const toastId = Number(button.dataset.toastId);
+    const toast = activeToasts.get(toastId);
+    if (!toast) return;
+
+    dismissNotification(toastId);
+    if (button.matches(".toast-action")) {
+        toast.actions[Number(button.dataset.actionIndex)].onClick();
+    }
+}
+
+/**
+ * Finds the toast an element belongs to.
+ * @param {EventTarget} target - An element inside the region.
+ * @returns {object|undefined} The active toast, if any.
+ */
+function findToast(target) {
+    const element = target.closest && target.closest(".toast");
+    return element ? activeToasts.get(Number(element.dataset.toastId)) : undefined;
+}
+
+/**
+ * Stops the dismiss timer of the toast under the pointer or focus.
+ * @param {EventTarget} target - The hovered or focused element.
+ */
+function pauseToast(target) {
+    const toast = findToast(target);
+    if (toast && toast.timeout) {
+        clearTimeout(toast.timeout);
+        toast.timeout = null;
+    }
+}
+
+/**
+ * Restarts the dismiss timer of a paused toast once the pointer or focus leaves it.
+ * Moving between the elements of the same toast does not count as leaving it.
+ * @param {MouseEvent|FocusEvent} event - The "mouseout" or "focusout" event.
+ */
+function resumeToast(event) {
+    const toast = findToast(event.target);
+    if (toast && toast.element.contains(event.relatedTarget)) return;
+    if (toast && !toast.timeout && toast.duration > 0) {
+        toast.timeout = setTimeout(() => dismissNotification(toast.id), toast.duration);
+    }
+}
+
+/**
+ * Shows a toast.
+ * @param {"success"|"error"|"info"} type - The kind of notification.
+ * @param {string} message - The text to show.
+ * @param {NotificationOptions} [options={}]
+ * @returns {number|null} The ID of the toast, for `dismissNotification`, or `null` if the page cannot show toasts.
+ */
+export function notify(type, message, { duration = DEFAULT_DURATIONS[type], actions = [] } = {}) {
+    const region = getRegion();
+    if (!region) return null;
+
+    const id = nextToastId++;
+    const element = toElement(Toast({ id, type, message, actions }));
+    region.appendChild(element);
+
+    const toast = { id, element, actions, duration, timeout: null };
+    if (duration > 0) toast.timeout = setTimeout(() => dismissNotification(id), duration);
+    activeToasts.set(id, toast);
+
+    if (activeToasts.size > MAX_VISIBLE_TOASTS) {
+        dismissNotification(activeToasts.keys().next().value);
+    }
+    return id;
+}
+
+/**
+ * Shows a success toast (e.g., "Course created.").
+ * @param {string} message - The text to show.
+ * @param {NotificationOptions} [options] - See `notify`.
+ * @returns {number|null} The ID of the toast.
+ */
+export function notifySuccess(message, options) {
+    return notify("success", message, options);
+}
+
+/**
+ * Shows an error toast.
+ * @param {string} message - The text to show.
+ * @param {NotificationOptions} [options] - See `notify`.
+ * @returns {number|null} The ID of the toast.
+ */
+export function notifyError(message, options) {
+    return notify("error", message, options);
+}
+
+/**
+ * Shows an informational toast.
+ * @param {string} message - The text to show.
+ * @param {NotificationOptions} [options] - See `notify`.
+ * @returns {number|null} The ID of the toast.
+ */
+export function notifyInfo(message, options) {
+    return notify("info", message, options);
+}
+
+/**
+ * Reports a failed API call: logs it and tells the user what went wrong in an error toast.
+ * Cancelled requests are ignored, since they only mean the user left the view.
+ * @param {Error} error - The error thrown by a controller.
+ * @param {string} context - What the app was trying to do (e.g., "Could not load the courses.").
+ * @param {function(): void} [retry] - Runs the failed operation again. Offered as a "Retry" button
+ * when the failure may be temporary (network or server errors); rejected requests would only fail again.
+ */
+export function reportError(error, context, retry) {
+    if (error instanceof RequestCancelledError) return;
+    console.error(context, error);
+    const canRetry = retry && (error instanceof NetworkError || error instanceof ServerError);
+    notifyError(`${context} ${error.message}`, {
+        actions: canRetry ? [{ label: "Retry", onClick: retry }] : []
+    });
+}
+
+/**
+ * Removes a toast before its time is up. Unknown or already dismissed IDs are ignored.
+ * @param {number} toastId - The ID returned by `notify`.
+ */
+export function dismissNotification(toastId) {
+    const toast = activeToasts.get(toastId);
+    if (!toast) return;
+    clearTimeout(toast.timeout);
+    toast.element.remove();
+    activeToasts.delete(toastId);
+}
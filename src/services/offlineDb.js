@@ -0,0 +1,244 @@
+/**
+ * @file Persists data in IndexedDB so the app keeps working while the API is unreachable.
+ * It holds:
+ * - The last known version of every course, the results of course list queries and the instructors,
+ *   so the dashboards can still render offline.
+ * - The outbox: writes made offline, replayed by the store once the API is back.
+ * - The user of the last verified session, so a stored token can be restored offline.
+ * Everything belongs to a single user and is wiped on logout or when another user logs in.
+ */
+
+/**
+ * The name of the IndexedDB database.
+ * @type {string}
+ */
+const DB_NAME = "academy-offline";
+
+/**
+ * The schema version of the database. Bump it when object stores change.
+ * @type {number}
+ */
+const DB_VERSION = 1;
+
+/**
+ * The object stores of the database.
+ * Courses, queries and meta records use out-of-line string keys, so "5" and 5 are the same course.
+ * @type {{courses: string, courseQueries: string, meta: string, outbox: string}}
+ */
+const STORES = {
+    courses: "courses",
+    courseQueries: "courseQueries",
+    meta: "meta",
+    outbox: "outbox",
+};
+
+/**
+ * The open database, shared by every call.
+ * @type {Promise<IDBDatabase>|null}
+ */
+let databasePromise = null;
+
+/**
+ * Opens the database, creating its object stores on first use.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (!("indexedDB" in window)) {
+                reject(new Error("IndexedDB is not supported by this browser."));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                database.createObjectStore(STORES.courses);
+                database.createObjectStore(STORES.courseQueries);
+                database.createObjectStore(STORES.meta);
+                database.createObjectStore(STORES.outbox, { keyPath: "id", autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Runs work inside a transaction on a single object store.
+ * @param {string} storeName - The object store to use.
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+ * @param {function(IDBObjectStore): (IDBRequest|void)} work - Issues the requests. The result of the
+ * returned request, if any, is what the promise resolves to.
+ * @returns {Promise<*>} Resolves once the transaction has completed.
+ */
+async function withStore(storeName, mode, work) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeName, mode);
+        const request = work(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// --- COURSES AND INSTRUCTORS ---
+
+/**
+ * Saves the given courses, replacing their previous versions.
+ * @param {Array<object>} courses - The courses to save.
+ * @returns {Promise<void>}
+ */
+export function saveCourses(courses) {
+    return withStore(STORES.courses, "readwrite", store => {
+        courses.forEach(course => store.put(course, String(course.id)));
+    });
+}
+
+/**
+ * Removes a saved course.
+ * @param {string|number} courseId - The ID of the course.
+ * @returns {Promise<void>}
+ */
+export function removeCourse(courseId) {
+    return withStore(STORES.courses, "readwrite", store => {
+        store.delete(String(courseId));
+    });
+}
+
+/**
+ * Reads saved courses by ID, skipping the ones that were never saved.
+ * @param {Array<string|number>} courseIds - The IDs of the courses.
+ * @returns {Promise<Array<object>>} The saved courses, in the given order.
+ */
+export async function readCourses(courseIds) {
+    const requests = [];
+    await withStore(STORES.courses, "readonly", store => {
+        courseIds.forEach(courseId => requests.push(store.get(String(courseId))));
+    });
+    return requests.map(request => request.result).filter(Boolean);
+}
+
+/**
+ * Saves the result of a course list query.
+ * @param {string} key - The serialized filters of the query.
+ * @param {{ids: Array<string>, total: number}} result - The IDs of the matching courses and the total.
+ * @returns {Promise<void>}
+ */
+export function saveCourseQuery(key, result) {
+    return withStore(STORES.courseQueries, "readwrite", store => {
+        store.put(result, key);
+    });
+}
+
+/**
+ * Reads the saved result of a course list query.
+ * @param {string} key - The serialized filters of the query.
+ * @returns {Promise<{ids: Array<string>, total: number}|undefined>} The saved result, if any.
+ */
+export function readCourseQuery(key) {
+    return withStore(STORES.courseQueries, "readonly", store => store.get(key));
+}
+
+/**
+ * Saves the list of instructors.
+ * @param {Array<object>} instructors - The instructors.
+ * @returns {Promise<void>}
+ */
+export function saveInstructors(instructors) {
+    return withStore(STORES.meta, "readwrite", store => {
+        store.put(instructors, "instructors");
+    });
+}
+
+/**
+ * Reads the saved list of instructors.
+ * @returns {Promise<Array<object>|undefined>} The instructors, if they were ever saved.
+ */
+export function readInstructors() {
+    return withStore(STORES.meta, "readonly", store => store.get("instructors"));
+}
+
+// --- SESSION ---
+
+/**
+ * Remembers the user the server confirmed for a token.
+ * @param {string} token - The session token.
+ * @param {object} user - The user returned by the auth server.
+ * @returns {Promise<void>}
+ */
+export function saveOfflineSession(token, user) {
+    return withStore(STORES.meta, "readwrite", store => {
+        store.put({ token, user }, "session");
+    });
+}
+
+/**
+ * Reads the user remembered by `saveOfflineSession`.
+ * @returns {Promise<{token: string, user: object}|undefined>} The remembered session, if any.
+ */
+export function readOfflineSession() {
+    return withStore(STORES.meta, "readonly", store => store.get("session"));
+}
+
+/**
+ * Returns the ID of the user the saved data belongs to.
+ * @returns {Promise<number|string|undefined>} The user ID, if any data was saved.
+ */
+export function readOwner() {
+    return withStore(STORES.meta, "readonly", store => store.get("owner"));
+}
+
+/**
+ * Records the ID of the user the saved data belongs to.
+ * @param {number|string} userId - The user ID.
+ * @returns {Promise<void>}
+ */
+export function saveOwner(userId) {
+    return withStore(STORES.meta, "readwrite", store => {
+        store.put(userId, "owner");
+    });
+}
+
+// --- OUTBOX ---
+
+/**
+ * Adds a write to the outbox.
+ * @param {object} entry - The write to replay later (see the outbox section of `store.js`).
+ * @returns {Promise<number>} The ID assigned to the entry.
+ */
+export function addOutboxEntry(entry) {
+    return withStore(STORES.outbox, "readwrite", store => store.add({ ...entry, queuedAt: Date.now() }));
+}
+
+/**
+ * Reads every write waiting in the outbox, oldest first.
+ * @returns {Promise<Array<object>>} The outbox entries.
+ */
+export function readOutboxEntries() {
+    return withStore(STORES.outbox, "readonly", store => store.getAll());
+}
+
+/**
+ * Removes a write from the outbox once it was replayed or given up on.
+ * @param {number} entryId - The ID of the entry.
+ * @returns {Promise<void>}
+ */
+export function removeOutboxEntry(entryId) {
+    return withStore(STORES.outbox, "readwrite", store => {
+        store.delete(entryId);
+    });
+}
+
+/**
+ * Deletes everything saved, outbox included. Used on logout and when another user logs in.
+ * @returns {Promise<void>}
+ */
+export async function clearOfflineData() {
+    await Promise.all(Object.values(STORES).map(storeName =>
+        withStore(storeName, "readwrite", store => {
+            store.clear();
+        })
+    ));
+}
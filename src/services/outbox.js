@@ -0,0 +1,138 @@
+/**
+ * @file Replays the writes queued while the API was unreachable (the outbox).
+ * Entries are replayed oldest first. Before applying one, the server's current data is
+ * checked against what the write was based on, so an offline change never silently
+ * overwrites a change someone else made in the meantime.
+ */
+
+import * as courseApi from "../controllers/courseController.js";
+import { readOutboxEntries, removeOutboxEntry } from "./offlineDb.js";
+import { ClientError } from "./apiClient.js";
+
+/**
+ * @typedef {object} OutboxEntry
+ * @property {number} id - Assigned by IndexedDB; also orders the entries.
+ * @property {"createCourse"|"updateCourse"|"enrollInCourse"} type - The write to replay.
+ * @property {string|number} [courseId] - The course to update or enroll in.
+ * @property {object} [data] - The course data to create, or the fields to update.
+ * @property {object|null} [baseCourse] - For updates, the course as the user saw it when editing it.
+ * @property {number} queuedAt - When the write was queued (ms since epoch).
+ */
+
+/**
+ * @typedef {object} ReplayResult
+ * @property {Array<{entry: OutboxEntry, course: object|null}>} applied - Entries the server accepted, with the resulting course.
+ * @property {Array<{entry: OutboxEntry, message: string}>} conflicts - Entries dropped because they no longer apply.
+ */
+
+/**
+ * Replay requests outlive the view that happens to be open while they run.
+ * @type {{keepAlive: boolean}}
+ */
+const REPLAY_OPTIONS = { keepAlive: true };
+
+/**
+ * Thrown when a queued write no longer matches the server's data.
+ */
+class OutboxConflictError extends Error {}
+
+/**
+ * Returns whether a write was refused because of the session rather than its data: an expired
+ * or rejected token (401), or a user who must choose a new password first (403 `PASSWORD_RESET_REQUIRED`).
+ * Such writes still apply once the user is logged in again, so they stay in the outbox. Other 403 responses
+ * (e.g., an administrator who lost the role since) will never apply, so they are dropped like conflicts.
+ * @param {Error} error - The error thrown while replaying.
+ * @returns {boolean} `true` for 401 responses, and 403 responses asking for a new password.
+ */
+function isSessionError(error) {
+    return error instanceof ClientError
+        && (error.status === 401 || (error.status === 403 && error.code === "PASSWORD_RESET_REQUIRED"));
+}
+
+/**
+ * Turns a course field into a string that can be compared: numbers stored as strings match their number,
+ * and arrays of objects (e.g., `sessions`) are compared by content.
+ * @param {*} value - The value of the field.
+ * @returns {string} The comparable value.
+ */
+function toComparable(value) {
+    return value !== null && typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Replays one entry of each type. Each handler resolves to the resulting course,
+ * or throws an `OutboxConflictError` (or a `ClientError`) if the write no longer applies.
+ * @type {Object.<string, function(OutboxEntry): Promise<object|null>>}
+ */
+const replayHandlers = {
+    async createCourse(entry) {
+        // A course cannot be created for an instructor who was deleted meanwhile
+        const instructors = await courseApi.getAllInstructors(REPLAY_OPTIONS);
+        if (!instructors.some(instructor => instructor.id == entry.data.instructorId)) {
+            throw new OutboxConflictError(`"${entry.data.title}" was not created: its instructor no longer exists.`);
+        }
+        return courseApi.createCourse(entry.data, REPLAY_OPTIONS);
+    },
+
+    async updateCourse(entry) {
+        const currentCourse = await courseApi.getCourseById(entry.courseId, REPLAY_OPTIONS);
+        if (!currentCourse) {
+            throw new OutboxConflictError("Your changes to a course were not saved: it was deleted meanwhile.");
+        }
+        // Fields someone else changed to a different value since the user edited them
+        const baseCourse = entry.baseCourse || currentCourse;
+        const conflictingFields = Object.keys(entry.data).filter(field =>
+            toComparable(currentCourse[field]) !== toComparable(baseCourse[field]) &&
+            toComparable(currentCourse[field]) !== toComparable(entry.data[field])
+        );
+        if (conflictingFields.length > 0) {
+            throw new OutboxConflictError(
+                `Your changes to "${currentCourse.title}" were not saved: ${conflictingFields.join(", ")} changed meanwhile.`
+            );
+        }
+        return courseApi.updateCourse(entry.courseId, entry.data, REPLAY_OPTIONS);
+    },
+
+    async enrollInCourse(entry) {
+        try {
+            return await courseApi.enrollInCourse(entry.courseId, REPLAY_OPTIONS);
+        } catch (error) {
+            // Already enrolled means an earlier replay did go through
+            if (error instanceof ClientError && error.code === "ALREADY_ENROLLED") {
+                return courseApi.getCourseById(entry.courseId, REPLAY_OPTIONS);
+            }
+            if (error instanceof ClientError && !isSessionError(error)) {
+                throw new OutboxConflictError(`Your enrollment could not be completed: ${error.message}`);
+            }
+            throw error;
+        }
+    },
+};
+
+/**
+ * Replays the outbox, oldest entry first. Applied and conflicting entries are removed.
+ * Replaying stops at the first entry that fails for another reason (the API went away again,
+ * a server error, an expired session...): it and the entries after it are kept, in order, for the next attempt.
+ * @returns {Promise<ReplayResult>} What happened to each replayed entry.
+ */
+export async function replayOutbox() {
+    const result = { applied: [], conflicts: [] };
+    const entries = await readOutboxEntries();
+
+    for (const entry of entries) {
+        try {
+            const course = await replayHandlers[entry.type](entry);
+            result.applied.push({ entry, course });
+        } catch (error) {
+            const isConflict = error instanceof OutboxConflictError
+                || (error instanceof ClientError && !isSessionError(error));
+            if (!isConflict) break;
+            const message = error instanceof ClientError && error.status === 403
+                ? `A change you made offline was refused: ${error.message}`
+                : error.message;
+            result.conflicts.push({ entry, message });
+        }
+        await removeOutboxEntry(entry.id);
+    }
+    return result;
+}
@@ -0,0 +1,743 @@
+/**
+ * @file The shared client-side store for courses, instructors and the current user.
+ * Views read their data through it instead of calling the controllers directly, so:
+ * - Responses are cached for a short time and shared between views.
+ * - Writes are applied to the cache right away (optimistic updates) and rolled back if the server rejects them.
+ * - Views subscribe to changes and re-render only the affected cards.
+ * - Everything is also saved in IndexedDB, so the dashboards still render when the API is unreachable,
+ *   and some writes made offline are queued in an outbox and replayed once it is back.
+ * The cache is emptied whenever the current user changes, so no data leaks between sessions.
+ */
+
+import * as courseApi from "../controllers/courseController.js";
+import * as offlineDb from "./offlineDb.js";
+import { replayOutbox } from "./outbox.js";
+import { onSessionChange, getCurrentUser, getAuthToken } from "../auth.js";
+import { ClientError, NetworkError, TimeoutError, isApiReachable, onConnectivityChange } from "./apiClient.js";
+
+/**
+ * How long cached responses are considered fresh, in milliseconds.
+ * @type {number}
+ */
+const CACHE_TTL_MS = 30 * 1000;
+
+/**
+ * @typedef {object} CoursesChange
+ * @property {Array<object>} upserted - Courses that were added or changed.
+ * @property {Array<string>} removed - IDs of the courses that were deleted.
+ */
+
+/**
+ * @typedef {object} SyncStatus
+ * @property {boolean} online - Whether the API is reachable.
+ * @property {number} pending - How many offline writes are waiting in the outbox.
+ * @property {number} [applied] - After a replay, how many writes the server accepted.
+ * @property {Array<string>} [conflicts] - After a replay, why the rejected writes no longer applied.
+ */
+
+/**
+ * Every course known to the store, keyed by its ID as a string.
+ * @type {Map<string, {course: object, fetchedAt: number}>}
+ */
+const courseEntries = new Map();
+
+/**
+ * The results of course list queries, keyed by the serialized filters.
+ * Only the IDs are kept, so the courses themselves always come from `courseEntries`.
+ * @type {Map<string, {ids: Array<string>, total: number, fetchedAt: number}>}
+ */
+const courseQueries = new Map();
+
+/**
+ * The cached instructors.
+ * @type {{instructors: Array<object>, fetchedAt: number}|null}
+ */
+let instructorsEntry = null;
+
+/**
+ * How many offline writes are waiting in the outbox.
+ * @type {number}
+ */
+let pendingWrites = 0;
+
+/**
+ * The replay in progress, so concurrent triggers share it.
+ * @type {Promise<void>|null}
+ */
+let syncInProgress = null;
+
+/**
+ * The subscribers of each topic. View listeners are dropped when the view is left.
+ * @type {Object.<string, Set<{listener: function(*): void, keepAlive: boolean}>>}
+ */
+const subscriptions = {
+    courses: new Set(),
+    instructors: new Set(),
+    user: new Set(),
+    connection: new Set(),
+    sync: new Set(),
+};
+
+// --- SUBSCRIPTIONS ---
+
+/**
+ * Subscribes to the changes of a topic.
+ * - "courses" listeners receive a {@link CoursesChange}.
+ * - "instructors" listeners receive the new list of instructors.
+ * - "user" listeners receive the new current user, or `null` after a logout.
+ * - "connection" listeners receive `true` when the API becomes reachable, `false` when it is lost.
+ * - "sync" listeners receive a {@link SyncStatus} when writes are queued or replayed.
+ * Listeners are tied to the current view unless they opt out with `{ keepAlive: true }`.
+ * @param {"courses"|"instructors"|"user"|"connection"|"sync"} topic - The topic to listen to.
+ * @param {function(*): void} listener - Called with the change.
+ * @param {object} [options={}] - Subscription options.
+ * @param {boolean} [options.keepAlive=false] - Keep the listener when the view is left.
+ * @returns {function(): void} A function that removes the listener.
+ */
+export function subscribe(topic, listener, { keepAlive = false } = {}) {
+    const subscription = { listener, keepAlive };
+    subscriptions[topic].add(subscription);
+    return () => subscriptions[topic].delete(subscription);
+}
+
+/**
+ * Removes every listener registered by the current view.
+ * The router calls it whenever it leaves a view.
+ */
+export function releaseViewSubscriptions() {
+    Object.values(subscriptions).forEach(topicSubscriptions => {
+        topicSubscriptions.forEach(subscription => {
+            if (!subscription.keepAlive) topicSubscriptions.delete(subscription);
+        });
+    });
+}
+
+/**
+ * Calls the listeners of a topic.
+ * @param {string} topic - The topic that changed.
+ * @param {*} change - The value passed to the listeners.
+ */
+function notify(topic, change) {
+    subscriptions[topic].forEach(({ listener }) => listener(change));
+}
+
+// --- CACHE HELPERS ---
+
+/**
+ * Runs an IndexedDB write in the background. The in-memory cache stays authoritative,
+ * so a failure only costs offline availability and is just logged.
+ * @param {Promise<*>} operation - The pending IndexedDB operation.
+ */
+function persist(operation) {
+    operation.catch(error => console.error("Could not save offline data: ", error));
+}
+
+/**
+ * Checks whether a cache entry is still fresh.
+ * @param {{fetchedAt: number}|null|undefined} entry - The cache entry.
+ * @returns {boolean} True if the entry exists and is younger than `CACHE_TTL_MS`.
+ */
+function isFresh(entry) {
+    return Boolean(entry) && Date.now() - entry.fetchedAt < CACHE_TTL_MS;
+}
+
+/**
+ * Stores courses in the cache and notifies the "courses" subscribers.
+ * @param {Array<object>} courses - The courses to store.
+ * @param {number} [fetchedAt=Date.now()] - When the data was received. Optimistic changes pass 0,
+ * so the next read asks the server again.
+ */
+function putCourses(courses, fetchedAt = Date.now()) {
+    courses.forEach(course => courseEntries.set(String(course.id), { course, fetchedAt }));
+    if (courses.length > 0) {
+        persist(offlineDb.saveCourses(courses));
+        notify("courses", { upserted: courses, removed: [] });
+    }
+}
+
+/**
+ * Removes a course from the cache and notifies the "courses" subscribers.
+ * @param {string|number} courseId - The ID of the course.
+ */
+function dropCourse(courseId) {
+    const key = String(courseId);
+    courseEntries.delete(key);
+    persist(offlineDb.removeCourse(key));
+    notify("courses", { upserted: [], removed: [key] });
+}
+
+/**
+ * Marks every cached course list as stale. Writes can change which courses match a query
+ * (e.g., "with free seats"), so the next list read goes back to the server.
+ */
+function invalidateCourseQueries() {
+    courseQueries.clear();
+}
+
+/**
+ * Serializes course filters into a stable cache key, ignoring empty values.
+ * `false` is kept, since `archived: false` is a filter of its own and not the absence of one.
+ * @param {object} filters - The filters passed to `loadCourses`.
+ * @returns {string} The cache key.
+ */
+function toQueryKey(filters) {
+    const entries = Object.entries(filters)
+        .filter(([, value]) => value !== undefined && value !== null && value !== "")
+        .sort(([a], [b]) => a.localeCompare(b));
+    return JSON.stringify(entries);
+}
+
+/**
+ * Caches courses read back from IndexedDB, without overwriting newer versions
+ * (e.g., optimistic changes) already in memory. They are marked stale.
+ * @param {Array<object>} courses - The saved courses.
+ */
+function restoreSavedCourses(courses) {
+    courses.forEach(course => {
+        const key = String(course.id);
+        if (!courseEntries.has(key)) courseEntries.set(key, { course, fetchedAt: 0 });
+    });
+}
+
+/**
+ * Tells whether a failed write can be queued for later: only when the request never reached the server.
+ * Timeouts are excluded, since the server may have applied the write without answering in time.
+ * @param {Error} error - The error thrown by the controller.
+ * @returns {boolean} True if the write can be replayed safely.
+ */
+function canQueue(error) {
+    return error instanceof NetworkError && !(error instanceof TimeoutError);
+}
+
+/**
+ * Empties the whole cache. Used when the current user changes.
+ */
+function clearCache() {
+    courseEntries.clear();
+    courseQueries.clear();
+    instructorsEntry = null;
+}
+
+// --- CURRENT USER ---
+
+/**
+ * Takes over the offline data for a user who just logged in or whose session was restored.
+ * Data saved by another user is deleted. The user is remembered for offline session restores
+ * (see `restoreSession` in the auth controller), and writes left in the outbox are replayed.
+ * @param {object} user - The current user.
+ * @returns {Promise<void>}
+ */
+async function adoptOfflineData(user) {
+    const owner = await offlineDb.readOwner();
+    if (owner !== user.id) {
+        await offlineDb.clearOfflineData();
+        await offlineDb.saveOwner(user.id);
+    }
+    await offlineDb.saveOfflineSession(getAuthToken(), user);
+    pendingWrites = (await offlineDb.readOutboxEntries()).length;
+    notify("sync", getSyncStatus());
+    if (isApiReachable()) await syncOutbox();
+}
+
+// Cached data belongs to the user who loaded it, so drop it on login and logout.
+// Logging out also deletes the offline data, including writes not synced yet. An expired session
+// keeps it: the writes are replayed when the same user logs in again (another user's login deletes them).
+onSessionChange((user, { expired }) => {
+    clearCache();
+    notify("user", user);
+    if (user) {
+        persist(adoptOfflineData(user));
+    } else if (!expired) {
+        pendingWrites = 0;
+        persist(offlineDb.clearOfflineData());
+    }
+});
+
+// --- COURSES ---
+
+/**
+ * Returns a cached course without contacting the server.
+ * @param {string|number} courseId - The ID of the course.
+ * @returns {object|null} The course, or `null` if it is not cached.
+ */
+export function getCachedCourse(courseId) {
+    const entry = courseEntries.get(String(courseId));
+    return entry ? entry.course : null;
+}
+
+/**
+ * Loads one page of courses matching the given filters (see `getCourses` in the course controller).
+ * Fresh results are served from the cache; while offline, the last saved result for the same filters is used.
+ * @param {object} [filters={}] - The filters to apply.
+ * @param {object} [options={}] - Load options.
+ * @param {boolean} [options.force=false] - Ignore the cache and ask the server.
+ * @returns {Promise<{courses: Array, total: number}>} The page of courses and the total number of matches.
+ * @throws {ApiError} If the request fails (offline, only if nothing was saved for these filters).
+ */
+export async function loadCourses(filters = {}, { force = false } = {}) {
+    const key = toQueryKey(filters);
+    const cached = courseQueries.get(key);
+    if (!force && isFresh(cached)) {
+        const courses = cached.ids.map(getCachedCourse).filter(Boolean);
+        return { courses, total: cached.total };
+    }
+
+    let result;
+    try {
+        result = await courseApi.getCourses(filters);
+    } catch (error) {
+        if (!(error instanceof NetworkError)) throw error;
+        // Offline: fall back to the last result saved for these filters
+        const saved = await offlineDb.readCourseQuery(key).catch(() => null);
+        if (!saved) throw error;
+        const savedCourses = await offlineDb.readCourses(saved.ids);
+        restoreSavedCourses(savedCourses);
+        return { courses: saved.ids.map(getCachedCourse).filter(Boolean), total: saved.total };
+    }
+
+    const { courses, total } = result;
+    const ids = courses.map(course => String(course.id));
+    putCourses(courses);
+    courseQueries.set(key, { ids, total, fetchedAt: Date.now() });
+    persist(offlineDb.saveCourseQuery(key, { ids, total }));
+    return { courses, total };
+}
+
+/**
+ * Loads a single course, from the cache when it is fresh, or from IndexedDB while offline.
+ * @param {string|number} courseId - The ID of the course.
+ * @param {object} [options={}] - Load options.
+ * @param {boolean} [options.force=false] - Ignore the cache and ask the server.
+ * @returns {Promise<object|null>} The course, or `null` if it does not exist.
+ * @throws {ApiError} If the request fails (offline, only if the course was never saved).
+ */
+export async function loadCourse(courseId, { force = false } = {}) {
+    const cached = courseEntries.get(String(courseId));
+    if (!force && isFresh(cached)) return cached.course;
+
+    let course;
+    try {
+        course = await courseApi.getCourseById(courseId);
+    } catch (error) {
+        if (!(error instanceof NetworkError)) throw error;
+        if (cached) return cached.course;
+        const [savedCourse] = await offlineDb.readCourses([courseId]).catch(() => []);
+        if (!savedCourse) throw error;
+        restoreSavedCourses([savedCourse]);
+        return savedCourse;
+    }
+    if (course) {
+        putCourses([course]);
+    } else if (cached) {
+        dropCourse(courseId); // Deleted by someone else
+    }
+    return course;
+}
+
+/**
+ * Applies a change to a cached course immediately, then sends it to the server.
+ * The server's answer replaces the optimistic version; if the request fails the
+ * previous version is restored. A conflict (409) means the cached course was stale,
+ * so it is fetched again before the error is rethrown.
+ * Writes that describe an `outboxEntry` are queued instead when the API cannot be reached:
+ * the change stays visible, flagged as `pending`, until the outbox is replayed.
+ * @param {string|number} courseId - The ID of the course.
+ * @param {function(object): object} applyChange - Returns the fields to change, given the cached course.
+ * @param {function(): Promise<object>} sendRequest - Sends the change; resolves to the saved course.
+ * @param {object|null} [outboxEntry=null] - How to replay the write later (see `OutboxEntry` in `outbox.js`).
+ * @returns {Promise<object>} The saved course, or the pending version of a queued write.
+ * @throws {ApiError} If the request fails and the write was not queued.
+ */
+async function updateCourseOptimistically(courseId, applyChange, sendRequest, outboxEntry = null) {
+    const previous = courseEntries.get(String(courseId));
+    if (previous) {
+        putCourses([{ ...previous.course, ...applyChange(previous.course) }], 0);
+    }
+    invalidateCourseQueries();
+
+    try {
+        const savedCourse = await sendRequest();
+        putCourses([savedCourse]);
+        return savedCourse;
+    } catch (error) {
+        if (outboxEntry && canQueue(error) && previous) {
+            const queued = await queueWrite({ ...outboxEntry, baseCourse: previous.course });
+            if (queued) {
+                const pendingCourse = { ...getCachedCourse(courseId), pending: true };
+                putCourses([pendingCourse], 0);
+                return pendingCourse;
+            }
+        }
+        if (previous) putCourses([previous.course], 0);
+        if (error instanceof ClientError && error.status === 409) {
+            await loadCourse(courseId, { force: true }).catch(() => null);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Creates a course. Not optimistic, since the course has no ID until the server assigns one.
+ * Offline, the course is queued and a placeholder with a temporary "pending-" ID is cached
+ * until the outbox is replayed.
+ * @param {object} courseData - The data for the new course, typically an instance of the Course model.
+ * @returns {Promise<object>} The created course, or the placeholder (with `pending: true`) of a queued one.
+ * @throws {ApiError} If the request fails and the course was not queued.
+ */
+export async function createCourse(courseData) {
+    let createdCourse;
+    try {
+        createdCourse = await courseApi.createCourse(courseData);
+    } catch (error) {
+        const entryId = canQueue(error) ? await queueWrite({ type: "createCourse", data: { ...courseData } }) : null;
+        if (!entryId) throw error;
+        createdCourse = { ...courseData, id: `pending-${entryId}`, pending: true };
+    }
+    invalidateCourseQueries();
+    putCourses([createdCourse]);
+    return createdCourse;
+}
+
+/**
+ * Updates a course optimistically. Queued while offline.
+ * @param {string|number} courseId - The ID of the course to update.
+ * @param {object} courseData - The course properties to update.
+ * @returns {Promise<object>} The updated course.
+ * @throws {ApiError} If the request fails.
+ */
+export async function updateCourse(courseId, courseData) {
+    return updateCourseOptimistically(
+        courseId,
+        () => courseData,
+        () => courseApi.updateCourse(courseId, courseData),
+        { type: "updateCourse", courseId, data: courseData }
+    );
+}
+
+/**
+ * Archives a course optimistically: it moves to the archived list at once and back if the request fails.
+ * @param {string|number} courseId - The ID of the course to archive.
+ * @returns {Promise<object>} The archived course.
+ * @throws {ApiError} If the request fails.
+ */
+export async function archiveCourse(courseId) {
+    return updateCourseOptimistically(
+        courseId,
+        () => ({ archived: true, archivedAt: new Date().toISOString() }),
+        () => courseApi.archiveCourse(courseId)
+    );
+}
+
+/**
+ * Restores an archived course optimistically.
+ * @param {string|number} courseId - The ID of the course to restore.
+ * @returns {Promise<object>} The restored course.
+ * @throws {ApiError} If the request fails.
+ */
+export async function restoreCourse(courseId) {
+    return updateCourseOptimistically(
+        courseId,
+        () => ({ archived: false, archivedAt: null }),
+        () => courseApi.restoreCourse(courseId)
+    );
+}
+
+/**
+ * Permanently deletes (purges) an archived course optimistically: it disappears from the views
+ * at once and comes back if the request fails.
+ * @param {string|number} courseId - The ID of the course to delete.
+ * @returns {Promise<void>}
+ * @throws {ApiError} If the request fails.
+ */
+export async function deleteCourse(courseId) {
+    const previous = courseEntries.get(String(courseId));
+    dropCourse(courseId);
+    invalidateCourseQueries();
+
+    try {
+        await courseApi.deleteCourse(courseId);
+    } catch (error) {
+        if (previous) putCourses([previous.course], 0);
+        throw error;
+    }
+}
+
+/**
+ * Enrolls the current user in a course, showing the new seat right away. Queued while offline.
+ * @param {string|number} courseId - The ID of the course.
+ * @returns {Promise<object>} The updated course.
+ * @throws {ClientError} With status 409 if the course is full or the student is already enrolled.
+ */
+export async function enrollInCourse(courseId) {
+    const userId = getCurrentUser().id;
+    return updateCourseOptimistically(
+        courseId,
+        course => ({
+            enrolledStudents: [...course.enrolledStudents, userId],
+            waitlist: (course.waitlist || []).filter(id => id !== userId),
+        }),
+        () => courseApi.enrollInCourse(courseId),
+        { type: "enrollInCourse", courseId }
+    );
+}
+
+/**
+ * Unenrolls the current user from a course, freeing the seat right away.
+ * The server's answer also reflects the waitlisted student who took the seat, if any.
+ * @param {string|number} courseId - The ID of the course.
+ * @returns {Promise<object>} The updated course.
+ * @throws {ApiError} If the request fails (409 if the student is not enrolled).
+ */
+export async function unenrollFromCourse(courseId) {
+    const userId = getCurrentUser().id;
+    return updateCourseOptimistically(
+        courseId,
+        course => ({ enrolledStudents: course.enrolledStudents.filter(id => id !== userId) }),
+        () => courseApi.unenrollFromCourse(courseId)
+    );
+}
+
+/**
+ * Puts the current user on the waitlist of a full course.
+ * @param {string|number} courseId - The ID of the course.
+ * @returns {Promise<object>} The updated course.
+ * @throws {ApiError} If the request fails (409 if the course has seats or the student is already waiting).
+ */
+export async function joinWaitlist(courseId) {
+    const userId = getCurrentUser().id;
+    return updateCourseOptimistically(
+        courseId,
+        course => ({ waitlist: [...(course.waitlist || []), userId] }),
+        () => courseApi.joinWaitlist(courseId)
+    );
+}
+
+/**
+ * Removes the current user from a course's waitlist.
+ * @param {string|number} courseId - The ID of the course.
+ * @returns {Promise<object>} The updated course.
+ * @throws {ApiError} If the request fails (409 if the student is not on the waitlist).
+ */
+export async function leaveWaitlist(courseId) {
+    const userId = getCurrentUser().id;
+    return updateCourseOptimistically(
+        courseId,
+        course => ({ waitlist: (course.waitlist || []).filter(id => id !== userId) }),
+        () => courseApi.leaveWaitlist(courseId)
+    );
+}
+
+/**
+ * Enrolls a student on behalf of an administrator, showing the new seat right away.
+ * @param {string|number} courseId - The ID of the course.
+ * @param {string|number} studentId - The ID of the student.
+ * @param {object} [options] - See `courseController.enrollStudent` (`override` enrolls above capacity).
+ * @returns {Promise<object>} The updated course.
+ * @throws {ClientError} With status 409 and code `COURSE_FULL` if the course is full and `override` is not set.
+ */
+export async function enrollStudent(courseId, studentId, options) {
+    const id = Number(studentId);
+    return updateCourseOptimistically(
+        courseId,
+        course => ({
+            enrolledStudents: [...course.enrolledStudents, id],
+            waitlist: (course.waitlist || []).filter(waitingId => waitingId !== id),
+        }),
+        () => courseApi.enrollStudent(courseId, studentId, options)
+    );
+}
+
+/**
+ * Removes a student on behalf of an administrator, freeing the seat right away.
+ * The server's answer also reflects the waitlisted student who took the seat, if any.
+ * @param {string|number} courseId - The ID of the course.
+ * @param {string|number} studentId - The ID of the student.
+ * @returns {Promise<object>} The updated course.
+ * @throws {ApiError} If the request fails (409 if the student is not enrolled).
+ */
+export async function removeStudent(courseId, studentId) {
+    const id = Number(studentId);
+    return updateCourseOptimistically(
+        courseId,
+        course => ({ enrolledStudents: course.enrolledStudents.filter(enrolledId => enrolledId !== id) }),
+        () => courseApi.removeStudent(courseId, studentId)
+    );
+}
+
+/**
+ * Replaces the description of a course optimistically, for instructors editing their own courses.
+ * @param {string|number} courseId - The ID of the course.
+ * @param {string} description - The new description.
+ * @returns {Promise<object>} The updated course.
+ * @throws {ApiError} If the request fails.
+ */
+export async function updateCourseDescription(courseId, description) {
+    return updateCourseOptimistically(
+        courseId,
+        () => ({ description }),
+        () => courseApi.updateCourseDescription(courseId, description)
+    );
+}
+
+// --- INSTRUCTORS ---
+
+/**
+ * Loads all instructors, from the cache when it is fresh, or from IndexedDB while offline.
+ * @param {object} [options={}] - Load options.
+ * @param {boolean} [options.force=false] - Ignore the cache and ask the server.
+ * @returns {Promise<Array>} The instructors.
+ * @throws {ApiError} If the request fails.
+ */
+export async function loadInstructors({ force = false } = {}) {
+    if (!force && isFresh(instructorsEntry)) return instructorsEntry.instructors;
+    try {
+        setInstructors(await courseApi.getAllInstructors());
+    } catch (error) {
+        if (!(error instanceof NetworkError)) throw error;
+        if (instructorsEntry) return instructorsEntry.instructors;
+        const savedInstructors = await offlineDb.readInstructors().catch(() => null);
+        if (!savedInstructors) throw error;
+        instructorsEntry = { instructors: savedInstructors, fetchedAt: 0 };
+    }
+    return instructorsEntry.instructors;
+}
+
+/**
+ * Replaces the cached instructors and notifies the "instructors" subscribers.
+ * @param {Array<object>} instructors - The new list of instructors.
+ * @param {number} [fetchedAt=Date.now()] - When the data was received.
+ */
+function setInstructors(instructors, fetchedAt = Date.now()) {
+    instructorsEntry = { instructors, fetchedAt };
+    persist(offlineDb.saveInstructors(instructors));
+    notify("instructors", instructors);
+}
+
+/**
+ * Creates an instructor and adds it to the cached list.
+ * @param {object} instructorData - The data for the new instructor, typically an instance of the Instructor model.
+ * @returns {Promise<object>} The created instructor.
+ * @throws {ApiError} If the request fails.
+ */
+export async function createInstructor(instructorData) {
+    const createdInstructor = await courseApi.createInstructor(instructorData);
+    if (instructorsEntry) {
+        setInstructors([...instructorsEntry.instructors, createdInstructor], instructorsEntry.fetchedAt);
+    }
+    return createdInstructor;
+}
+
+/**
+ * Updates an instructor and replaces it in the cached list.
+ * @param {string|number} instructorId - The ID of the instructor to update.
+ * @param {object} instructorData - The instructor properties to update.
+ * @returns {Promise<object>} The updated instructor.
+ * @throws {ApiError} If the request fails.
+ */
+export async function updateInstructor(instructorId, instructorData) {
+    const updatedInstructor = await courseApi.updateInstructor(instructorId, instructorData);
+    if (instructorsEntry) {
+        const instructors = instructorsEntry.instructors
+            .map(instructor => (instructor.id == instructorId ? updatedInstructor : instructor));
+        setInstructors(instructors, instructorsEntry.fetchedAt);
+    }
+    return updatedInstructor;
+}
+
+/**
+ * Deletes an instructor, reassigning their courses if needed (see `deleteInstructor` in the course controller).
+ * The reassigned courses are refetched on the next read.
+ * @param {string|number} instructorId - The ID of the instructor to delete.
+ * @param {string|number|null} [reassignToId=null] - The ID of the instructor who takes over the courses.
+ * @returns {Promise<void>}
+ * @throws {ApiError} If the request fails (409 `INSTRUCTOR_HAS_COURSES` without a replacement).
+ */
+export async function deleteInstructor(instructorId, reassignToId = null) {
+    await courseApi.deleteInstructor(instructorId, reassignToId);
+    if (reassignToId) {
+        courseEntries.forEach(entry => { entry.fetchedAt = 0; });
+        invalidateCourseQueries();
+    }
+    if (instructorsEntry) {
+        const instructors = instructorsEntry.instructors.filter(instructor => instructor.id != instructorId);
+        setInstructors(instructors, instructorsEntry.fetchedAt);
+    }
+}
+
+// --- OFFLINE OUTBOX ---
+
+/**
+ * Returns the current connection and outbox state, e.g. for an offline indicator.
+ * @returns {SyncStatus} Whether the API is reachable and how many writes are waiting.
+ */
+export function getSyncStatus() {
+    return { online: isApiReachable(), pending: pendingWrites };
+}
+
+/**
+ * Adds a write to the outbox and notifies the "sync" subscribers.
+ * @param {object} entry - The write to replay (see `OutboxEntry` in `outbox.js`).
+ * @returns {Promise<number|null>} The ID of the entry, or `null` if it could not be saved.
+ */
+async function queueWrite(entry) {
+    try {
+        const entryId = await offlineDb.addOutboxEntry(entry);
+        pendingWrites++;
+        notify("sync", getSyncStatus());
+        return entryId;
+    } catch (error) {
+        console.error("Could not queue the offline change: ", error);
+        return null;
+    }
+}
+
+/**
+ * Replays the outbox and brings the cache in line with the outcome:
+ * placeholders of created courses are replaced by the real ones, and courses whose
+ * queued write was rejected are fetched again to drop their pending version.
+ * Concurrent calls share the same replay.
+ * @returns {Promise<void>}
+ */
+export function syncOutbox() {
+    if (!syncInProgress) {
+        syncInProgress = replayAndRefresh().finally(() => {
+            syncInProgress = null;
+        });
+    }
+    return syncInProgress;
+}
+
+/**
+ * Does the work of `syncOutbox`.
+ * @returns {Promise<void>}
+ */
+async function replayAndRefresh() {
+    if (pendingWrites === 0) return;
+    const { applied, conflicts } = await replayOutbox();
+
+    applied.forEach(({ entry, course }) => {
+        if (entry.type === "createCourse") dropCourse(`pending-${entry.id}`);
+        if (course) putCourses([course]);
+    });
+    for (const { entry } of conflicts) {
+        if (entry.type === "createCourse") {
+            dropCourse(`pending-${entry.id}`);
+        } else {
+            await loadCourse(entry.courseId, { force: true }).catch(() => null);
+        }
+    }
+    if (applied.length > 0 || conflicts.length > 0) invalidateCourseQueries();
+
+    pendingWrites = (await offlineDb.readOutboxEntries()).length;
+    notify("sync", {
+        ...getSyncStatus(),
+        applied: applied.length,
+        conflicts: conflicts.map(conflict => conflict.message),
+    });
+}
+
+// Replay the outbox as soon as the API is back
+onConnectivityChange(reachable => {
+    notify("connection", reachable);
+    if (reachable && getCurrentUser()) persist(syncOutbox());
+});
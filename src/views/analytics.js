@@ -0,0 +1,157 @@
+/**
+ * @file The Admin Analytics view (`/admin/analytics`): fill rates, capacity alerts and enrollments per month,
+ * charted and exportable. Its markup is `analytics.html`.
+ */
+
+import { getEnrollmentEvents } from "../controllers/auditController.js";
+import { toCourseFillRows, toGroupFillRows, toCapacityAlertRows, toEnrollmentMonthRows, toExportRows, computeFillRate, formatRate, NEAR_CAPACITY_RATE, COURSE_FILL_COLUMNS, GROUP_FILL_COLUMNS, CAPACITY_ALERT_COLUMNS, ENROLLMENT_MONTH_COLUMNS } from "../controllers/analyticsController.js";
+import { loadCourses, loadInstructors } from "../services/store.js";
+import { reportError } from "../services/notifications.js";
+import { downloadDataFile } from "../services/dataFiles.js";
+import { html, render } from "../components/template.js";
+import { BarChart, ColumnChart } from "../components/charts.js";
+
+/**
+ * Initializes the Admin Analytics view: fill rates per course, category and instructor, the courses
+ * near capacity or empty, and the enrollments per month, each as an SVG chart and a table that can be
+ * exported. Archived courses are left out unless the administrator includes them.
+ * @param {object} user - The currently logged-in administrator user object.
+ */
+export async function initializeAnalyticsView(user) {
+    const optionsForm = document.getElementById("analytics-options");
+    if (!optionsForm) return; // Safety check
+
+    // The rows of each table, by the `data-table` name of its export button
+    let tables = {};
+
+    // --- NESTED HELPER FUNCTIONS for the Analytics View ---
+
+    /** Builds the table rows of a fill rate table (per category or per instructor). */
+    function renderGroupRows(rows) {
+        return rows.length > 0
+            ? rows.map(row => html`
+                <tr>
+                    <td>${row.name}</td>
+                    <td>${row.courses}</td>
+                    <td>${row.enrolled}</td>
+                    <td>${row.capacity}</td>
+                    <td>${formatRate(row.fillRate)}</td>
+                </tr>
+            `)
+            : html`<tr><td colspan="5" class="empty-list">No courses yet.</td></tr>`;
+    }
+
+    /** Renders a fill rate chart: a full bar is a full course, overfull ones are highlighted. */
+    function renderFillChart(elementId, title, items) {
+        render(document.getElementById(elementId), BarChart({ title, items, maxValue: 1, formatValue: formatRate }));
+    }
+
+    /** Renders every chart and table from the current courses and the enrollments recorded in the audit log. */
+    function renderAnalytics(courses, instructors, enrollmentEvents) {
+        const courseRows = toCourseFillRows(courses, instructors);
+        const categoryRows = toGroupFillRows(courseRows, "category");
+        const instructorRows = toGroupFillRows(courseRows, "instructor");
+        const alertRows = toCapacityAlertRows(courseRows);
+        const { rows: monthRows, undatedCount } = toEnrollmentMonthRows(courses, enrollmentEvents);
+        tables = {
+            courses: { rows: courseRows, columns: COURSE_FILL_COLUMNS },
+            categories: { rows: categoryRows, columns: GROUP_FILL_COLUMNS },
+            instructors: { rows: instructorRows, columns: GROUP_FILL_COLUMNS },
+            alerts: { rows: alertRows, columns: CAPACITY_ALERT_COLUMNS },
+            months: { rows: monthRows, columns: ENROLLMENT_MONTH_COLUMNS }
+        };
+
+        const enrolled = courseRows.reduce((sum, row) => sum + row.enrolled, 0);
+        const capacity = courseRows.reduce((sum, row) => sum + row.capacity, 0);
+        document.getElementById("analytics-summary").textContent =
+            `${courseRows.length} course(s), ${enrolled} of ${capacity} seats taken (${formatRate(computeFillRate(enrolled, capacity))}).`;
+
+        renderFillChart("analytics-courses-chart", "Fill rate per course",
+            courseRows.map(row => ({ label: row.title, value: row.fillRate })));
+        render(document.getElementById("analytics-courses-table"), courseRows.length > 0
+            ? courseRows.map(row => html`
+                <tr>
+                    <td><a href="/courses/${row.id}">${row.title}</a></td>
+                    <td>${row.category}</td>
+                    <td>${row.instructor}</td>
+                    <td>${row.enrolled}</td>
+                    <td>${row.capacity}</td>
+                    <td>${formatRate(row.fillRate)}</td>
+                </tr>
+            `)
+            : html`<tr><td colspan="6" class="empty-list">No courses yet.</td></tr>`);
+
+        renderFillChart("analytics-categories-chart", "Fill rate per category",
+            categoryRows.map(row => ({ label: row.name, value: row.fillRate })));
+        render(document.getElementById("analytics-categories-table"), renderGroupRows(categoryRows));
+        renderFillChart("analytics-instructors-chart", "Fill rate per instructor",
+            instructorRows.map(row => ({ label: row.name, value: row.fillRate })));
+        render(document.getElementById("analytics-instructors-table"), renderGroupRows(instructorRows));
+
+        document.getElementById("analytics-alerts-hint").textContent =
+            `Courses with at least ${formatRate(NEAR_CAPACITY_RATE)} of their seats taken, and courses nobody is enrolled in.`;
+        render(document.getElementById("analytics-alerts-table"), alertRows.length > 0
+            ? alertRows.map(row => html`
+                <tr>
+                    <td><a href="/courses/${row.id}">${row.title}</a></td>
+                    <td>${row.status}</td>
+                    <td>${row.enrolled}</td>
+                    <td>${row.capacity}</td>
+                    <td>${row.waitlisted}</td>
+                </tr>
+            `)
+            : html`<tr><td colspan="5" class="empty-list">No course is near capacity or empty.</td></tr>`);
+
+        render(document.getElementById("analytics-months-chart"), ColumnChart({
+            title: "New enrollments per month",
+            items: monthRows.map(row => ({ label: row.month, value: row.newEnrollments }))
+        }));
+        const undatedElement = document.getElementById("analytics-undated");
+        undatedElement.hidden = undatedCount === 0;
+        undatedElement.textContent = `${undatedCount} current enrollment(s) were made before the audit log recorded them and are not shown.`;
+        render(document.getElementById("analytics-months-table"), monthRows.length > 0
+            ? monthRows.map(row => html`
+                <tr>
+                    <td>${row.month}</td>
+                    <td>${row.newEnrollments}</td>
+                    <td>${row.totalEnrollments}</td>
+                </tr>
+            `)
+            : html`<tr><td colspan="3" class="empty-list">No enrollments have been recorded yet.</td></tr>`);
+    }
+
+    /** Fetches the courses, instructors and recorded enrollments and renders the analytics. */
+    async function loadAnalytics() {
+        const includeArchived = document.getElementById("analytics-archived").checked;
+        let courses, instructors, enrollmentEvents;
+        try {
+            [{ courses }, instructors, enrollmentEvents] = await Promise.all([
+                loadCourses(includeArchived ? {} : { archived: false }),
+                loadInstructors(),
+                getEnrollmentEvents()
+            ]);
+        } catch (error) {
+            reportError(error, "Could not load the analytics.", loadAnalytics);
+            return;
+        }
+        renderAnalytics(courses.filter(course => !course.pending), instructors, enrollmentEvents);
+    }
+
+    /** Downloads the rows of a table in the chosen format. */
+    function exportTable(name) {
+        const table = tables[name];
+        if (!table) return;
+        const format = document.getElementById("analytics-format").value;
+        downloadDataFile(`analytics-${name}-${new Date().toISOString().slice(0, 10)}`, toExportRows(table.rows), table.columns, format);
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Analytics View ---
+    document.getElementById("analytics-archived").addEventListener("change", loadAnalytics);
+    optionsForm.addEventListener("submit", (event) => event.preventDefault());
+    document.querySelectorAll(".export-table-btn").forEach(button => {
+        button.addEventListener("click", () => exportTable(button.dataset.table));
+    });
+
+    // --- INITIAL DATA LOAD ---
+    loadAnalytics();
+}
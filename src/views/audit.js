@@ -0,0 +1,195 @@
+/**
+ * @file The Admin Audit Log view (`/admin/audit`), where administrators browse who changed what and when.
+ * Its markup is `audit.html`.
+ */
+
+import { renderPagination } from "../router.js";
+import { getAuditLog } from "../controllers/auditController.js";
+import { getAllUsers } from "../controllers/userController.js";
+import { loadCourses } from "../services/store.js";
+import { reportError } from "../services/notifications.js";
+import { html, render } from "../components/template.js";
+
+/**
+ * The number of entries shown per page in the audit log.
+ * @type {number}
+ */
+const AUDIT_PAGE_SIZE = 20;
+
+/**
+ * How each audit action (see `server/audit.js`) is described in the audit log view.
+ * @type {Object.<string, string>}
+ */
+const AUDIT_ACTION_LABELS = {
+    "course.create": "Created course",
+    "course.update": "Updated course",
+    "course.archive": "Archived course",
+    "course.restore": "Restored course",
+    "course.delete": "Deleted course permanently",
+    "course.enroll": "Enrolled",
+    "course.unenroll": "Unenrolled",
+    "course.joinWaitlist": "Joined waitlist",
+    "course.leaveWaitlist": "Left waitlist",
+    "course.addStudent": "Enrolled a student",
+    "course.removeStudent": "Removed a student",
+    "course.editDescription": "Edited description",
+    "course.reassignInstructor": "Reassigned instructor",
+    "course.editContent": "Edited content",
+    "course.createAssessment": "Added assessment",
+    "course.editAssessment": "Edited assessment",
+    "course.deleteAssessment": "Deleted assessment",
+    "course.grade": "Graded",
+    "course.submitQuiz": "Took quiz",
+    "course.completeLesson": "Completed lesson",
+    "course.reopenLesson": "Marked lesson as not completed",
+    "instructor.create": "Added instructor",
+    "instructor.update": "Updated instructor",
+    "instructor.delete": "Deleted instructor",
+    "user.register": "Registered",
+    "user.create": "Created user",
+    "user.update": "Updated user",
+    "user.delete": "Deleted user",
+    "user.changeRole": "Changed role",
+    "user.deactivate": "Deactivated account",
+    "user.reactivate": "Reactivated account",
+    "user.forcePasswordReset": "Forced a password reset",
+    "user.changePassword": "Changed password"
+};
+
+/**
+ * Initializes the Admin Audit Log view.
+ * Lists who changed what and when, newest first, with the fields each change touched.
+ * The log can be filtered by user, course and date range.
+ * @param {object} user - The currently logged-in administrator user object.
+ */
+export async function initializeAuditView(user) {
+    const filterForm = document.getElementById("audit-filters");
+    const auditListElement = document.getElementById("audit-list");
+    const paginationElement = document.getElementById("audit-pagination");
+    if (!filterForm || !auditListElement || !paginationElement) return; // Safety check
+
+    const filters = { actorId: "", courseId: "", from: "", to: "", page: 1 };
+    let users = [];
+
+    // --- NESTED HELPER FUNCTIONS for the Audit View ---
+
+    /** Shows a value of an audited record. Student lists show emails instead of IDs. */
+    function formatAuditValue(field, value) {
+        if (value === null || value === undefined || value === "") return "-";
+        if (Array.isArray(value)) {
+            if (value.length === 0) return "none";
+            const isStudentList = field === "enrolledStudents" || field === "waitlist";
+            return value.map(id => {
+                const student = isStudentList && users.find(u => u.id == id);
+                return student ? student.email : id;
+            }).join(", ");
+        }
+        if (typeof value === "object") return JSON.stringify(value); // e.g., enrollment dates
+        return String(value);
+    }
+
+    /** Lists the fields an entry changed, with their values before and after. */
+    function getAuditChanges(entry) {
+        const before = entry.before || {};
+        const after = entry.after || {};
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+        fields.delete("id");
+        return [...fields]
+            .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+            .map(field => ({ field, before: before[field], after: after[field] }));
+    }
+
+    /** Describes the record an entry changed (e.g., course "JavaScript" #5). */
+    function describeAuditTarget(entry) {
+        const record = entry.after || entry.before || {};
+        const name = record.title || record.name || record.email;
+        return name ? `${entry.targetType} "${name}" #${entry.targetId}` : `${entry.targetType} #${entry.targetId}`;
+    }
+
+    /** Builds the table row of an audit entry. */
+    function renderAuditEntry(entry) {
+        const changes = getAuditChanges(entry);
+        return html`
+            <tr>
+                <td><time datetime="${entry.timestamp}">${new Date(entry.timestamp).toLocaleString()}</time></td>
+                <td>${entry.actorEmail || "Unknown user"}</td>
+                <td>${AUDIT_ACTION_LABELS[entry.action] || entry.action}</td>
+                <td>${describeAuditTarget(entry)}</td>
+                <td>
+                    ${changes.length === 0 ? "-" : html`
+                        <ul class="audit-changes">
+                            ${changes.map(change => html`
+                                <li>
+                                    <strong>${change.field}:</strong>
+                                    ${formatAuditValue(change.field, change.before)} &rarr; ${formatAuditValue(change.field, change.after)}
+                                </li>
+                            `)}
+                        </ul>
+                    `}
+                </td>
+            </tr>
+        `;
+    }
+
+    /** Fills a filter select with options, keeping its "All" option and the current choice. */
+    function populateAuditSelect(select, options) {
+        const selectedValue = select.value;
+        render(select, html`
+            ${select.options[0] && html`<option value="">${select.options[0].textContent}</option>`}
+            ${options.map(option => html`<option value="${option.value}">${option.label}</option>`)}
+        `);
+        select.value = selectedValue;
+    }
+
+    /** Fetches the current page of the audit log and renders it. */
+    async function loadAuditLog() {
+        let entries, total;
+        try {
+            ({ entries, total } = await getAuditLog({ ...filters, limit: AUDIT_PAGE_SIZE }));
+        } catch (error) {
+            reportError(error, "Could not load the audit log.", loadAuditLog);
+            return;
+        }
+        render(auditListElement, entries.length > 0
+            ? entries.map(renderAuditEntry)
+            : html`<tr><td colspan="5" class="empty-list">No changes match your filters.</td></tr>`);
+        renderPagination(paginationElement, filters.page, total, AUDIT_PAGE_SIZE);
+    }
+
+    /** Fetches the users and courses offered in the filters. */
+    async function loadFilterOptions() {
+        let courses;
+        try {
+            [users, { courses }] = await Promise.all([getAllUsers(), loadCourses()]);
+        } catch (error) {
+            reportError(error, "Could not load the filter options.", loadFilterOptions);
+            return;
+        }
+        populateAuditSelect(filterForm.querySelector("#audit-user"),
+            users.map(u => ({ value: u.id, label: `${u.email} (${u.role})` })));
+        populateAuditSelect(filterForm.querySelector("#audit-course"),
+            courses.map(course => ({ value: course.id, label: course.archived ? `${course.title} (archived)` : course.title })));
+        loadAuditLog(); // Student lists can now show emails
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Audit View ---
+    filterForm.addEventListener("change", () => {
+        Object.assign(filters, {
+            actorId: filterForm.querySelector("#audit-user").value,
+            courseId: filterForm.querySelector("#audit-course").value,
+            from: filterForm.querySelector("#audit-from").value,
+            to: filterForm.querySelector("#audit-to").value,
+            page: 1
+        });
+        loadAuditLog();
+    });
+    filterForm.addEventListener("submit", (event) => event.preventDefault());
+    paginationElement.addEventListener("click", (event) => {
+        if (!event.target.matches(".page-btn")) return;
+        filters.page = parseInt(event.target.dataset.page, 10);
+        loadAuditLog();
+    });
+
+    // --- INITIAL DATA LOAD ---
+    loadFilterOptions();
+}
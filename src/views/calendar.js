@@ -0,0 +1,118 @@
+/**
+ * @file The My Calendar view (`/my-calendar`), where students see the sessions of their courses month by month.
+ * Its markup is `calendar.html`.
+ */
+
+import { subscribe, getCachedCourse, loadCourses } from "../services/store.js";
+import { getSessionsOn, hasSchedule, toDateString, WEEKDAYS } from "../models/schedule.js";
+import { notifyInfo, reportError } from "../services/notifications.js";
+import { downloadCalendar } from "../services/calendarFile.js";
+import { html, render } from "../components/template.js";
+
+/**
+ * Initializes the student's Calendar view.
+ * Shows a month of the sessions of the courses the student is enrolled in, one week per row
+ * starting on Monday, and lets the student download them as an iCalendar (.ics) file.
+ * @param {object} user - The currently logged-in student user object.
+ */
+export async function initializeCalendarView(user) {
+    const monthElement = document.getElementById("calendar-month");
+    const daysElement = document.getElementById("calendar-days");
+    const unscheduledElement = document.getElementById("calendar-unscheduled");
+    if (!monthElement || !daysElement || !unscheduledElement) return; // Safety check
+
+    // The first day of the month on screen
+    const shownMonth = new Date();
+    shownMonth.setDate(1);
+    let courseIds = [];
+
+    // --- NESTED HELPER FUNCTIONS for the Calendar View ---
+
+    /** Returns the student's courses from the store, leaving out those they left meanwhile. */
+    function getEnrolledCourses() {
+        return courseIds.map(getCachedCourse).filter(course => course && course.enrolledStudents.includes(user.id));
+    }
+
+    /** Builds the cell of one day, with its sessions in time order. */
+    function renderDay(date, courses) {
+        const dateString = toDateString(date);
+        const sessions = courses
+            .flatMap(course => getSessionsOn(course, dateString).map(session => ({ course, session })))
+            .sort((a, b) => a.session.startTime.localeCompare(b.session.startTime));
+        const isToday = dateString === toDateString(new Date());
+        return html`
+            <td class="${isToday ? "calendar-day today" : "calendar-day"}"${isToday && html` aria-current="date"`}>
+                <span class="calendar-date">${date.getDate()}</span>
+                ${sessions.map(({ course, session }) => html`
+                    <a class="calendar-session" href="/courses/${course.id}">
+                        <time>${session.startTime}-${session.endTime}</time> ${course.title}
+                    </a>
+                `)}
+            </td>
+        `;
+    }
+
+    /** Renders the month on screen and the list of courses without a schedule. */
+    function renderCalendar() {
+        const courses = getEnrolledCourses();
+        monthElement.textContent = shownMonth.toLocaleDateString(undefined, { month: "long", year: "numeric" });
+
+        // Weeks start on Monday: blank cells fill the days before the 1st and after the last day
+        const offset = (shownMonth.getDay() + 6) % 7;
+        const daysInMonth = new Date(shownMonth.getFullYear(), shownMonth.getMonth() + 1, 0).getDate();
+        const cells = Array.from({ length: offset }, () => html`<td class="calendar-day outside-month"></td>`);
+        for (let day = 1; day <= daysInMonth; day++) {
+            cells.push(renderDay(new Date(shownMonth.getFullYear(), shownMonth.getMonth(), day), courses));
+        }
+        while (cells.length % 7 !== 0) cells.push(html`<td class="calendar-day outside-month"></td>`);
+        const weeks = [];
+        for (let i = 0; i < cells.length; i += 7) weeks.push(html`<tr>${cells.slice(i, i + 7)}</tr>`);
+        render(daysElement, weeks);
+
+        const unscheduled = courses.filter(course => !hasSchedule(course));
+        render(unscheduledElement, unscheduled.length > 0
+            ? `Not scheduled yet: ${unscheduled.map(course => course.title).join(", ")}.`
+            : "");
+    }
+
+    /** Moves the calendar by a number of months. */
+    function changeMonth(delta) {
+        shownMonth.setMonth(shownMonth.getMonth() + delta);
+        renderCalendar();
+    }
+
+    /** Downloads the sessions of the student's scheduled courses as an .ics file. */
+    function handleDownloadClick() {
+        const scheduled = getEnrolledCourses().filter(hasSchedule);
+        if (scheduled.length === 0) {
+            notifyInfo("None of your courses has a schedule yet.");
+            return;
+        }
+        downloadCalendar("my-courses", scheduled);
+    }
+
+    /** Fetches the courses the student is enrolled in. */
+    async function loadCalendar() {
+        let enrolled;
+        try {
+            enrolled = await loadCourses({ enrolledStudent: user.id });
+        } catch (error) {
+            reportError(error, "Could not load your courses.", loadCalendar);
+            return;
+        }
+        courseIds = enrolled.courses.map(course => String(course.id));
+        renderCalendar();
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Calendar View ---
+    document.getElementById("calendar-prev").addEventListener("click", () => changeMonth(-1));
+    document.getElementById("calendar-next").addEventListener("click", () => changeMonth(1));
+    document.getElementById("calendar-download-btn").addEventListener("click", handleDownloadClick);
+    subscribe("courses", renderCalendar);
+
+    // --- INITIAL DATA LOAD ---
+    // Monday first, like the rows of the calendar
+    render(document.getElementById("calendar-weekdays"),
+        [...WEEKDAYS.slice(1), WEEKDAYS[0]].map(day => html`<th scope="col">${day}</th>`));
+    loadCalendar();
+}
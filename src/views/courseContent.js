@@ -0,0 +1,224 @@
+/**
+ * @file The Course Content editor view (`/courses/:id/content`), where administrators and the
+ * instructor of a course write its modules and lessons. Its markup is `course-content.html`.
+ */
+
+import { navigateTo, renderNotFound } from "../router.js";
+import { getCourseContent, saveCourseContent } from "../controllers/contentController.js";
+import { loadCourse } from "../services/store.js";
+import { checkContent, parseLinks, formatLinks } from "../models/courseContent.js";
+import { ClientError } from "../services/apiClient.js";
+import { notifySuccess, notifyError, reportError } from "../services/notifications.js";
+import { html, render } from "../components/template.js";
+import { ActionButton } from "../components/actionButton.js";
+import { showFormErrors, FORM_ERROR } from "../components/formErrors.js";
+import { confirmAction } from "../components/confirmDialog.js";
+
+/**
+ * Initializes the Course Content editor, for administrators and the instructor of the course.
+ * Lists the modules of the course and their lessons, which can be added, edited, reordered
+ * and removed; nothing is saved until the form is submitted. Unknown course IDs fall through to the 404 view.
+ * @param {object} user - The currently logged-in user object.
+ * @param {object} params - The route parameters; `params.id` is the course ID.
+ */
+export async function initializeContentEditor(user, params) {
+    const courseId = params.id;
+    const contentForm = document.getElementById("content-form");
+    const modulesElement = document.getElementById("content-modules");
+    if (!contentForm || !modulesElement) return; // Safety check
+
+    let course, content;
+    try {
+        course = await loadCourse(courseId);
+        content = course && await getCourseContent(courseId);
+    } catch (error) {
+        // Instructors of other courses get a 403, which the message explains
+        reportError(error, "Could not load the content of the course.");
+        return;
+    }
+    if (!course) {
+        await renderNotFound();
+        return;
+    }
+    if (user.role === "instructor" && course.instructorId != user.instructorId) {
+        notifyError("You can only edit the content of the courses you teach.");
+        navigateTo(`/courses/${course.id}`);
+        return;
+    }
+
+    // The modules being edited; links are kept as typed until the form is submitted
+    let modules = [];
+
+    // --- NESTED HELPER FUNCTIONS for the Content Editor ---
+
+    /** Copies the saved content into the editor. */
+    function loadModules(savedModules) {
+        modules = savedModules.map(module => ({
+            id: module.id,
+            title: module.title,
+            lessons: module.lessons.map(lesson => ({
+                id: lesson.id,
+                title: lesson.title,
+                content: lesson.content,
+                linksText: formatLinks(lesson.links)
+            }))
+        }));
+    }
+
+    /** Builds the buttons that move or remove a module (or one of its lessons, when `l` is given). */
+    function renderItemActions(list, m, l) {
+        const index = l === undefined ? m : l;
+        const data = l === undefined ? { module: m } : { module: m, lesson: l };
+        const noun = l === undefined ? "Module" : "Lesson";
+        return html`
+            <div class="content-item-actions">
+                ${ActionButton({ label: "Move Up", className: "move-up-btn", data, disabled: index === 0 })}
+                ${ActionButton({ label: "Move Down", className: "move-down-btn", data, disabled: index === list.length - 1 })}
+                ${ActionButton({ label: `Remove ${noun}`, className: "delete-btn remove-item-btn", data })}
+            </div>
+        `;
+    }
+
+    /** Builds the fields of a lesson. Input IDs match the error keys of `checkContent`. */
+    function renderLessonFields(module, lesson, m, l) {
+        const prefix = `lesson-${m}-${l}`;
+        return html`
+            <div class="content-lesson">
+                <h3>Lesson ${m + 1}.${l + 1}</h3>
+                <label for="${prefix}-title">Title:</label>
+                <input type="text" id="${prefix}-title" value="${lesson.title}" data-module="${m}" data-lesson="${l}" data-field="title" required>
+                <label for="${prefix}-content">Content:</label>
+                <textarea id="${prefix}-content" rows="6" data-module="${m}" data-lesson="${l}" data-field="content">${lesson.content}</textarea>
+                <label for="${prefix}-links">Links:</label>
+                <textarea id="${prefix}-links" rows="3" aria-describedby="content-links-hint" data-module="${m}" data-lesson="${l}" data-field="linksText">${lesson.linksText}</textarea>
+                ${renderItemActions(module.lessons, m, l)}
+            </div>
+        `;
+    }
+
+    /** Renders every module with its lessons. */
+    function renderModules() {
+        render(modulesElement, modules.length > 0
+            ? modules.map((module, m) => html`
+                <fieldset class="content-module">
+                    <legend>Module ${m + 1}</legend>
+                    <label for="module-${m}-title">Title:</label>
+                    <input type="text" id="module-${m}-title" value="${module.title}" data-module="${m}" data-field="title" required>
+                    ${renderItemActions(modules, m)}
+                    ${module.lessons.map((lesson, l) => renderLessonFields(module, lesson, m, l))}
+                    ${ActionButton({ label: "Add Lesson", className: "edit-btn add-lesson-btn", data: { module: m } })}
+                </fieldset>
+            `)
+            : html`<p class="empty-list">This course has no modules yet. Add one to start writing lessons.</p>`);
+    }
+
+    /** Moves an item of a list one place up or down. */
+    function moveItem(list, index, offset) {
+        const [item] = list.splice(index, 1);
+        list.splice(index + offset, 0, item);
+    }
+
+    /** Removes a module or a lesson. Saved ones are confirmed first, since students lose their progress in them. */
+    async function removeItem(m, l) {
+        const isModule = l === undefined;
+        const item = isModule ? modules[m] : modules[m].lessons[l];
+        if (item.id !== undefined) {
+            const name = item.title || (isModule ? `Module ${m + 1}` : `Lesson ${m + 1}.${l + 1}`);
+            const confirmed = await confirmAction({
+                title: `Remove "${name}"?`,
+                message: isModule
+                    ? "Its lessons, and the progress students made in them, are deleted when you save the content."
+                    : "The progress students made in it is deleted when you save the content.",
+                confirmLabel: isModule ? "Remove Module" : "Remove Lesson"
+            });
+            if (!confirmed) return;
+        }
+        if (isModule) {
+            modules.splice(m, 1);
+        } else {
+            modules[m].lessons.splice(l, 1);
+        }
+        renderModules();
+    }
+
+    /** Handles the add, move and remove buttons of the modules and lessons. */
+    function handleModulesClick(event) {
+        const { module, lesson } = event.target.dataset;
+        if (module === undefined) return;
+        const m = parseInt(module, 10);
+        const l = lesson === undefined ? undefined : parseInt(lesson, 10);
+        const list = l === undefined ? modules : modules[m].lessons;
+        const index = l === undefined ? m : l;
+        if (event.target.matches(".add-lesson-btn")) {
+            modules[m].lessons.push({ title: "", content: "", linksText: "" });
+            renderModules();
+            document.getElementById(`lesson-${m}-${modules[m].lessons.length - 1}-title`).focus();
+        } else if (event.target.matches(".move-up-btn")) {
+            moveItem(list, index, -1);
+            renderModules();
+        } else if (event.target.matches(".move-down-btn")) {
+            moveItem(list, index, 1);
+            renderModules();
+        } else if (event.target.matches(".remove-item-btn")) {
+            removeItem(m, l);
+        }
+    }
+
+    /** Keeps the edited text in the modules, so it survives re-rendering. */
+    function handleModulesInput(event) {
+        const { module, lesson, field } = event.target.dataset;
+        if (!field) return;
+        const item = lesson === undefined ? modules[module] : modules[module].lessons[lesson];
+        item[field] = event.target.value;
+    }
+
+    /** Validates and saves the content. */
+    async function handleContentSubmit(event) {
+        event.preventDefault();
+        const payload = modules.map(module => ({
+            id: module.id,
+            title: module.title.trim(),
+            lessons: module.lessons.map(lesson => ({
+                id: lesson.id,
+                title: lesson.title.trim(),
+                content: lesson.content.trim(),
+                links: parseLinks(lesson.linksText)
+            }))
+        }));
+        const errors = checkContent(payload);
+        // The error keys are the IDs of the inputs
+        const fieldInputs = Object.fromEntries(Object.keys(errors).map(key => [key, key]));
+        if (showFormErrors(contentForm, errors, fieldInputs)) return;
+
+        let saved;
+        try {
+            saved = await saveCourseContent(courseId, payload);
+        } catch (error) {
+            if (error instanceof ClientError && error.status === 400) {
+                showFormErrors(contentForm, { [FORM_ERROR]: error.message }, {});
+                return;
+            }
+            reportError(error, "Could not save the content.");
+            return;
+        }
+        loadModules(saved.modules); // New modules and lessons now have their IDs
+        renderModules();
+        notifySuccess(`The content of "${course.title}" was saved.`);
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Content Editor ---
+    modulesElement.addEventListener("click", handleModulesClick);
+    modulesElement.addEventListener("input", handleModulesInput);
+    document.getElementById("add-module-btn").addEventListener("click", () => {
+        modules.push({ title: "", lessons: [] });
+        renderModules();
+        document.getElementById(`module-${modules.length - 1}-title`).focus();
+    });
+    contentForm.addEventListener("submit", handleContentSubmit);
+
+    // --- INITIAL DATA LOAD ---
+    document.getElementById("content-edit-course").textContent = course.title;
+    document.getElementById("content-edit-back").setAttribute("href", `/courses/${course.id}`);
+    loadModules(content.modules);
+    renderModules();
+}
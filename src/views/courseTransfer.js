@@ -0,0 +1,185 @@
+/**
+ * @file The import and export panel of the Admin Course Management view (`/tasks`): the course import
+ * from a CSV or JSON file, with its preview, and the catalog and roster downloads. Its markup is part of `task.html`.
+ */
+
+import { getAllUsers } from "../controllers/userController.js";
+import { previewCourseImport, toCatalogRows, toRosterRows, CATALOG_COLUMNS, ROSTER_COLUMNS } from "../controllers/courseTransferController.js";
+import { loadCourses, loadCourse, loadInstructors, createCourse } from "../services/store.js";
+import { describeSchedule } from "../models/schedule.js";
+import { notifySuccess, notifyError, reportError } from "../services/notifications.js";
+import { readDataFile, downloadDataFile, DataFileError } from "../services/dataFiles.js";
+import { html, render } from "../components/template.js";
+import { showFormErrors, clearFormErrors } from "../components/formErrors.js";
+
+/**
+ * The input IDs of the course import form, for file errors.
+ * @type {Object.<string, string>}
+ */
+const IMPORT_FORM_FIELDS = { file: "import-file" };
+
+/**
+ * How the status of each row is shown in the import preview.
+ * @type {Object.<string, string>}
+ */
+const IMPORT_STATUS_LABELS = {
+    ready: "Ready",
+    invalid: "Invalid, skipped",
+    duplicate: "Duplicate, skipped"
+};
+
+/**
+ * Initializes the import and export panel of the course management view.
+ * The roster downloads are started from the course cards, through the returned `exportRoster`.
+ * @param {Function} onImport - Called once the courses of an import are created, to refresh the course list.
+ * @returns {{exportRoster: Function}|null} The panel, or `null` if its markup is missing.
+ */
+export function initializeCourseTransfer(onImport) {
+    const importForm = document.getElementById("course-import-form");
+    const importPreviewElement = document.getElementById("import-preview");
+    const importConfirmButton = document.getElementById("import-confirm-btn");
+    const exportFormatSelect = document.getElementById("export-format");
+    if (!importForm || !importPreviewElement || !importConfirmButton || !exportFormatSelect) return null; // Safety check
+
+    let instructors = [];
+    // The checked rows of the import file, until they are imported or the preview is cancelled
+    let importRows = [];
+
+    // --- NESTED HELPER FUNCTIONS for the Import and Export Panel ---
+
+    /** Builds the preview row of an imported course, with the reasons it will be skipped. */
+    function renderImportRow(row) {
+        const messages = row.duplicateOf ? [...Object.values(row.errors), row.duplicateOf] : Object.values(row.errors);
+        return html`
+            <tr>
+                <td>${row.rowNumber}</td>
+                <td>${row.course.title || "-"}</td>
+                <td>${row.course.category || "-"}</td>
+                <td>${Number.isInteger(row.course.capacity) ? row.course.capacity : "-"}</td>
+                <td>${row.instructorName || (Number.isInteger(row.course.instructorId) ? `#${row.course.instructorId}` : "-")}</td>
+                <td>${describeSchedule(row.course)}</td>
+                <td>
+                    <span class="import-status import-status-${row.status}">${IMPORT_STATUS_LABELS[row.status]}</span>
+                    ${messages.length > 0 && html`<ul class="import-errors">${messages.map(message => html`<li>${message}</li>`)}</ul>`}
+                </td>
+            </tr>
+        `;
+    }
+
+    /** Shows the checked rows of the import file, or hides the preview when there are none. */
+    function renderImportPreview() {
+        const readyCount = importRows.filter(row => row.status === "ready").length;
+        const skippedCount = importRows.length - readyCount;
+        importPreviewElement.hidden = importRows.length === 0;
+        render(document.getElementById("import-summary"), html`
+            ${readyCount} of ${importRows.length} row(s) are ready to import.
+            ${skippedCount > 0 && html`The ${skippedCount} other row(s) will be skipped: fix them in the file and preview it again to include them.`}
+        `);
+        render(document.getElementById("import-rows"), importRows.map(renderImportRow));
+        importConfirmButton.disabled = readyCount === 0;
+        importConfirmButton.textContent = `Import ${readyCount} Course(s)`;
+    }
+
+    /** Clears the import form and hides the preview. */
+    function resetImport() {
+        importForm.reset();
+        clearFormErrors(importForm);
+        importRows = [];
+        renderImportPreview();
+    }
+
+    /**
+     * Reads the picked file and checks its rows against the model, the instructors and the
+     * existing courses. Nothing is created until the administrator confirms the preview.
+     */
+    async function handleImportSubmit(event) {
+        event.preventDefault();
+        const file = document.getElementById("import-file").files[0];
+        if (!file) {
+            showFormErrors(importForm, { file: "Choose a CSV or JSON file." }, IMPORT_FORM_FIELDS);
+            return;
+        }
+        clearFormErrors(importForm);
+
+        let rows, courses;
+        try {
+            rows = await readDataFile(file);
+            // Every course counts for duplicates, not only the current page or tab
+            [{ courses }, instructors] = await Promise.all([loadCourses({}, { force: true }), loadInstructors()]);
+        } catch (error) {
+            if (error instanceof DataFileError) {
+                showFormErrors(importForm, { file: error.message }, IMPORT_FORM_FIELDS);
+            } else {
+                reportError(error, "Could not check the import file.");
+            }
+            return;
+        }
+        if (rows.length === 0) {
+            showFormErrors(importForm, { file: "The file has no course rows." }, IMPORT_FORM_FIELDS);
+            return;
+        }
+
+        importRows = previewCourseImport(rows, { courses, instructors });
+        renderImportPreview();
+        importPreviewElement.scrollIntoView({ behavior: "smooth", block: "start" });
+    }
+
+    /** Creates the courses of the "ready" rows, one at a time, and reports how many were imported. */
+    async function handleImportConfirm() {
+        const readyRows = importRows.filter(row => row.status === "ready");
+        importConfirmButton.disabled = true; // No second import while this one runs
+
+        let importedCount = 0;
+        const failedRowNumbers = [];
+        for (const row of readyRows) {
+            try {
+                await createCourse(row.course);
+                importedCount++;
+            } catch (error) {
+                console.error(`Error importing row ${row.rowNumber}: `, error);
+                failedRowNumbers.push(row.rowNumber);
+            }
+        }
+
+        resetImport();
+        onImport();
+        if (importedCount > 0) notifySuccess(`${importedCount} course(s) imported.`);
+        if (failedRowNumbers.length > 0) {
+            notifyError(`Row(s) ${failedRowNumbers.join(", ")} could not be imported. Preview the file again to retry them.`);
+        }
+    }
+
+    /** Downloads every course, archived ones included, in the chosen format. */
+    async function exportCatalog() {
+        let courses;
+        try {
+            [{ courses }, instructors] = await Promise.all([loadCourses({}, { force: true }), loadInstructors()]);
+        } catch (error) {
+            reportError(error, "Could not export the catalog.", exportCatalog);
+            return;
+        }
+        const rows = toCatalogRows(courses.filter(course => !course.pending), instructors);
+        downloadDataFile(`courses-${new Date().toISOString().slice(0, 10)}`, rows, CATALOG_COLUMNS, exportFormatSelect.value);
+    }
+
+    /** Downloads the enrolled and waitlisted students of a course in the chosen format. */
+    async function exportRoster(courseId) {
+        let course, users;
+        try {
+            [course, users] = await Promise.all([loadCourse(courseId, { force: true }), getAllUsers()]);
+        } catch (error) {
+            reportError(error, "Could not export the roster.", () => exportRoster(courseId));
+            return;
+        }
+        if (!course) return;
+        downloadDataFile(`roster-course-${course.id}`, toRosterRows(course, users), ROSTER_COLUMNS, exportFormatSelect.value);
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Import and Export Panel ---
+    importForm.addEventListener("submit", handleImportSubmit);
+    importConfirmButton.addEventListener("click", handleImportConfirm);
+    document.getElementById("import-cancel-btn").addEventListener("click", resetImport);
+    document.getElementById("export-catalog-btn").addEventListener("click", exportCatalog);
+
+    return { exportRoster };
+}
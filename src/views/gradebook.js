@@ -0,0 +1,307 @@
+/**
+ * @file The Gradebook view (`/courses/:id/gradebook`), where administrators and the instructor of a course
+ * manage its assessments and grade its students. Its markup is `gradebook.html`.
+ */
+
+import { navigateTo, renderNotFound } from "../router.js";
+import { getCourseRoster } from "../controllers/courseController.js";
+import { getCourseAssessments, createAssessment, updateAssessment, deleteAssessment, setGrade, toGradebookRows } from "../controllers/assessmentController.js";
+import { loadCourse } from "../services/store.js";
+import Assessment, { ASSESSMENT_TYPES, formatQuestions, checkPoints, normalizeNumber, computeFinalGrade, formatPercentage } from "../models/assessment.js";
+import { ClientError } from "../services/apiClient.js";
+import { notifySuccess, notifyError, reportError } from "../services/notifications.js";
+import { downloadDataFile } from "../services/dataFiles.js";
+import { html, render, toElement } from "../components/template.js";
+import { ActionButton } from "../components/actionButton.js";
+import { showFormErrors, clearFormErrors, FORM_ERROR } from "../components/formErrors.js";
+import { confirmAction } from "../components/confirmDialog.js";
+
+/**
+ * The input IDs of the assessment form fields, for inline validation errors.
+ * @type {Object.<string, string>}
+ */
+const ASSESSMENT_FORM_FIELDS = {
+    type: "assessment-type",
+    title: "assessment-title",
+    description: "assessment-description",
+    dueDate: "assessment-due-date",
+    maxPoints: "assessment-max-points",
+    weight: "assessment-weight",
+    questions: "assessment-questions"
+};
+
+/**
+ * Initializes the Gradebook view, for administrators and the instructor of the course.
+ * Lists the assessments of the course, with a form to add or edit them, and a grid of the enrolled
+ * students against the assessments, where each grade is saved as soon as it is entered. Final grades
+ * are weighted averages of the graded assessments. The grid can be exported to CSV.
+ * Unknown course IDs fall through to the 404 view.
+ * @param {object} user - The currently logged-in user object.
+ * @param {object} params - The route parameters; `params.id` is the course ID.
+ */
+export async function initializeGradebook(user, params) {
+    const courseId = params.id;
+    const assessmentForm = document.getElementById("assessment-form");
+    const assessmentListElement = document.getElementById("assessment-list");
+    const gradebookForm = document.getElementById("gradebook-form");
+    if (!assessmentForm || !assessmentListElement || !gradebookForm) return; // Safety check
+
+    let course, assessments, grades, students;
+    try {
+        course = await loadCourse(courseId, { force: true }); // The rows are the students enrolled right now
+        if (course) {
+            [{ assessments, grades }, students] = await Promise.all([
+                getCourseAssessments(courseId),
+                getCourseRoster(courseId)
+            ]);
+        }
+    } catch (error) {
+        // Instructors of other courses get a 403, which the message explains
+        reportError(error, "Could not load the gradebook.");
+        return;
+    }
+    if (!course) {
+        await renderNotFound();
+        return;
+    }
+    if (user.role === "instructor" && course.instructorId != user.instructorId) {
+        notifyError("You can only open the gradebook of the courses you teach.");
+        navigateTo(`/courses/${course.id}`);
+        return;
+    }
+
+    const typeSelect = document.getElementById("assessment-type");
+
+    // --- NESTED HELPER FUNCTIONS for the Gradebook ---
+
+    /** Returns the email of a student, or a placeholder for accounts that no longer exist. */
+    function describeStudent(studentId) {
+        const student = students.find(s => s.id == studentId);
+        return student ? student.email : `Unknown student #${studentId}`;
+    }
+
+    /** Renders the list of assessments. */
+    function renderAssessments() {
+        render(assessmentListElement, assessments.length > 0
+            ? assessments.map(assessment => html`
+                <tr>
+                    <td>${assessment.title}</td>
+                    <td>${ASSESSMENT_TYPES[assessment.type]}</td>
+                    <td>${assessment.dueDate || "-"}</td>
+                    <td>${assessment.maxPoints}</td>
+                    <td>${assessment.weight}</td>
+                    <td class="actions">
+                        ${ActionButton({ label: "Edit", className: "edit-btn", data: { id: assessment.id } })}
+                        ${ActionButton({ label: "Delete", className: "delete-btn", data: { id: assessment.id } })}
+                    </td>
+                </tr>
+            `)
+            : html`<tr><td colspan="6" class="empty-list">This course has no assessments yet.</td></tr>`);
+    }
+
+    /** Renders the final grade of a student. */
+    function renderFinalGrade(studentId) {
+        const { percentage, gradedCount } = computeFinalGrade(assessments, grades.filter(g => g.studentId == studentId));
+        return html`${formatPercentage(percentage)} <small>(${gradedCount} of ${assessments.length} graded)</small>`;
+    }
+
+    /** Renders the grid of the enrolled students against the assessments. */
+    function renderGradebook() {
+        render(document.getElementById("gradebook-head"), html`
+            <th scope="col">Student</th>
+            ${assessments.map(assessment => html`
+                <th scope="col">${assessment.title} <small>/${assessment.maxPoints}, weight ${assessment.weight}</small></th>
+            `)}
+            <th scope="col">Final grade</th>
+        `);
+        render(document.getElementById("gradebook-rows"), course.enrolledStudents.length > 0
+            ? course.enrolledStudents.map(studentId => html`
+                <tr>
+                    <th scope="row">${describeStudent(studentId)}</th>
+                    ${assessments.map(assessment => {
+                        const grade = grades.find(g => g.assessmentId === assessment.id && g.studentId == studentId);
+                        return html`
+                            <td>
+                                <input type="number" id="grade-${studentId}-${assessment.id}" class="grade-input"
+                                    min="0" max="${assessment.maxPoints}" step="any" value="${grade ? grade.points : ""}"
+                                    aria-label="${describeStudent(studentId)}: ${assessment.title}"
+                                    data-student-id="${studentId}" data-assessment-id="${assessment.id}">
+                                ${grade && grade.answers && html`<small class="grade-source">quiz</small>`}
+                            </td>
+                        `;
+                    })}
+                    <td id="final-grade-${studentId}">${renderFinalGrade(studentId)}</td>
+                </tr>
+            `)
+            : html`<tr><td colspan="${assessments.length + 2}" class="empty-list">No students are enrolled yet.</td></tr>`);
+    }
+
+    /** Shows the fields of the chosen type: the maximum points of assignments, the questions of quizzes. */
+    function showTypeFields() {
+        const isQuiz = typeSelect.value === "quiz";
+        document.getElementById("assessment-max-points-field").hidden = isQuiz;
+        document.getElementById("assessment-questions-field").hidden = !isQuiz;
+    }
+
+    /** Resets the assessment form to its default state after a create or update action. */
+    function resetAssessmentForm() {
+        assessmentForm.reset();
+        clearFormErrors(assessmentForm);
+        assessmentForm.removeAttribute("data-editing-id");
+        typeSelect.disabled = false;
+        showTypeFields();
+        document.getElementById("assessment-form-title").textContent = "Add an Assessment";
+        assessmentForm.querySelector("button[type='submit']").textContent = "Add Assessment";
+
+        const cancelButton = assessmentForm.querySelector(".cancel-btn");
+        if (cancelButton) {
+            cancelButton.remove();
+        }
+    }
+
+    /** Fills the form with an assessment to edit it. Its type cannot change. */
+    function editAssessment(assessment) {
+        typeSelect.value = assessment.type;
+        typeSelect.disabled = true;
+        document.getElementById("assessment-title").value = assessment.title;
+        document.getElementById("assessment-description").value = assessment.description;
+        document.getElementById("assessment-due-date").value = assessment.dueDate || "";
+        document.getElementById("assessment-max-points").value = assessment.maxPoints;
+        document.getElementById("assessment-weight").value = assessment.weight;
+        document.getElementById("assessment-questions").value = formatQuestions(assessment.questions);
+        showTypeFields();
+
+        assessmentForm.setAttribute("data-editing-id", assessment.id);
+        document.getElementById("assessment-form-title").textContent = `Edit "${assessment.title}"`;
+        assessmentForm.querySelector("button[type='submit']").textContent = "Update Assessment";
+        assessmentForm.scrollIntoView({ behavior: "smooth", block: "center" });
+
+        if (!assessmentForm.querySelector(".cancel-btn")) {
+            const cancelButton = toElement(ActionButton({ label: "Cancel", className: "cancel-btn" }));
+            cancelButton.addEventListener("click", resetAssessmentForm);
+            assessmentForm.querySelector("button[type='submit']").insertAdjacentElement("afterend", cancelButton);
+        }
+    }
+
+    /** Handles form submission for both creating and updating assessments. */
+    async function handleAssessmentSubmit(event) {
+        event.preventDefault();
+        const editingId = assessmentForm.dataset.editingId;
+        const assessment = new Assessment(
+            typeSelect.value,
+            document.getElementById("assessment-title").value,
+            document.getElementById("assessment-description").value,
+            document.getElementById("assessment-due-date").value,
+            document.getElementById("assessment-max-points").value,
+            document.getElementById("assessment-weight").value,
+            document.getElementById("assessment-questions").value
+        );
+        if (showFormErrors(assessmentForm, assessment.validate(), ASSESSMENT_FORM_FIELDS)) return;
+
+        let saved;
+        try {
+            saved = editingId
+                ? await updateAssessment(courseId, editingId, assessment.getEditableFields())
+                : await createAssessment(courseId, assessment.getEditableFields());
+        } catch (error) {
+            // e.g., the questions of a quiz students already took, or a maximum below a grade
+            if (error instanceof ClientError && [400, 409].includes(error.status)) {
+                showFormErrors(assessmentForm, { [FORM_ERROR]: error.message }, ASSESSMENT_FORM_FIELDS);
+                return;
+            }
+            reportError(error, "Could not save the assessment.");
+            return;
+        }
+        assessments = editingId
+            ? assessments.map(a => (a.id === saved.id ? saved : a))
+            : [...assessments, saved];
+        renderAssessments();
+        renderGradebook();
+        resetAssessmentForm();
+        notifySuccess(editingId ? `"${saved.title}" was updated.` : `"${saved.title}" was added.`);
+    }
+
+    /** Deletes an assessment, once the user confirms it, since its grades go with it. */
+    async function removeAssessment(assessment) {
+        const gradeCount = grades.filter(g => g.assessmentId === assessment.id).length;
+        const confirmed = await confirmAction({
+            title: `Delete "${assessment.title}"?`,
+            message: gradeCount > 0
+                ? `Its ${gradeCount} grade(s) are deleted with it, and the final grades change.`
+                : "Nobody has been graded for it yet.",
+            confirmLabel: "Delete Assessment"
+        });
+        if (!confirmed) return;
+
+        try {
+            await deleteAssessment(courseId, assessment.id);
+        } catch (error) {
+            reportError(error, "Could not delete the assessment.");
+            return;
+        }
+        assessments = assessments.filter(a => a.id !== assessment.id);
+        grades = grades.filter(g => g.assessmentId !== assessment.id);
+        if (assessmentForm.dataset.editingId == assessment.id) resetAssessmentForm();
+        renderAssessments();
+        renderGradebook();
+        notifySuccess(`"${assessment.title}" was deleted.`);
+    }
+
+    /** Handles the 'Edit' and 'Delete' buttons of the assessment list. */
+    function handleAssessmentListClick(event) {
+        const assessment = assessments.find(a => a.id == event.target.dataset.id);
+        if (!assessment) return;
+        if (event.target.matches(".edit-btn")) {
+            editAssessment(assessment);
+        } else if (event.target.matches(".delete-btn")) {
+            removeAssessment(assessment);
+        }
+    }
+
+    /** Saves the grade of a cell once the user leaves it. An empty cell removes the grade. */
+    async function handleGradeChange(event) {
+        const input = event.target;
+        if (!input.matches(".grade-input")) return;
+        const studentId = parseInt(input.dataset.studentId, 10);
+        const assessment = assessments.find(a => a.id == input.dataset.assessmentId);
+        const points = normalizeNumber(input.value);
+        const error = checkPoints(points, assessment.maxPoints);
+        if (error) {
+            showFormErrors(gradebookForm, { [input.id]: error }, { [input.id]: input.id });
+            return;
+        }
+
+        const previous = grades.find(g => g.assessmentId === assessment.id && g.studentId === studentId);
+        let saved;
+        try {
+            saved = await setGrade(courseId, assessment.id, studentId, points);
+        } catch (error) {
+            input.value = previous ? previous.points : "";
+            reportError(error, `Could not save the grade of ${describeStudent(studentId)}.`);
+            return;
+        }
+        grades = grades.filter(g => g !== previous);
+        if (saved) grades.push(saved);
+        render(document.getElementById(`final-grade-${studentId}`), renderFinalGrade(studentId));
+    }
+
+    /** Downloads the gradebook as a CSV file. */
+    function exportGradebook() {
+        const { columns, rows } = toGradebookRows(course, assessments, grades, students);
+        downloadDataFile(`gradebook-course-${course.id}`, rows, columns, "csv");
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Gradebook ---
+    typeSelect.addEventListener("change", showTypeFields);
+    assessmentForm.addEventListener("submit", handleAssessmentSubmit);
+    assessmentListElement.addEventListener("click", handleAssessmentListClick);
+    gradebookForm.addEventListener("change", handleGradeChange);
+    gradebookForm.addEventListener("submit", (event) => event.preventDefault()); // Enter in a cell saves it through "change"
+    document.getElementById("gradebook-export-btn").addEventListener("click", exportGradebook);
+
+    // --- INITIAL DATA LOAD ---
+    document.getElementById("gradebook-course").textContent = course.title;
+    document.getElementById("gradebook-back").setAttribute("href", `/courses/${course.id}`);
+    renderAssessments();
+    renderGradebook();
+}
@@ -0,0 +1,100 @@
+/**
+ * @file The My Grades view (`/my-grades`), where students follow their assessments and grades
+ * in each of their courses. Its markup is `grades.html`.
+ */
+
+import { getMyGrades } from "../controllers/assessmentController.js";
+import { loadCourses } from "../services/store.js";
+import { ASSESSMENT_TYPES, computeFinalGrade, formatPercentage } from "../models/assessment.js";
+import { reportError } from "../services/notifications.js";
+import { html, render } from "../components/template.js";
+
+/**
+ * Initializes the student's My Grades view: the assessments of each of their courses with their
+ * grade, the final grade so far, and links to take or review the quizzes.
+ * @param {object} user - The currently logged-in student user object.
+ */
+export async function initializeGradesView(user) {
+    const gradesListElement = document.getElementById("grades-list");
+    if (!gradesListElement) return; // Safety check
+
+    // --- NESTED HELPER FUNCTIONS for the Grades View ---
+
+    /** Builds the table row of an assessment, with the student's grade and the quiz link. */
+    function renderAssessmentRow(courseId, assessment, grade) {
+        const isQuiz = assessment.type === "quiz";
+        return html`
+            <tr>
+                <td>
+                    ${assessment.title}
+                    ${assessment.description && html`<br><small>${assessment.description}</small>`}
+                </td>
+                <td>${ASSESSMENT_TYPES[assessment.type]}</td>
+                <td>${assessment.dueDate || "-"}</td>
+                <td>${assessment.weight}</td>
+                <td>${grade ? `${grade.points} / ${assessment.maxPoints}` : "Not graded yet"}</td>
+                <td>
+                    ${isQuiz && html`
+                        <a class="edit-btn" href="/courses/${courseId}/quizzes/${assessment.id}">${grade ? "Review" : "Take Quiz"}</a>
+                    `}
+                </td>
+            </tr>
+        `;
+    }
+
+    /** Builds the section of a course: the final grade so far and the table of assessments. */
+    function renderCourseGrades(course, { assessments, grades }) {
+        const { percentage, gradedCount } = computeFinalGrade(assessments, grades);
+        return html`
+            <section class="grades-course">
+                <h2><a href="/courses/${course.id}">${course.title}</a></h2>
+                ${assessments.length === 0
+                    ? html`<p class="empty-list">This course has no assessments yet.</p>`
+                    : html`
+                        <p><strong>Final grade so far:</strong> ${formatPercentage(percentage)} (${gradedCount} of ${assessments.length} graded)</p>
+                        <div class="table-container">
+                            <table class="data-table">
+                                <thead>
+                                    <tr>
+                                        <th scope="col">Assessment</th>
+                                        <th scope="col">Type</th>
+                                        <th scope="col">Due</th>
+                                        <th scope="col">Weight</th>
+                                        <th scope="col">Grade</th>
+                                        <th scope="col">Quiz</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${assessments.map(assessment => renderAssessmentRow(
+                                        course.id, assessment, grades.find(g => g.assessmentId === assessment.id)))}
+                                </tbody>
+                            </table>
+                        </div>
+                    `}
+            </section>
+        `;
+    }
+
+    /** Fetches the student's courses and grades and renders them. */
+    async function loadGrades() {
+        let courses, gradebooks;
+        try {
+            [{ courses }, gradebooks] = await Promise.all([
+                loadCourses({ enrolledStudent: user.id }),
+                getMyGrades()
+            ]);
+        } catch (error) {
+            reportError(error, "Could not load your grades.", loadGrades);
+            return;
+        }
+        const sections = courses
+            .map(course => ({ course, gradebook: gradebooks.find(entry => entry.courseId == course.id) }))
+            .filter(({ gradebook }) => gradebook);
+        render(gradesListElement, sections.length > 0
+            ? sections.map(({ course, gradebook }) => renderCourseGrades(course, gradebook))
+            : html`<p class="empty-list">You are not enrolled in any course yet.</p>`);
+    }
+
+    // --- INITIAL DATA LOAD ---
+    loadGrades();
+}
@@ -0,0 +1,86 @@
+/**
+ * @file The Instructor Dashboard (`/instructor-dashboard`), where instructors find the courses they teach.
+ * Its markup is `instructor-dashboard.html`.
+ */
+
+import { subscribe, getCachedCourse, loadCourses, loadInstructors } from "../services/store.js";
+import { describeSchedule } from "../models/schedule.js";
+import { reportError } from "../services/notifications.js";
+import { html, render, renderKeyedList } from "../components/template.js";
+import { CourseCard } from "../components/courseCard.js";
+
+/**
+ * Initializes the Instructor Dashboard.
+ * Lists the courses assigned to the instructor profile linked to the account, with their
+ * enrollment, and links to each roster and to the description editor.
+ * @param {object} user - The currently logged-in instructor user object.
+ */
+export async function initializeInstructorDashboard(user) {
+    const courseListElement = document.getElementById("instructor-course-list");
+    const profileElement = document.getElementById("instructor-profile");
+    if (!courseListElement || !profileElement) return; // Safety check
+
+    let courseIds = [];
+
+    // --- NESTED HELPER FUNCTIONS for the Instructor View ---
+
+    /** Builds the card of a course the instructor teaches. */
+    function renderTaughtCourseCard(course) {
+        return CourseCard({
+            course,
+            details: [
+                { label: "Category", value: course.category },
+                { label: "Schedule", value: describeSchedule(course) },
+                { label: "Enrolled", value: `${course.enrolledStudents.length} / ${course.capacity}` },
+                { label: "Waitlist", value: (course.waitlist || []).length },
+            ],
+            actions: html`
+                <a class="roster-btn" href="/courses/${course.id}">View Roster</a>
+                <a class="edit-btn" href="/instructor/courses/${course.id}/edit">Edit Description</a>
+                <a class="edit-btn" href="/courses/${course.id}/content/edit">Edit Content</a>
+                <a class="edit-btn" href="/courses/${course.id}/gradebook">Gradebook</a>
+            `,
+        });
+    }
+
+    /** Renders the instructor's courses from the store. Courses reassigned meanwhile are left out. */
+    function renderDashboard() {
+        const courses = courseIds.map(getCachedCourse).filter(course => course && course.instructorId == user.instructorId);
+        renderKeyedList(courseListElement, courses, renderTaughtCourseCard, "No courses are assigned to you yet.");
+    }
+
+    /** Fetches the instructor's profile and courses. */
+    async function loadInstructorDashboard() {
+        if (user.instructorId === null) {
+            render(profileElement, "Your account is not linked to an instructor profile yet. Ask an administrator to link it.");
+            render(courseListElement, "");
+            return;
+        }
+
+        let taught, instructors;
+        try {
+            [taught, instructors] = await Promise.all([
+                loadCourses({ instructorId: user.instructorId }),
+                loadInstructors()
+            ]);
+        } catch (error) {
+            reportError(error, "Could not load your courses.", loadInstructorDashboard);
+            return;
+        }
+        const instructor = instructors.find(i => i.id == user.instructorId);
+        render(profileElement, instructor
+            ? html`Courses taught by <strong>${instructor.name}</strong>.`
+            : "Your instructor profile no longer exists. Ask an administrator to link your account again.");
+        courseIds = taught.courses.map(course => String(course.id));
+        renderDashboard();
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Instructor View ---
+    subscribe("courses", renderDashboard);
+    subscribe("sync", ({ applied }) => {
+        if (applied) loadInstructorDashboard();
+    });
+
+    // --- INITIAL DATA LOAD ---
+    loadInstructorDashboard();
+}
@@ -0,0 +1,218 @@
+/**
+ * @file The Admin Instructor Management view (`/instructors`), where administrators add, edit and delete instructors.
+ * Its markup is `instructors.html`.
+ */
+
+import { subscribe, getCachedCourse, loadCourses, loadInstructors, createInstructor, updateInstructor, deleteInstructor } from "../services/store.js";
+import Instructor from "../models/instructor.js";
+import { ClientError } from "../services/apiClient.js";
+import { notifySuccess, notifyError, reportError } from "../services/notifications.js";
+import { html, render, toElement, renderKeyedList } from "../components/template.js";
+import { ActionButton } from "../components/actionButton.js";
+import { showFormErrors, clearFormErrors, FORM_ERROR } from "../components/formErrors.js";
+
+/**
+ * The input IDs of the instructor form fields, for inline validation errors.
+ * @type {Object.<string, string>}
+ */
+const INSTRUCTOR_FORM_FIELDS = {
+    name: "instructor-name",
+    email: "instructor-email",
+    bio: "instructor-bio"
+};
+
+/**
+ * Initializes the Admin Instructor Management view.
+ * Fetches instructors and courses, renders the instructor cards, and sets up
+ * the create/edit form and the delete (with reassignment) flow.
+ * @param {object} user - The currently logged-in administrator user object.
+ */
+export async function initializeInstructorsView(user) {
+    const instructorListElement = document.getElementById("instructor-list");
+    const instructorForm = document.getElementById("instructor-form");
+    if (!instructorListElement || !instructorForm) return; // Safety check
+
+    let instructors = [];
+    let courseIds = [];
+
+    // --- NESTED HELPER FUNCTIONS for the Instructors View ---
+
+    /** Builds the card of an instructor, including how many courses they teach. */
+    function renderInstructorCard(instructor) {
+        const courses = courseIds.map(getCachedCourse).filter(Boolean);
+        const courseCount = courses.filter(course => course.instructorId == instructor.id).length;
+        return html`
+            <div class="course-card">
+                <h3>${instructor.name}</h3>
+                <p>${instructor.bio || "No bio provided."}</p>
+                <p><strong>Email:</strong> ${instructor.email || "-"}</p>
+                <p><strong>Courses:</strong> ${courseCount}</p>
+                <div class="actions">
+                    ${ActionButton({ label: "Edit", className: "edit-btn", data: { id: instructor.id } })}
+                    ${ActionButton({ label: "Delete", className: "delete-btn", data: { id: instructor.id } })}
+                </div>
+                <div class="reassign-panel"></div>
+            </div>
+        `;
+    }
+
+    /** Renders the list of instructors, replacing only the cards that changed. */
+    function renderInstructors() {
+        renderKeyedList(instructorListElement, instructors, renderInstructorCard, "No instructors have been added yet.");
+    }
+
+    /** Resets the instructor form to its default state after a create or update action. */
+    function resetInstructorForm() {
+        instructorForm.reset();
+        clearFormErrors(instructorForm);
+        instructorForm.removeAttribute("data-editing-id");
+        instructorForm.querySelector("button[type='submit']").textContent = "Add Instructor";
+
+        const cancelButton = instructorForm.querySelector(".cancel-btn");
+        if (cancelButton) {
+            cancelButton.remove();
+        }
+    }
+
+    /** Handles form submission for both creating and updating instructors. */
+    async function handleInstructorFormSubmit(event) {
+        event.preventDefault();
+        const editingId = instructorForm.dataset.editingId;
+
+        const instructor = new Instructor(
+            document.getElementById("instructor-name").value,
+            document.getElementById("instructor-email").value,
+            document.getElementById("instructor-bio").value
+        );
+        // Instructor accounts are linked to their profile by email, so no two profiles may share one
+        const errors = instructor.validate({ instructorId: editingId || null, instructors });
+        if (showFormErrors(instructorForm, errors, INSTRUCTOR_FORM_FIELDS)) return;
+
+        // The list is re-rendered by the store subscription
+        try {
+            if (editingId) {
+                await updateInstructor(editingId, { ...instructor });
+            } else {
+                await createInstructor(instructor);
+            }
+        } catch (error) {
+            if (error instanceof ClientError && [400, 409].includes(error.status)) {
+                showFormErrors(instructorForm, { [FORM_ERROR]: error.message }, INSTRUCTOR_FORM_FIELDS);
+                return;
+            }
+            reportError(error, "Could not save the instructor.");
+            return;
+        }
+
+        resetInstructorForm();
+        notifySuccess(editingId ? `${instructor.name} was updated.` : `${instructor.name} was added.`);
+    }
+
+    /**
+     * Shows the reassignment controls inside an instructor card.
+     * Used when the instructor to delete still teaches courses.
+     */
+    function showReassignPanel(card, instructorId, courseCount, otherInstructors) {
+        const panel = card.querySelector(".reassign-panel");
+        render(panel, html`
+            <p>This instructor teaches ${courseCount} course(s). Choose who takes them over before deleting.</p>
+            <select class="reassign-select">
+                ${otherInstructors.map(instructor => html`<option value="${instructor.id}">${instructor.name}</option>`)}
+            </select>
+            <div class="actions">
+                ${ActionButton({ label: "Reassign & Delete", className: "delete-btn confirm-reassign-btn", data: { id: instructorId } })}
+                ${ActionButton({ label: "Cancel", className: "cancel-btn cancel-reassign-btn" })}
+            </div>
+        `);
+    }
+
+    /** Handles clicks on the 'Edit', 'Delete' and reassignment buttons within the instructor list. */
+    async function handleInstructorListClick(event) {
+        const target = event.target;
+        const instructorId = target.dataset.id;
+
+        if (target.matches(".confirm-reassign-btn")) {
+            const card = target.closest(".course-card");
+            const reassignToId = card.querySelector(".reassign-select").value;
+            try {
+                await deleteInstructor(instructorId, reassignToId);
+                notifySuccess("The instructor was deleted and their courses were reassigned.");
+            } catch (error) {
+                reportError(error, "Could not delete the instructor.");
+            }
+            loadInstructorsView(); // Refresh the course counts of the reassigned courses
+        } else if (target.matches(".cancel-reassign-btn")) {
+            render(target.closest(".reassign-panel"), "");
+        } else if (target.matches(".delete-btn")) {
+            let taughtCourses;
+            try {
+                ({ courses: taughtCourses } = await loadCourses({ instructorId }));
+            } catch (error) {
+                reportError(error, "Could not check the instructor's courses.");
+                return;
+            }
+
+            // Instructors with courses must hand them over to someone else first
+            if (taughtCourses.length > 0) {
+                const otherInstructors = instructors.filter(i => i.id != instructorId);
+                if (otherInstructors.length === 0) {
+                    notifyError("This instructor still teaches courses and there is no other instructor to reassign them to.");
+                    return;
+                }
+                showReassignPanel(target.closest(".course-card"), instructorId, taughtCourses.length, otherInstructors);
+                return;
+            }
+
+            try {
+                await deleteInstructor(instructorId);
+                notifySuccess("The instructor was deleted.");
+            } catch (error) {
+                reportError(error, "Could not delete the instructor.");
+            }
+        } else if (target.matches(".edit-btn")) {
+            const instructorToEdit = instructors.find(i => i.id == instructorId);
+            if (!instructorToEdit) return;
+
+            document.getElementById("instructor-name").value = instructorToEdit.name;
+            document.getElementById("instructor-email").value = instructorToEdit.email || "";
+            document.getElementById("instructor-bio").value = instructorToEdit.bio || "";
+
+            instructorForm.setAttribute("data-editing-id", instructorId);
+            instructorForm.querySelector("button[type='submit']").textContent = "Update Instructor";
+            instructorForm.scrollIntoView({ behavior: "smooth", block: "center" });
+
+            if (!instructorForm.querySelector(".cancel-btn")) {
+                const cancelButton = toElement(ActionButton({ label: "Cancel", className: "cancel-btn" }));
+                cancelButton.addEventListener("click", resetInstructorForm);
+                instructorForm.querySelector("button[type='submit']").insertAdjacentElement("afterend", cancelButton);
+            }
+        }
+    }
+
+    /** Main function to fetch the data and render the instructors view. */
+    async function loadInstructorsView() {
+        let courses;
+        try {
+            [instructors, { courses }] = await Promise.all([
+                loadInstructors(),
+                loadCourses()
+            ]);
+        } catch (error) {
+            reportError(error, "Could not load the instructors.", loadInstructorsView);
+            return;
+        }
+        courseIds = courses.map(course => course.id);
+        renderInstructors();
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Instructors View ---
+    instructorListElement.addEventListener("click", handleInstructorListClick);
+    instructorForm.addEventListener("submit", handleInstructorFormSubmit);
+    subscribe("instructors", (updatedInstructors) => {
+        instructors = updatedInstructors;
+        renderInstructors();
+    });
+
+    // --- INITIAL DATA LOAD ---
+    loadInstructorsView();
+}
@@ -0,0 +1,151 @@
+/**
+ * @file The Lesson view (`/courses/:id/lessons/:lessonId`), where the people of a course read
+ * its lessons and students record their progress. Its markup is `lesson.html`.
+ */
+
+import { navigateTo, renderNotFound } from "../router.js";
+import { getCourseContent, markLessonComplete, markLessonIncomplete } from "../controllers/contentController.js";
+import { loadCourse } from "../services/store.js";
+import { listLessons, findNextLesson, toParagraphs, isWebAddress } from "../models/courseContent.js";
+import { ClientError } from "../services/apiClient.js";
+import { notifySuccess, reportError } from "../services/notifications.js";
+import { html, render } from "../components/template.js";
+import { ContentOutline, LessonProgress } from "../components/contentOutline.js";
+import { ActionButton } from "../components/actionButton.js";
+
+/**
+ * Initializes the Lesson view: the content and links of a lesson, with the outline of the course
+ * and links to the previous and next lessons. Students mark the lesson as completed here.
+ * Students who are not enrolled are told to enroll; unknown courses and lessons fall through to the 404 view.
+ * @param {object} user - The currently logged-in user object.
+ * @param {object} params - The route parameters; `params.id` is the course ID, `params.lessonId` the lesson ID.
+ */
+export async function initializeLessonView(user, params) {
+    const courseId = params.id;
+    const lessonId = parseInt(params.lessonId, 10);
+    const lessonElement = document.getElementById("lesson-view");
+    const actionsElement = document.getElementById("lesson-actions");
+    if (!lessonElement || !actionsElement) return; // Safety check
+
+    const isStudent = user.role === "student";
+    let content = null;
+    let isSaving = false;
+
+    // --- NESTED HELPER FUNCTIONS for the Lesson View ---
+
+    /** Points a pager link at a lesson, or hides it at either end of the course. */
+    function setPagerLink(link, entry) {
+        link.hidden = !entry;
+        if (entry) {
+            link.setAttribute("href", `/courses/${courseId}/lessons/${entry.lesson.id}`);
+            link.textContent = `${link.id === "lesson-previous" ? "Previous" : "Next"}: ${entry.lesson.title}`;
+        }
+    }
+
+    /** Renders the student's progress and the completion button. */
+    function renderProgress() {
+        const completed = content.completedLessonIds.includes(lessonId);
+        render(document.getElementById("lesson-progress"), LessonProgress({
+            completed: content.completedLessonIds.length,
+            total: listLessons(content.modules).length
+        }));
+        render(actionsElement, completed
+            ? html`
+                <p class="lesson-status">You completed this lesson.</p>
+                ${ActionButton({ label: "Mark as Not Completed", className: "incomplete-btn", disabled: isSaving })}
+            `
+            : ActionButton({ label: "Mark as Completed", className: "complete-btn", disabled: isSaving }));
+    }
+
+    /** Renders the lesson, the outline and the pager. Returns `false` if the lesson does not exist. */
+    function renderLesson() {
+        const lessons = listLessons(content.modules);
+        const index = lessons.findIndex(entry => entry.lesson.id === lessonId);
+        if (index === -1) return false;
+        const { module, lesson } = lessons[index];
+        const links = lesson.links.filter(link => isWebAddress(link.url));
+
+        document.getElementById("lesson-module").textContent = module.title;
+        document.getElementById("lesson-title").textContent = lesson.title;
+        const paragraphs = toParagraphs(lesson.content);
+        render(document.getElementById("lesson-content"), paragraphs.length > 0
+            ? paragraphs.map(paragraph => html`<p>${paragraph}</p>`)
+            : html`<p class="empty-list">This lesson has no text.</p>`);
+        document.getElementById("lesson-links-section").hidden = links.length === 0;
+        render(document.getElementById("lesson-links"), links.map(link => html`
+            <li><a href="${link.url}" target="_blank" rel="noopener noreferrer">${link.label}</a></li>
+        `));
+        render(document.getElementById("lesson-outline"), ContentOutline({
+            courseId,
+            modules: content.modules,
+            completedLessonIds: content.completedLessonIds,
+            currentLessonId: lessonId
+        }));
+        setPagerLink(document.getElementById("lesson-previous"), lessons[index - 1]);
+        setPagerLink(document.getElementById("lesson-next"), lessons[index + 1]);
+
+        document.getElementById("lesson-progress").hidden = !isStudent;
+        if (isStudent) renderProgress();
+        return true;
+    }
+
+    /** Marks the lesson as completed or not completed, then offers the next lesson. */
+    async function toggleCompleted(completed) {
+        isSaving = true;
+        renderProgress();
+        try {
+            content = completed
+                ? await markLessonComplete(courseId, lessonId)
+                : await markLessonIncomplete(courseId, lessonId);
+        } catch (error) {
+            reportError(error, "Could not save your progress.");
+            return;
+        } finally {
+            isSaving = false;
+        }
+        renderLesson();
+        if (!completed) return;
+        const nextLesson = findNextLesson(content.modules, content.completedLessonIds);
+        if (!nextLesson) {
+            notifySuccess("Lesson completed. You have completed every lesson of this course!");
+            return;
+        }
+        notifySuccess("Lesson completed.", {
+            actions: [{ label: "Next Lesson", onClick: () => navigateTo(`/courses/${courseId}/lessons/${nextLesson.id}`) }]
+        });
+    }
+
+    /** Fetches the course and its content, falling back to the 404 view for unknown courses and lessons. */
+    async function loadLesson() {
+        let course;
+        try {
+            course = await loadCourse(courseId);
+            content = course && await getCourseContent(courseId);
+        } catch (error) {
+            if (error instanceof ClientError && error.code === "NOT_ENROLLED") {
+                lessonElement.hidden = true;
+                const lockedElement = document.getElementById("lesson-locked");
+                lockedElement.hidden = false;
+                lockedElement.textContent = error.message;
+                return;
+            }
+            reportError(error, "Could not load the lesson.", loadLesson);
+            return;
+        }
+        if (!course || !renderLesson()) {
+            await renderNotFound();
+            return;
+        }
+        document.getElementById("lesson-course-link").textContent = `Back to "${course.title}"`;
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Lesson View ---
+    actionsElement.addEventListener("click", (event) => {
+        if (event.target.matches(".complete-btn")) toggleCompleted(true);
+        if (event.target.matches(".incomplete-btn")) toggleCompleted(false);
+    });
+
+    // --- INITIAL DATA LOAD ---
+    document.getElementById("lesson-course-link").setAttribute("href", `/courses/${courseId}`);
+    loadLesson();
+}
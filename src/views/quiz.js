@@ -0,0 +1,149 @@
+/**
+ * @file The Quiz view (`/courses/:id/quizzes/:assessmentId`), where students take a quiz
+ * of their course and review it afterwards. Its markup is `quiz.html`.
+ */
+
+import { renderNotFound } from "../router.js";
+import { getCourseAssessments, submitQuiz } from "../controllers/assessmentController.js";
+import { loadCourse } from "../services/store.js";
+import { gradeQuiz, formatPercentage } from "../models/assessment.js";
+import { ClientError } from "../services/apiClient.js";
+import { notifySuccess, reportError } from "../services/notifications.js";
+import { html, render, toElement } from "../components/template.js";
+import { confirmAction } from "../components/confirmDialog.js";
+
+/**
+ * Initializes the Quiz view, where a student takes a multiple-choice quiz once, then reviews it:
+ * their answers are graded in the browser against the answers the server returns with the grade.
+ * Students who are not enrolled are told to enroll; unknown courses and quizzes fall through to the 404 view.
+ * @param {object} user - The currently logged-in student user object.
+ * @param {object} params - The route parameters; `params.id` is the course ID, `params.assessmentId` the quiz ID.
+ */
+export async function initializeQuizView(user, params) {
+    const courseId = params.id;
+    const quizForm = document.getElementById("quiz-form");
+    const questionsElement = document.getElementById("quiz-questions");
+    if (!quizForm || !questionsElement) return; // Safety check
+
+    let quiz = null;
+
+    // --- NESTED HELPER FUNCTIONS for the Quiz View ---
+
+    /** Renders the questions as groups of radio buttons. */
+    function renderQuestions() {
+        render(questionsElement, quiz.questions.map((question, index) => html`
+            <fieldset class="quiz-question">
+                <legend>${index + 1}. ${question.prompt}</legend>
+                ${question.choices.map((choice, choiceIndex) => html`
+                    <label class="quiz-choice"><input type="radio" name="question-${index}" value="${choiceIndex}"> ${choice}</label>
+                `)}
+            </fieldset>
+        `));
+    }
+
+    /**
+     * Shows the graded quiz: the score, and each question with the student's answer and the correct one.
+     * Quizzes graded by hand, without answers, only show the score and the correct answers.
+     */
+    function renderReview(grade) {
+        const answers = grade.answers || [];
+        const { results } = gradeQuiz(quiz.questions, answers);
+        quizForm.hidden = true;
+        const resultElement = document.getElementById("quiz-result");
+        resultElement.hidden = false;
+        resultElement.textContent = grade.answers
+            ? `You scored ${grade.points} of ${quiz.maxPoints} (${formatPercentage((grade.points / quiz.maxPoints) * 100)}).`
+            : `Your instructor graded this quiz: ${grade.points} of ${quiz.maxPoints}.`;
+        const reviewElement = toElement(html`
+            <ol class="quiz-review">
+                ${quiz.questions.map((question, index) => html`
+                    <li>
+                        <p>${question.prompt}
+                            ${grade.answers && html`<strong class="${results[index] ? "quiz-correct" : "quiz-incorrect"}">
+                                ${results[index] ? "Correct" : answers[index] === null ? "Not answered" : "Incorrect"}
+                            </strong>`}
+                        </p>
+                        <ul>
+                            ${question.choices.map((choice, choiceIndex) => html`
+                                <li class="${choiceIndex === question.answer ? "quiz-choice-correct" : choiceIndex === answers[index] ? "quiz-choice-wrong" : ""}">
+                                    ${choice}
+                                    ${choiceIndex === answers[index] && html` <small>(your answer)</small>`}
+                                    ${choiceIndex === question.answer && html` <small>(correct answer)</small>`}
+                                </li>
+                            `)}
+                        </ul>
+                    </li>
+                `)}
+            </ol>
+        `);
+        quizForm.insertAdjacentElement("afterend", reviewElement);
+    }
+
+    /** Submits the answers, once the student confirms the questions they skipped. */
+    async function handleQuizSubmit(event) {
+        event.preventDefault();
+        const answers = quiz.questions.map((question, index) => {
+            const checked = quizForm.querySelector(`input[name="question-${index}"]:checked`);
+            return checked ? parseInt(checked.value, 10) : null;
+        });
+        const skippedCount = answers.filter(answer => answer === null).length;
+        const confirmed = await confirmAction({
+            title: "Submit your answers?",
+            message: skippedCount > 0
+                ? `You left ${skippedCount} question(s) unanswered. A quiz can only be taken once.`
+                : "A quiz can only be taken once.",
+            confirmLabel: "Submit Answers"
+        });
+        if (!confirmed) return;
+
+        let result;
+        try {
+            result = await submitQuiz(courseId, quiz.id, answers);
+        } catch (error) {
+            reportError(error, "Could not submit your answers.");
+            return;
+        }
+        quiz = result.assessment; // Now with the correct answers
+        renderReview(result.grade);
+        notifySuccess(`Quiz submitted: ${result.grade.points} of ${quiz.maxPoints}.`);
+    }
+
+    /** Fetches the course and the quiz, falling back to the 404 view for unknown courses and quizzes. */
+    async function loadQuiz() {
+        let course, data;
+        try {
+            course = await loadCourse(courseId);
+            data = course && await getCourseAssessments(courseId);
+        } catch (error) {
+            if (error instanceof ClientError && error.code === "NOT_ENROLLED") {
+                quizForm.hidden = true;
+                const lockedElement = document.getElementById("quiz-locked");
+                lockedElement.hidden = false;
+                lockedElement.textContent = error.message;
+                return;
+            }
+            reportError(error, "Could not load the quiz.", loadQuiz);
+            return;
+        }
+        quiz = data && data.assessments.find(a => a.id == params.assessmentId && a.type === "quiz");
+        if (!course || !quiz) {
+            await renderNotFound();
+            return;
+        }
+        document.getElementById("quiz-title").textContent = quiz.title;
+        document.getElementById("quiz-course").textContent = course.title;
+        document.getElementById("quiz-description").textContent = quiz.description;
+        const grade = data.grades.find(g => g.assessmentId === quiz.id);
+        if (grade) {
+            renderReview(grade);
+        } else {
+            renderQuestions();
+        }
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Quiz View ---
+    quizForm.addEventListener("submit", handleQuizSubmit);
+
+    // --- INITIAL DATA LOAD ---
+    loadQuiz();
+}
@@ -0,0 +1,154 @@
+/**
+ * @file The roster panel of the Course Detail view (`/courses/:id`): the seats used, the enrolled students
+ * and the waitlist, where administrators also enroll and remove students. Its markup is part of `course-detail.html`.
+ */
+
+import { getCachedCourse, enrollStudent, removeStudent } from "../services/store.js";
+import { notifySuccess, reportError } from "../services/notifications.js";
+import { html, render } from "../components/template.js";
+import { ActionButton } from "../components/actionButton.js";
+import { showFormErrors } from "../components/formErrors.js";
+import { confirmAction } from "../components/confirmDialog.js";
+
+/**
+ * The input IDs of the roster panel form, in the course detail view.
+ * @type {Object.<string, string>}
+ */
+const ROSTER_FORM_FIELDS = { studentId: "roster-student" };
+
+/**
+ * Initializes the roster panel of a course, for the administrators and the instructor of the course.
+ * The course detail view fetches the students and renders the panel with each version of the course.
+ * @param {string} courseId - The ID of the course.
+ * @param {boolean} canManageRoster - Whether the user may enroll and remove students (administrators).
+ * @returns {{setStudents: Function, renderRoster: Function}|null} The panel, or `null` if its markup is missing.
+ */
+export function initializeRosterPanel(courseId, canManageRoster) {
+    const rosterElement = document.getElementById("course-roster");
+    const rosterEnrollForm = document.getElementById("roster-enroll-form");
+    if (!rosterElement || !rosterEnrollForm) return null; // Safety check
+
+    let users = []; // The students of the roster, to show them by email
+
+    // --- NESTED HELPER FUNCTIONS for the Roster Panel ---
+
+    /** Sets the users the roster is shown with: every user for administrators, the students of the course otherwise. */
+    function setStudents(students) {
+        users = students;
+    }
+
+    /** Returns the email of a student, or a placeholder for accounts that no longer exist. */
+    function describeStudent(studentId) {
+        const student = users.find(u => u.id == studentId);
+        return student ? student.email : `Unknown student #${studentId}`;
+    }
+
+    /**
+     * Renders the roster panel: the seats used, the enrolled students with their enrollment date,
+     * and the waitlist in order. Administrators also get the remove buttons and the students who can be enrolled.
+     */
+    function renderRoster(course) {
+        rosterElement.hidden = false;
+        const enrolledCount = course.enrolledStudents.length;
+        const aboveCapacity = enrolledCount - course.capacity;
+        const enrollmentDates = course.enrollmentDates || {};
+        const waitlist = course.waitlist || [];
+        document.getElementById("course-roster-actions-heading").hidden = !canManageRoster;
+
+        render(document.getElementById("course-roster-seats"), html`
+            <meter min="0" max="${course.capacity}" value="${enrolledCount}" aria-hidden="true"></meter>
+            ${enrolledCount} of ${course.capacity} seats used
+            ${aboveCapacity > 0 && html`<strong class="over-capacity">(${aboveCapacity} above capacity)</strong>`}
+        `);
+        render(document.getElementById("course-roster-list"), enrolledCount > 0
+            ? course.enrolledStudents.map(studentId => html`
+                <tr>
+                    <td>${describeStudent(studentId)}</td>
+                    <td>${enrollmentDates[studentId]
+                        ? html`<time datetime="${enrollmentDates[studentId]}">${new Date(enrollmentDates[studentId]).toLocaleDateString()}</time>`
+                        : "Not recorded"}</td>
+                    ${canManageRoster && html`<td>${ActionButton({ label: "Remove", className: "delete-btn remove-student-btn", data: { studentId }, disabled: course.pending })}</td>`}
+                </tr>
+            `)
+            : html`<tr><td colspan="${canManageRoster ? 3 : 2}" class="empty-list">No students are enrolled yet.</td></tr>`);
+        render(document.getElementById("course-roster-waitlist"), waitlist.length > 0
+            ? waitlist.map(studentId => html`<li>${describeStudent(studentId)}</li>`)
+            : html`<li class="empty-list">Nobody is waiting for a seat.</li>`);
+
+        // Archived courses take no enrollments, not even from administrators
+        rosterEnrollForm.hidden = !canManageRoster || Boolean(course.archived);
+        if (!canManageRoster) return;
+        const studentSelect = document.getElementById("roster-student");
+        const selectedId = studentSelect.value;
+        const candidates = users.filter(u => u.role === "student" && !course.enrolledStudents.includes(u.id));
+        render(studentSelect, html`
+            <option value="">-- Choose a student --</option>
+            ${candidates.map(student => html`
+                <option value="${student.id}">${student.email}${waitlist.includes(student.id) && " (waitlisted)"}</option>
+            `)}
+        `);
+        studentSelect.value = selectedId;
+    }
+
+    /** Enrolls the chosen student. Full courses ask first, since the student takes a seat above capacity. */
+    async function handleRosterEnrollSubmit(event) {
+        event.preventDefault();
+        const studentId = document.getElementById("roster-student").value;
+        if (showFormErrors(rosterEnrollForm, studentId ? {} : { studentId: "Choose a student." }, ROSTER_FORM_FIELDS)) return;
+
+        const course = getCachedCourse(courseId);
+        if (!course) return;
+        const isFull = course.enrolledStudents.length >= course.capacity;
+        if (isFull) {
+            const confirmed = await confirmAction({
+                title: "Enroll above capacity?",
+                message: `"${course.title}" is full (${course.enrolledStudents.length} / ${course.capacity}). ${describeStudent(studentId)} will take an extra seat, above its capacity.`,
+                confirmLabel: "Enroll Anyway"
+            });
+            if (!confirmed) return;
+        }
+
+        try {
+            // The roster is re-rendered by the store subscription
+            await enrollStudent(courseId, studentId, { override: isFull });
+        } catch (error) {
+            reportError(error, "Could not enroll the student.");
+            return;
+        }
+        notifySuccess(`${describeStudent(studentId)} was enrolled in "${course.title}".`);
+    }
+
+    /** Removes a student from the course, once the administrator confirms it. */
+    async function removeFromRoster(studentId) {
+        const course = getCachedCourse(courseId);
+        if (!course) return;
+        const waitlist = course.waitlist || [];
+        const seatGoesToWaitlist = waitlist.length > 0 && course.enrolledStudents.length <= course.capacity;
+        const confirmed = await confirmAction({
+            title: `Remove ${describeStudent(studentId)} from "${course.title}"?`,
+            message: seatGoesToWaitlist
+                ? `Their seat goes to ${describeStudent(waitlist[0])}, the first student on the waitlist.`
+                : "They will lose their seat in the course.",
+            confirmLabel: "Remove Student"
+        });
+        if (!confirmed) return;
+
+        try {
+            await removeStudent(courseId, studentId);
+        } catch (error) {
+            reportError(error, "Could not remove the student.");
+            return;
+        }
+        notifySuccess(`${describeStudent(studentId)} was removed from "${course.title}".`);
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Roster Panel ---
+    if (canManageRoster) {
+        rosterEnrollForm.addEventListener("submit", handleRosterEnrollSubmit);
+        document.getElementById("course-roster-list").addEventListener("click", (event) => {
+            if (event.target.matches(".remove-student-btn")) removeFromRoster(event.target.dataset.studentId);
+        });
+    }
+
+    return { setStudents, renderRoster };
+}
@@ -0,0 +1,196 @@
+/**
+ * @file The Admin User Management view (`/admin/users`), where administrators search the accounts
+ * and change their role and status. Its markup is `users.html`.
+ */
+
+import { renderPagination } from "../router.js";
+import { getUsers, changeUserRole, deactivateUser, reactivateUser, forcePasswordReset, deleteUser } from "../controllers/userController.js";
+import { USER_ROLES } from "../models/user.js";
+import { notifySuccess, reportError } from "../services/notifications.js";
+import { html, render } from "../components/template.js";
+import { ActionButton } from "../components/actionButton.js";
+import { confirmAction } from "../components/confirmDialog.js";
+
+/**
+ * The number of accounts shown per page in the user management view.
+ * @type {number}
+ */
+const USERS_PAGE_SIZE = 10;
+
+/**
+ * Initializes the Admin User Management view.
+ * Lists the accounts, searchable by email and filterable by role and status, and lets the
+ * administrator change roles, deactivate or reactivate accounts, force password resets and delete users.
+ * The administrator's own account is listed but cannot be changed here.
+ * @param {object} user - The currently logged-in administrator user object.
+ */
+export async function initializeUsersView(user) {
+    const filterForm = document.getElementById("user-filters");
+    const userListElement = document.getElementById("user-list");
+    const paginationElement = document.getElementById("user-pagination");
+    if (!filterForm || !userListElement || !paginationElement) return; // Safety check
+
+    const filters = { search: "", role: "", status: "", page: 1 };
+    let displayedUsers = [];
+
+    // --- NESTED HELPER FUNCTIONS for the Users View ---
+
+    /** Builds the table row of an account, with its role select and actions. */
+    function renderUserRow(account) {
+        const isSelf = account.id === user.id;
+        const data = { userId: account.id };
+        return html`
+            <tr class="${account.deactivated ? "deactivated-user" : ""}">
+                <td>
+                    ${account.email}${isSelf && html` <small>(you)</small>`}
+                    ${account.passwordResetRequired && html`<small class="user-note">Must choose a new password</small>`}
+                </td>
+                <td>
+                    <select class="role-select" data-user-id="${account.id}" aria-label="Role of ${account.email}"${isSelf && html` disabled`}>
+                        ${Object.entries(USER_ROLES).map(([role, label]) => html`
+                            <option value="${role}"${role === account.role && html` selected`}>${label}</option>
+                        `)}
+                    </select>
+                </td>
+                <td>${account.deactivated ? "Deactivated" : "Active"}</td>
+                <td class="user-actions">
+                    ${account.deactivated
+                        ? ActionButton({ label: "Reactivate", className: "reactivate-btn", data })
+                        : ActionButton({ label: "Deactivate", className: "delete-btn deactivate-btn", data, disabled: isSelf })}
+                    ${ActionButton({ label: "Force Password Reset", className: "reset-password-btn", data, disabled: isSelf || account.passwordResetRequired })}
+                    ${ActionButton({ label: "Delete", className: "delete-btn delete-user-btn", data, disabled: isSelf })}
+                </td>
+            </tr>
+        `;
+    }
+
+    /** Fetches the current page of accounts and renders it. */
+    async function loadUsers() {
+        let users, total;
+        try {
+            ({ users, total } = await getUsers({ ...filters, limit: USERS_PAGE_SIZE }));
+        } catch (error) {
+            reportError(error, "Could not load the users.", loadUsers);
+            return;
+        }
+        if (users.length === 0 && filters.page > 1) {
+            filters.page--; // The last account of the page was deleted
+            loadUsers();
+            return;
+        }
+
+        displayedUsers = users;
+        render(userListElement, users.length > 0
+            ? users.map(renderUserRow)
+            : html`<tr><td colspan="4" class="empty-list">No users match your filters.</td></tr>`);
+        renderPagination(paginationElement, filters.page, total, USERS_PAGE_SIZE);
+    }
+
+    /** Runs a change on an account, reports it, and reloads the page of accounts. */
+    async function runUserAction(action, failureContext, successMessage) {
+        try {
+            await action();
+        } catch (error) {
+            reportError(error, failureContext);
+            loadUsers(); // The row may be out of date
+            return;
+        }
+        notifySuccess(successMessage);
+        loadUsers();
+    }
+
+    /** Changes the role of an account. Granting administrator rights asks first. */
+    async function handleRoleChange(select) {
+        const account = displayedUsers.find(u => u.id == select.dataset.userId);
+        if (!account) return;
+        const role = select.value;
+        if (role === "administrator") {
+            const confirmed = await confirmAction({
+                title: `Make ${account.email} an administrator?`,
+                message: "Administrators can manage every course, instructor and user account.",
+                confirmLabel: "Make Administrator"
+            });
+            if (!confirmed) {
+                select.value = account.role;
+                return;
+            }
+        }
+        runUserAction(() => changeUserRole(account.id, role), "Could not change the role.",
+            `The role of ${account.email} is now "${USER_ROLES[role]}".`);
+    }
+
+    /** Handles the action buttons of the account rows. */
+    async function handleUserListClick(event) {
+        const account = displayedUsers.find(u => u.id == event.target.dataset.userId);
+        if (!account) return;
+
+        if (event.target.matches(".deactivate-btn")) {
+            const confirmed = await confirmAction({
+                title: `Deactivate ${account.email}?`,
+                message: "They are logged out at once and cannot log in until the account is reactivated. Their enrollments are kept.",
+                confirmLabel: "Deactivate"
+            });
+            if (confirmed) {
+                runUserAction(() => deactivateUser(account.id), "Could not deactivate the account.", `${account.email} was deactivated.`);
+            }
+        } else if (event.target.matches(".reactivate-btn")) {
+            runUserAction(() => reactivateUser(account.id), "Could not reactivate the account.", `${account.email} was reactivated.`);
+        } else if (event.target.matches(".reset-password-btn")) {
+            runUserAction(() => forcePasswordReset(account.id), "Could not force the password reset.",
+                `${account.email} will have to choose a new password before continuing.`);
+        } else if (event.target.matches(".delete-user-btn")) {
+            const confirmed = await confirmAction({
+                title: `Delete ${account.email}?`,
+                message: "The account is removed, along with its enrollments and waitlist places in every course. This cannot be undone.",
+                confirmLabel: "Delete User"
+            });
+            if (confirmed) {
+                runUserAction(() => deleteUser(account.id), "Could not delete the user.", `${account.email} was deleted.`);
+            }
+        }
+    }
+
+    /** Copies the filter form into the filters and reloads the first page. */
+    function applyFilters() {
+        Object.assign(filters, {
+            search: filterForm.querySelector("#user-search").value.trim(),
+            role: filterForm.querySelector("#user-role-filter").value,
+            status: filterForm.querySelector("#user-status-filter").value,
+            page: 1
+        });
+        loadUsers();
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Users View ---
+    let typingTimeout;
+    filterForm.addEventListener("input", (event) => {
+        if (event.target.type !== "text") return;
+        // Wait until the user stops typing before querying the API
+        clearTimeout(typingTimeout);
+        typingTimeout = setTimeout(applyFilters, 300);
+    });
+    filterForm.addEventListener("change", (event) => {
+        if (event.target.type !== "text") applyFilters();
+    });
+    filterForm.addEventListener("submit", (event) => {
+        event.preventDefault();
+        clearTimeout(typingTimeout);
+        applyFilters();
+    });
+    userListElement.addEventListener("click", handleUserListClick);
+    userListElement.addEventListener("change", (event) => {
+        if (event.target.matches(".role-select")) handleRoleChange(event.target);
+    });
+    paginationElement.addEventListener("click", (event) => {
+        if (!event.target.matches(".page-btn")) return;
+        filters.page = parseInt(event.target.dataset.page, 10);
+        loadUsers();
+    });
+
+    // --- INITIAL DATA LOAD ---
+    render(filterForm.querySelector("#user-role-filter"), html`
+        <option value="">All roles</option>
+        ${Object.entries(USER_ROLES).map(([role, label]) => html`<option value="${role}">${label}</option>`)}
+    `);
+    loadUsers();
+}